@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Usage:
+//   npm run migrate              show current schema version and pending migrations
+//   npm run migrate -- up [N]    apply pending migrations (up to version N)
+//   npm run migrate -- down N    roll back to version N (0 drops everything)
+
+const Config = require('../src/utils/config');
+const Database = require('../src/database/database');
+
+(async () => {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const config = new Config();
+  const db = new Database(config);
+
+  await db.open();
+
+  try {
+    if (command === 'status') {
+      const status = await db.getSchemaStatus();
+      console.log(`Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+      for (const m of status.applied) {
+        console.log(`  ✅ ${m.version} ${m.name} (applied ${m.applied_at})`);
+      }
+      for (const m of status.pending) {
+        console.log(`  ⏳ ${m.version} ${m.name} (pending)`);
+      }
+    } else if (command === 'up') {
+      const applied = await db.migrator.migrate(arg !== undefined ? parseInt(arg, 10) : Infinity);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+    } else if (command === 'down') {
+      const target = parseInt(arg, 10);
+      if (Number.isNaN(target)) {
+        throw new Error('down requires a target version, e.g. "npm run migrate -- down 1"');
+      }
+      const reverted = await db.migrator.rollback(target);
+      console.log(`Rolled back ${reverted.length} migration(s)`);
+    } else {
+      throw new Error(`Unknown command "${command}". Use status, up or down.`);
+    }
+  } finally {
+    await db.close();
+  }
+})().catch(err => {
+  console.error('Migration error:', err.message);
+  process.exit(1);
+});
@@ -1,162 +1,169 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const Migrator = require('./migrator');
+const { normalizeCategory } = require('../utils/categories');
+const { STANDARD_SEARCH_COLUMNS } = require('../utils/search-query');
+const {
+  suggestMapping, applyMapping, customFieldsFor, parseAlternateRank, fieldValue
+} = require('../utils/column-mapping');
+
+// Contact columns quorum can be grouped by; anything else is a custom field key
+const QUORUM_GROUP_COLUMNS = ['district', 'category', 'state', 'city'];
+const DEFAULT_QUORUM_PERCENT = 50;
+
+// Rows per multi-row INSERT when importing contacts (19 values each keeps a
+// batch well under SQLite's bound-parameter limit)
+const CONTACT_INSERT_BATCH = 500;
+
+// bm25 weights for the contacts_fts columns, in table order: last_name,
+// first_name, middle_name, email, phone, address, city, state, zip,
+// birth_date, custom_values. Name hits outrank address or custom field hits.
+const SEARCH_COLUMN_WEIGHTS = [10, 8, 3, 4, 4, 1, 1, 1, 1, 2, 1];
+
+// A contact's current badge, as a badge_number column
+const CURRENT_BADGE_NUMBER = `(
+  SELECT badge_number FROM credentials
+  WHERE contact_id = contacts.id AND status IN ('active', 'pending')
+  ORDER BY created_at DESC LIMIT 1
+) AS badge_number`;
+
+// Credential status per contact for listings, in one pass over the event's
+// credentials: whether one is active, how many there are, when a badge was
+// last printed, and the newest credential's status and template (newest = 1).
+// Takes the event id as its parameter.
+const CREDENTIAL_SUMMARY_JOIN = `
+  LEFT JOIN (
+    SELECT contact_id,
+      MAX(printed_at) AS last_printed_at,
+      MAX(CASE WHEN newest = 1 THEN template_id END) AS last_template_id,
+      MAX(CASE WHEN newest = 1 THEN status END) AS last_credential_status,
+      SUM(status = 'active') > 0 AS is_credentialed,
+      COUNT(*) AS credential_count
+    FROM (
+      SELECT contact_id, printed_at, template_id, status,
+        ROW_NUMBER() OVER (PARTITION BY contact_id ORDER BY created_at DESC) AS newest
+      FROM credentials
+      WHERE event_id = ?
+    )
+    GROUP BY contact_id
+  ) credential_summary ON credential_summary.contact_id = contacts.id
+  LEFT JOIN templates last_template ON last_template.id = credential_summary.last_template_id`;
+
+const CREDENTIAL_SUMMARY_COLUMNS = `
+  IFNULL(credential_summary.is_credentialed, 0) AS is_credentialed,
+  IFNULL(credential_summary.credential_count, 0) AS credential_count,
+  credential_summary.last_printed_at,
+  credential_summary.last_credential_status,
+  credential_summary.last_template_id,
+  last_template.name AS last_template_name`;
+
+// Orders contact listings can be sorted by. Nulls sort as '' so a keyset
+// cursor can compare them; idx_contacts_listing covers the last_name order.
+const CONTACT_LISTING_SORTS = ['last_name', 'first_name', 'birth_date', 'city', 'state', 'category'];
+
+// The words of a search query, lowercased, as the FTS5 tokenizer splits them
+function searchWords(query) {
+  return String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Listing cursors are the last row's sort key values, as base64url JSON
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== length || values.some(value => typeof value !== 'string')) {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+  }
+  return values;
+}
+
+// Rows after cursor in the order keys give ([{ expression, direction }]). When
+// every key runs the same way this is one row-value comparison an index can
+// seek to; otherwise it is spelled out key by key.
+function keysetCondition(keys, cursor) {
+  const values = decodeCursor(cursor, keys.length);
+  if (keys.every(key => key.direction === keys[0].direction)) {
+    const operator = keys[0].direction === 'DESC' ? '<' : '>';
+    return {
+      sql: `(${keys.map(key => key.expression).join(', ')}) ${operator} (${keys.map(() => '?').join(', ')})`,
+      params: values
+    };
+  }
+
+  const alternatives = [];
+  const params = [];
+  keys.forEach((key, index) => {
+    const equal = keys.slice(0, index).map(previous => `${previous.expression} = ?`);
+    alternatives.push(`(${[...equal, `${key.expression} ${key.direction === 'DESC' ? '<' : '>'} ?`].join(' AND ')})`);
+    params.push(...values.slice(0, index + 1));
+  });
+  return { sql: `(${alternatives.join(' OR ')})`, params };
+}
+
+// value with LIKE wildcards escaped, for use with ESCAPE '\'
+function likeEscape(value) {
+  return value.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+// A LIKE pattern matching values that start with value
+function likePrefix(value) {
+  return `${likeEscape(value)}%`;
+}
+
+// SQL conditions on contacts for parsed search filters (see parseSearchQuery)
+function searchFilterConditions(eventId, filters) {
+  const conditions = [];
+  const params = [];
+  for (const { field, value, prefix, custom } of filters) {
+    const comparison = prefix ? "LIKE ? ESCAPE '\\'" : '= ?';
+    if (custom) {
+      conditions.push(`contacts.id IN (
+        SELECT contact_id FROM contact_custom_values
+        WHERE event_id = ? AND field = ? AND value ${comparison}
+      )`);
+      params.push(eventId, field, prefix ? likePrefix(value) : value);
+    } else {
+      // field is one of STANDARD_SEARCH_COLUMNS
+      conditions.push(prefix ? `contacts.${field} ${comparison}` : `LOWER(contacts.${field}) = LOWER(?)`);
+      params.push(prefix ? likePrefix(value) : value);
+    }
+  }
+  return { conditions, params };
+}
 
 class Database {
   constructor(config) {
     this.config = config;
     this.dbPath = path.join(config.getDataDir(), 'credentials.db');
     this.db = null;
+    this.migrator = new Migrator(this);
+    this.transactionQueue = Promise.resolve();
+    // Holds the open transaction for statements issued from inside its work()
+    this.transactionScope = new AsyncLocalStorage();
+    this.openTransaction = null;
+    this.outsideStatements = new Set();
   }
 
   async initialize() {
-    return new Promise((resolve, reject) => {
-      // Ensure data directory exists
-      fs.ensureDirSync(path.dirname(this.dbPath));
-      
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        this.createTables()
-          .then(() => resolve())
-          .catch(reject);
-      });
-    });
-  }
-
-  async createTables() {
-    const tables = [
-      // Events table
-      `CREATE TABLE IF NOT EXISTS events (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        date TEXT NOT NULL,
-        description TEXT,
-        merged_pdf_path TEXT,
-        fallback_pdf_path TEXT,
-        status TEXT DEFAULT 'active',
-        created_at TEXT NOT NULL,
-        updated_at TEXT NOT NULL
-      )`,
-
-      // Contacts table (working copy of CSV data)
-      `CREATE TABLE IF NOT EXISTS contacts (
-        id TEXT PRIMARY KEY,
-        event_id TEXT NOT NULL,
-        original_row INTEGER NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        middle_name TEXT,
-        birth_date TEXT,
-        address TEXT,
-        city TEXT,
-        state TEXT,
-        zip TEXT,
-        phone TEXT,
-        email TEXT,
-        custom_fields TEXT,
-        created_at TEXT NOT NULL,
-        updated_at TEXT NOT NULL,
-        FOREIGN KEY (event_id) REFERENCES events (id)
-      )`,
-
-      // Credentials table (tracking who has been credentialed)
-      `CREATE TABLE IF NOT EXISTS credentials (
-        id TEXT PRIMARY KEY,
-        contact_id TEXT NOT NULL,
-        event_id TEXT NOT NULL,
-        template_id TEXT NOT NULL,
-        printed_at TEXT NOT NULL,
-        printed_by TEXT,
-        status TEXT DEFAULT 'active',
-        notes TEXT,
-        created_at TEXT NOT NULL,
-        updated_at TEXT NOT NULL,
-        FOREIGN KEY (contact_id) REFERENCES contacts (id),
-        FOREIGN KEY (event_id) REFERENCES events (id),
-        FOREIGN KEY (template_id) REFERENCES templates (id)
-      )`,
-
-      // Templates table
-      `CREATE TABLE IF NOT EXISTS templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        description TEXT,
-        config TEXT NOT NULL,
-        is_default BOOLEAN DEFAULT 0,
-        event_id TEXT,
-        created_at TEXT NOT NULL,
-        updated_at TEXT NOT NULL,
-        FOREIGN KEY (event_id) REFERENCES events (id)
-      )`,
-
-      // Audit log table
-      `CREATE TABLE IF NOT EXISTS audit_log (
-        id TEXT PRIMARY KEY,
-        user_id TEXT,
-        action TEXT NOT NULL,
-        entity_type TEXT NOT NULL,
-        entity_id TEXT,
-        details TEXT,
-        ip_address TEXT,
-        user_agent TEXT,
-        created_at TEXT NOT NULL
-      )`,
-
-      // CSV imports table
-      `CREATE TABLE IF NOT EXISTS csv_imports (
-        id TEXT PRIMARY KEY,
-        event_id TEXT NOT NULL,
-        original_filename TEXT NOT NULL,
-        working_copy_path TEXT NOT NULL,
-        record_count INTEGER NOT NULL,
-        headers TEXT NOT NULL,
-        import_date TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        FOREIGN KEY (event_id) REFERENCES events (id)
-      )`,
-
-      // Exports table
-      `CREATE TABLE IF NOT EXISTS exports (
-        id TEXT PRIMARY KEY,
-        event_id TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        record_count INTEGER NOT NULL,
-        export_date TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        FOREIGN KEY (event_id) REFERENCES events (id)
-      )`
-    ];
+    await this.open();
 
-    for (const table of tables) {
-      await this.run(table);
-    }
+    // Bring the schema up to date; a failed migration is rolled back and
+    // re-thrown so the server refuses to start on a half-upgraded schema
+    await this.migrator.migrate();
 
-    // Run migrations for existing databases
-    await this.runMigrations();
-
-    // Create indexes for performance
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_contacts_event_id ON contacts(event_id)',
-      'CREATE INDEX IF NOT EXISTS idx_contacts_name ON contacts(last_name, first_name)',
-      'CREATE INDEX IF NOT EXISTS idx_contacts_birth_date ON contacts(birth_date)',
-      'CREATE INDEX IF NOT EXISTS idx_credentials_contact_id ON credentials(contact_id)',
-      'CREATE INDEX IF NOT EXISTS idx_credentials_event_id ON credentials(event_id)',
-      'CREATE INDEX IF NOT EXISTS idx_templates_event_id ON templates(event_id)',
-      'CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)'
-    ];
-
-    for (const index of indexes) {
-      await this.run(index);
-    }
-    
     // Create default template if none exists
     await this.createDefaultTemplate();
     
@@ -167,53 +174,29 @@ class Database {
     await this.createCCMVoteBoxesTemplate();
   }
 
-  // Run database migrations for existing databases
-  async runMigrations() {
-    try {
-      // Check if events table exists and has status column
-      const tableInfo = await this.all("PRAGMA table_info(events)");
-      const hasStatusColumn = tableInfo.some(col => col.name === 'status');
-      const hasMergedPdfColumn = tableInfo.some(col => col.name === 'merged_pdf_path');
-      const hasFallbackPdfColumn = tableInfo.some(col => col.name === 'fallback_pdf_path');
+  // Open the connection without touching the schema (used by the migrate CLI)
+  async open() {
+    return new Promise((resolve, reject) => {
+      // Ensure data directory exists
+      fs.ensureDirSync(path.dirname(this.dbPath));
       
-      if (!hasStatusColumn) {
-        console.log('🔄 Adding status column to events table...');
-        await this.run('ALTER TABLE events ADD COLUMN status TEXT DEFAULT "active"');
-        
-        // Set all existing events to 'active' status
-        await this.run('UPDATE events SET status = "active" WHERE status IS NULL');
-        console.log('✅ Status column added successfully');
-      }
-
-      if (!hasMergedPdfColumn) {
-        console.log('🔄 Adding merged_pdf_path column to events table...');
-        await this.run('ALTER TABLE events ADD COLUMN merged_pdf_path TEXT');
-        console.log('✅ merged_pdf_path column added successfully');
-      }
-
-      if (!hasFallbackPdfColumn) {
-        console.log('🔄 Adding fallback_pdf_path column to events table...');
-        await this.run('ALTER TABLE events ADD COLUMN fallback_pdf_path TEXT');
-        console.log('✅ fallback_pdf_path column added successfully');
-      }
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
 
-      // Check if templates table has event_id column
-      const templateTableInfo = await this.all("PRAGMA table_info(templates)");
-      const hasEventIdColumn = templateTableInfo.some(col => col.name === 'event_id');
-      
-      if (!hasEventIdColumn) {
-        console.log('🔄 Adding event_id column to templates table...');
-        await this.run('ALTER TABLE templates ADD COLUMN event_id TEXT');
-        console.log('✅ Event ID column added to templates table');
-      }
-    } catch (error) {
-      console.error('Migration failed:', error);
-    }
+  async getSchemaStatus() {
+    return await this.migrator.getStatus();
   }
 
   // Database operations
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           reject(err);
@@ -225,7 +208,7 @@ class Database {
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
           reject(err);
@@ -237,7 +220,7 @@ class Database {
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.statement((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
           reject(err);
@@ -248,6 +231,81 @@ class Database {
     });
   }
 
+  // Every statement goes through here. The connection is shared, so while a
+  // transaction is open, statements from outside it wait for it to end;
+  // otherwise they would run inside it and be rolled back with it.
+  statement(execute) {
+    // Timers started inside a transaction keep its scope after it ends, so the
+    // scope has to name the transaction that is open now
+    const inTransaction = this.openTransaction !== null && this.transactionScope.getStore() === this.openTransaction;
+    if (this.openTransaction && !inTransaction) {
+      return this.openTransaction.then(() => this.statement(execute));
+    }
+
+    const pending = new Promise(execute);
+    if (!inTransaction) {
+      this.outsideStatements.add(pending);
+      const settle = () => this.outsideStatements.delete(pending);
+      pending.then(settle, settle);
+    }
+    return pending;
+  }
+
+  // Run work() inside a single transaction, rolling back if it throws.
+  // SQLite has one transaction per connection, so callers are queued.
+  transaction(work) {
+    const result = this.transactionQueue.then(() => this.runTransaction(work));
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async runTransaction(work) {
+    let finish;
+    const transaction = new Promise(resolve => { finish = resolve; });
+    this.openTransaction = transaction;
+    try {
+      // Statements already sent to the connection finish before BEGIN
+      await Promise.allSettled([...this.outsideStatements]);
+
+      return await this.transactionScope.run(transaction, async () => {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      finish();
+    }
+  }
+
+  // Prepared statement for running the same SQL many times
+  prepare(sql) {
+    const statement = this.db.prepare(sql);
+    return {
+      run: (params = []) => this.statement((resolve, reject) => {
+        statement.run(params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, changes: this.changes });
+          }
+        });
+      }),
+      finalize: () => new Promise(resolve => statement.finalize(() => resolve()))
+    };
+  }
+
+  async hasColumn(table, column) {
+    const tableInfo = await this.all(`PRAGMA table_info(${table})`);
+    return tableInfo.some(col => col.name === column);
+  }
+
   // Event operations
   async createEvent(eventData) {
     const id = uuidv4();
@@ -257,8 +315,10 @@ class Database {
     await this.run('UPDATE events SET status = ? WHERE status = ?', ['ended', 'active']);
     
     const sql = `
-      INSERT INTO events (id, name, date, description, merged_pdf_path, fallback_pdf_path, status, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO events (
+        id, name, date, description, merged_pdf_path, fallback_pdf_path,
+        badge_prefix, badge_digits, reprint_limit, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await this.run(sql, [
@@ -268,6 +328,9 @@ class Database {
       eventData.description || '',
       eventData.merged_pdf_path || '',
       eventData.fallback_pdf_path || '',
+      eventData.badge_prefix || '',
+      eventData.badge_digits || 4,
+      eventData.reprint_limit === undefined || eventData.reprint_limit === '' ? null : eventData.reprint_limit,
       'active',
       now,
       now
@@ -286,19 +349,30 @@ class Database {
 
   async updateEvent(eventId, eventData) {
     const now = moment().toISOString();
+    // Fields left out of eventData keep their current values
+    const event = { ...(await this.getEvent(eventId)), ...eventData };
     
     const sql = `
       UPDATE events 
-      SET name = ?, date = ?, description = ?, merged_pdf_path = ?, fallback_pdf_path = ?, updated_at = ?
+      SET name = ?, date = ?, description = ?, merged_pdf_path = ?, fallback_pdf_path = ?,
+        badge_prefix = ?, badge_digits = ?, reprint_limit = ?, category_column = ?,
+        quorum_percent = ?, quorum_group_by = ?, search_columns = ?, updated_at = ?
       WHERE id = ?
     `;
     
     await this.run(sql, [
-      eventData.name,
-      eventData.date,
-      eventData.description || '',
-      eventData.merged_pdf_path || '',
-      eventData.fallback_pdf_path || '',
+      event.name,
+      event.date,
+      event.description || '',
+      event.merged_pdf_path || '',
+      event.fallback_pdf_path || '',
+      event.badge_prefix || '',
+      event.badge_digits || 4,
+      event.reprint_limit ?? null,
+      event.category_column || null,
+      event.quorum_percent ?? null,
+      event.quorum_group_by || 'district',
+      event.search_columns || null,
       now,
       eventId
     ]);
@@ -307,99 +381,339 @@ class Database {
   }
 
   // Contact operations
-  async importContacts(eventId, contacts, csvImportId, normalizedHeaders = null, originalHeaders = null) {
+  // Import a roster in one transaction: either every row is inserted (and the
+  // csv_imports record written, when csvImport is given) or nothing is.
+  // mapping is CSV header -> contact field; without one the headers are guessed.
+  // rowNumbers gives each contact's row in the CSV when not all rows are
+  // imported. onProgress(processedRows) is called after each batch.
+  async importContacts(eventId, contacts, { headers = null, mapping = null, rowNumbers = null, csvImport = null, onProgress = null } = {}) {
+    return await this.transaction(async () => {
+      const rows = contacts.map((contact, index) => ({ contact, rowNumber: rowNumbers ? rowNumbers[index] : index + 1 }));
+      const contactIds = await this.insertContacts(eventId, rows, { headers, mapping, onProgress });
+      const recorded = csvImport ? await this.recordCSVImport(csvImport) : null;
+      return { contactIds, csvImport: recorded };
+    });
+  }
+
+  // Insert roster rows ({ contact, rowNumber }) CONTACT_INSERT_BATCH at a time
+  // through prepared statements. Call inside transaction().
+  async insertContacts(eventId, rows, { headers = null, mapping = null, onProgress = null } = {}) {
+    if (!mapping) {
+      mapping = suggestMapping(headers || Object.keys((rows[0] && rows[0].contact) || {}));
+    }
+
+    const now = moment().toISOString();
+    const contactValues = ({ contact, rowNumber }) => {
+      // Standard fields come from the columns mapped to them; custom_fields
+      // holds every column
+      const fields = applyMapping(contact, mapping);
+      return [
+        uuidv4(), eventId, rowNumber,
+        fields.first_name, fields.last_name, fields.middle_name, fieldValue('birth_date', fields.birth_date),
+        fields.address, fields.city, fields.state, fields.zip, fields.phone, fields.email,
+        JSON.stringify(headers ? customFieldsFor(contact, headers) : contact),
+        fieldValue('category', fields.category), fieldValue('district', fields.district),
+        fieldValue('alternate_rank', fields.alternate_rank),
+        now, now
+      ];
+    };
+
+    const insertSql = rowCount => `
+      INSERT INTO contacts (
+        id, event_id, original_row, first_name, last_name, middle_name,
+        birth_date, address, city, state, zip, phone, email, custom_fields,
+        category, district, alternate_rank, created_at, updated_at
+      ) VALUES ${new Array(rowCount).fill('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `;
+
     const contactIds = [];
-    
-    for (let i = 0; i < contacts.length; i++) {
-      const contact = contacts[i];
-      const id = uuidv4();
-      const now = moment().toISOString();
-      
-      // Debug: Log the first contact to see field structure
-      if (i === 0) {
-        console.log('🔍 Database importContacts - Sample contact data structure:', contact);
-        console.log('🔍 Available original keys:', Object.keys(contact));
-        console.log('🔍 normalizedHeaders provided:', normalizedHeaders ? 'YES' : 'NO');
-        console.log('🔍 originalHeaders provided:', originalHeaders ? 'YES' : 'NO');
-        if (normalizedHeaders) {
-          console.log('🔍 Normalized headers:', normalizedHeaders);
+    const statements = new Map();
+    try {
+      for (let start = 0; start < rows.length; start += CONTACT_INSERT_BATCH) {
+        const batch = rows.slice(start, start + CONTACT_INSERT_BATCH);
+        // Full batches share one statement; the last, shorter batch gets its own
+        if (!statements.has(batch.length)) {
+          statements.set(batch.length, this.prepare(insertSql(batch.length)));
         }
-        if (originalHeaders) {
-          console.log('🔍 Original headers:', originalHeaders);
+
+        const values = batch.map(contactValues);
+        await statements.get(batch.length).run(values.flat());
+        values.forEach(row => contactIds.push(row[0]));
+
+        if (onProgress) {
+          onProgress(start + batch.length);
         }
       }
-      
-      // Create normalized contact data if headers are provided
-      let normalizedContact = {};
-      if (normalizedHeaders && originalHeaders) {
-        // Map original contact data to normalized field names
-        originalHeaders.forEach((originalHeader, index) => {
-          const normalizedHeader = normalizedHeaders[index];
-          normalizedContact[normalizedHeader] = contact[originalHeader] || '';
-        });
-        console.log(i === 0 ? '🔍 Sample normalized contact:' : '', i === 0 ? normalizedContact : '');
-      } else {
-        // Fallback to original contact structure
-        normalizedContact = contact;
+    } finally {
+      for (const statement of statements.values()) {
+        await statement.finalize();
       }
-      
-      // Extract common fields
-      const contactData = {
-        id,
-        event_id: eventId,
-        original_row: i + 1,
-        first_name: contact.firstName || contact['First Name'] || contact['first_name'] || '',
-        last_name: contact.lastName || contact['Last Name'] || contact['last_name'] || '',
-        middle_name: contact.middleName || contact['Middle Name'] || contact['middle_name'] || '',
-        birth_date: contact.birthDate || contact['Birth Date'] || contact['birth_date'] || '',
-        address: contact.address || contact['Address'] || contact['address'] || '',
-        city: contact.city || contact['City'] || contact['city'] || '',
-        state: contact.state || contact['State'] || contact['state'] || '',
-        zip: contact.zip || contact['ZIP'] || contact['zip'] || contact['Zip Code'] || contact['Zip'] || contact['zipcode'] || contact['ZIPCODE'] || '',
-        phone: contact.phone || contact['Phone'] || contact['phone'] || contact['mobile'] || contact['Mobile'] || contact['cell'] || contact['Cell'] || '',
-        email: contact.email || contact['Email'] || contact['email'] || '',
-        custom_fields: JSON.stringify(normalizedContact),
-        created_at: now,
-        updated_at: now
-      };
-      
-      const sql = `
-        INSERT INTO contacts (
-          id, event_id, original_row, first_name, last_name, middle_name,
-          birth_date, address, city, state, zip, phone, email, custom_fields,
-          created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      await this.run(sql, Object.values(contactData));
-      contactIds.push(id);
     }
-    
+
     return contactIds;
   }
 
-  async searchContacts(eventId, query, limit = 50) {
+  // An event's contacts with what blocks changing them: an active or pending
+  // credential, or a place in a live seat upgrade
+  async getRosterContacts(eventId) {
+    return await this.all(`
+      SELECT contacts.*,
+        EXISTS (
+          SELECT 1 FROM credentials
+          WHERE contact_id = contacts.id AND status IN ('active', 'pending')
+        ) AS credentialed,
+        EXISTS (
+          SELECT 1 FROM seat_upgrades
+          WHERE revoked_at IS NULL AND (delegate_id = contacts.id OR alternate_id = contacts.id)
+        ) AS in_seat_upgrade,
+        EXISTS (
+          SELECT 1 FROM print_jobs
+          WHERE contact_id = contacts.id AND status IN ('queued', 'sending')
+        ) AS printing
+      FROM contacts
+      WHERE event_id = ?
+      ORDER BY original_row
+    `, [eventId]);
+  }
+
+  // Apply a reviewed roster diff in one transaction. add: [{ contact, rowNumber }];
+  // update: [{ contactId, rowNumber, fields, custom_fields }]; remove: [contactId].
+  // Updated contacts keep their id, so their credentials stay attached.
+  async applyRosterChanges(eventId, { add = [], update = [], remove = [], headers, mapping, csvImport = null }) {
+    return await this.transaction(async () => {
+      const addedIds = await this.insertContacts(eventId, add, { headers, mapping });
+
+      for (const change of update) {
+        await this.updateContact(change.contactId, {
+          ...change.fields,
+          custom_fields: JSON.stringify(change.custom_fields)
+        });
+        await this.run('UPDATE contacts SET original_row = ? WHERE id = ?', [change.rowNumber, change.contactId]);
+      }
+
+      for (const contactId of remove) {
+        await this.deleteContact(contactId);
+      }
+
+      const recorded = csvImport ? await this.recordCSVImport(csvImport) : null;
+      return { addedIds, updated: update.length, removed: remove.length, csvImport: recorded };
+    });
+  }
+
+  // Delete a contact with everything recorded against it: credentials, print
+  // jobs, check-ins, zone access and badge scans (contact_custom_values goes
+  // with the contact by trigger). Seat upgrades and the audit log are kept as
+  // history. Call inside transaction().
+  async deleteContact(contactId) {
+    await this.run('DELETE FROM print_jobs WHERE contact_id = ?', [contactId]);
+    await this.run('DELETE FROM credentials WHERE contact_id = ?', [contactId]);
+    await this.run('DELETE FROM checkins WHERE contact_id = ?', [contactId]);
+    await this.run('DELETE FROM access_zone_rules WHERE contact_id = ?', [contactId]);
+    await this.run('DELETE FROM badge_scans WHERE contact_id = ?', [contactId]);
+    await this.run('DELETE FROM contacts WHERE id = ?', [contactId]);
+  }
+
+  // Full-text search over names, contact details and custom field values
+  // (contacts_fts), limited to the event's searchable columns. Every word must
+  // match, each as a prefix, in any of them, so "john smi" finds John Smith.
+  // search comes from parseSearchQuery; its field filters must all hold too.
+  // Contacts whose last name is one of the words come first, then the best
+  // matches. badge_number is the contact's current badge; voided numbers
+  // still match so a replaced badge can be traced back to its holder.
+  async searchContacts(eventId, { text, filters, fields }, limit = 50) {
+    const words = searchWords(text);
+    if (words.length === 0 && filters.length === 0) {
+      return [];
+    }
+    const lastNames = [...new Set([text.toLowerCase(), ...words])];
+
+    // Quoted so punctuation in a word cannot be read as FTS5 syntax
+    const columns = [...fields.standard, ...(fields.custom.length > 0 ? ['custom_values'] : [])];
+    const matchQuery = `{${columns.join(' ')}} : (${words.map(word => `"${word}"*`).join(' ')})`;
+    const matches = words.length > 0 && columns.length > 0
+      ? `SELECT rowid, bm25(contacts_fts, ${SEARCH_COLUMN_WEIGHTS.join(', ')}) AS score
+         FROM contacts_fts WHERE contacts_fts MATCH ?`
+      : 'SELECT NULL AS rowid, NULL AS score WHERE 0';
+    const textCondition = words.length > 0
+      ? `(
+        matches.rowid IS NOT NULL OR
+        contacts.id IN (
+          SELECT contact_id FROM credentials
+          WHERE event_id = ? AND LOWER(badge_number) LIKE LOWER(?) ESCAPE '\\'
+        )
+      )`
+      : '1';
+    const filter = searchFilterConditions(eventId, filters);
+
+    // Ids first: joining the credential summary here as well leads SQLite to
+    // scan the matches once per contact
     const searchQuery = `
-      SELECT * FROM contacts 
-      WHERE event_id = ? 
-      AND (
-        LOWER(first_name) LIKE LOWER(?) OR 
-        LOWER(last_name) LIKE LOWER(?) OR 
-        LOWER(birth_date) LIKE LOWER(?) OR
-        LOWER(address) LIKE LOWER(?) OR
-        LOWER(city) LIKE LOWER(?) OR
-        LOWER(state) LIKE LOWER(?) OR
-        LOWER(zip) LIKE LOWER(?)
-      )
-      ORDER BY last_name, first_name
+      SELECT contacts.id
+      FROM contacts
+      LEFT JOIN (${matches}) matches ON matches.rowid = contacts.rowid
+      WHERE contacts.event_id = ?
+      AND ${[textCondition, ...filter.conditions].join(' AND ')}
+      ORDER BY
+        LOWER(contacts.last_name) IN (${lastNames.map(() => '?').join(', ')}) DESC,
+        matches.score IS NULL, matches.score,
+        contacts.last_name, contacts.first_name
       LIMIT ?
     `;
-    
-    const searchTerm = `%${query}%`;
-    return await this.all(searchQuery, [
-      eventId, searchTerm, searchTerm, searchTerm, searchTerm, 
-      searchTerm, searchTerm, searchTerm, limit
+
+    const found = await this.all(searchQuery, [
+      ...(words.length > 0 && columns.length > 0 ? [matchQuery] : []),
+      eventId,
+      ...(words.length > 0 ? [eventId, `%${likeEscape(text)}%`] : []),
+      ...filter.params,
+      ...lastNames,
+      limit
     ]);
+    return await this.getSearchResults(eventId, found.map(row => row.id));
+  }
+
+  // Columns contact search looks at for an event: { standard, custom }. With
+  // no search_columns setting that is every standard column and every custom
+  // field its contacts have.
+  async getSearchFields(eventId) {
+    const event = await this.getEvent(eventId);
+    const searchColumns = event && event.search_columns ? JSON.parse(event.search_columns) : null;
+    if (searchColumns) {
+      return {
+        standard: STANDARD_SEARCH_COLUMNS.filter(column => searchColumns.includes(column)),
+        custom: searchColumns.filter(column => !STANDARD_SEARCH_COLUMNS.includes(column))
+      };
+    }
+    const customFields = await this.all(
+      'SELECT DISTINCT field FROM contact_custom_values WHERE event_id = ? ORDER BY field',
+      [eventId]
+    );
+    return {
+      standard: [...STANDARD_SEARCH_COLUMNS],
+      custom: customFields.map(row => row.field).filter(field => !STANDARD_SEARCH_COLUMNS.includes(field))
+    };
+  }
+
+  // Custom field keys used by an event's contacts, searchable or not
+  async getCustomFieldKeys(eventId) {
+    const rows = await this.all(
+      `SELECT DISTINCT custom.key AS field
+       FROM contacts, json_each(CASE WHEN json_valid(contacts.custom_fields) THEN contacts.custom_fields ELSE '{}' END) AS custom
+       WHERE contacts.event_id = ?
+       ORDER BY field`,
+      [eventId]
+    );
+    return rows.map(row => row.field);
+  }
+
+  // Ids of an event's contacts passing every parsed search filter
+  async getFilteredContactIds(eventId, filters) {
+    const filter = searchFilterConditions(eventId, filters);
+    const rows = await this.all(
+      `SELECT contacts.id FROM contacts
+       WHERE contacts.event_id = ? AND ${['1', ...filter.conditions].join(' AND ')}`,
+      [eventId, ...filter.params]
+    );
+    return new Set(rows.map(row => row.id));
+  }
+
+  // Sets the event's searchable columns (null: all) and re-indexes its
+  // contacts; the search triggers read the setting as they fire
+  async updateSearchColumns(eventId, searchColumns) {
+    await this.transaction(async () => {
+      await this.updateEvent(eventId, { search_columns: searchColumns ? JSON.stringify(searchColumns) : null });
+      await this.run('UPDATE contacts SET custom_fields = custom_fields WHERE event_id = ?', [eventId]);
+    });
+    return await this.getEvent(eventId);
+  }
+
+  // Changes whenever an event's contacts are added, edited or deleted
+  async getContactsVersion(eventId) {
+    const row = await this.get(
+      'SELECT COUNT(*) AS count, MAX(updated_at) AS updated_at FROM contacts WHERE event_id = ?',
+      [eventId]
+    );
+    return `${row.count}:${row.updated_at || ''}`;
+  }
+
+  // Names of every contact in an event, for the fuzzy search fallback
+  async getContactNames(eventId) {
+    return await this.all(
+      'SELECT id, first_name, middle_name, last_name FROM contacts WHERE event_id = ?',
+      [eventId]
+    );
+  }
+
+  // An event's contacts by id, as searchContacts returns them, in the order given
+  async getSearchResults(eventId, contactIds) {
+    if (contactIds.length === 0) {
+      return [];
+    }
+    const contacts = await this.all(
+      `SELECT contacts.*, ${CURRENT_BADGE_NUMBER}, ${CREDENTIAL_SUMMARY_COLUMNS}
+       FROM contacts
+       ${CREDENTIAL_SUMMARY_JOIN}
+       WHERE contacts.id IN (${contactIds.map(() => '?').join(', ')})`,
+      [eventId, ...contactIds]
+    );
+    const byId = new Map(contacts.map(contact => [contact.id, contact]));
+    return contactIds.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // One page of an event's contacts with their credential summary, and the
+  // total. Pages are read by keyset: cursor is the sort key of the last row of
+  // the previous page (nextCursor), so deep pages cost the same as the first.
+  // offset pages the old way when no cursor is given. category 'none' lists
+  // contacts without one.
+  async listContacts(eventId, {
+    sortBy = 'last_name', order = 'asc', category = null, limit = 100, cursor = null, offset = 0
+  } = {}) {
+    const sortField = CONTACT_LISTING_SORTS.includes(sortBy) ? sortBy : 'last_name';
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    // Ties are broken by name, then id, always ascending
+    const keys = [...new Set([sortField, 'last_name', 'first_name'])]
+      .map((field, index) => ({ expression: `IFNULL(contacts.${field}, '')`, direction: index === 0 ? direction : 'ASC' }))
+      .concat([{ expression: 'contacts.id', direction: 'ASC' }]);
+
+    const conditions = ['contacts.event_id = ?'];
+    const params = [eventId];
+    if (category === 'none') {
+      conditions.push('contacts.category IS NULL');
+    } else if (category) {
+      conditions.push('contacts.category = ?');
+      params.push(category);
+    }
+
+    const total = (await this.get(
+      `SELECT COUNT(*) AS total FROM contacts WHERE ${conditions.join(' AND ')}`,
+      params
+    )).total;
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      const keyset = keysetCondition(keys, cursor);
+      pageConditions.push(keyset.sql);
+      pageParams.push(...keyset.params);
+    }
+
+    const contacts = await this.all(`
+      SELECT contacts.*, ${CREDENTIAL_SUMMARY_COLUMNS}, ${keys.map((key, index) => `${key.expression} AS sort_key_${index}`).join(', ')}
+      FROM contacts
+      ${CREDENTIAL_SUMMARY_JOIN}
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${keys.map(key => `${key.expression} ${key.direction}`).join(', ')}
+      LIMIT ? OFFSET ?
+    `, [eventId, ...pageParams, limit, cursor ? 0 : offset]);
+
+    const last = contacts[contacts.length - 1];
+    const nextCursor = contacts.length === limit
+      ? encodeCursor(keys.map((key, index) => last[`sort_key_${index}`]))
+      : null;
+    contacts.forEach(contact => {
+      keys.forEach((key, index) => delete contact[`sort_key_${index}`]);
+    });
+
+    return { contacts, total, sortField, nextCursor };
   }
 
   async getContact(contactId) {
@@ -804,25 +1118,81 @@ class Database {
 
   async updateContact(contactId, contactData) {
     const now = moment().toISOString();
+    // Fields left undefined in contactData keep their current values
+    const contact = { ...(await this.getContact(contactId)) };
+    for (const [key, value] of Object.entries(contactData)) {
+      if (value !== undefined) {
+        contact[key] = value;
+      }
+    }
     
     const sql = `
       UPDATE contacts 
       SET first_name = ?, last_name = ?, middle_name = ?, birth_date = ?,
           address = ?, city = ?, state = ?, zip = ?, phone = ?, email = ?,
-          custom_fields = ?, updated_at = ?
+          custom_fields = ?, category = ?, district = ?, alternate_rank = ?,
+          updated_at = ?
       WHERE id = ?
     `;
     
     await this.run(sql, [
-      contactData.first_name, contactData.last_name, contactData.middle_name,
-      contactData.birth_date, contactData.address, contactData.city,
-      contactData.state, contactData.zip, contactData.phone, contactData.email,
-      contactData.custom_fields, now, contactId
+      contact.first_name, contact.last_name, contact.middle_name,
+      contact.birth_date, contact.address, contact.city,
+      contact.state, contact.zip, contact.phone, contact.email,
+      contact.custom_fields, contact.category || null, contact.district || null,
+      parseAlternateRank(contact.alternate_rank), now, contactId
     ]);
     
     return await this.getContact(contactId);
   }
 
+  // The fields the duplicate finder compares, for every contact in an event
+  async getDuplicateCandidates(eventId) {
+    return await this.all(`
+      SELECT id, first_name, middle_name, last_name, birth_date, address, city, state, zip, email, created_at
+      FROM contacts WHERE event_id = ?
+    `, [eventId]);
+  }
+
+  // Folds duplicate into survivor in one transaction: survivor takes values
+  // (see mergeValues), the duplicate's credentials, print jobs, seat upgrades,
+  // badge scans, zone access, check-ins and contact audit entries move to it,
+  // and the duplicate is deleted. The merge is audited as contact_merged with the
+  // duplicate as it was.
+  async mergeContacts(survivorId, duplicateId, values) {
+    return await this.transaction(async () => {
+      const duplicate = await this.getContact(duplicateId);
+      const contact = await this.updateContact(survivorId, values);
+
+      const move = async (sql) => (await this.run(sql, [survivorId, duplicateId])).changes;
+      // Zones the survivor may already enter on their own do not move
+      await this.run(`
+        DELETE FROM access_zone_rules
+        WHERE contact_id = ? AND zone_id IN (SELECT zone_id FROM access_zone_rules WHERE contact_id = ?)
+      `, [duplicateId, survivorId]);
+      const moved = {
+        credentials: await move('UPDATE credentials SET contact_id = ? WHERE contact_id = ?'),
+        print_jobs: await move('UPDATE print_jobs SET contact_id = ? WHERE contact_id = ?'),
+        seat_upgrades: await move('UPDATE seat_upgrades SET delegate_id = ? WHERE delegate_id = ?') +
+          await move('UPDATE seat_upgrades SET alternate_id = ? WHERE alternate_id = ?'),
+        badge_scans: await move('UPDATE badge_scans SET contact_id = ? WHERE contact_id = ?'),
+        zone_access: await move('UPDATE access_zone_rules SET contact_id = ? WHERE contact_id = ?'),
+        checkins: await move('UPDATE checkins SET contact_id = ? WHERE contact_id = ?'),
+        audit_entries: await move("UPDATE audit_log SET entity_id = ? WHERE entity_type = 'contact' AND entity_id = ?")
+      };
+      await this.run('DELETE FROM contacts WHERE id = ?', [duplicateId]);
+
+      await this.logAudit({
+        action: 'contact_merged',
+        entity_type: 'contact',
+        entity_id: survivorId,
+        details: { duplicate_id: duplicateId, duplicate, values, moved }
+      });
+
+      return { contact, moved };
+    });
+  }
+
   async addContact(eventId, contactData) {
     const id = uuidv4();
     const now = moment().toISOString();
@@ -831,40 +1201,110 @@ class Database {
       INSERT INTO contacts (
         id, event_id, original_row, first_name, last_name, middle_name,
         birth_date, address, city, state, zip, phone, email, custom_fields,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        category, district, alternate_rank, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await this.run(sql, [
       id, eventId, 0, contactData.first_name, contactData.last_name,
       contactData.middle_name, contactData.birth_date, contactData.address,
       contactData.city, contactData.state, contactData.zip, contactData.phone,
-      contactData.email, contactData.custom_fields, now, now
+      contactData.email, contactData.custom_fields, contactData.category || null,
+      contactData.district || null, parseAlternateRank(contactData.alternate_rank), now, now
     ]);
     
     return { id, ...contactData, created_at: now, updated_at: now };
   }
 
+  // Category rules: per-event template, badge colour and serial prefix by category
+  async getCategoryRules(eventId) {
+    return await this.all('SELECT * FROM event_category_rules WHERE event_id = ? ORDER BY category', [eventId]);
+  }
+
+  async getCategoryRule(eventId, category) {
+    if (!category) {
+      return null;
+    }
+    return await this.get('SELECT * FROM event_category_rules WHERE event_id = ? AND category = ?', [eventId, category]);
+  }
+
+  // Rules not in the list are removed
+  async replaceCategoryRules(eventId, rules) {
+    const now = moment().toISOString();
+
+    await this.transaction(async () => {
+      const existing = await this.getCategoryRules(eventId);
+      await this.run('DELETE FROM event_category_rules WHERE event_id = ?', [eventId]);
+
+      for (const rule of rules) {
+        const previous = existing.find(r => r.category === rule.category);
+        await this.run(`
+          INSERT INTO event_category_rules (
+            id, event_id, category, template_id, badge_color, badge_prefix, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          previous ? previous.id : uuidv4(), eventId, rule.category, rule.template_id || null,
+          rule.badge_color || null, rule.badge_prefix || null,
+          previous ? previous.created_at : now, now
+        ]);
+      }
+    });
+
+    return await this.getCategoryRules(eventId);
+  }
+
   // Credential operations
+  // Issue the next badge number for an event, e.g. D-0001. The prefix defaults to
+  // the event's badge_prefix; each prefix has its own sequence.
+  async allocateBadgeNumber(eventId, prefix) {
+    const event = await this.getEvent(eventId);
+    const badgePrefix = (prefix !== undefined && prefix !== null ? prefix : (event && event.badge_prefix) || '').trim();
+    const digits = (event && event.badge_digits) || 4;
+
+    const row = await this.get(`
+      INSERT INTO badge_sequences (event_id, prefix, last_serial) VALUES (?, ?, 1)
+      ON CONFLICT (event_id, prefix) DO UPDATE SET last_serial = last_serial + 1
+      RETURNING last_serial
+    `, [eventId, badgePrefix]);
+
+    const serial = String(row.last_serial).padStart(digits, '0');
+    return {
+      badge_serial: row.last_serial,
+      badge_number: badgePrefix ? `${badgePrefix}-${serial}` : serial
+    };
+  }
+
+  // A badge number is allocated unless one is passed in (e.g. already printed on the label).
+  // printed_at stays NULL for a credential that is not active yet.
   async createCredential(credentialData) {
-    const id = uuidv4();
+    // The id can be issued before the label is rendered, to print it as a barcode
+    const id = credentialData.id || uuidv4();
     const now = moment().toISOString();
+    const status = credentialData.status || 'active';
+    const printedAt = credentialData.printed_at || (status === 'active' ? now : null);
+    const badge = credentialData.badge_number
+      ? { badge_number: credentialData.badge_number, badge_serial: credentialData.badge_serial || null }
+      : await this.allocateBadgeNumber(credentialData.event_id, credentialData.badge_prefix);
     
     const sql = `
       INSERT INTO credentials (
         id, contact_id, event_id, template_id, printed_at, printed_by,
-        status, notes, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        status, notes, badge_number, badge_serial, reprint_of, reprint_reason,
+        override_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await this.run(sql, [
       id, credentialData.contact_id, credentialData.event_id,
-      credentialData.template_id, credentialData.printed_at || now,
-      credentialData.printed_by || 'system', credentialData.status || 'active',
-      credentialData.notes || '', now, now
+      credentialData.template_id, printedAt,
+      credentialData.printed_by || 'system', status,
+      credentialData.notes || '', badge.badge_number, badge.badge_serial,
+      credentialData.reprint_of || null, credentialData.reprint_reason || null,
+      credentialData.override_by || null, now, now
     ]);
     
-    return { id, ...credentialData, created_at: now, updated_at: now };
+    const { badge_prefix, ...credential } = credentialData;
+    return { ...credential, id, status, printed_at: printedAt, ...badge, created_at: now, updated_at: now };
   }
 
   async getCredential(credentialId) {
@@ -888,6 +1328,84 @@ class Database {
     return await this.getCredential(credentialId);
   }
 
+  // A printed badge becomes active and gets its printed_at. A reprint voids the
+  // badges it replaces in the same write, so the old badge stays valid until
+  // the new one is printed. Call inside transaction().
+  async activateCredential(credentialId) {
+    const credential = await this.getCredential(credentialId);
+    // Only a pending credential is activated: a later reprint may have printed
+    // first and voided it, or the contact may have been un-credentialed
+    if (!credential || credential.status !== 'pending') {
+      return { credential, voided: [] };
+    }
+
+    const now = moment().toISOString();
+    await this.run(`
+      UPDATE credentials SET status = 'active', printed_at = ?, updated_at = ? WHERE id = ?
+    `, [now, now, credentialId]);
+    const active = await this.getCredential(credentialId);
+    const voided = active.reprint_of ? await this.voidCredentials(active.contact_id, active.event_id, active) : [];
+    for (const old of voided) {
+      await this.logAudit({
+        action: 'credential_voided',
+        entity_type: 'credential',
+        entity_id: old.id,
+        details: {
+          contactId: active.contact_id,
+          eventId: active.event_id,
+          badgeNumber: old.badge_number,
+          replacedBy: active.id,
+          newBadgeNumber: active.badge_number,
+          reason: active.reprint_reason || null
+        }
+      });
+    }
+
+    return { credential: active, voided };
+  }
+
+  // The contact's badge in force: the newest active or pending credential
+  async getCurrentCredential(contactId, eventId) {
+    return await this.get(`
+      SELECT * FROM credentials
+      WHERE contact_id = ? AND event_id = ? AND status IN ('active', 'pending')
+      ORDER BY created_at DESC LIMIT 1
+    `, [contactId, eventId]);
+  }
+
+  // Void a contact's older credentials when their replacement badge is printed.
+  // The old badge numbers stay on record (and searchable) but are no longer valid.
+  async voidCredentials(contactId, eventId, replacement) {
+    const now = moment().toISOString();
+    const replacedBy = replacement.id;
+    const credentials = await this.all(`
+      SELECT * FROM credentials
+      WHERE contact_id = ? AND event_id = ? AND status IN ('active', 'pending')
+        AND id != ? AND created_at <= ?
+    `, [contactId, eventId, replacedBy, replacement.created_at]);
+
+    for (const credential of credentials) {
+      await this.run(`
+        UPDATE credentials
+        SET status = 'voided', voided_at = ?, replaced_by = ?, updated_at = ?
+        WHERE id = ?
+      `, [now, replacedBy, now, credential.id]);
+    }
+
+    return credentials;
+  }
+
+  // Reprints that produced a badge; failed and cancelled ones never printed
+  // and do not count towards the event's reprint_limit
+  async countReprints(contactId, eventId) {
+    const result = await this.get(`
+      SELECT COUNT(*) as count FROM credentials
+      WHERE contact_id = ? AND event_id = ? AND reprint_of IS NOT NULL AND printed_at IS NOT NULL
+    `, [contactId, eventId]);
+
+    return result.count;
+  }
+
   async isContactCredentialed(contactId, eventId) {
     const result = await this.get(`
       SELECT COUNT(*) as count FROM credentials 
@@ -897,6 +1415,185 @@ class Database {
     return result.count > 0;
   }
 
+  // The credential a scanned badge code belongs to, with its holder and event.
+  // A code is a credential id or a badge number; case is ignored since Code 39
+  // prints ids in capitals. Badge numbers repeat across events, so eventId
+  // narrows the match; otherwise an active credential wins, then the newest.
+  async findCredentialByCode(code, eventId = null) {
+    const conditions = ['(cr.id = LOWER(?) OR cr.badge_number = ? COLLATE NOCASE)'];
+    const params = [code, code];
+    if (eventId) {
+      conditions.push('cr.event_id = ?');
+      params.push(eventId);
+    }
+
+    return await this.get(`
+      SELECT cr.*,
+        c.first_name, c.middle_name, c.last_name, c.category, c.district,
+        e.name AS event_name, r.badge_number AS replaced_by_badge_number
+      FROM credentials cr
+      LEFT JOIN contacts c ON c.id = cr.contact_id
+      LEFT JOIN events e ON e.id = cr.event_id
+      LEFT JOIN credentials r ON r.id = cr.replaced_by
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY cr.status = 'active' DESC, cr.created_at DESC
+      LIMIT 1
+    `, params);
+  }
+
+  // Badge scans at floor entry. Zone scans also carry zone_id, direction
+  // (in/out) and access (granted/denied).
+  async logBadgeScan(scanData) {
+    const id = uuidv4();
+    const now = moment().toISOString();
+
+    await this.run(`
+      INSERT INTO badge_scans (
+        id, code, result, reason, credential_id, contact_id, event_id, station,
+        zone_id, direction, access, scanned_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, scanData.code, scanData.result, scanData.reason || null,
+      scanData.credential_id || null, scanData.contact_id || null,
+      scanData.event_id || null, scanData.station || null,
+      scanData.zone_id || null, scanData.direction || null, scanData.access || null, now
+    ]);
+
+    return { id, ...scanData, scanned_at: now };
+  }
+
+  // Scans newest first, with the holder's name where the badge was known
+  async getBadgeScans({ eventId, station, result, contactId, zoneId, since, limit = 200 } = {}) {
+    const conditions = [];
+    const params = [];
+    const filters = {
+      's.event_id = ?': eventId,
+      's.station = ?': station,
+      's.result = ?': result,
+      's.contact_id = ?': contactId,
+      's.zone_id = ?': zoneId,
+      's.scanned_at >= ?': since
+    };
+    for (const [condition, value] of Object.entries(filters)) {
+      if (value) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await this.all(`
+      SELECT s.*, c.first_name, c.last_name, cr.badge_number, z.name AS zone_name
+      FROM badge_scans s
+      LEFT JOIN contacts c ON c.id = s.contact_id
+      LEFT JOIN credentials cr ON cr.id = s.credential_id
+      LEFT JOIN access_zones z ON z.id = s.zone_id
+      ${where}
+      ORDER BY s.scanned_at DESC
+      LIMIT ?
+    `, [...params, limit]);
+  }
+
+  // Print queue operations
+  async createPrintJob(jobData) {
+    const id = uuidv4();
+    const now = moment().toISOString();
+    
+    const sql = `
+      INSERT INTO print_jobs (
+        id, event_id, contact_id, credential_id, source, file_path, pages,
+        printer, backend, status, attempts, max_attempts, next_attempt_at,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+    `;
+    
+    await this.run(sql, [
+      id, jobData.event_id || null, jobData.contact_id || null,
+      jobData.credential_id || null, jobData.source, jobData.file_path,
+      jobData.pages != null ? String(jobData.pages) : null,
+      jobData.printer || null, jobData.backend || null,
+      jobData.max_attempts || 3, now, now, now
+    ]);
+    
+    return await this.getPrintJob(id);
+  }
+
+  async getPrintJob(jobId) {
+    return await this.get('SELECT * FROM print_jobs WHERE id = ?', [jobId]);
+  }
+
+  async listPrintJobs({ eventId, contactId, status, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (eventId) {
+      conditions.push('event_id = ?');
+      params.push(eventId);
+    }
+    if (contactId) {
+      conditions.push('contact_id = ?');
+      params.push(contactId);
+    }
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await this.all(
+      `SELECT * FROM print_jobs ${where} ORDER BY created_at DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  async updatePrintJob(jobId, changes) {
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      return await this.getPrintJob(jobId);
+    }
+    
+    const now = moment().toISOString();
+    const assignments = fields.map(field => `${field} = ?`).join(', ');
+    
+    await this.run(
+      `UPDATE print_jobs SET ${assignments}, updated_at = ? WHERE id = ?`,
+      [...fields.map(field => changes[field]), now, jobId]
+    );
+    
+    return await this.getPrintJob(jobId);
+  }
+
+  // Atomically move the oldest due job from queued to sending
+  async claimNextPrintJob() {
+    const now = moment().toISOString();
+    
+    return await this.transaction(async () => {
+      const job = await this.get(`
+        SELECT * FROM print_jobs
+        WHERE status = 'queued' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC, created_at ASC
+        LIMIT 1
+      `, [now]);
+      
+      if (!job) {
+        return null;
+      }
+      
+      await this.run(`
+        UPDATE print_jobs SET status = 'sending', attempts = attempts + 1, updated_at = ?
+        WHERE id = ?
+      `, [now, job.id]);
+      
+      return { ...job, status: 'sending', attempts: job.attempts + 1 };
+    });
+  }
+
+  async getNextPrintJobDueTime() {
+    const row = await this.get(`SELECT MIN(next_attempt_at) as due FROM print_jobs WHERE status = 'queued'`);
+    return row ? row.due : null;
+  }
+
   // Template operations
   async saveTemplate(templateData) {
     const id = templateData.id || uuidv4();
@@ -935,6 +1632,7 @@ class Database {
 
   async deleteTemplate(templateId) {
     await this.run('DELETE FROM templates WHERE id = ?', [templateId]);
+    await this.run('UPDATE event_category_rules SET template_id = NULL WHERE template_id = ?', [templateId]);
   }
 
   async createEventTemplate(eventId, templateData) {
@@ -1001,6 +1699,20 @@ class Database {
     return { id, ...auditData, created_at: now };
   }
 
+  async getAuditEntries(entityType, entityIds) {
+    if (!entityIds.length) {
+      return [];
+    }
+
+    const rows = await this.all(`
+      SELECT * FROM audit_log
+      WHERE entity_type = ? AND entity_id IN (${entityIds.map(() => '?').join(', ')})
+      ORDER BY created_at
+    `, [entityType, ...entityIds]);
+
+    return rows.map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
+  }
+
   // CSV import tracking
   async recordCSVImport(importData) {
     const id = uuidv4();
@@ -1022,6 +1734,57 @@ class Database {
     return { id, ...importData, created_at: now };
   }
 
+  // Import profiles: saved CSV column mappings, reusable across events
+  async getImportProfiles(source = null) {
+    const rows = source
+      ? await this.all('SELECT * FROM import_profiles WHERE source = ? ORDER BY name', [source])
+      : await this.all('SELECT * FROM import_profiles ORDER BY name');
+    return rows.map(p => ({ ...p, mapping: JSON.parse(p.mapping) }));
+  }
+
+  async getImportProfile(profileId) {
+    const profile = await this.get('SELECT * FROM import_profiles WHERE id = ?', [profileId]);
+    if (profile) {
+      profile.mapping = JSON.parse(profile.mapping);
+    }
+    return profile;
+  }
+
+  async createImportProfile(profileData) {
+    const id = uuidv4();
+    const now = moment().toISOString();
+
+    await this.run(`
+      INSERT INTO import_profiles (id, name, source, mapping, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, profileData.name, profileData.source || null, JSON.stringify(profileData.mapping), now, now]);
+
+    return await this.getImportProfile(id);
+  }
+
+  async updateImportProfile(profileId, profileData) {
+    const existing = await this.getImportProfile(profileId);
+    if (!existing) {
+      return null;
+    }
+    const merged = { ...existing, ...profileData };
+
+    await this.run(
+      'UPDATE import_profiles SET name = ?, source = ?, mapping = ?, updated_at = ? WHERE id = ?',
+      [merged.name, merged.source || null, JSON.stringify(merged.mapping), moment().toISOString(), profileId]
+    );
+
+    return await this.getImportProfile(profileId);
+  }
+
+  async touchImportProfile(profileId) {
+    await this.run('UPDATE import_profiles SET last_used_at = ? WHERE id = ?', [moment().toISOString(), profileId]);
+  }
+
+  async deleteImportProfile(profileId) {
+    await this.run('DELETE FROM import_profiles WHERE id = ?', [profileId]);
+  }
+
   // Export tracking
   async recordExport(exportData) {
     const id = uuidv4();
@@ -1043,7 +1806,11 @@ class Database {
   }
 
   // Statistics
-  async getEventStatistics(eventId) {
+  // With byDistrict, stats.districts holds the per-district seating breakdown;
+  // with quorum, stats.quorum holds the quorum status (see getQuorumStatus);
+  // with zones, stats.zones holds each access zone's headcount; with presence,
+  // stats.presence holds who is checked in (see getPresence)
+  async getEventStatistics(eventId, { byDistrict = false, quorum = false, zones = false, presence = false } = {}) {
     const stats = await this.get(`
       SELECT 
         (SELECT COUNT(*) FROM contacts WHERE event_id = ?) as total_contacts,
@@ -1056,10 +1823,497 @@ class Database {
         ? ((stats.credentialed_count / stats.total_contacts) * 100).toFixed(2)
         : '0.00';
     }
+
+    if (stats && byDistrict) {
+      stats.districts = await this.getDistrictSeating(eventId);
+    }
+
+    if (stats && quorum) {
+      stats.quorum = await this.getQuorumStatus(eventId);
+    }
+
+    if (stats && zones) {
+      stats.zones = await this.getZoneOccupancy(eventId);
+    }
+
+    if (stats && presence) {
+      stats.presence = await this.getPresence(eventId);
+    }
     
     return stats;
   }
 
+  // Seating per district. A delegate's seat is filled when the delegate is
+  // credentialed or an alternate has been upgraded into it.
+  async getDistrictSeating(eventId) {
+    const rows = await this.all(`
+      SELECT c.district,
+        SUM(c.category = 'delegate') AS delegate_seats,
+        SUM(c.category = 'delegate' AND EXISTS (
+          SELECT 1 FROM credentials cr
+          WHERE cr.contact_id = c.id AND cr.event_id = c.event_id AND cr.status = 'active'
+        )) AS seated_delegates,
+        SUM(c.category = 'alternate') AS alternates,
+        SUM(c.category = 'alternate' AND EXISTS (
+          SELECT 1 FROM seat_upgrades su WHERE su.alternate_id = c.id AND su.revoked_at IS NULL
+        )) AS upgraded_alternates
+      FROM contacts c
+      WHERE c.event_id = ? AND c.district IS NOT NULL AND c.category IN ('delegate', 'alternate')
+      GROUP BY c.district
+      ORDER BY c.district
+    `, [eventId]);
+
+    return rows.map(row => ({
+      ...row,
+      unfilled_seats: Math.max(row.delegate_seats - row.seated_delegates - row.upgraded_alternates, 0)
+    }));
+  }
+
+  async getQuorumGroups(eventId) {
+    return await this.all('SELECT * FROM quorum_groups WHERE event_id = ? ORDER BY group_value', [eventId]);
+  }
+
+  // Groups not in the list lose their overrides
+  async replaceQuorumSettings(eventId, { quorum_percent, quorum_group_by, groups }) {
+    const now = moment().toISOString();
+
+    await this.transaction(async () => {
+      await this.updateEvent(eventId, { quorum_percent, quorum_group_by });
+      await this.run('DELETE FROM quorum_groups WHERE event_id = ?', [eventId]);
+      for (const group of groups) {
+        await this.run(
+          'INSERT INTO quorum_groups (event_id, group_value, allotted_seats, quorum_percent, updated_at) VALUES (?, ?, ?, ?, ?)',
+          [eventId, group.group_value, group.allotted_seats ?? null, group.quorum_percent ?? null, now]
+        );
+      }
+    });
+
+    return await this.getQuorumGroups(eventId);
+  }
+
+  // Credentialed versus allotted seats, overall and per group, and when quorum was
+  // reached. Once an event has delegates, only delegate seats count: a seat is
+  // filled by the credentialed delegate or by an alternate upgraded into it.
+  // Otherwise every contact holds a seat. Quorum is reached when the filled seats
+  // reach quorum_percent of the allotted seats; reached_at is when the seat that
+  // got there was filled, going by the seats filled now.
+  async getQuorumStatus(eventId) {
+    const event = await this.getEvent(eventId);
+    if (!event) {
+      return null;
+    }
+
+    const groupBy = event.quorum_group_by || 'district';
+    const groupExpr = QUORUM_GROUP_COLUMNS.includes(groupBy)
+      ? `c.${groupBy}`
+      : 'CASE WHEN json_valid(c.custom_fields) THEN json_extract(c.custom_fields, ?) END';
+    const params = QUORUM_GROUP_COLUMNS.includes(groupBy) ? [eventId] : [`$."${groupBy}"`, eventId];
+
+    const members = await this.all(`
+      SELECT ${groupExpr} AS group_value, c.category,
+        EXISTS (
+          SELECT 1 FROM credentials cr
+          WHERE cr.contact_id = c.id AND cr.event_id = c.event_id AND cr.status = 'active'
+        ) AS credentialed,
+        (
+          SELECT MIN(cr.printed_at) FROM credentials cr
+          WHERE cr.contact_id = c.id AND cr.event_id = c.event_id
+            AND (cr.status = 'active' OR cr.replaced_by IS NOT NULL)
+        ) AS credentialed_at,
+        (
+          SELECT su.created_at FROM seat_upgrades su
+          WHERE su.alternate_id = c.id AND su.revoked_at IS NULL
+        ) AS upgraded_at
+      FROM contacts c
+      WHERE c.event_id = ?
+    `, params);
+
+    const delegatesOnly = members.some(member => member.category === 'delegate');
+    const overrides = await this.getQuorumGroups(eventId);
+    const overallPercent = event.quorum_percent ?? DEFAULT_QUORUM_PERCENT;
+
+    const groups = new Map();
+    const groupFor = value => {
+      const key = value === null || value === undefined || String(value).trim() === '' ? null : String(value);
+      if (!groups.has(key)) {
+        groups.set(key, { group: key, seats: 0, seatTimes: [] });
+      }
+      return groups.get(key);
+    };
+
+    for (const member of members) {
+      if (delegatesOnly && member.category === 'alternate') {
+        if (member.upgraded_at) {
+          groupFor(member.group_value).seatTimes.push(member.upgraded_at);
+        }
+        continue;
+      }
+      if (delegatesOnly && member.category !== 'delegate') {
+        continue;
+      }
+      const group = groupFor(member.group_value);
+      group.seats++;
+      if (member.credentialed) {
+        group.seatTimes.push(member.credentialed_at);
+      }
+    }
+
+    // Overrides apply even to groups with no contacts yet
+    for (const override of overrides) {
+      groupFor(override.group_value);
+    }
+
+    const summarize = (label, seats, seatTimes, percent) => {
+      const required = seats > 0 ? Math.max(Math.ceil(seats * percent / 100), 1) : 0;
+      const times = seatTimes.filter(Boolean).sort();
+      const reached = seats > 0 && seatTimes.length >= required;
+      return {
+        group: label,
+        allotted_seats: seats,
+        credentialed_seats: seatTimes.length,
+        strength_percentage: seats > 0 ? ((seatTimes.length / seats) * 100).toFixed(2) : '0.00',
+        quorum_percent: percent,
+        quorum_required: required,
+        quorum_reached: reached,
+        quorum_reached_at: reached ? times[required - 1] || null : null
+      };
+    };
+
+    const groupRows = [...groups.values()]
+      .sort((a, b) => (a.group === null) - (b.group === null) || String(a.group).localeCompare(String(b.group), undefined, { numeric: true }))
+      .map(group => {
+        const override = overrides.find(o => o.group_value === group.group) || {};
+        return summarize(
+          group.group,
+          override.allotted_seats ?? group.seats,
+          group.seatTimes,
+          override.quorum_percent ?? overallPercent
+        );
+      });
+
+    const overall = summarize(
+      null,
+      groupRows.reduce((total, group) => total + group.allotted_seats, 0),
+      [...groups.values()].flatMap(group => group.seatTimes),
+      overallPercent
+    );
+    delete overall.group;
+
+    return {
+      eventId,
+      groupBy,
+      seatsFrom: delegatesOnly ? 'delegates' : 'contacts',
+      overall,
+      groups: groupRows,
+      groupsWithQuorum: groupRows.filter(group => group.quorum_reached).length
+    };
+  }
+
+  // Seat upgrades: an alternate seated in an absent delegate's slot
+  async getSeatUpgrades(eventId, { district, includeRevoked = false } = {}) {
+    const conditions = ['su.event_id = ?'];
+    const params = [eventId];
+    if (district) {
+      conditions.push('su.district = ?');
+      params.push(district);
+    }
+    if (!includeRevoked) {
+      conditions.push('su.revoked_at IS NULL');
+    }
+
+    return await this.all(`
+      SELECT su.*,
+        d.first_name AS delegate_first_name, d.last_name AS delegate_last_name,
+        a.first_name AS alternate_first_name, a.last_name AS alternate_last_name,
+        a.alternate_rank
+      FROM seat_upgrades su
+      JOIN contacts d ON d.id = su.delegate_id
+      JOIN contacts a ON a.id = su.alternate_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY su.district, su.created_at
+    `, params);
+  }
+
+  async getSeatUpgrade(upgradeId) {
+    return await this.get('SELECT * FROM seat_upgrades WHERE id = ?', [upgradeId]);
+  }
+
+  // The live upgrade the contact is part of, as the delegate or the alternate
+  async getActiveSeatUpgrade(contactId) {
+    return await this.get(
+      'SELECT * FROM seat_upgrades WHERE (delegate_id = ? OR alternate_id = ?) AND revoked_at IS NULL',
+      [contactId, contactId]
+    );
+  }
+
+  // Alternates in the district who are credentialed and not yet seated, best rank first
+  async getAvailableAlternates(eventId, district) {
+    return await this.all(`
+      SELECT c.* FROM contacts c
+      WHERE c.event_id = ? AND c.district = ? AND c.category = 'alternate'
+        AND EXISTS (
+          SELECT 1 FROM credentials cr
+          WHERE cr.contact_id = c.id AND cr.event_id = c.event_id AND cr.status = 'active'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM seat_upgrades su WHERE su.alternate_id = c.id AND su.revoked_at IS NULL
+        )
+      ORDER BY c.alternate_rank IS NULL, c.alternate_rank, c.last_name, c.first_name
+    `, [eventId, district]);
+  }
+
+  async createSeatUpgrade(upgradeData) {
+    const id = uuidv4();
+    const now = moment().toISOString();
+
+    await this.run(`
+      INSERT INTO seat_upgrades (
+        id, event_id, district, delegate_id, alternate_id, notes,
+        skip_rank_reason, upgraded_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, upgradeData.event_id, upgradeData.district, upgradeData.delegate_id,
+      upgradeData.alternate_id, upgradeData.notes || null,
+      upgradeData.skip_rank_reason || null, upgradeData.upgraded_by || 'system', now
+    ]);
+
+    return await this.getSeatUpgrade(id);
+  }
+
+  async revokeSeatUpgrade(upgradeId, revokedBy, reason) {
+    const now = moment().toISOString();
+    await this.run(
+      'UPDATE seat_upgrades SET revoked_at = ?, revoked_by = ?, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [now, revokedBy || 'system', reason || null, upgradeId]
+    );
+    return await this.getSeatUpgrade(upgradeId);
+  }
+
+  // Access zones, each with its rules (see utils/access-zones). Contact rules
+  // carry the contact's name.
+  async getAccessZones(eventId) {
+    const zones = await this.all('SELECT * FROM access_zones WHERE event_id = ? ORDER BY name COLLATE NOCASE', [eventId]);
+    const rules = await this.all(`
+      SELECT r.*, c.first_name, c.last_name
+      FROM access_zone_rules r
+      LEFT JOIN contacts c ON c.id = r.contact_id
+      WHERE r.event_id = ?
+      ORDER BY r.field IS NULL, r.field, r.value, c.last_name, c.first_name
+    `, [eventId]);
+
+    return zones.map(zone => ({ ...zone, rules: rules.filter(rule => rule.zone_id === zone.id) }));
+  }
+
+  async getAccessZone(zoneId) {
+    const zone = await this.get('SELECT * FROM access_zones WHERE id = ?', [zoneId]);
+    if (!zone) {
+      return null;
+    }
+    return (await this.getAccessZones(zone.event_id)).find(other => other.id === zoneId);
+  }
+
+  // Create a zone, or update zoneData.id. rules ([{ field, value }]) and
+  // contact_ids replace the zone's column and contact rules when given.
+  async saveAccessZone(zoneData) {
+    const now = moment().toISOString();
+    const id = zoneData.id || uuidv4();
+
+    await this.transaction(async () => {
+      if (zoneData.id) {
+        await this.run(
+          'UPDATE access_zones SET name = ?, capacity = ?, open_to_all = ?, updated_at = ? WHERE id = ?',
+          [zoneData.name, zoneData.capacity ?? null, zoneData.open_to_all ? 1 : 0, now, id]
+        );
+      } else {
+        await this.run(`
+          INSERT INTO access_zones (id, event_id, name, capacity, open_to_all, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, zoneData.event_id, zoneData.name, zoneData.capacity ?? null, zoneData.open_to_all ? 1 : 0, now, now]);
+      }
+
+      const insertRule = (field, value, contactId) => this.run(`
+        INSERT INTO access_zone_rules (id, zone_id, event_id, field, value, contact_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [uuidv4(), id, zoneData.event_id, field, value, contactId, now]);
+
+      if (zoneData.rules) {
+        await this.run('DELETE FROM access_zone_rules WHERE zone_id = ? AND contact_id IS NULL', [id]);
+        for (const rule of zoneData.rules) {
+          await insertRule(rule.field, rule.value, null);
+        }
+      }
+      if (zoneData.contact_ids) {
+        await this.run('DELETE FROM access_zone_rules WHERE zone_id = ? AND contact_id IS NOT NULL', [id]);
+        for (const contactId of zoneData.contact_ids) {
+          await insertRule(null, null, contactId);
+        }
+      }
+    });
+
+    return await this.getAccessZone(id);
+  }
+
+  // Past scans keep the zone id; reports show them without a zone name
+  async deleteAccessZone(zoneId) {
+    await this.transaction(async () => {
+      await this.run('DELETE FROM access_zone_rules WHERE zone_id = ?', [zoneId]);
+      await this.run('DELETE FROM access_zones WHERE id = ?', [zoneId]);
+    });
+  }
+
+  // Let one contact into a zone, or take that back (rules matching their
+  // roster values still apply)
+  async setZoneContactAccess(zone, contactId, allowed) {
+    await this.run('DELETE FROM access_zone_rules WHERE zone_id = ? AND contact_id = ?', [zone.id, contactId]);
+    if (allowed) {
+      await this.run(`
+        INSERT INTO access_zone_rules (id, zone_id, event_id, field, value, contact_id, created_at)
+        VALUES (?, ?, ?, NULL, NULL, ?, ?)
+      `, [uuidv4(), zone.id, zone.event_id, contactId, moment().toISOString()]);
+    }
+    return await this.getAccessZone(zone.id);
+  }
+
+  // Each contact's latest granted scan per zone, for contacts now inside
+  presentInZonesSql(condition) {
+    return `
+      WITH latest AS (
+        SELECT s.*, ROW_NUMBER() OVER (
+          PARTITION BY s.zone_id, s.contact_id ORDER BY s.scanned_at DESC, s.rowid DESC
+        ) AS position
+        FROM badge_scans s
+        WHERE ${condition} AND s.zone_id IS NOT NULL AND s.contact_id IS NOT NULL AND s.access = 'granted'
+      )
+      SELECT * FROM latest WHERE position = 1 AND direction = 'in'
+    `;
+  }
+
+  // Live headcount per zone: [{ zone_id, name, capacity, present }]
+  async getZoneOccupancy(eventId) {
+    return await this.all(`
+      WITH present AS (${this.presentInZonesSql('s.event_id = ?')})
+      SELECT z.id AS zone_id, z.name, z.capacity,
+        (SELECT COUNT(*) FROM present p WHERE p.zone_id = z.id) AS present
+      FROM access_zones z
+      WHERE z.event_id = ?
+      ORDER BY z.name COLLATE NOCASE
+    `, [eventId, eventId]);
+  }
+
+  // Contacts now inside a zone, with when they entered
+  async getZoneOccupants(zoneId) {
+    return await this.all(`
+      WITH present AS (${this.presentInZonesSql('s.zone_id = ?')})
+      SELECT c.id, c.first_name, c.last_name, c.category, c.district,
+        cr.badge_number, p.scanned_at AS entered_at, p.station
+      FROM present p
+      JOIN contacts c ON c.id = p.contact_id
+      LEFT JOIN credentials cr ON cr.id = p.credential_id
+      ORDER BY c.last_name, c.first_name
+    `, [zoneId]);
+  }
+
+  async isInZone(zoneId, contactId) {
+    const row = await this.get(
+      `WITH present AS (${this.presentInZonesSql('s.zone_id = ? AND s.contact_id = ?')}) SELECT COUNT(*) AS count FROM present`,
+      [zoneId, contactId]
+    );
+    return row.count > 0;
+  }
+
+  // Attendance: check-ins and check-outs, separate from credentials
+  async recordCheckin(checkinData) {
+    const id = uuidv4();
+    const now = moment().toISOString();
+
+    await this.run(`
+      INSERT INTO checkins (id, event_id, contact_id, action, recorded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, checkinData.event_id, checkinData.contact_id, checkinData.action, checkinData.recorded_by || 'system', now]);
+
+    return { id, ...checkinData, created_at: now };
+  }
+
+  // The contact's latest check-in or check-out, or undefined if they have none
+  async getLatestCheckin(contactId, eventId) {
+    return await this.get(`
+      SELECT * FROM checkins
+      WHERE contact_id = ? AND event_id = ?
+      ORDER BY created_at DESC, rowid DESC LIMIT 1
+    `, [contactId, eventId]);
+  }
+
+  async getCheckins(contactId, eventId) {
+    return await this.all(
+      'SELECT * FROM checkins WHERE contact_id = ? AND event_id = ? ORDER BY created_at, rowid',
+      [contactId, eventId]
+    );
+  }
+
+  // Who is present now (latest action a check-in), overall and by district and
+  // category: { present, total, by_district: [{ district, present, total }],
+  // by_category: [{ category, present, total }] }. Contacts without a district
+  // or category are grouped under null.
+  async getPresence(eventId) {
+    const rows = await this.all(`
+      WITH latest AS (
+        SELECT contact_id, action, ROW_NUMBER() OVER (
+          PARTITION BY contact_id ORDER BY created_at DESC, rowid DESC
+        ) AS position
+        FROM checkins
+        WHERE event_id = ?
+      )
+      SELECT c.district, c.category, COUNT(*) AS total, SUM(l.action = 'check_in') AS present
+      FROM contacts c
+      LEFT JOIN latest l ON l.contact_id = c.id AND l.position = 1
+      WHERE c.event_id = ?
+      GROUP BY c.district, c.category
+    `, [eventId, eventId]);
+
+    const groupBy = key => {
+      const groups = new Map();
+      for (const row of rows) {
+        const value = row[key] || null;
+        const group = groups.get(value) || { [key]: value, present: 0, total: 0 };
+        group.present += row.present || 0;
+        group.total += row.total;
+        groups.set(value, group);
+      }
+      // Named groups in natural order ("District 2" before "District 10"), then null
+      return [...groups.values()].sort((a, b) => (a[key] === null) - (b[key] === null) ||
+        String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true }));
+    };
+
+    return {
+      present: rows.reduce((sum, row) => sum + (row.present || 0), 0),
+      total: rows.reduce((sum, row) => sum + row.total, 0),
+      by_district: groupBy('district'),
+      by_category: groupBy('category')
+    };
+  }
+
+  // Every check-in and check-out of the event in order, with the contact and
+  // the number present after it
+  async getPresenceTimeline(eventId) {
+    const rows = await this.all(`
+      SELECT ch.*, c.first_name, c.last_name, c.district, c.category
+      FROM checkins ch
+      LEFT JOIN contacts c ON c.id = ch.contact_id
+      WHERE ch.event_id = ?
+      ORDER BY ch.created_at, ch.rowid
+    `, [eventId]);
+
+    const present = new Set();
+    return rows.map(row => {
+      if (row.action === 'check_in') {
+        present.add(row.contact_id);
+      } else {
+        present.delete(row.contact_id);
+      }
+      return { ...row, present_count: present.size };
+    });
+  }
+
   // Close database connection
   async close() {
     return new Promise((resolve) => {
@@ -0,0 +1,155 @@
+// Baseline schema. Databases created before versioned migrations already have
+// these tables, so every statement is idempotent and the legacy column checks
+// that used to live in Database.runMigrations() are folded in here.
+
+const tables = [
+  // Events table
+  `CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    date TEXT NOT NULL,
+    description TEXT,
+    merged_pdf_path TEXT,
+    fallback_pdf_path TEXT,
+    status TEXT DEFAULT 'active',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+
+  // Contacts table (working copy of CSV data)
+  `CREATE TABLE IF NOT EXISTS contacts (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    original_row INTEGER NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    middle_name TEXT,
+    birth_date TEXT,
+    address TEXT,
+    city TEXT,
+    state TEXT,
+    zip TEXT,
+    phone TEXT,
+    email TEXT,
+    custom_fields TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events (id)
+  )`,
+
+  // Credentials table (tracking who has been credentialed)
+  `CREATE TABLE IF NOT EXISTS credentials (
+    id TEXT PRIMARY KEY,
+    contact_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    template_id TEXT NOT NULL,
+    printed_at TEXT NOT NULL,
+    printed_by TEXT,
+    status TEXT DEFAULT 'active',
+    notes TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (contact_id) REFERENCES contacts (id),
+    FOREIGN KEY (event_id) REFERENCES events (id),
+    FOREIGN KEY (template_id) REFERENCES templates (id)
+  )`,
+
+  // Templates table
+  `CREATE TABLE IF NOT EXISTS templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    config TEXT NOT NULL,
+    is_default BOOLEAN DEFAULT 0,
+    event_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events (id)
+  )`,
+
+  // Audit log table
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    details TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TEXT NOT NULL
+  )`,
+
+  // CSV imports table
+  `CREATE TABLE IF NOT EXISTS csv_imports (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    original_filename TEXT NOT NULL,
+    working_copy_path TEXT NOT NULL,
+    record_count INTEGER NOT NULL,
+    headers TEXT NOT NULL,
+    import_date TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events (id)
+  )`,
+
+  // Exports table
+  `CREATE TABLE IF NOT EXISTS exports (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    record_count INTEGER NOT NULL,
+    export_date TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events (id)
+  )`
+];
+
+// Columns added to pre-migration databases after their tables were first created
+const legacyColumns = [
+  { table: 'events', column: 'status', definition: "TEXT DEFAULT 'active'" },
+  { table: 'events', column: 'merged_pdf_path', definition: 'TEXT' },
+  { table: 'events', column: 'fallback_pdf_path', definition: 'TEXT' },
+  { table: 'templates', column: 'event_id', definition: 'TEXT' }
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_contacts_event_id ON contacts(event_id)',
+  'CREATE INDEX IF NOT EXISTS idx_contacts_name ON contacts(last_name, first_name)',
+  'CREATE INDEX IF NOT EXISTS idx_contacts_birth_date ON contacts(birth_date)',
+  'CREATE INDEX IF NOT EXISTS idx_credentials_contact_id ON credentials(contact_id)',
+  'CREATE INDEX IF NOT EXISTS idx_credentials_event_id ON credentials(event_id)',
+  'CREATE INDEX IF NOT EXISTS idx_templates_event_id ON templates(event_id)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)'
+];
+
+module.exports = {
+  description: 'Baseline schema (events, contacts, credentials, templates, audit log, imports, exports)',
+
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const { table, column, definition } of legacyColumns) {
+      if (!(await db.hasColumn(table, column))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    await db.run("UPDATE events SET status = 'active' WHERE status IS NULL");
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+  },
+
+  async down(db) {
+    const dropOrder = ['exports', 'csv_imports', 'audit_log', 'credentials', 'contacts', 'templates', 'events'];
+    for (const table of dropOrder) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
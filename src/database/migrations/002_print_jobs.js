@@ -0,0 +1,41 @@
+// Persistent print queue. Jobs move through
+// queued -> sending -> printed, or end as failed / cancelled.
+
+module.exports = {
+  description: 'Print queue (print_jobs table)',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE print_jobs (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        contact_id TEXT,
+        credential_id TEXT,
+        source TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        pages TEXT,
+        printer TEXT,
+        backend TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        sent_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events (id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id),
+        FOREIGN KEY (credential_id) REFERENCES credentials (id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_print_jobs_status ON print_jobs(status, next_attempt_at)');
+    await db.run('CREATE INDEX idx_print_jobs_event_id ON print_jobs(event_id)');
+    await db.run('CREATE INDEX idx_print_jobs_contact_id ON print_jobs(contact_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS print_jobs');
+  }
+};
@@ -0,0 +1,67 @@
+// Human-readable badge serials. Each event numbers its credentials per prefix
+// (D-0001, ALT-0042, ...); badge_sequences holds the last serial issued.
+// A reprint voids the old credential and points it at its replacement.
+
+const credentialColumns = [
+  'badge_number TEXT',
+  'badge_serial INTEGER',
+  'voided_at TEXT',
+  'replaced_by TEXT'
+];
+
+const eventColumns = [
+  "badge_prefix TEXT DEFAULT ''",
+  'badge_digits INTEGER DEFAULT 4'
+];
+
+module.exports = {
+  description: 'Per-event badge serial numbers on credentials',
+
+  async up(db) {
+    for (const column of credentialColumns) {
+      await db.run(`ALTER TABLE credentials ADD COLUMN ${column}`);
+    }
+    for (const column of eventColumns) {
+      await db.run(`ALTER TABLE events ADD COLUMN ${column}`);
+    }
+
+    await db.run(`
+      CREATE TABLE badge_sequences (
+        event_id TEXT NOT NULL,
+        prefix TEXT NOT NULL DEFAULT '',
+        last_serial INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event_id, prefix),
+        FOREIGN KEY (event_id) REFERENCES events (id)
+      )
+    `);
+
+    // Number existing credentials in the order they were issued
+    const credentials = await db.all('SELECT id, event_id FROM credentials ORDER BY event_id, created_at');
+    const lastSerials = {};
+    for (const credential of credentials) {
+      const serial = (lastSerials[credential.event_id] || 0) + 1;
+      lastSerials[credential.event_id] = serial;
+      await db.run(
+        'UPDATE credentials SET badge_serial = ?, badge_number = ? WHERE id = ?',
+        [serial, String(serial).padStart(4, '0'), credential.id]
+      );
+    }
+    for (const [eventId, serial] of Object.entries(lastSerials)) {
+      await db.run("INSERT INTO badge_sequences (event_id, prefix, last_serial) VALUES (?, '', ?)", [eventId, serial]);
+    }
+
+    await db.run('CREATE UNIQUE INDEX idx_credentials_badge_number ON credentials(event_id, badge_number)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_credentials_badge_number');
+    await db.run('DROP TABLE IF EXISTS badge_sequences');
+
+    for (const column of credentialColumns) {
+      await db.run(`ALTER TABLE credentials DROP COLUMN ${column.split(' ')[0]}`);
+    }
+    for (const column of eventColumns) {
+      await db.run(`ALTER TABLE events DROP COLUMN ${column.split(' ')[0]}`);
+    }
+  }
+};
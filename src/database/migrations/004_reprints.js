@@ -0,0 +1,22 @@
+// Reprints. A reprint is a new credential that points at the one it replaces
+// (reprint_of) and records why; events may cap reprints per contact, beyond
+// which a supervisor has to override (override_by).
+
+module.exports = {
+  description: 'Reprint reasons, reprint chain and per-event reprint limit',
+
+  async up(db) {
+    await db.run('ALTER TABLE credentials ADD COLUMN reprint_of TEXT');
+    await db.run('ALTER TABLE credentials ADD COLUMN reprint_reason TEXT');
+    await db.run('ALTER TABLE credentials ADD COLUMN override_by TEXT');
+    // NULL means reprints are not limited
+    await db.run('ALTER TABLE events ADD COLUMN reprint_limit INTEGER');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE credentials DROP COLUMN reprint_of');
+    await db.run('ALTER TABLE credentials DROP COLUMN reprint_reason');
+    await db.run('ALTER TABLE credentials DROP COLUMN override_by');
+    await db.run('ALTER TABLE events DROP COLUMN reprint_limit');
+  }
+};
@@ -0,0 +1,35 @@
+// Contact categories (delegate, alternate, guest, press, staff). Each event can
+// map a category to its own badge template, colour and serial prefix.
+
+module.exports = {
+  description: 'Contact categories and per-event category rules',
+
+  async up(db) {
+    await db.run('ALTER TABLE contacts ADD COLUMN category TEXT');
+    await db.run('ALTER TABLE events ADD COLUMN category_column TEXT');
+    await db.run('CREATE INDEX idx_contacts_category ON contacts(event_id, category)');
+
+    await db.run(`
+      CREATE TABLE event_category_rules (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        template_id TEXT,
+        badge_color TEXT,
+        badge_prefix TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (event_id, category),
+        FOREIGN KEY (event_id) REFERENCES events (id),
+        FOREIGN KEY (template_id) REFERENCES templates (id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS event_category_rules');
+    await db.run('DROP INDEX IF EXISTS idx_contacts_category');
+    await db.run('ALTER TABLE events DROP COLUMN category_column');
+    await db.run('ALTER TABLE contacts DROP COLUMN category');
+  }
+};
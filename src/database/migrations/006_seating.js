@@ -0,0 +1,44 @@
+// Delegate seating. Contacts carry a district and, for alternates, a rank
+// (1 is seated first). seat_upgrades records an alternate seated in an absent
+// delegate's slot; revoking an upgrade keeps the row for the audit trail.
+
+module.exports = {
+  description: 'Districts, alternate ranks and alternate seat upgrades',
+
+  async up(db) {
+    await db.run('ALTER TABLE contacts ADD COLUMN district TEXT');
+    await db.run('ALTER TABLE contacts ADD COLUMN alternate_rank INTEGER');
+    await db.run('CREATE INDEX idx_contacts_district ON contacts(event_id, district)');
+
+    await db.run(`
+      CREATE TABLE seat_upgrades (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        district TEXT NOT NULL,
+        delegate_id TEXT NOT NULL,
+        alternate_id TEXT NOT NULL,
+        notes TEXT,
+        skip_rank_reason TEXT,
+        upgraded_by TEXT,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_by TEXT,
+        revoke_reason TEXT,
+        FOREIGN KEY (event_id) REFERENCES events (id),
+        FOREIGN KEY (delegate_id) REFERENCES contacts (id),
+        FOREIGN KEY (alternate_id) REFERENCES contacts (id)
+      )
+    `);
+
+    // One live upgrade per delegate slot and per alternate
+    await db.run('CREATE UNIQUE INDEX idx_seat_upgrades_delegate ON seat_upgrades(delegate_id) WHERE revoked_at IS NULL');
+    await db.run('CREATE UNIQUE INDEX idx_seat_upgrades_alternate ON seat_upgrades(alternate_id) WHERE revoked_at IS NULL');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS seat_upgrades');
+    await db.run('DROP INDEX IF EXISTS idx_contacts_district');
+    await db.run('ALTER TABLE contacts DROP COLUMN alternate_rank');
+    await db.run('ALTER TABLE contacts DROP COLUMN district');
+  }
+};
@@ -0,0 +1,30 @@
+// Quorum thresholds. quorum_percent is the share of allotted seats that must be
+// filled (NULL means a simple majority); quorum_group_by is the contact column or
+// custom field that groups seats, and quorum_groups overrides seats or threshold per group.
+
+module.exports = {
+  description: 'Per-event and per-group quorum thresholds',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN quorum_percent REAL');
+    await db.run("ALTER TABLE events ADD COLUMN quorum_group_by TEXT DEFAULT 'district'");
+
+    await db.run(`
+      CREATE TABLE quorum_groups (
+        event_id TEXT NOT NULL,
+        group_value TEXT NOT NULL,
+        allotted_seats INTEGER,
+        quorum_percent REAL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, group_value),
+        FOREIGN KEY (event_id) REFERENCES events (id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS quorum_groups');
+    await db.run('ALTER TABLE events DROP COLUMN quorum_group_by');
+    await db.run('ALTER TABLE events DROP COLUMN quorum_percent');
+  }
+};
@@ -0,0 +1,24 @@
+// Saved CSV column mappings. A profile maps a roster source's headers to contact
+// fields so the next export from the same source imports without re-mapping.
+
+module.exports = {
+  description: 'Reusable CSV import mapping profiles',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE import_profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        source TEXT,
+        mapping TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_used_at TEXT
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS import_profiles');
+  }
+};
@@ -0,0 +1,66 @@
+// Full-text contact search. contacts_fts holds one row per contact, sharing the
+// contact's rowid, with the searchable columns and the values of every custom
+// field. Triggers keep it in step with contacts however they are written
+// (import, re-import, the contact form, merges). contacts has no INTEGER
+// PRIMARY KEY, so a VACUUM may renumber its rowids: rebuild the index after one.
+
+const INDEXED_COLUMNS = [
+  'last_name', 'first_name', 'middle_name', 'email', 'phone',
+  'address', 'city', 'state', 'zip', 'birth_date'
+];
+
+// Custom field values as one space-separated string. Rows from old imports
+// whose custom_fields is not JSON are indexed as text.
+const customValues = row => `
+  CASE WHEN json_valid(${row}.custom_fields)
+    THEN (SELECT group_concat(value, ' ') FROM json_each(${row}.custom_fields))
+    ELSE ${row}.custom_fields
+  END`;
+
+const insertFrom = row => `
+  INSERT INTO contacts_fts (rowid, ${INDEXED_COLUMNS.join(', ')}, custom_values)
+  VALUES (${row}.rowid, ${INDEXED_COLUMNS.map(column => `${row}.${column}`).join(', ')}, ${customValues(row)})`;
+
+module.exports = {
+  description: 'FTS5 index for contact search',
+
+  async up(db) {
+    await db.run(`
+      CREATE VIRTUAL TABLE contacts_fts USING fts5(
+        ${INDEXED_COLUMNS.join(', ')}, custom_values,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    await db.run(`
+      CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+        ${insertFrom('NEW')};
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER contacts_fts_update
+      AFTER UPDATE OF ${INDEXED_COLUMNS.join(', ')}, custom_fields ON contacts BEGIN
+        DELETE FROM contacts_fts WHERE rowid = OLD.rowid;
+        ${insertFrom('NEW')};
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER contacts_fts_delete AFTER DELETE ON contacts BEGIN
+        DELETE FROM contacts_fts WHERE rowid = OLD.rowid;
+      END
+    `);
+
+    await db.run(`
+      INSERT INTO contacts_fts (rowid, ${INDEXED_COLUMNS.join(', ')}, custom_values)
+      SELECT rowid, ${INDEXED_COLUMNS.join(', ')}, ${customValues('contacts')}
+      FROM contacts
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS contacts_fts_insert');
+    await db.run('DROP TRIGGER IF EXISTS contacts_fts_update');
+    await db.run('DROP TRIGGER IF EXISTS contacts_fts_delete');
+    await db.run('DROP TABLE IF EXISTS contacts_fts');
+  }
+};
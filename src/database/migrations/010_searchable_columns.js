@@ -0,0 +1,119 @@
+// Per-event searchable columns. events.search_columns is a JSON array of the
+// standard contact columns and custom field keys the search looks at (NULL:
+// all of them). contact_custom_values holds one row per searchable custom
+// field value, for field-qualified searches such as `precinct:12`; the
+// contacts_fts custom_values column now only holds searchable custom fields.
+// Both are filled by triggers that read the setting with SQLite's JSON
+// functions, so touching custom_fields re-indexes a contact.
+
+const INDEXED_COLUMNS = [
+  'last_name', 'first_name', 'middle_name', 'email', 'phone',
+  'address', 'city', 'state', 'zip', 'birth_date'
+];
+
+// The custom fields of a contact row as "custom", skipping malformed JSON
+const customFieldsOf = row => `json_each(CASE WHEN json_valid(${row}.custom_fields) THEN ${row}.custom_fields ELSE '{}' END) AS custom`;
+
+// Whether custom.key is searchable for the row's event
+const searchableKey = row => `(
+  (SELECT search_columns FROM events WHERE id = ${row}.event_id) IS NULL
+  OR custom.key IN (
+    SELECT searchable.value FROM json_each((SELECT search_columns FROM events WHERE id = ${row}.event_id)) AS searchable
+  )
+)`;
+
+const insertSearchRow = row => `
+  INSERT INTO contacts_fts (rowid, ${INDEXED_COLUMNS.join(', ')}, custom_values)
+  VALUES (
+    ${row}.rowid, ${INDEXED_COLUMNS.map(column => `${row}.${column}`).join(', ')},
+    (SELECT group_concat(custom.value, ' ') FROM ${customFieldsOf(row)} WHERE ${searchableKey(row)})
+  )`;
+
+const insertCustomValues = row => `
+  INSERT INTO contact_custom_values (contact_id, event_id, field, value)
+  SELECT ${row}.id, ${row}.event_id, custom.key, custom.value FROM ${customFieldsOf(row)}
+  WHERE custom.type NOT IN ('object', 'array') AND custom.value <> '' AND ${searchableKey(row)}`;
+
+// contacts_fts triggers as 009 created them, for down()
+const previousCustomValues = row => `
+  CASE WHEN json_valid(${row}.custom_fields)
+    THEN (SELECT group_concat(value, ' ') FROM json_each(${row}.custom_fields))
+    ELSE ${row}.custom_fields
+  END`;
+
+const previousInsertSearchRow = row => `
+  INSERT INTO contacts_fts (rowid, ${INDEXED_COLUMNS.join(', ')}, custom_values)
+  VALUES (${row}.rowid, ${INDEXED_COLUMNS.map(column => `${row}.${column}`).join(', ')}, ${previousCustomValues(row)})`;
+
+async function createSearchTriggers(db, insertRow) {
+  await db.run(`
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      ${insertRow('NEW')};
+    END
+  `);
+  await db.run(`
+    CREATE TRIGGER contacts_fts_update
+    AFTER UPDATE OF ${INDEXED_COLUMNS.join(', ')}, custom_fields ON contacts BEGIN
+      DELETE FROM contacts_fts WHERE rowid = OLD.rowid;
+      ${insertRow('NEW')};
+    END
+  `);
+}
+
+module.exports = {
+  description: 'Per-event searchable columns and indexed custom field values',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN search_columns TEXT');
+
+    await db.run(`
+      CREATE TABLE contact_custom_values (
+        contact_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        field TEXT NOT NULL,
+        value TEXT NOT NULL COLLATE NOCASE,
+        FOREIGN KEY (contact_id) REFERENCES contacts (id),
+        FOREIGN KEY (event_id) REFERENCES events (id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_contact_custom_values_lookup ON contact_custom_values(event_id, field, value)');
+    await db.run('CREATE INDEX idx_contact_custom_values_contact ON contact_custom_values(contact_id)');
+
+    await db.run(`
+      CREATE TRIGGER contact_custom_values_insert AFTER INSERT ON contacts BEGIN
+        ${insertCustomValues('NEW')};
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER contact_custom_values_update AFTER UPDATE OF custom_fields ON contacts BEGIN
+        DELETE FROM contact_custom_values WHERE contact_id = OLD.id;
+        ${insertCustomValues('NEW')};
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER contact_custom_values_delete AFTER DELETE ON contacts BEGIN
+        DELETE FROM contact_custom_values WHERE contact_id = OLD.id;
+      END
+    `);
+
+    await db.run('DROP TRIGGER contacts_fts_insert');
+    await db.run('DROP TRIGGER contacts_fts_update');
+    await createSearchTriggers(db, insertSearchRow);
+
+    // Fires the update triggers for every contact, filling both indexes
+    await db.run('UPDATE contacts SET custom_fields = custom_fields');
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS contact_custom_values_insert');
+    await db.run('DROP TRIGGER IF EXISTS contact_custom_values_update');
+    await db.run('DROP TRIGGER IF EXISTS contact_custom_values_delete');
+    await db.run('DROP TABLE IF EXISTS contact_custom_values');
+
+    await db.run('DROP TRIGGER IF EXISTS contacts_fts_insert');
+    await db.run('DROP TRIGGER IF EXISTS contacts_fts_update');
+    await createSearchTriggers(db, previousInsertSearchRow);
+    await db.run('ALTER TABLE events DROP COLUMN search_columns');
+    await db.run('UPDATE contacts SET custom_fields = custom_fields');
+  }
+};
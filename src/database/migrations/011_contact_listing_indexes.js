@@ -0,0 +1,20 @@
+// Indexes for contact listings (Database.listContacts): the default name order,
+// with nulls as '' the way its keyset cursors compare them, and an event's
+// credentials grouped by contact for the credential summary join.
+
+module.exports = {
+  description: 'Indexes for keyset-paginated contact listings',
+
+  async up(db) {
+    await db.run(`
+      CREATE INDEX idx_contacts_listing
+      ON contacts(event_id, IFNULL(last_name, ''), IFNULL(first_name, ''), id)
+    `);
+    await db.run('CREATE INDEX idx_credentials_event_contact ON credentials(event_id, contact_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_contacts_listing');
+    await db.run('DROP INDEX IF EXISTS idx_credentials_event_contact');
+  }
+};
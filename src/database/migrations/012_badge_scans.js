@@ -0,0 +1,32 @@
+// Floor entry scans. Every badge scanned at a door is recorded with what it
+// verified as (valid, revoked or unknown), the station that scanned it and
+// when. Unknown codes keep the code read but no credential.
+
+module.exports = {
+  description: 'Badge scan log for floor entry verification',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE badge_scans (
+        id TEXT PRIMARY KEY,
+        code TEXT NOT NULL,
+        result TEXT NOT NULL,
+        reason TEXT,
+        credential_id TEXT,
+        contact_id TEXT,
+        event_id TEXT,
+        station TEXT,
+        scanned_at TEXT NOT NULL,
+        FOREIGN KEY (credential_id) REFERENCES credentials (id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id),
+        FOREIGN KEY (event_id) REFERENCES events (id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_badge_scans_event ON badge_scans(event_id, scanned_at)');
+    await db.run('CREATE INDEX idx_badge_scans_station ON badge_scans(station, scanned_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS badge_scans');
+  }
+};
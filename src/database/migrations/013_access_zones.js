@@ -0,0 +1,57 @@
+// Floor access zones. access_zones are an event's areas (voting floor, press
+// riser, ...); access_zone_rules say who may enter one: contacts whose column
+// or custom field has a value, or individual contacts. An open_to_all zone
+// admits any valid badge. Zone scans are badge_scans with the zone, the
+// direction (in/out) and whether entry was granted; a zone's headcount is the
+// contacts whose latest granted scan there was in.
+
+module.exports = {
+  description: 'Access zones, zone rules and zone entry scans',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE access_zones (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        capacity INTEGER,
+        open_to_all INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events (id)
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX idx_access_zones_name ON access_zones(event_id, name COLLATE NOCASE)');
+
+    await db.run(`
+      CREATE TABLE access_zone_rules (
+        id TEXT PRIMARY KEY,
+        zone_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        field TEXT,
+        value TEXT,
+        contact_id TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (zone_id) REFERENCES access_zones (id),
+        FOREIGN KEY (event_id) REFERENCES events (id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_access_zone_rules_zone ON access_zone_rules(zone_id)');
+    await db.run('CREATE INDEX idx_access_zone_rules_contact ON access_zone_rules(contact_id)');
+
+    await db.run('ALTER TABLE badge_scans ADD COLUMN zone_id TEXT');
+    await db.run('ALTER TABLE badge_scans ADD COLUMN direction TEXT');
+    await db.run('ALTER TABLE badge_scans ADD COLUMN access TEXT');
+    await db.run('CREATE INDEX idx_badge_scans_zone ON badge_scans(zone_id, contact_id, scanned_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_badge_scans_zone');
+    await db.run('ALTER TABLE badge_scans DROP COLUMN access');
+    await db.run('ALTER TABLE badge_scans DROP COLUMN direction');
+    await db.run('ALTER TABLE badge_scans DROP COLUMN zone_id');
+    await db.run('DROP TABLE IF EXISTS access_zone_rules');
+    await db.run('DROP TABLE IF EXISTS access_zones');
+  }
+};
@@ -0,0 +1,29 @@
+// Attendance. A credential only says a badge was printed; checkins records
+// each contact checking in to and out of the floor (action check_in or
+// check_out), so who is present now is the contacts whose latest action is a
+// check-in. Rows are never updated, which keeps the presence timeline.
+
+module.exports = {
+  description: 'Check-in and check-out attendance log',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE checkins (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        contact_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        recorded_by TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events (id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_checkins_event ON checkins(event_id, created_at)');
+    await db.run('CREATE INDEX idx_checkins_contact ON checkins(contact_id, created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS checkins');
+  }
+};
@@ -0,0 +1,73 @@
+// printed_at is when the printer accepted the badge, not when it was queued:
+// it stays NULL while the print job is pending, and for good if the job fails
+// or is cancelled. SQLite cannot drop NOT NULL in place, so credentials is
+// rebuilt (with the columns 003 and 004 added) and its indexes recreated.
+
+const INDEXES = [
+  'CREATE INDEX idx_credentials_contact_id ON credentials(contact_id)',
+  'CREATE INDEX idx_credentials_event_id ON credentials(event_id)',
+  'CREATE UNIQUE INDEX idx_credentials_badge_number ON credentials(event_id, badge_number)',
+  'CREATE INDEX idx_credentials_event_contact ON credentials(event_id, contact_id)'
+];
+
+async function rebuildCredentials(db, printedAtColumn) {
+  await db.run(`
+    CREATE TABLE credentials_rebuilt (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      template_id TEXT NOT NULL,
+      ${printedAtColumn},
+      printed_by TEXT,
+      status TEXT DEFAULT 'active',
+      notes TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      badge_number TEXT,
+      badge_serial INTEGER,
+      voided_at TEXT,
+      replaced_by TEXT,
+      reprint_of TEXT,
+      reprint_reason TEXT,
+      override_by TEXT,
+      FOREIGN KEY (contact_id) REFERENCES contacts (id),
+      FOREIGN KEY (event_id) REFERENCES events (id),
+      FOREIGN KEY (template_id) REFERENCES templates (id)
+    )
+  `);
+
+  const columns = `
+    id, contact_id, event_id, template_id, printed_at, printed_by, status, notes,
+    created_at, updated_at, badge_number, badge_serial, voided_at, replaced_by,
+    reprint_of, reprint_reason, override_by`;
+  await db.run(`INSERT INTO credentials_rebuilt (${columns}) SELECT ${columns} FROM credentials`);
+  await db.run('DROP TABLE credentials');
+  await db.run('ALTER TABLE credentials_rebuilt RENAME TO credentials');
+
+  for (const sql of INDEXES) {
+    await db.run(sql);
+  }
+}
+
+module.exports = {
+  description: 'Leave credentials.printed_at NULL until the badge is printed',
+
+  async up(db) {
+    await rebuildCredentials(db, 'printed_at TEXT');
+
+    // Queued credentials were stamped when queued; use the time their job was
+    // sent, or NULL if it never was
+    await db.run(`
+      UPDATE credentials SET printed_at = (
+        SELECT MAX(pj.sent_at) FROM print_jobs pj
+        WHERE pj.credential_id = credentials.id AND pj.status = 'printed'
+      )
+      WHERE id IN (SELECT credential_id FROM print_jobs WHERE credential_id IS NOT NULL)
+    `);
+  },
+
+  async down(db) {
+    await db.run('UPDATE credentials SET printed_at = created_at WHERE printed_at IS NULL');
+    await rebuildCredentials(db, 'printed_at TEXT NOT NULL');
+  }
+};
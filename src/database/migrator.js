@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs-extra');
+const moment = require('moment');
+
+// Migration files live in ./migrations and are named NNN_description.js.
+// Each exports { description, up(db), down(db) }; the numeric prefix is the
+// schema version it brings the database to.
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(database, migrationsDir = path.join(__dirname, 'migrations')) {
+    this.database = database;
+    this.migrationsDir = migrationsDir;
+  }
+
+  async ensureMigrationsTable() {
+    await this.database.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir).filter(file => MIGRATION_FILE_PATTERN.test(file));
+
+    const migrations = files.map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(this.migrationsDir, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        description: migration.description || name,
+        up: migration.up,
+        down: migration.down
+      };
+    });
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+    return await this.database.all('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  async getCurrentVersion() {
+    await this.ensureMigrationsTable();
+    const row = await this.database.get('SELECT MAX(version) as version FROM schema_migrations');
+    return row && row.version ? row.version : 0;
+  }
+
+  async getStatus() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(m => m.version));
+
+    return {
+      currentVersion: await this.getCurrentVersion(),
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations
+        .filter(m => !appliedVersions.has(m.version))
+        .map(({ version, name, description }) => ({ version, name, description }))
+    };
+  }
+
+  // Apply every pending migration up to targetVersion (default: latest).
+  // Each migration runs in its own transaction; the first failure rolls that
+  // migration back and is re-thrown so the caller can refuse to start.
+  async migrate(targetVersion = Infinity) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const results = [];
+
+    for (const migration of migrations) {
+      if (migration.version > targetVersion || appliedVersions.has(migration.version)) {
+        continue;
+      }
+
+      try {
+        await this.database.transaction(async () => {
+          await migration.up(this.database);
+          await this.database.run(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+            [migration.version, migration.name, moment().toISOString()]
+          );
+        });
+      } catch (error) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      console.log(`✅ Applied migration ${migration.version}: ${migration.description}`);
+      results.push({ version: migration.version, name: migration.name });
+    }
+
+    return results;
+  }
+
+  // Revert applied migrations, newest first, until the schema is at targetVersion
+  async rollback(targetVersion) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const results = [];
+
+    for (const record of applied.reverse()) {
+      if (record.version <= targetVersion) {
+        break;
+      }
+
+      const migration = migrations.find(m => m.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${record.version} (${record.name}): file not found`);
+      }
+
+      try {
+        await this.database.transaction(async () => {
+          await migration.down(this.database);
+          await this.database.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+      } catch (error) {
+        throw new Error(`Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      console.log(`↩️ Rolled back migration ${migration.version}: ${migration.description}`);
+      results.push({ version: migration.version, name: migration.name });
+    }
+
+    return results;
+  }
+}
+
+module.exports = Migrator;
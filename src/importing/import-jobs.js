@@ -0,0 +1,95 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+
+// Finished jobs stay pollable this long
+const FINISHED_JOB_TTL_MINUTES = 60;
+
+// Contact imports running in the background. Jobs live in memory only: an
+// import interrupted by a restart has been rolled back, so there is nothing to
+// resume. The UI polls a job by id to draw its progress bar.
+class ImportJobs {
+  constructor(logger) {
+    this.logger = logger;
+    this.jobs = new Map();
+  }
+
+  // work(job, reportProgress) does the import and resolves to its result
+  start({ eventId, uploadId = null, originalFilename, totalRows }, work) {
+    this.prune();
+
+    const now = moment().toISOString();
+    const job = {
+      id: uuidv4(),
+      event_id: eventId,
+      upload_id: uploadId,
+      original_filename: originalFilename,
+      status: 'running',
+      total_rows: totalRows,
+      processed_rows: 0,
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      finished_at: null
+    };
+    this.jobs.set(job.id, job);
+
+    const reportProgress = processedRows => {
+      job.processed_rows = processedRows;
+      job.updated_at = moment().toISOString();
+    };
+
+    job.done = Promise.resolve()
+      .then(() => work(job, reportProgress))
+      .then(result => {
+        job.status = 'completed';
+        job.processed_rows = job.total_rows;
+        job.result = result;
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error.message;
+        this.logger.error('Contact import failed', { error: error.message, jobId: job.id, eventId });
+      })
+      .then(() => {
+        job.finished_at = moment().toISOString();
+        job.updated_at = job.finished_at;
+      });
+
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // The running job importing this staged upload, if any
+  findRunning(uploadId) {
+    for (const job of this.jobs.values()) {
+      if (job.upload_id === uploadId && job.status === 'running') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  // Public view of a job for API responses
+  describe(job) {
+    const { done, ...fields } = job;
+    return {
+      ...fields,
+      percent: job.total_rows > 0 ? Math.floor((job.processed_rows / job.total_rows) * 100) : 100
+    };
+  }
+
+  prune() {
+    const cutoff = moment().subtract(FINISHED_JOB_TTL_MINUTES, 'minutes');
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && moment(job.finished_at).isBefore(cutoff)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = ImportJobs;
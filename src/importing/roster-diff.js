@@ -0,0 +1,263 @@
+const {
+  IMPORT_FIELDS, applyMapping, compactMapping, headerForField, customFieldKey, customFieldsFor, fieldValue
+} = require('../utils/column-mapping');
+
+// Changes to these fields would move a contact out of a live seat upgrade
+const SEATING_FIELDS = ['district', 'category'];
+
+// Why a contact missing from the new roster cannot be removed, by blocked reason
+const REMOVAL_BLOCKED_MESSAGES = {
+  credentialed: name => `${name} is credentialed but not on the new roster; un-credential them before removing`,
+  seat_upgrade: name => `${name} is not on the new roster but is part of a seat upgrade; revoke it before removing`,
+  printing: name => `${name} is not on the new roster but has a badge printing; wait for it or cancel it before removing`
+};
+
+function displayValue(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function parseCustomFields(contact) {
+  try {
+    return JSON.parse(contact.custom_fields || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function contactName(contact) {
+  return `${contact.first_name || ''} ${contact.last_name || ''}`.trim();
+}
+
+// How rows and contacts are matched: on the key column's value, or on first
+// and last name when no key column is chosen. Keys compare case-insensitively
+// (see matchKey) but are reported as written.
+function keyReaders(mapping, keyColumn) {
+  if (!keyColumn) {
+    const firstHeader = headerForField(mapping, 'first_name');
+    const lastHeader = headerForField(mapping, 'last_name');
+    const nameKey = (first, last) => `${displayValue(first)} ${displayValue(last)}`.trim();
+    return {
+      label: 'name',
+      rowKey: row => nameKey(row[firstHeader], row[lastHeader]),
+      contactKey: contact => nameKey(contact.first_name, contact.last_name)
+    };
+  }
+
+  const field = mapping[keyColumn];
+  const customKey = customFieldKey(keyColumn);
+  return {
+    label: keyColumn,
+    rowKey: row => displayValue(row[keyColumn]),
+    contactKey: contact => displayValue(field ? contact[field] : parseCustomFields(contact)[customKey])
+  };
+}
+
+function matchKey(key) {
+  return key.toLowerCase().replace(/\s+/g, ' ');
+}
+
+// What a row writes to a matched contact: the mapped standard fields and the
+// full custom_fields
+function rowContactFields(row, headers, mapping) {
+  const values = applyMapping(row, mapping);
+  const fields = {};
+  for (const field of Object.values(compactMapping(mapping))) {
+    fields[field] = fieldValue(field, values[field]);
+  }
+  return { fields, custom_fields: customFieldsFor(row, headers) };
+}
+
+// Field-level differences between a contact and the row matched to it.
+// Custom fields that mirror a mapped column are covered by the standard field.
+function contactChanges(contact, update, mapping) {
+  const changes = [];
+  for (const [field, value] of Object.entries(update.fields)) {
+    if (displayValue(contact[field]) !== displayValue(value)) {
+      changes.push({ field, from: contact[field] ?? null, to: value });
+    }
+  }
+
+  const mirrored = new Set(Object.keys(compactMapping(mapping)).map(customFieldKey));
+  const current = parseCustomFields(contact);
+  const keys = new Set([...Object.keys(current), ...Object.keys(update.custom_fields)]);
+  for (const key of keys) {
+    if (!mirrored.has(key) && displayValue(current[key]) !== displayValue(update.custom_fields[key])) {
+      changes.push({ field: `custom_fields.${key}`, from: current[key] ?? null, to: update.custom_fields[key] ?? null });
+    }
+  }
+
+  return changes;
+}
+
+// Dry-run comparison of a new roster against an event's contacts (as returned
+// by database.getRosterContacts). Rows are numbered from 1 like original_row.
+//
+// - added: rows with no matching contact
+// - changed: matched contacts whose mapped fields or custom fields differ
+// - removed: roster contacts (not manually added ones) missing from the new CSV
+// - conflicts: rows that cannot be matched safely, and changes that touch
+//   credentialed, seated or printing contacts. Items with `blocked` set cannot be applied;
+//   `needsAcknowledgement` items need the operator to confirm.
+function diffRoster({ contacts, rows, headers, mapping, keyColumn = null }) {
+  const { label, rowKey, contactKey } = keyReaders(mapping, keyColumn);
+  const fieldLabels = Object.fromEntries(IMPORT_FIELDS.map(f => [f.field, f.label]));
+
+  const contactsByKey = new Map();
+  for (const contact of contacts) {
+    const key = matchKey(contactKey(contact));
+    if (key) {
+      contactsByKey.set(key, [...(contactsByKey.get(key) || []), contact]);
+    }
+  }
+
+  const rowNumbersByKey = new Map();
+  rows.forEach((row, index) => {
+    const key = matchKey(rowKey(row));
+    if (key) {
+      rowNumbersByKey.set(key, [...(rowNumbersByKey.get(key) || []), index + 1]);
+    }
+  });
+
+  const added = [];
+  const changed = [];
+  const removed = [];
+  const conflicts = [];
+  const accountedFor = new Set();
+  let unchanged = 0;
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const key = rowKey(row);
+    const values = applyMapping(row, mapping);
+    const name = `${values.first_name} ${values.last_name}`.trim();
+
+    if (!key) {
+      conflicts.push({ type: 'blank_key', row: rowNumber, message: `Row ${rowNumber} (${name || 'no name'}) has no ${label}; it is skipped` });
+      return;
+    }
+
+    const matches = contactsByKey.get(matchKey(key)) || [];
+    const duplicateRows = rowNumbersByKey.get(matchKey(key));
+    if (duplicateRows.length > 1) {
+      matches.forEach(contact => accountedFor.add(contact.id));
+      if (duplicateRows[0] === rowNumber) {
+        conflicts.push({
+          type: 'duplicate_key',
+          rows: duplicateRows,
+          key,
+          message: `Rows ${duplicateRows.join(', ')} share the ${label} "${key}"; they are skipped`
+        });
+      }
+      return;
+    }
+    if (matches.length > 1) {
+      matches.forEach(contact => accountedFor.add(contact.id));
+      conflicts.push({
+        type: 'ambiguous_match',
+        row: rowNumber,
+        key,
+        contactIds: matches.map(contact => contact.id),
+        message: `Row ${rowNumber} matches ${matches.length} contacts with the ${label} "${key}"; it is skipped`
+      });
+      return;
+    }
+
+    if (matches.length === 0) {
+      added.push({
+        row: rowNumber,
+        key,
+        name,
+        category: fieldValue('category', values.category),
+        district: fieldValue('district', values.district)
+      });
+      return;
+    }
+
+    const contact = matches[0];
+    accountedFor.add(contact.id);
+    const changes = contactChanges(contact, rowContactFields(row, headers, mapping), mapping);
+    if (changes.length === 0) {
+      unchanged++;
+      return;
+    }
+
+    const credentialed = Boolean(contact.credentialed);
+    const blocked = contact.in_seat_upgrade && changes.some(change => SEATING_FIELDS.includes(change.field))
+      ? 'seat_upgrade'
+      : null;
+    changed.push({
+      contactId: contact.id,
+      row: rowNumber,
+      key,
+      name: contactName(contact),
+      credentialed,
+      changes,
+      blocked,
+      needsAcknowledgement: credentialed && !blocked
+    });
+
+    if (blocked) {
+      conflicts.push({
+        type: 'seat_upgrade_changed',
+        contactId: contact.id,
+        row: rowNumber,
+        message: `${contactName(contact)} is part of a seat upgrade; their district or category cannot change until it is revoked`
+      });
+    } else if (credentialed) {
+      const fields = changes.map(change => fieldLabels[change.field] || change.field).join(', ');
+      conflicts.push({
+        type: 'credentialed_changed',
+        contactId: contact.id,
+        row: rowNumber,
+        message: `${contactName(contact)} is already credentialed; updating ${fields} will not change the printed badge`
+      });
+    }
+  });
+
+  for (const contact of contacts) {
+    if (accountedFor.has(contact.id) || contact.original_row === 0) {
+      continue;
+    }
+
+    const credentialed = Boolean(contact.credentialed);
+    const blocked = credentialed ? 'credentialed'
+      : contact.in_seat_upgrade ? 'seat_upgrade'
+        : contact.printing ? 'printing' : null;
+    removed.push({
+      contactId: contact.id,
+      row: contact.original_row,
+      key: contactKey(contact),
+      name: contactName(contact),
+      credentialed,
+      blocked
+    });
+
+    if (blocked) {
+      conflicts.push({
+        type: `${blocked}_removed`,
+        contactId: contact.id,
+        message: REMOVAL_BLOCKED_MESSAGES[blocked](contactName(contact))
+      });
+    }
+  }
+
+  return {
+    keyColumn,
+    summary: {
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged,
+      conflicts: conflicts.length
+    },
+    added,
+    changed,
+    removed,
+    conflicts
+  };
+}
+
+module.exports = {
+  diffRoster,
+  rowContactFields
+};
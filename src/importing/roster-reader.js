@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+
+// Roster files the importer reads, by extension. .txt exports from the
+// registration system are tab-delimited.
+const ROSTER_FORMATS = {
+  csv: ['.csv'],
+  tsv: ['.tsv', '.tab', '.txt'],
+  xlsx: ['.xlsx']
+};
+
+// csv, tsv or xlsx for a roster file name, or null if it is not one
+function rosterFormat(filename) {
+  const name = String(filename || '').toLowerCase();
+  for (const [format, extensions] of Object.entries(ROSTER_FORMATS)) {
+    if (extensions.some(extension => name.endsWith(extension))) {
+      return format;
+    }
+  }
+  return null;
+}
+
+// Blank header cells get a placeholder and repeated headers a suffix, so every
+// column can be mapped on its own
+function uniqueHeaders(headers) {
+  const seen = new Map();
+  return headers.map((header, index) => {
+    const base = String(header || '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+async function readDelimited(filePath, { separator, headerRow }) {
+  const headers = [];
+  const rows = [];
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv({
+        separator,
+        skipLines: headerRow - 1,
+        mapHeaders: ({ header, index }) => header.trim() || `Column ${index + 1}`
+      }))
+      .on('headers', (headerList) => {
+        headers.push(...headerList);
+      })
+      .on('data', (row) => {
+        rows.push(row);
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  return { headers, rows, sheets: [], sheet: null, headerRow };
+}
+
+// Text of one worksheet cell. Date-formatted cells come back as dates (in UTC)
+// and are written as YYYY-MM-DD; formulas give their result.
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return moment.utc(value).format('YYYY-MM-DD');
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellText(value.result);
+    }
+    if ('text' in value) {
+      return cellText(value.text);
+    }
+    return '';
+  }
+  return String(value).trim();
+}
+
+function rowTexts(row, columnCount) {
+  const texts = [];
+  for (let column = 1; column <= columnCount; column++) {
+    texts.push(cellText(row.getCell(column).value));
+  }
+  return texts;
+}
+
+// One worksheet of a workbook. sheet is a sheet name (default: the first
+// visible sheet with a header and at least one row under it); headerRow
+// defaults to the first row with two or more cells filled, which skips the
+// title rows exports put above the table.
+async function readWorkbook(filePath, { sheet = null, headerRow = null }) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (readError) {
+    const error = new Error(`The file is not a readable .xlsx workbook (${readError.message})`);
+    error.status = 400;
+    throw error;
+  }
+
+  const sheets = workbook.worksheets.map(worksheet => worksheet.name);
+  const visible = workbook.worksheets.filter(candidate => candidate.state !== 'hidden');
+  const worksheet = sheet
+    ? workbook.worksheets.find(candidate => candidate.name === sheet)
+    : visible.find(candidate => candidate.actualRowCount >= 2) || visible[0] || workbook.worksheets[0];
+  if (!worksheet) {
+    const error = new Error(sheet ? `The workbook has no sheet named "${sheet}"` : 'The workbook has no sheets');
+    error.status = 400;
+    throw error;
+  }
+
+  const columnCount = worksheet.columnCount;
+  let headerRowNumber = headerRow;
+  if (!headerRowNumber) {
+    headerRowNumber = 1;
+    for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      if (rowTexts(worksheet.getRow(rowNumber), columnCount).filter(Boolean).length >= 2) {
+        headerRowNumber = rowNumber;
+        break;
+      }
+    }
+  }
+
+  const headers = uniqueHeaders(rowTexts(worksheet.getRow(headerRowNumber), columnCount));
+  const rows = [];
+  for (let rowNumber = headerRowNumber + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const texts = rowTexts(worksheet.getRow(rowNumber), columnCount);
+    if (!texts.some(Boolean)) {
+      continue;
+    }
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = texts[index];
+    });
+    rows.push(row);
+  }
+
+  return { headers, rows, sheets, sheet: worksheet.name, headerRow: headerRowNumber };
+}
+
+// Headers and rows of a roster file. Returns the workbook's sheet names and the
+// sheet and header row that were read, so the operator can pick others.
+async function readRoster(filePath, { format = 'csv', sheet = null, headerRow = null } = {}) {
+  if (format === 'xlsx') {
+    return readWorkbook(filePath, { sheet, headerRow });
+  }
+  return readDelimited(filePath, {
+    separator: format === 'tsv' ? '\t' : ',',
+    headerRow: headerRow || 1
+  });
+}
+
+module.exports = {
+  ROSTER_FORMATS,
+  rosterFormat,
+  readRoster
+};
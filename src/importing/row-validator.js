@@ -0,0 +1,107 @@
+const moment = require('moment');
+const { IMPORT_FIELDS, headerForField, customFieldKey, fieldValue } = require('../utils/column-mapping');
+
+const FIELD_LABELS = Object.fromEntries(IMPORT_FIELDS.map(f => [f.field, f.label]));
+
+// The CSV column a rule key reads under this mapping: the column mapped to a
+// contact field, or the column whose custom field key matches. null if none.
+function ruleColumn(key, headers, mapping) {
+  if (FIELD_LABELS[key]) {
+    return headerForField(mapping, key);
+  }
+  return headers.find(header => customFieldKey(header) === key) || null;
+}
+
+// Problems with one value under one rule, as messages
+function checkValue(key, rule, value, label) {
+  if (!value) {
+    return rule.required ? [`${label} is required`] : [];
+  }
+
+  // Contact fields are checked as stored, so category aliases such as "Alt"
+  // and Excel date serials pass. Dates also pass as typed, since birth dates
+  // are stored as YYYY-MM-DD whichever layout they came in.
+  const stored = FIELD_LABELS[key] ? fieldValue(key, value) : value;
+  const problems = [];
+  if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+    problems.push(rule.message || `${label} "${value}" is not in the expected format`);
+  }
+
+  const dateFormats = rule.dateFormats || (rule.dateFormat ? [rule.dateFormat] : null);
+  if (dateFormats && ![value, stored].some(date => moment(date, dateFormats, true).isValid())) {
+    problems.push(`${label} "${value}" is not a date in the form ${dateFormats.join(' or ')}`);
+  }
+
+  if (Array.isArray(rule.enum)) {
+    const allowed = rule.enum.map(option => String(option).toLowerCase());
+    if (stored === null || !allowed.includes(String(stored).toLowerCase())) {
+      problems.push(`${label} "${value}" is not one of ${rule.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+// Check every row against the configured rules. Rows are numbered from 1 like
+// original_row; line is the line in the file, counting from the header on
+// headerLine.
+// Returns the issues found plus the rows that have errors (rejected) and the
+// rows that only have warnings.
+function validateRows(rows, { headers, mapping, rules, headerLine = 1 }) {
+  const active = Object.entries(rules || {})
+    .filter(([, rule]) => rule && typeof rule === 'object')
+    .map(([key, rule]) => ({
+      key,
+      rule,
+      column: ruleColumn(key, headers, mapping),
+      severity: rule.severity === 'warning' ? 'warning' : 'error'
+    }))
+    // A rule for a column this roster lacks only matters if the field is required
+    .filter(({ rule, column }) => column || rule.required);
+
+  const issues = [];
+  const rejected = new Set();
+  const warned = new Set();
+  const seen = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    for (const { key, rule, column, severity } of active) {
+      const value = column && row[column] !== undefined && row[column] !== null ? String(row[column]).trim() : '';
+      const label = FIELD_LABELS[key] || column || key;
+      const problems = checkValue(key, rule, value, label);
+
+      if (rule.unique && value) {
+        const firstSeen = seen.get(`${key}\u0000${value.toLowerCase()}`);
+        if (firstSeen) {
+          problems.push(`${label} "${value}" repeats row ${firstSeen}`);
+        } else {
+          seen.set(`${key}\u0000${value.toLowerCase()}`, rowNumber);
+        }
+      }
+
+      for (const message of problems) {
+        issues.push({ row: rowNumber, line: rowNumber + headerLine, severity, field: key, column, value, message });
+        (severity === 'error' ? rejected : warned).add(rowNumber);
+      }
+    }
+  });
+
+  const warningOnly = [...warned].filter(rowNumber => !rejected.has(rowNumber));
+  return {
+    summary: {
+      totalRows: rows.length,
+      validRows: rows.length - rejected.size,
+      rejectedRows: rejected.size,
+      warnedRows: warningOnly.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    rejectedRows: [...rejected].sort((a, b) => a - b),
+    issues
+  };
+}
+
+module.exports = {
+  validateRows
+};
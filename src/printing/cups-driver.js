@@ -0,0 +1,50 @@
+const runCommand = require('./run-command');
+
+// Prints through CUPS with `lp` (Linux and macOS check-in stations)
+class CupsDriver {
+  constructor(printerConfig = {}) {
+    this.name = 'cups';
+    this.printerConfig = printerConfig;
+    this.lpCommand = printerConfig.lpPath || 'lp';
+  }
+
+  buildArgs({ filePath, printer, pages, raw }) {
+    const args = [];
+    if (printer) {
+      args.push('-d', printer);
+    }
+    if (pages) {
+      args.push('-P', String(pages));
+    }
+    // Raw jobs (ZPL/EPL) must bypass the CUPS filters untouched
+    args.push('-o', raw ? 'raw' : 'fit-to-page');
+    args.push('--', filePath);
+    return args;
+  }
+
+  async print(job) {
+    if (!job.filePath) {
+      throw new Error('CUPS backend requires a file to print');
+    }
+
+    const args = this.buildArgs(job);
+    const { stdout, stderr } = await runCommand(this.lpCommand, args, { timeoutMs: this.printerConfig.timeoutMs });
+
+    // lp prints "request id is PRINTER-123 (1 file(s))"
+    const match = stdout.match(/request id is (\S+)/);
+
+    return { backend: this.name, printer: job.printer || 'default', args, jobId: match ? match[1] : null, stdout, stderr };
+  }
+
+  async getStatus() {
+    try {
+      const args = this.printerConfig.name ? ['-p', this.printerConfig.name] : ['-d'];
+      const { stdout } = await runCommand('lpstat', args, { timeoutMs: 5000 });
+      return { backend: this.name, connected: true, details: stdout.trim() };
+    } catch (error) {
+      return { backend: this.name, connected: false, error: (error.stderr || error.message).trim() };
+    }
+  }
+}
+
+module.exports = CupsDriver;
@@ -0,0 +1,40 @@
+const fs = require('fs-extra');
+
+// Writes job bytes straight to a printer device or share, e.g. /dev/usb/lp0
+// or \\localhost\ZebraShare. Meant for raw ZPL/EPL jobs.
+class FileDriver {
+  constructor(printerConfig = {}) {
+    this.name = 'file';
+    this.devicePath = printerConfig.devicePath;
+  }
+
+  async print(job) {
+    if (!this.devicePath) {
+      throw new Error('File backend requires printer.devicePath to be configured');
+    }
+    if (job.pages) {
+      throw new Error('Page selection is not supported by the file backend');
+    }
+
+    const payload = job.data || await fs.readFile(job.filePath);
+    // 'a' so character devices are opened for writing without truncation
+    await fs.writeFile(this.devicePath, payload, { flag: 'a' });
+
+    return { backend: this.name, printer: this.devicePath, bytes: payload.length };
+  }
+
+  async getStatus() {
+    if (!this.devicePath) {
+      return { backend: this.name, connected: false, error: 'printer.devicePath is not configured' };
+    }
+
+    try {
+      await fs.access(this.devicePath, fs.constants.W_OK);
+      return { backend: this.name, connected: true, devicePath: this.devicePath };
+    } catch (error) {
+      return { backend: this.name, connected: false, devicePath: this.devicePath, error: error.message };
+    }
+  }
+}
+
+module.exports = FileDriver;
@@ -0,0 +1,32 @@
+const SumatraDriver = require('./sumatra-driver');
+const CupsDriver = require('./cups-driver');
+const RawTcpDriver = require('./raw-tcp-driver');
+const SpoolDriver = require('./spool-driver');
+const FileDriver = require('./file-driver');
+
+const DRIVERS = {
+  sumatra: SumatraDriver,
+  cups: CupsDriver,
+  'raw-tcp': RawTcpDriver,
+  file: FileDriver,
+  spool: SpoolDriver
+};
+
+// Build the print driver selected by config.printer.backend.
+// Every driver exposes print({ filePath | data, printer, pages, raw }) and getStatus().
+// raw marks native printer commands (ZPL/EPL) that must not be converted.
+function createPrintDriver(printerConfig = {}) {
+  const backend = printerConfig.backend || (process.platform === 'win32' ? 'sumatra' : 'cups');
+  const Driver = DRIVERS[backend];
+
+  if (!Driver) {
+    throw new Error(`Unknown print backend "${backend}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return new Driver(printerConfig);
+}
+
+module.exports = {
+  createPrintDriver,
+  DRIVERS
+};
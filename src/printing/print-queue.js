@@ -0,0 +1,252 @@
+const moment = require('moment');
+const { createPrintDriver } = require('./index');
+
+const ACTIVE_STATUSES = ['queued', 'sending'];
+// Label files in native printer languages are sent without conversion
+const RAW_EXTENSIONS = /\.(zpl|epl)$/i;
+
+function invalidStateError(action, job) {
+  const error = new Error(`Cannot ${action} a job that is ${job.status}`);
+  error.code = 'INVALID_JOB_STATE';
+  return error;
+}
+
+// Background worker for the print_jobs table. Jobs are sent one at a time;
+// failures are retried with exponential backoff until max_attempts is reached.
+// A job's credential stays 'pending' until the printer accepts the job.
+class PrintQueue {
+  constructor(database, config, logger) {
+    this.database = database;
+    this.config = config;
+    this.logger = logger;
+    this.timer = null;
+    this.running = false;
+    this.processing = false;
+  }
+
+  getQueueConfig() {
+    return this.config.getPrintQueueConfig();
+  }
+
+  async start() {
+    // A job left in 'sending' was interrupted by a restart; queue it again
+    await this.database.run(
+      `UPDATE print_jobs SET status = 'queued', updated_at = ? WHERE status = 'sending'`,
+      [moment().toISOString()]
+    );
+
+    this.running = true;
+    this.schedule(0);
+    this.logger.info('Print queue started');
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  // Wake the worker right away (called after enqueue/retry)
+  notify() {
+    if (!this.processing) {
+      this.schedule(0);
+    }
+  }
+
+  async enqueue(jobData) {
+    const printerConfig = this.config.getPrinterConfig();
+    const job = await this.database.createPrintJob({
+      ...jobData,
+      backend: printerConfig.backend,
+      max_attempts: jobData.max_attempts || this.getQueueConfig().maxAttempts
+    });
+
+    this.logger.info('Print job queued', { jobId: job.id, source: job.source, contactId: job.contact_id });
+    this.notify();
+    return job;
+  }
+
+  async tick() {
+    this.timer = null;
+    this.processing = true;
+
+    try {
+      let job;
+      while (this.running && (job = await this.database.claimNextPrintJob())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      this.logger.error('Print queue error', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+
+    this.schedule(await this.getIdleDelay());
+  }
+
+  async getIdleDelay() {
+    const { pollIntervalMs } = this.getQueueConfig();
+    try {
+      const due = await this.database.getNextPrintJobDueTime();
+      if (due) {
+        return Math.max(0, Math.min(pollIntervalMs, moment(due).diff(moment())));
+      }
+    } catch (error) {
+      this.logger.error('Failed to read print queue', { error: error.message });
+    }
+    return pollIntervalMs;
+  }
+
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = this.getQueueConfig();
+    return Math.min(retryBaseDelayMs * Math.pow(2, attempts - 1), retryMaxDelayMs);
+  }
+
+  async processJob(job) {
+    const printerConfig = this.config.getPrinterConfig();
+
+    try {
+      const driver = createPrintDriver({ ...printerConfig, backend: job.backend || printerConfig.backend });
+      const result = await driver.print({
+        filePath: job.file_path,
+        printer: job.printer,
+        pages: job.pages,
+        raw: RAW_EXTENSIONS.test(job.file_path || '')
+      });
+
+      // The job, its credential and any badge a reprint replaces change together
+      const now = moment().toISOString();
+      await this.database.transaction(async () => {
+        await this.database.updatePrintJob(job.id, { status: 'printed', sent_at: now, last_error: null });
+        if (job.credential_id) {
+          await this.database.activateCredential(job.credential_id);
+        }
+      });
+
+      await this.database.logAudit({
+        action: 'print_job_sent',
+        entity_type: 'print_job',
+        entity_id: job.id,
+        details: { contactId: job.contact_id, credentialId: job.credential_id, attempts: job.attempts, result }
+      });
+
+      this.logger.logPrinting(job.contact_id, job.source, { jobId: job.id, attempts: job.attempts, result });
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  async handleFailure(job, error) {
+    const message = error.stderr ? `${error.message}: ${error.stderr}`.trim() : error.message;
+
+    if (job.attempts < job.max_attempts) {
+      const delay = this.getRetryDelay(job.attempts);
+      await this.database.updatePrintJob(job.id, {
+        status: 'queued',
+        last_error: message,
+        next_attempt_at: moment().add(delay, 'ms').toISOString()
+      });
+      this.logger.warn('Print job failed, will retry', { jobId: job.id, attempts: job.attempts, retryInMs: delay, error: message });
+      return;
+    }
+
+    await this.database.updatePrintJob(job.id, { status: 'failed', last_error: message });
+    if (job.credential_id) {
+      await this.database.updateCredentialStatus(job.credential_id, 'failed');
+    }
+
+    await this.database.logAudit({
+      action: 'print_job_failed',
+      entity_type: 'print_job',
+      entity_id: job.id,
+      details: { contactId: job.contact_id, credentialId: job.credential_id, attempts: job.attempts, error: message }
+    });
+
+    this.logger.error('Print job failed', { jobId: job.id, attempts: job.attempts, error: message });
+  }
+
+  // Put a failed or cancelled job back on the queue with a fresh attempt budget
+  async retry(jobId) {
+    const job = await this.database.getPrintJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (ACTIVE_STATUSES.includes(job.status) || job.status === 'printed') {
+      throw invalidStateError('retry', job);
+    }
+    // Printing it would re-credential a contact whose badge was revoked
+    const credential = job.credential_id ? await this.database.getCredential(job.credential_id) : null;
+    if (credential && credential.status === 'inactive') {
+      const error = new Error('Cannot retry a job whose credential was revoked');
+      error.code = 'INVALID_JOB_STATE';
+      throw error;
+    }
+
+    // Pick up the current backend in case the printer config was fixed
+    const updated = await this.database.updatePrintJob(jobId, {
+      status: 'queued',
+      backend: this.config.getPrinterConfig().backend,
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: moment().toISOString()
+    });
+
+    if (job.credential_id) {
+      await this.database.updateCredentialStatus(job.credential_id, 'pending');
+    }
+
+    await this.database.logAudit({
+      action: 'print_job_retried',
+      entity_type: 'print_job',
+      entity_id: jobId,
+      details: { contactId: job.contact_id, previousStatus: job.status }
+    });
+
+    this.notify();
+    return updated;
+  }
+
+  async cancel(jobId) {
+    const job = await this.database.getPrintJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'queued' && job.status !== 'failed') {
+      throw invalidStateError('cancel', job);
+    }
+
+    const updated = await this.database.updatePrintJob(jobId, { status: 'cancelled' });
+
+    if (job.credential_id) {
+      await this.database.updateCredentialStatus(job.credential_id, 'cancelled');
+    }
+
+    await this.database.logAudit({
+      action: 'print_job_cancelled',
+      entity_type: 'print_job',
+      entity_id: jobId,
+      details: { contactId: job.contact_id, previousStatus: job.status }
+    });
+
+    return updated;
+  }
+
+  async getActiveJobForContact(contactId) {
+    const jobs = await this.database.listPrintJobs({ contactId, status: ACTIVE_STATUSES, limit: 1 });
+    return jobs[0] || null;
+  }
+}
+
+module.exports = PrintQueue;
@@ -0,0 +1,71 @@
+const net = require('net');
+const fs = require('fs-extra');
+
+// Sends job bytes unmodified to a JetDirect-style socket (TCP 9100).
+// The printer must understand the payload (PDF, ZPL, EPL, ...).
+class RawTcpDriver {
+  constructor(printerConfig = {}) {
+    this.name = 'raw-tcp';
+    this.host = printerConfig.host;
+    this.port = printerConfig.port || 9100;
+    this.timeoutMs = printerConfig.timeoutMs || 10000;
+  }
+
+  send(payload) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.timeoutMs);
+
+      socket.on('connect', () => {
+        socket.end(payload);
+      });
+      socket.on('timeout', () => {
+        socket.destroy(new Error(`Timed out talking to ${this.host}:${this.port}`));
+      });
+      socket.on('error', reject);
+      socket.on('close', (hadError) => {
+        if (!hadError) {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async print(job) {
+    if (!this.host) {
+      throw new Error('Raw TCP backend requires printer.host to be configured');
+    }
+    if (job.pages) {
+      throw new Error('Page selection is not supported by the raw TCP backend');
+    }
+
+    const payload = job.data || await fs.readFile(job.filePath);
+    await this.send(payload);
+
+    return { backend: this.name, printer: `${this.host}:${this.port}`, bytes: payload.length };
+  }
+
+  async getStatus() {
+    if (!this.host) {
+      return { backend: this.name, connected: false, error: 'printer.host is not configured' };
+    }
+
+    return new Promise((resolve) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(3000);
+      socket.on('connect', () => {
+        socket.destroy();
+        resolve({ backend: this.name, connected: true, address: `${this.host}:${this.port}` });
+      });
+      socket.on('timeout', () => {
+        socket.destroy();
+        resolve({ backend: this.name, connected: false, error: 'Connection timed out' });
+      });
+      socket.on('error', (error) => {
+        resolve({ backend: this.name, connected: false, error: error.message });
+      });
+    });
+  }
+}
+
+module.exports = RawTcpDriver;
@@ -0,0 +1,19 @@
+const { execFile } = require('child_process');
+
+// Run an executable with an argument array. No shell is involved, so printer
+// names and file paths are passed through verbatim and cannot inject commands.
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { windowsHide: true, timeout: options.timeoutMs || 0 }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+module.exports = runCommand;
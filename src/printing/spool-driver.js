@@ -0,0 +1,44 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+// Writes each job to a folder instead of a printer (testing and dry runs)
+class SpoolDriver {
+  constructor(printerConfig = {}) {
+    this.name = 'spool';
+    this.spoolDir = printerConfig.spoolDir;
+  }
+
+  async print(job) {
+    if (!this.spoolDir) {
+      throw new Error('Spool backend requires printer.spoolDir to be configured');
+    }
+
+    await fs.ensureDir(this.spoolDir);
+
+    const extension = job.extension || (job.filePath ? path.extname(job.filePath) : '.bin');
+    const baseName = `job_${moment().format('YYYYMMDD_HHmmss_SSS')}`;
+    const outputPath = path.join(this.spoolDir, `${baseName}${extension}`);
+
+    if (job.data) {
+      await fs.writeFile(outputPath, job.data);
+    } else {
+      await fs.copy(job.filePath, outputPath);
+    }
+
+    await fs.writeJson(path.join(this.spoolDir, `${baseName}.json`), {
+      printer: job.printer || null,
+      pages: job.pages || null,
+      source: job.filePath || null,
+      spooledAt: moment().toISOString()
+    }, { spaces: 2 });
+
+    return { backend: this.name, printer: job.printer || 'spool', outputPath };
+  }
+
+  async getStatus() {
+    return { backend: this.name, connected: !!this.spoolDir, spoolDir: this.spoolDir };
+  }
+}
+
+module.exports = SpoolDriver;
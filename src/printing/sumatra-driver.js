@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const runCommand = require('./run-command');
+
+// Prints PDFs on Windows through SumatraPDF's command-line interface
+class SumatraDriver {
+  constructor(printerConfig = {}) {
+    this.name = 'sumatra';
+    this.printerConfig = printerConfig;
+  }
+
+  getCandidatePaths() {
+    const paths = [
+      `C:\\Users\\User\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
+      `C:\\Users\\${process.env.USERNAME || 'User'}\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
+      `C:\\Program Files\\SumatraPDF\\SumatraPDF.exe`,
+      `C:\\Program Files (x86)\\SumatraPDF\\SumatraPDF.exe`
+    ];
+
+    if (this.printerConfig.sumatraPath) {
+      paths.unshift(this.printerConfig.sumatraPath);
+    }
+
+    return [...new Set(paths)];
+  }
+
+  findExecutable() {
+    return this.getCandidatePaths().find(p => {
+      try {
+        return fs.existsSync(p);
+      } catch (_) {
+        return false;
+      }
+    }) || null;
+  }
+
+  buildArgs({ filePath, printer, pages }) {
+    const settings = pages ? `fit,pages=${pages}` : 'fit';
+    const target = printer ? ['-print-to', printer] : ['-print-to-default'];
+    return [...target, '-print-settings', settings, '-silent', filePath];
+  }
+
+  async print(job) {
+    if (!job.filePath) {
+      throw new Error('SumatraPDF backend requires a PDF file');
+    }
+    if (job.raw) {
+      throw new Error('SumatraPDF backend cannot print ZPL/EPL; use the raw-tcp, file or cups backend');
+    }
+
+    const executable = this.findExecutable();
+    if (!executable) {
+      throw new Error(`SumatraPDF not found. Expected at: ${this.getCandidatePaths().join(', ')}`);
+    }
+
+    const args = this.buildArgs(job);
+    const { stdout, stderr } = await runCommand(executable, args, { timeoutMs: this.printerConfig.timeoutMs });
+
+    return { backend: this.name, printer: job.printer || 'default', executable, args, stdout, stderr };
+  }
+
+  async getStatus() {
+    const executable = this.findExecutable();
+    return {
+      backend: this.name,
+      connected: !!executable,
+      executable,
+      searchedPaths: this.getCandidatePaths().map(p => ({ path: p, exists: p === executable || fs.existsSync(p) }))
+    };
+  }
+}
+
+module.exports = SumatraDriver;
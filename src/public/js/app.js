@@ -6,6 +6,21 @@ let searchTimeout = null;
 let selectedElement = null;
 let currentDesignerTemplate = null;
 let isFoldPreviewActive = false; // Track fold preview state
+let pendingImport = null; // Staged CSV waiting for its column mapping
+
+// Barcode symbologies template barcode elements can use
+const BARCODE_SYMBOLOGIES = [
+    { value: 'code128', label: 'Code 128' },
+    { value: 'code39', label: 'Code 39' },
+    { value: 'qr', label: 'QR Code' },
+    { value: 'pdf417', label: 'PDF417' }
+];
+
+// Server-drawn SVG of a barcode element, with placeholders filled from sample data
+function barcodePreviewUrl(element) {
+    const params = new URLSearchParams({ symbology: element.symbology || 'code128', content: element.content || '' });
+    return `/api/templates/barcode?${params}`;
+}
 
 // Make currentEvent available globally for other modules
 window.currentEvent = currentEvent;
@@ -157,6 +172,17 @@ function setupEventListeners() {
         printBtn.addEventListener('click', printCredential);
     }
 
+    // Reprint button
+    const reprintBtn = document.getElementById('reprintBtn');
+    if (reprintBtn) {
+        reprintBtn.addEventListener('click', showReprintModal);
+    }
+    
+    const confirmReprintBtn = document.getElementById('confirmReprintBtn');
+    if (confirmReprintBtn) {
+        confirmReprintBtn.addEventListener('click', submitReprint);
+    }
+
     // Un-Credential button
     const unCredentialBtn = document.getElementById('unCredentialBtn');
     if (unCredentialBtn) {
@@ -172,6 +198,161 @@ function setupEventListeners() {
     // Old designer buttons removed - all template creation now goes through Visual Designer
     
     // Settings button
+    const showCategoryRulesBtn = document.getElementById('showCategoryRulesBtn');
+    if (showCategoryRulesBtn) {
+        showCategoryRulesBtn.addEventListener('click', showCategoryRules);
+    }
+
+    const saveCategoryRulesBtn = document.getElementById('saveCategoryRulesBtn');
+    if (saveCategoryRulesBtn) {
+        saveCategoryRulesBtn.addEventListener('click', saveCategoryRules);
+    }
+
+    const showSearchSettingsBtn = document.getElementById('showSearchSettingsBtn');
+    if (showSearchSettingsBtn) {
+        showSearchSettingsBtn.addEventListener('click', showSearchSettings);
+    }
+
+    const saveSearchSettingsBtn = document.getElementById('saveSearchSettingsBtn');
+    if (saveSearchSettingsBtn) {
+        saveSearchSettingsBtn.addEventListener('click', saveSearchSettings);
+    }
+
+    const searchAllColumns = document.getElementById('searchAllColumns');
+    if (searchAllColumns) {
+        searchAllColumns.addEventListener('change', () => {
+            document.querySelectorAll('.search-column').forEach(checkbox => {
+                checkbox.disabled = searchAllColumns.checked;
+            });
+        });
+    }
+
+    const showDuplicatesBtn = document.getElementById('showDuplicatesBtn');
+    if (showDuplicatesBtn) {
+        showDuplicatesBtn.addEventListener('click', showDuplicates);
+    }
+
+    const showQuorumBtn = document.getElementById('showQuorumBtn');
+    if (showQuorumBtn) {
+        showQuorumBtn.addEventListener('click', showQuorum);
+    }
+
+    const saveQuorumSettingsBtn = document.getElementById('saveQuorumSettingsBtn');
+    if (saveQuorumSettingsBtn) {
+        saveQuorumSettingsBtn.addEventListener('click', saveQuorumSettings);
+    }
+
+    const printQuorumReportBtn = document.getElementById('printQuorumReportBtn');
+    if (printQuorumReportBtn) {
+        printQuorumReportBtn.addEventListener('click', () => {
+            window.open(`/api/seating/${currentEvent.id}/quorum/print`, '_blank');
+        });
+    }
+
+    const showPresenceBtn = document.getElementById('showPresenceBtn');
+    if (showPresenceBtn) {
+        showPresenceBtn.addEventListener('click', showPresence);
+    }
+
+    const exportPresenceTimelineBtn = document.getElementById('exportPresenceTimelineBtn');
+    if (exportPresenceTimelineBtn) {
+        exportPresenceTimelineBtn.addEventListener('click', exportPresenceTimeline);
+    }
+
+    const checkInBtn = document.getElementById('checkInBtn');
+    if (checkInBtn) {
+        checkInBtn.addEventListener('click', () => recordCheckin('check_in'));
+    }
+
+    const checkOutBtn = document.getElementById('checkOutBtn');
+    if (checkOutBtn) {
+        checkOutBtn.addEventListener('click', () => recordCheckin('check_out'));
+    }
+
+    const showAccessZonesBtn = document.getElementById('showAccessZonesBtn');
+    if (showAccessZonesBtn) {
+        showAccessZonesBtn.addEventListener('click', showAccessZones);
+    }
+
+    const allowContactZoneBtn = document.getElementById('allowContactZoneBtn');
+    if (allowContactZoneBtn) {
+        allowContactZoneBtn.addEventListener('click', () => {
+            setContactZoneAccess(document.getElementById('contactZoneSelect').value, true);
+        });
+    }
+
+    const commitImportBtn = document.getElementById('commitImportBtn');
+    if (commitImportBtn) {
+        commitImportBtn.addEventListener('click', () => commitImport());
+    }
+
+    ['importSheet', 'importHeaderRow'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', rereadImport);
+        }
+    });
+
+    document.querySelectorAll('#importValidation [data-on-invalid]').forEach(button => {
+        button.addEventListener('click', () => commitImport(button.dataset.onInvalid));
+    });
+
+    const importProfileSelect = document.getElementById('importProfileSelect');
+    if (importProfileSelect) {
+        importProfileSelect.addEventListener('change', applyImportProfile);
+    }
+
+    const importMappingBody = document.getElementById('importMappingBody');
+    if (importMappingBody) {
+        importMappingBody.addEventListener('change', updateImportMappingWarning);
+    }
+
+    const importSaveProfile = document.getElementById('importSaveProfile');
+    if (importSaveProfile) {
+        importSaveProfile.addEventListener('change', () => {
+            document.getElementById('importSaveProfileFields').classList.toggle('d-none', !importSaveProfile.checked);
+        });
+    }
+
+    const reimportRosterBtn = document.getElementById('reimportRosterBtn');
+    const reimportCsvFile = document.getElementById('reimportCsvFile');
+    if (reimportRosterBtn && reimportCsvFile) {
+        reimportRosterBtn.addEventListener('click', () => {
+            if (!currentEvent) {
+                showError('Please select an event first.');
+                return;
+            }
+            reimportCsvFile.click();
+        });
+        reimportCsvFile.addEventListener('change', async () => {
+            const file = reimportCsvFile.files[0];
+            reimportCsvFile.value = '';
+            if (file) {
+                await importCSV(currentEvent.id, file, 'reimport');
+            }
+        });
+    }
+
+    const applyRosterBtn = document.getElementById('applyRosterBtn');
+    if (applyRosterBtn) {
+        applyRosterBtn.addEventListener('click', applyRoster);
+    }
+
+    const showSeatingReportBtn = document.getElementById('showSeatingReportBtn');
+    if (showSeatingReportBtn) {
+        showSeatingReportBtn.addEventListener('click', showSeatingReport);
+    }
+
+    const seatAlternateBtn = document.getElementById('seatAlternateBtn');
+    if (seatAlternateBtn) {
+        seatAlternateBtn.addEventListener('click', showSeatAlternateModal);
+    }
+
+    const confirmSeatAlternateBtn = document.getElementById('confirmSeatAlternateBtn');
+    if (confirmSeatAlternateBtn) {
+        confirmSeatAlternateBtn.addEventListener('click', submitSeatAlternate);
+    }
+
     const showSettingsBtn = document.getElementById('showSettingsBtn');
     if (showSettingsBtn) {
         showSettingsBtn.addEventListener('click', showSettings);
@@ -631,6 +812,19 @@ async function loadStatistics() {
         document.getElementById('totalContacts').textContent = stats.total_contacts || 0;
         document.getElementById('credentialedCount').textContent = stats.credentialed_count || 0;
         document.getElementById('percentage').textContent = `${stats.credentialed_percentage || 0}%`;
+        
+        const quorum = stats.quorum && stats.quorum.overall;
+        document.getElementById('quorumSummary').textContent = quorum && quorum.allotted_seats > 0
+            ? `Quorum: ${quorum.credentialed_seats}/${quorum.quorum_required} needed` +
+                (quorum.quorum_reached ? ' ✓' : '') +
+                ` • ${stats.quorum.groupsWithQuorum}/${stats.quorum.groups.length} groups`
+            : '';
+        document.getElementById('zoneSummary').textContent = (stats.zones || [])
+            .map(zone => `${zone.name}: ${zone.present}${zone.capacity ? `/${zone.capacity}` : ''}`)
+            .join(' • ');
+        document.getElementById('presenceSummary').textContent = stats.presence && stats.presence.present > 0
+            ? `Checked in: ${stats.presence.present}`
+            : '';
     } catch (error) {
         console.error('Failed to load statistics:', error);
     }
@@ -641,6 +835,9 @@ function clearStats() {
     document.getElementById('totalContacts').textContent = '0';
     document.getElementById('credentialedCount').textContent = '0';
     document.getElementById('percentage').textContent = '0%';
+    document.getElementById('quorumSummary').textContent = '';
+    document.getElementById('zoneSummary').textContent = '';
+    document.getElementById('presenceSummary').textContent = '';
 }
 
 // Search contacts
@@ -690,7 +887,14 @@ function displaySearchResults(contacts) {
                         <small class="text-muted">
                             ${contact.birth_date ? `DOB: ${contact.birth_date}` : ''}
                             ${contact.address ? ` • ${contact.address}` : ''}
+                            ${contact.badge_number ? ` • Badge ${contact.badge_number}` : ''}
+                            ${contact.category ? ` • ${formatCategory(contact.category)}` : ''}
                         </small>
+                        ${contact.match && contact.match.type !== 'text' ? `
+                            <small class="d-block text-info search-match-reason">
+                                <i class="fas fa-circle-info"></i> ${contact.match.reasons.join('; ')}
+                            </small>
+                        ` : ''}
                     </div>
                     <div>
                         ${contact.isCredentialed ? 
@@ -747,9 +951,6 @@ async function selectContact(contactId) {
         currentContact = contact;
         displayContact(contact);
         
-        // No longer generating label preview here since we removed the preview section
-        // Users can click "Detailed Preview" button instead
-        
         // Hide search results when contact is selected
         hideSearchResults();
         
@@ -777,14 +978,23 @@ function displayContact(contact) {
     // Update credential status
     const statusDiv = document.getElementById('credentialStatus');
     if (contact.isCredentialed) {
-        statusDiv.innerHTML = '<span class="credentialed-badge">Credentialed</span>';
+        statusDiv.innerHTML = '<span class="credentialed-badge">Credentialed</span>' +
+            (contact.badge_number ? ` <small class="text-muted">Badge ${contact.badge_number}</small>` : '');
         document.getElementById('printBtn').style.display = 'none';
+        document.getElementById('reprintBtn').style.display = 'block';
         document.getElementById('unCredentialBtn').style.display = 'block';
     } else {
         statusDiv.innerHTML = '<span class="ready-badge">Ready to Credential</span>';
         document.getElementById('printBtn').style.display = 'block';
+        document.getElementById('reprintBtn').style.display = 'none';
         document.getElementById('unCredentialBtn').style.display = 'none';
     }
+    if (contact.category) {
+        statusDiv.innerHTML += ` <small class="text-muted">${formatCategory(contact.category)}</small>`;
+    }
+    displaySeatUpgrade(contact);
+    displayContactZones(contact);
+    displayCheckinStatus(contact);
     
     // Fill standard form fields
     document.getElementById('firstName').value = contact.first_name || '';
@@ -796,6 +1006,9 @@ function displayContact(contact) {
     document.getElementById('state').value = contact.state || '';
     document.getElementById('zip').value = contact.zip || '';
     document.getElementById('email').value = contact.email || '';
+    document.getElementById('category').value = contact.category || '';
+    document.getElementById('district').value = contact.district || '';
+    document.getElementById('alternateRank').value = contact.alternate_rank || '';
     
     // Also try to load from custom fields if standard fields are empty
     if (contact.custom_fields) {
@@ -838,8 +1051,8 @@ function displayContact(contact) {
     // Display all CSV fields including custom fields
     displayAllContactFields(contact);
     
-    // No longer generating label preview here since we removed the preview section
-    // Users can click "Detailed Preview" button instead
+    // Render a thumbnail of the label this contact will get
+    generateLabelPreview(contact);
 }
 
 // Hide contact panel
@@ -912,126 +1125,79 @@ function displayAllContactFields(contact) {
     }
 }
 
-// Generate label preview
+// Generate label preview (rendered thumbnail of what will print)
 async function generateLabelPreview(contact) {
     try {
-        console.log('Generating label preview for contact:', contact);
-        console.log('Current template:', currentTemplate);
-        console.log('Current event:', currentEvent);
-        
         // Load default template if not already loaded
         if (!currentTemplate) {
-            console.log('No current template, trying to load default...');
             const response = await fetch('/api/templates/default');
             if (response.ok) {
                 currentTemplate = await response.json();
-                console.log('Loaded default template:', currentTemplate);
             } else {
                 console.error('No default template available');
-                displayLabelPreview({ preview: { elements: [] } });
+                displayLabelPreview(null);
                 return;
             }
         }
         
-        // Create preview data
-        const previewData = {
-            firstName: contact.first_name || '',
-            lastName: contact.last_name || '',
-            middleName: contact.middle_name || '',
-            birthDate: contact.birth_date || '',
-            address: contact.address || '',
-            city: contact.city || '',
-            state: contact.state || '',
-            zip: contact.zip || '',
-            phone: contact.phone || '',
-            email: contact.email || '',
-            eventName: currentEvent ? currentEvent.name : '',
-            eventDate: currentEvent ? currentEvent.date : ''
-        };
-        
-        // Add custom fields from CSV
-        if (contact.custom_fields) {
-            try {
-                const customFields = JSON.parse(contact.custom_fields);
-                Object.assign(previewData, customFields);
-            } catch (e) {
-                console.warn('Failed to parse custom fields for preview:', e);
-            }
-        }
-        
-        console.log('Preview data:', previewData);
-        console.log('Calling preview endpoint for template:', currentTemplate.id);
+        // Form edits override the stored contact, as they will when printing
+        const form = document.getElementById('contactForm');
+        const sampleData = form ? Object.fromEntries(new FormData(form).entries()) : {};
         
-        // Generate preview
-        const response = await fetch(`/api/templates/${currentTemplate.id}/preview`, {
+        // The contact's category may print on its own template
+        const templateId = (contact.category_rule && contact.category_rule.template_id) || currentTemplate.id;
+        const response = await fetch(`/api/templates/${templateId}/preview`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sampleData: previewData })
+            body: JSON.stringify({
+                contactId: contact.id,
+                eventId: currentEvent ? currentEvent.id : undefined,
+                sampleData,
+                format: 'png',
+                dpi: 48
+            })
         });
         
-        console.log('Preview response status:', response.status);
+        // Ignore stale responses if another contact was selected meanwhile
+        if (!currentContact || currentContact.id !== contact.id) {
+            return;
+        }
         
         if (response.ok) {
-            const preview = await response.json();
-            console.log('Preview response:', preview);
-            displayLabelPreview(preview);
+            displayLabelPreview(await response.blob());
         } else {
             const errorText = await response.text();
             console.error('Template preview failed:', response.status, errorText);
-            displayLabelPreview({ preview: { elements: [] } });
+            displayLabelPreview(null);
         }
     } catch (error) {
         console.error('Failed to generate preview:', error);
         // Don't fail the entire contact display if preview fails
-        displayLabelPreview({ preview: { elements: [] } });
+        displayLabelPreview(null);
     }
 }
 
 // Display label preview
-function displayLabelPreview(preview) {
-    console.log('Displaying label preview:', preview);
-    
+function displayLabelPreview(imageBlob) {
     const previewDiv = document.getElementById('labelPreview');
     if (!previewDiv) {
         console.error('Preview div not found!');
         return;
     }
     
-    if (preview.preview && preview.preview.elements) {
-        console.log('Preview elements:', preview.preview.elements);
-        let previewHtml = '<div class="text-center">';
-        preview.preview.elements.forEach(element => {
-            if (element.type === 'text') {
-                const content = element.previewContent || element.content || '';
-                previewHtml += `<div class="mb-1">${content}</div>`;
-            } else if (element.type === 'checkbox') {
-                previewHtml += `<div class="mb-1">
-                    <input type="checkbox" ${element.checked ? 'checked' : ''} disabled>
-                    <span>${element.label}</span>
-                </div>`;
-            } else if (element.type === 'image') {
-                previewHtml += `<div class="mb-1">
-                    <i class="fas fa-image"></i> [Image]
-                </div>`;
-            }
-        });
-        previewHtml += '</div>';
-        
-        // Add a button to show detailed PDF preview
-        previewHtml += `
-            <div class="mt-2">
-                <button type="button" class="btn btn-sm btn-outline-primary" onclick="showDetailedPreview()">
-                    <i class="fas fa-eye"></i> Detailed Preview
-                </button>
-            </div>
-        `;
-        
-        previewDiv.innerHTML = previewHtml;
-        console.log('Preview HTML set successfully');
-    } else {
-        console.log('No preview data or elements found, showing fallback');
+    if (previewDiv.dataset.objectUrl) {
+        URL.revokeObjectURL(previewDiv.dataset.objectUrl);
+        delete previewDiv.dataset.objectUrl;
+    }
+    
+    if (!imageBlob) {
         previewDiv.innerHTML = '<small class="text-muted">Preview not available</small>';
+        return;
     }
+    
+    const imageUrl = URL.createObjectURL(imageBlob);
+    previewDiv.dataset.objectUrl = imageUrl;
+    previewDiv.innerHTML = `<img src="${imageUrl}" alt="Label preview" class="img-fluid border shadow-sm" style="max-height: 300px;">`;
 }
 
 // Show detailed PDF preview for the current contact
@@ -1053,70 +1219,18 @@ async function showDetailedPreview() {
         }
     });
     
-    // Create contact data for preview
-    const contactData = {
-        firstName: currentContact.first_name || '',
-        lastName: currentContact.last_name || '',
-        middleName: currentContact.middle_name || '',
-        birthDate: currentContact.birth_date || '',
-        address: currentContact.address || '',
-        city: currentContact.city || '',
-        state: currentContact.state || '',
-        zip: currentContact.zip || '',
-        phone: currentContact.phone || '',
-        email: currentContact.email || '',
-        eventName: currentEvent ? currentEvent.name : '',
-        eventDate: currentEvent ? currentEvent.date : ''
-    };
-    
-    // Add custom fields from CSV
-    if (currentContact.custom_fields) {
-        try {
-            const customFields = JSON.parse(currentContact.custom_fields);
-            Object.assign(contactData, customFields);
-            console.log('🔍 Merged custom fields into contact data. Sample fields:', Object.keys(customFields).slice(0, 10));
-        } catch (e) {
-            console.warn('Failed to parse custom fields for detailed preview:', e);
-        }
-    }
-    
-    console.log('Final Contact Data for PDF:', contactData);
-    
-    // Generate PDF preview - use Visual Designer's own accurate method
+    // Render on the server with the same renderer the printer uses
     let pdfBlob;
-    
-    if (currentTemplate.category === 'Visual Designer' || 
-        (currentTemplate.config && currentTemplate.config.designer === 'Visual Designer')) {
-        console.log('Using Visual Designer for preview with real contact data');
-        
-        // Ensure Visual Designer instance exists and has the template loaded
-        if (!window.visualDesigner) {
-            console.log('Creating Visual Designer instance for preview');
-            window.visualDesigner = new VisualDesigner();
-            await window.visualDesigner.init();
-        }
-        
-        // Load the template if needed
-        if (!window.visualDesigner.fields.length) {
-            console.log('Loading template into Visual Designer for preview');
-            await window.visualDesigner.loadTemplate(currentTemplate);
-        }
-        
-        // Use Visual Designer's own accurate PDF generation
-        const pdfDoc = await window.visualDesigner.generatePDF(contactData);
-        
-        // Convert PDF document to blob
-        if (pdfDoc) {
-            pdfBlob = pdfDoc.output('blob');
-        } else {
-            console.warn('Visual Designer PDF generation failed for preview');
-            showError('Failed to generate PDF preview using Visual Designer');
-            return;
-        }
-    } else {
-        console.log('Using legacy PDF generation');
-        // Use legacy PDF generation for older templates
-        pdfBlob = generatePdf(currentTemplate, contactData);
+    try {
+        pdfBlob = await renderLabelPdf({
+            templateId: currentTemplate.id,
+            contactId: currentContact.id,
+            eventId: currentEvent ? currentEvent.id : undefined
+        });
+    } catch (error) {
+        console.error('Label render failed for preview:', error);
+        showError(`Failed to generate PDF preview: ${error.message}`);
+        return;
     }
     
     if (!pdfBlob) {
@@ -1146,121 +1260,48 @@ async function printCredential() {
     }
     
     try {
-        // Get form data
+        // Get form data (edits override the stored contact on the label)
         const formData = new FormData(document.getElementById('contactForm'));
         const contactData = Object.fromEntries(formData.entries());
         
-        // Create contact data object for merging
-        const mergedContactData = {
-            firstName: contactData.firstName || currentContact.first_name || '',
-            lastName: contactData.lastName || currentContact.last_name || '',
-            middleName: contactData.middleName || currentContact.middle_name || '',
-            birthDate: contactData.birthDate || currentContact.birth_date || '',
-            address: contactData.address || currentContact.address || '',
-            city: contactData.city || currentContact.city || '',
-            state: contactData.state || currentContact.state || '',
-            zip: contactData.zip || currentContact.zip || '',
-            phone: contactData.phone || currentContact.phone || '',
-            email: contactData.email || currentContact.email || '',
-            eventName: currentEvent.name || '',
-            eventDate: currentEvent.date || ''
-        };
-        
-        // Add custom fields from CSV
-        if (currentContact.custom_fields) {
-            try {
-                const customFields = JSON.parse(currentContact.custom_fields);
-                Object.assign(mergedContactData, customFields);
-                console.log('Added custom fields to PDF data:', customFields);
-            } catch (e) {
-                console.warn('Failed to parse custom fields for printing:', e);
-            }
-        }
-        
-        console.log('Final PDF Contact Data:', mergedContactData);
-        
-        let pdfBlob;
-        
-        // Check if using DOCX template
-        if (window.docxManager && window.docxManager.currentTemplate && currentTemplate.type === 'docx') {
-            // Use DOCX template system
-            pdfBlob = await window.docxManager.generatePdfForContact({
-                ...currentContact,
-                first_name: mergedContactData.firstName,
-                last_name: mergedContactData.lastName,
-                middle_name: mergedContactData.middleName,
-                birth_date: mergedContactData.birthDate,
-                address: mergedContactData.address,
-                city: mergedContactData.city,
-                state: mergedContactData.state,
-                zip: mergedContactData.zip,
-                phone: mergedContactData.phone,
-                email: mergedContactData.email
-            });
-        } else {
-            // Check if it's a Visual Designer template
-            if (currentTemplate.category === 'Visual Designer' || 
-                (currentTemplate.config && currentTemplate.config.designer === 'Visual Designer')) {
-                console.log('Using Visual Designer for printing with real contact data');
-                
-                // Ensure Visual Designer instance exists and has the template loaded
-                if (!window.visualDesigner) {
-                    console.log('Creating Visual Designer instance for printing');
-                    window.visualDesigner = new VisualDesigner();
-                    await window.visualDesigner.init();
-                }
-                
-                // Load the template if needed
-                if (!window.visualDesigner.fields.length) {
-                    console.log('Loading template into Visual Designer for printing');
-                    await window.visualDesigner.loadTemplate(currentTemplate);
-                }
-                
-                // Use Visual Designer's own accurate PDF generation with real contact data
-                const pdfDoc = await window.visualDesigner.generatePDF(mergedContactData);
-                
-                // Convert PDF document to blob
-                if (pdfDoc) {
-                    pdfBlob = pdfDoc.output('blob');
-                } else {
-                    console.warn('Visual Designer PDF generation failed for printing');
-                    showError('Failed to generate PDF using Visual Designer');
-                    return;
-                }
-            } else {
-                console.log('Using legacy PDF generation for printing');
-                // Use traditional template system for legacy templates
-                pdfBlob = generatePdf(currentTemplate, mergedContactData);
-            }
-        }
+        // Events with merged/fallback PDFs print those, unless the contact's category
+        // has its own template; otherwise the server renders the template
+        const categoryTemplateId = currentContact.category_rule && currentContact.category_rule.template_id;
+        const usesEventPdfs = !categoryTemplateId && !!(currentEvent.merged_pdf_path || currentEvent.fallback_pdf_path);
+        const endpoint = usesEventPdfs ? '/api/printing/print-merged' : '/api/printing/print-credential';
         
-        if (!pdfBlob) {
-            showError('Failed to generate PDF for printing');
+        if (!usesEventPdfs && !categoryTemplateId && !currentTemplate) {
+            showError('No template selected for printing.');
             return;
         }
         
-        // New: Use merged/fallback PDFs via backend
+        // Queue the print on the backend
+        let job;
         try {
-            const response = await fetch('/api/printing/print-merged', {
+            const response = await fetch(endpoint, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ contactId: currentContact.id, eventId: currentEvent.id, printer: 'RX106HD' })
+                body: JSON.stringify({
+                    contactId: currentContact.id,
+                    eventId: currentEvent.id,
+                    templateId: currentTemplate ? currentTemplate.id : undefined,
+                    contactData
+                })
             });
             const result = await response.json();
             if (!response.ok || !result.success) {
-                throw new Error(result.error || 'Printing failed');
+                throw new Error(result.error || result.details || 'Printing failed');
             }
+            job = result.job;
+            currentContact.badge_number = result.badgeNumber || currentContact.badge_number;
         } catch (error) {
-            console.error('Merged print error:', error);
+            console.error('Print error:', error);
             showError(error.message || 'Printing failed');
             return;
         }
         
-        // Mark as credentialed in the database
-        await markContactAsCredentialed();
-        
-        // Show success message
-        showSuccess('Credential sent to printer!');
+        showSuccess('Credential queued for printing...');
+        await reportPrintJob(job);
         
     } catch (error) {
         console.error('Printing failed:', error);
@@ -1268,6 +1309,119 @@ async function printCredential() {
     }
 }
 
+// Wait for the print queue to confirm the job was sent, then update the contact
+async function reportPrintJob(job) {
+    const finishedJob = await waitForPrintJob(job.id);
+    if (finishedJob.status === 'printed') {
+        currentContact.isCredentialed = true;
+        displayContact(currentContact);
+        loadStatistics();
+        showSuccess(currentContact.badge_number ? `Badge ${currentContact.badge_number} sent to printer!` : 'Credential sent to printer!');
+    } else if (finishedJob.status === 'failed') {
+        showError(`Printing failed: ${finishedJob.last_error || 'unknown error'}. Retry from the print queue.`);
+    } else if (finishedJob.status === 'cancelled') {
+        showError('Print job was cancelled.');
+    } else {
+        showError(`Print job is still ${finishedJob.status}. It will be retried automatically.`);
+    }
+}
+
+// Reprint: replaces the contact's badge (new badge number, old one voided)
+function showReprintModal() {
+    if (!currentContact || !currentEvent) {
+        showError('Missing required data for reprinting.');
+        return;
+    }
+    
+    const reprints = currentContact.reprint_count || 0;
+    document.getElementById('reprintSummary').textContent =
+        `Current badge: ${currentContact.badge_number || 'none'}. Reprints so far: ${reprints}.`;
+    document.getElementById('reprintReason').value = 'lost';
+    document.getElementById('reprintNotes').value = '';
+    document.getElementById('supervisorName').value = '';
+    document.getElementById('supervisorPin').value = '';
+    document.getElementById('reprintOverride').style.display = 'none';
+    
+    new bootstrap.Modal(document.getElementById('reprintModal')).show();
+}
+
+async function submitReprint() {
+    const formData = new FormData(document.getElementById('contactForm'));
+    const overrideShown = document.getElementById('reprintOverride').style.display !== 'none';
+    
+    const categoryTemplateId = currentContact.category_rule && currentContact.category_rule.template_id;
+    const usesEventPdfs = !categoryTemplateId && !!(currentEvent.merged_pdf_path || currentEvent.fallback_pdf_path);
+    if (!usesEventPdfs && !categoryTemplateId && !currentTemplate) {
+        showError('No template selected for printing.');
+        return;
+    }
+    
+    let result;
+    try {
+        const response = await fetch('/api/printing/reprint', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                contactId: currentContact.id,
+                eventId: currentEvent.id,
+                templateId: usesEventPdfs || categoryTemplateId ? undefined : currentTemplate.id,
+                reason: document.getElementById('reprintReason').value,
+                notes: document.getElementById('reprintNotes').value,
+                contactData: Object.fromEntries(formData.entries()),
+                supervisor: overrideShown ? {
+                    name: document.getElementById('supervisorName').value,
+                    pin: document.getElementById('supervisorPin').value
+                } : undefined
+            })
+        });
+        result = await response.json();
+        
+        // Over the event's reprint limit: ask for a supervisor and let them resubmit
+        if (response.status === 403 && result.requiresOverride) {
+            document.getElementById('reprintOverrideMessage').textContent =
+                `${result.error} (${result.reprintCount} of ${result.reprintLimit} reprints used)`;
+            document.getElementById('reprintOverride').style.display = 'block';
+            return;
+        }
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || result.details || 'Reprint failed');
+        }
+    } catch (error) {
+        console.error('Reprint error:', error);
+        showError(error.message || 'Reprint failed');
+        return;
+    }
+    
+    bootstrap.Modal.getInstance(document.getElementById('reprintModal')).hide();
+    currentContact.badge_number = result.badgeNumber;
+    currentContact.reprint_count = result.reprintCount;
+    showSuccess(`Reprint queued. Badge ${result.previousBadgeNumber} is now void.`);
+    await reportPrintJob(result.job);
+}
+
+// Poll a print job until it leaves the queue (or we stop waiting)
+async function waitForPrintJob(jobId, timeoutMs = 30000) {
+    const startedAt = Date.now();
+    let job = { id: jobId, status: 'queued' };
+    
+    while (Date.now() - startedAt < timeoutMs) {
+        const response = await fetch(`/api/printing/jobs/${jobId}`);
+        if (response.ok) {
+            job = await response.json();
+            if (job.status !== 'queued' && job.status !== 'sending') {
+                return job;
+            }
+            // A retry is scheduled; no point waiting past the first failure
+            if (job.status === 'queued' && job.last_error) {
+                return job;
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    
+    return job;
+}
+
 // Show PDF preview for printing credentials
 function showPdfPreviewForPrinting(pdfBlob, templateName) {
     // Show the PDF preview modal
@@ -1287,35 +1441,6 @@ function showPdfPreviewForPrinting(pdfBlob, templateName) {
     showSuccess('Credential generated successfully! You can now print or download.');
 }
 
-// Mark contact as credentialed in the database
-async function markContactAsCredentialed() {
-    try {
-        const response = await fetch('/api/printing/print-credential', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contactId: currentContact.id,
-                eventId: currentEvent.id,
-                templateId: currentTemplate.id,
-                contactData: {}
-            })
-        });
-        
-        if (response.ok) {
-            // Update contact status locally
-            currentContact.isCredentialed = true;
-            displayContact(currentContact);
-            
-            // Refresh statistics
-            loadStatistics();
-        } else {
-            console.warn('Failed to mark contact as credentialed in database');
-        }
-    } catch (error) {
-        console.warn('Failed to mark contact as credentialed:', error);
-    }
-}
-
 // Un-credential contact
 async function unCredential() {
     if (!currentContact || !currentEvent) {
@@ -1408,6 +1533,7 @@ async function saveContact() {
                 
                 // Show credential button for the new contact
                 document.getElementById('printBtn').style.display = 'block';
+                document.getElementById('reprintBtn').style.display = 'none';
                 document.getElementById('unCredentialBtn').style.display = 'none';
                 
                 // Refresh statistics
@@ -1465,11 +1591,6 @@ async function createEvent() {
         currentEvent = event;
         window.currentEvent = currentEvent; // Update global reference
         
-        // Import CSV if provided
-        if (csvFile) {
-            await importCSV(event.id, csvFile);
-        }
-
         // Upload PDFs if provided
         try {
             if (mergedPdfFile) {
@@ -1507,59 +1628,1316 @@ async function createEvent() {
         // Clear form
         document.getElementById('eventForm').reset();
         
+        // Map and import the CSV if provided
+        if (csvFile) {
+            await importCSV(event.id, csvFile);
+        }
+        
+    } catch (error) {
+        console.error('Failed to create event:', error);
+        showError(error.message || 'Failed to create event.');
+    }
+}
+
+// Refresh available fields in all components after CSV import
+async function refreshAvailableFields() {
+    console.log('🔄 Refreshing available fields after CSV import...');
+    
+    // Refresh Visual Designer fields if instance exists
+    if (window.visualDesigner) {
+        console.log('📝 Refreshing Visual Designer fields...');
+        await window.visualDesigner.loadAvailableFields();
+        window.visualDesigner.updateFieldSelector();
+    }
+    
+    // Refresh Modern Label Designer fields if instance exists
+    if (window.modernLabelDesigner) {
+        console.log('🎨 Refreshing Modern Label Designer fields...');
+        await window.modernLabelDesigner.loadAvailableFields();
+    }
+    
+    // Notify user that fields have been updated
+    showSuccess('Available fields updated with new CSV data!');
+    
+    console.log('✅ Field refresh complete');
+}
+
+// Import CSV: upload for a preview, then map the columns in the wizard.
+// In 'reimport' mode the mapped roster is compared with the event's contacts.
+// options.sheet and options.headerRow re-read a workbook another way;
+// options.replaceUploadId drops the staged copy read the previous way
+async function importCSV(eventId, file, mode = 'import', options = {}) {
+    const formData = new FormData();
+    formData.append('csvFile', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value) {
+            formData.append(key, value);
+        }
+    });
+    
+    try {
+        const [previewResponse, profilesResponse] = await Promise.all([
+            fetch(`/api/events/${eventId}/import-csv/preview`, { method: 'POST', body: formData }),
+            fetch('/api/import-profiles')
+        ]);
+        
+        const preview = await previewResponse.json();
+        if (!previewResponse.ok) {
+            throw new Error(preview.error || 'CSV import failed.');
+        }
+        const { profiles } = profilesResponse.ok ? await profilesResponse.json() : { profiles: [] };
+        
+        pendingImport = { eventId, file, preview, profiles, mode };
+        showImportMapping();
+    } catch (error) {
+        console.error('CSV import failed:', error);
+        showError(error.message || 'CSV import failed.');
+    }
+}
+
+function showImportMapping() {
+    const { preview, profiles } = pendingImport;
+    
+    document.getElementById('importMappingSummary').textContent =
+        `${preview.originalFilename}: ${preview.rowCount} rows, ${preview.headers.length} columns.` +
+        (preview.profile ? ` Mapped with the saved profile "${preview.profile.name}".` : '');
+    
+    const sheetSelect = document.getElementById('importSheet');
+    sheetSelect.innerHTML = '';
+    preview.sheets.forEach(sheet => {
+        const option = document.createElement('option');
+        option.value = sheet;
+        option.textContent = sheet;
+        sheetSelect.appendChild(option);
+    });
+    sheetSelect.value = preview.sheet || '';
+    document.getElementById('importSheetGroup').classList.toggle('d-none', preview.sheets.length === 0);
+    document.getElementById('importHeaderRow').value = preview.headerRow;
+    
+    const profileSelect = document.getElementById('importProfileSelect');
+    profileSelect.innerHTML = '<option value="">Guess from column names</option>';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.source ? `${profile.name} (${profile.source})` : profile.name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = preview.profile ? preview.profile.id : '';
+    
+    const fieldOptions = '<option value="">Custom field only</option>' + preview.fields
+        .map(field => `<option value="${field.field}">${field.label}${field.required ? ' *' : ''}</option>`)
+        .join('');
+    
+    const tbody = document.getElementById('importMappingBody');
+    tbody.innerHTML = '';
+    preview.headers.forEach(header => {
+        const row = document.createElement('tr');
+        row.dataset.header = header;
+        row.innerHTML = `
+            <td class="column-name fw-semibold"></td>
+            <td class="column-sample text-muted small"></td>
+            <td><select class="form-select form-select-sm column-field">${fieldOptions}</select></td>
+        `;
+        row.querySelector('.column-name').textContent = header;
+        row.querySelector('.column-sample').textContent = preview.sampleRows
+            .map(sample => sample[header]).filter(Boolean).slice(0, 2).join(', ');
+        tbody.appendChild(row);
+    });
+    setImportMapping(preview.suggestedMapping);
+    
+    const reimport = pendingImport.mode === 'reimport';
+    document.getElementById('importKeyColumnGroup').classList.toggle('d-none', !reimport);
+    document.getElementById('commitImportLabel').textContent = reimport ? 'Compare with Current Roster' : 'Import Contacts';
+    const keySelect = document.getElementById('importKeyColumn');
+    keySelect.innerHTML = '<option value="">First and last name</option>';
+    preview.headers.forEach(header => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header;
+        keySelect.appendChild(option);
+    });
+    
+    document.getElementById('importValidation').classList.add('d-none');
+    document.getElementById('importSaveProfile').checked = false;
+    document.getElementById('importSaveProfileFields').classList.add('d-none');
+    document.getElementById('importProfileName').value = '';
+    document.getElementById('importProfileSource').value = '';
+    
+    const modalElement = document.getElementById('importMappingModal');
+    (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+}
+
+function setImportMapping(mapping) {
+    document.querySelectorAll('#importMappingBody tr').forEach(row => {
+        row.querySelector('.column-field').value = mapping[row.dataset.header] || '';
+    });
+    updateImportMappingWarning();
+}
+
+function collectImportMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importMappingBody tr').forEach(row => {
+        mapping[row.dataset.header] = row.querySelector('.column-field').value || null;
+    });
+    return mapping;
+}
+
+// Switching profiles re-maps the columns; a profile's columns missing from this CSV stay unmapped
+function applyImportProfile() {
+    const profileId = document.getElementById('importProfileSelect').value;
+    const profile = pendingImport.profiles.find(p => p.id === profileId);
+    if (!profile) {
+        setImportMapping(pendingImport.preview.guessedMapping);
+        return;
+    }
+    
+    setImportMapping(profile.mapping);
+    document.getElementById('importProfileName').value = profile.name;
+    document.getElementById('importProfileSource').value = profile.source || '';
+}
+
+// Warn about unmapped required fields and fields mapped twice
+function updateImportMappingWarning() {
+    const mapping = collectImportMapping();
+    const mapped = Object.values(mapping).filter(Boolean);
+    const fields = pendingImport.preview.fields;
+    
+    const problems = [];
+    const missing = fields.filter(field => field.required && !mapped.includes(field.field));
+    if (missing.length > 0) {
+        problems.push(`Choose the column for ${missing.map(field => field.label).join(' and ')}.`);
+    }
+    const duplicated = fields.filter(field => mapped.filter(value => value === field.field).length > 1);
+    if (duplicated.length > 0) {
+        problems.push(`${duplicated.map(field => field.label).join(', ')} is mapped to more than one column.`);
+    }
+    
+    const warning = document.getElementById('importMappingWarning');
+    warning.textContent = problems.join(' ');
+    warning.classList.toggle('d-none', problems.length === 0);
+    document.getElementById('commitImportBtn').disabled = problems.length > 0;
+}
+
+// Upload the same file again, reading the chosen sheet and header row
+async function rereadImport() {
+    if (!pendingImport) {
+        return;
+    }
+    const { eventId, file, mode, preview } = pendingImport;
+    await importCSV(eventId, file, mode, {
+        sheet: document.getElementById('importSheet').value,
+        headerRow: document.getElementById('importHeaderRow').value,
+        replaceUploadId: preview.uploadId
+    });
+}
+
+// onInvalid is the operator's choice once validation has rejected rows
+async function commitImport(onInvalid = null) {
+    if (!pendingImport) {
+        return;
+    }
+    if (pendingImport.mode === 'reimport') {
+        await compareRoster();
+        return;
+    }
+    
+    const body = {
+        uploadId: pendingImport.preview.uploadId,
+        mapping: collectImportMapping()
+    };
+    if (onInvalid) {
+        body.onInvalid = onInvalid;
+    }
+    if (document.getElementById('importSaveProfile').checked) {
+        const name = document.getElementById('importProfileName').value.trim();
+        if (!name) {
+            showError('Enter a name for the profile.');
+            return;
+        }
+        body.saveProfile = { name, source: document.getElementById('importProfileSource').value.trim() };
+    }
+    
+    const commitButton = document.getElementById('commitImportBtn');
+    commitButton.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/events/${pendingImport.eventId}/import-csv/commit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        const started = await response.json();
+        if (response.status === 409 && started.requiresDecision) {
+            showImportValidation(started);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(started.error || 'CSV import failed.');
+        }
+        document.getElementById('importValidation').classList.add('d-none');
+        if (started.aborted) {
+            pendingImport = null;
+            bootstrap.Modal.getInstance(document.getElementById('importMappingModal')).hide();
+            showSuccess(started.message);
+            return;
+        }
+        
+        const job = await waitForImportJob(started);
+        if (job.status === 'failed') {
+            throw new Error(`CSV import failed and was rolled back: ${job.error}`);
+        }
+        
+        pendingImport = null;
+        bootstrap.Modal.getInstance(document.getElementById('importMappingModal')).hide();
+        const skipped = job.result.skippedRows ? ` ${job.result.skippedRows} invalid rows skipped.` : '';
+        showSuccess(`CSV imported successfully! ${job.result.contactCount} contacts loaded.${skipped}`);
+        loadStatistics();
+        
+        // Refresh available fields in all components that use them
+        await refreshAvailableFields();
+    } catch (error) {
+        console.error('CSV import failed:', error);
+        showError(error.message || 'CSV import failed.');
+    } finally {
+        document.getElementById('importProgress').classList.add('d-none');
+        commitButton.disabled = false;
+    }
+}
+
+// Rows failed validation: list the first issues and offer the three choices
+function showImportValidation(result) {
+    const { summary, issues, reportUrl } = result.validation;
+    document.getElementById('importValidationSummary').textContent =
+        `${summary.rejectedRows} of ${summary.totalRows} rows failed validation` +
+        (summary.warnings ? ` (${summary.warnings} warnings).` : '.');
+    
+    const list = document.getElementById('importValidationIssues');
+    list.innerHTML = '';
+    issues.slice(0, 10).forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${issue.line}: ${issue.message}${issue.severity === 'warning' ? ' (warning)' : ''}`;
+        list.appendChild(item);
+    });
+    
+    const reportLink = document.getElementById('importValidationReport');
+    reportLink.href = reportUrl || '#';
+    reportLink.classList.toggle('d-none', !reportUrl);
+    document.getElementById('importValidation').classList.remove('d-none');
+}
+
+// Poll an import job, updating the progress bar, until it finishes
+async function waitForImportJob(job) {
+    const progress = document.getElementById('importProgress');
+    const bar = document.getElementById('importProgressBar');
+    const text = document.getElementById('importProgressText');
+    progress.classList.remove('d-none');
+    
+    while (job.status === 'running') {
+        bar.style.width = `${job.percent}%`;
+        bar.textContent = `${job.percent}%`;
+        text.textContent = `${job.processed_rows} of ${job.total_rows} rows imported`;
+        
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const response = await fetch(job.statusUrl);
+        if (!response.ok) {
+            throw new Error('Lost track of the import; check the contact list before importing again.');
+        }
+        job = await response.json();
+    }
+    
+    bar.style.width = '100%';
+    bar.textContent = '100%';
+    return job;
+}
+
+// Roster re-import: dry-run diff against the current contacts
+async function compareRoster() {
+    const request = {
+        uploadId: pendingImport.preview.uploadId,
+        mapping: collectImportMapping(),
+        keyColumn: document.getElementById('importKeyColumn').value || null
+    };
+    
+    try {
+        const response = await fetch(`/api/events/${pendingImport.eventId}/reimport/diff`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        const diff = await response.json();
+        if (!response.ok) {
+            throw new Error(diff.error || 'Failed to compare roster.');
+        }
+        
+        pendingImport.request = request;
+        bootstrap.Modal.getInstance(document.getElementById('importMappingModal')).hide();
+        renderRosterDiff(diff);
+        const modalElement = document.getElementById('rosterDiffModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to compare roster:', error);
+        showError(error.message || 'Failed to compare roster.');
+    }
+}
+
+// One table row with a selection checkbox followed by text cells
+function rosterDiffRow(id, checked, disabled, cells) {
+    const row = document.createElement('tr');
+    row.dataset.id = id;
+    const checkCell = document.createElement('td');
+    checkCell.innerHTML = '<input type="checkbox" class="form-check-input roster-select">';
+    const checkbox = checkCell.querySelector('input');
+    checkbox.checked = checked;
+    checkbox.disabled = disabled;
+    row.appendChild(checkCell);
+    cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text ?? '';
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function renderRosterDiff(diff) {
+    const { summary } = diff;
+    document.getElementById('rosterDiffSummary').textContent =
+        `${summary.added} added, ${summary.changed} changed, ${summary.removed} not on the new roster, ` +
+        `${summary.unchanged} unchanged. Matched on ${diff.keyColumn || 'first and last name'}.`;
+    
+    const conflicts = document.getElementById('rosterDiffConflicts');
+    conflicts.innerHTML = '';
+    diff.conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.textContent = conflict.message;
+        conflicts.appendChild(item);
+    });
+    
+    document.getElementById('rosterAddedCount').textContent = summary.added;
+    document.getElementById('rosterChangedCount').textContent = summary.changed;
+    document.getElementById('rosterRemovedCount').textContent = summary.removed;
+    
+    const addedBody = document.getElementById('rosterAddedBody');
+    addedBody.innerHTML = '';
+    diff.added.forEach(item => {
+        addedBody.appendChild(rosterDiffRow(item.row, true, false,
+            [item.row, item.name, item.category ? formatCategory(item.category) : '', item.district]));
+    });
+    
+    const changedBody = document.getElementById('rosterChangedBody');
+    changedBody.innerHTML = '';
+    diff.changed.forEach(item => {
+        const changes = item.changes
+            .map(change => `${change.field}: ${change.from ?? ''} → ${change.to ?? ''}`)
+            .join('; ');
+        const row = rosterDiffRow(item.contactId, !item.blocked, Boolean(item.blocked), [item.row, item.name, changes]);
+        if (item.credentialed) {
+            row.classList.add('table-warning');
+        }
+        changedBody.appendChild(row);
+    });
+    
+    const removedBody = document.getElementById('rosterRemovedBody');
+    removedBody.innerHTML = '';
+    diff.removed.forEach(item => {
+        const note = { credentialed: 'Credentialed', seat_upgrade: 'In a seat upgrade', printing: 'Badge printing' }[item.blocked] || '';
+        removedBody.appendChild(rosterDiffRow(item.contactId, false, Boolean(item.blocked), [item.row, item.name, note]));
+    });
+    
+    document.getElementById('rosterAcknowledge').checked = false;
+}
+
+function selectedRosterIds(tbodyId) {
+    return Array.from(document.querySelectorAll(`#${tbodyId} tr`))
+        .filter(row => row.querySelector('.roster-select').checked)
+        .map(row => row.dataset.id);
+}
+
+async function applyRoster() {
+    if (!pendingImport || !pendingImport.request) {
+        return;
+    }
+    
+    const body = {
+        ...pendingImport.request,
+        add: selectedRosterIds('rosterAddedBody').map(Number),
+        update: selectedRosterIds('rosterChangedBody'),
+        remove: selectedRosterIds('rosterRemovedBody'),
+        acknowledgeConflicts: document.getElementById('rosterAcknowledge').checked
+    };
+    
+    try {
+        const response = await fetch(`/api/events/${pendingImport.eventId}/reimport/apply`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to apply roster.');
+        }
+        
+        pendingImport = null;
+        bootstrap.Modal.getInstance(document.getElementById('rosterDiffModal')).hide();
+        showSuccess(result.message);
+        loadStatistics();
+        await refreshAvailableFields();
+    } catch (error) {
+        console.error('Failed to apply roster:', error);
+        showError(error.message || 'Failed to apply roster.');
+    }
+}
+
+function formatCategory(category) {
+    return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+// Category rules: template, badge colour and prefix per contact category
+async function showCategoryRules() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const [rulesResponse, templatesResponse] = await Promise.all([
+            fetch(`/api/events/${currentEvent.id}/category-rules`),
+            fetch('/api/templates')
+        ]);
+        if (!rulesResponse.ok || !templatesResponse.ok) {
+            throw new Error('Failed to load category rules.');
+        }
+        const { categories, rules } = await rulesResponse.json();
+        const templates = await templatesResponse.json();
+        
+        const tbody = document.getElementById('categoryRulesBody');
+        tbody.innerHTML = '';
+        categories.forEach(category => {
+            const rule = rules.find(r => r.category === category) || {};
+            const row = document.createElement('tr');
+            row.dataset.category = category;
+            row.innerHTML = `
+                <td>${formatCategory(category)}</td>
+                <td><select class="form-select form-select-sm rule-template"><option value="">Default template</option></select></td>
+                <td>
+                    <div class="input-group input-group-sm">
+                        <span class="input-group-text"><input type="checkbox" class="form-check-input mt-0 rule-color-enabled"></span>
+                        <input type="color" class="form-control form-control-color rule-color">
+                    </div>
+                </td>
+                <td><input type="text" class="form-control form-control-sm rule-prefix" maxlength="10" placeholder="${currentEvent.badge_prefix || ''}"></td>
+            `;
+            
+            const templateSelect = row.querySelector('.rule-template');
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                templateSelect.appendChild(option);
+            });
+            templateSelect.value = rule.template_id || '';
+            row.querySelector('.rule-color-enabled').checked = !!rule.badge_color;
+            row.querySelector('.rule-color').value = rule.badge_color || '#1e88e5';
+            row.querySelector('.rule-prefix').value = rule.badge_prefix || '';
+            tbody.appendChild(row);
+        });
+        
+        new bootstrap.Modal(document.getElementById('categoryRulesModal')).show();
+    } catch (error) {
+        console.error('Failed to load category rules:', error);
+        showError(error.message || 'Failed to load category rules.');
+    }
+}
+
+async function saveCategoryRules() {
+    const rules = [];
+    document.querySelectorAll('#categoryRulesBody tr').forEach(row => {
+        const rule = {
+            category: row.dataset.category,
+            template_id: row.querySelector('.rule-template').value || null,
+            badge_color: row.querySelector('.rule-color-enabled').checked ? row.querySelector('.rule-color').value : null,
+            badge_prefix: row.querySelector('.rule-prefix').value.trim() || null
+        };
+        if (rule.template_id || rule.badge_color || rule.badge_prefix) {
+            rules.push(rule);
+        }
+    });
+    
+    try {
+        const response = await fetch(`/api/events/${currentEvent.id}/category-rules`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rules })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.category ? `${formatCategory(result.category)}: ${result.error}` : result.error);
+        }
+        
+        bootstrap.Modal.getInstance(document.getElementById('categoryRulesModal')).hide();
+        showSuccess('Category rules saved.');
+        
+        // The selected contact's label may now use a different template
+        if (currentContact && currentContact.id) {
+            await selectContact(currentContact.id);
+        }
+    } catch (error) {
+        console.error('Failed to save category rules:', error);
+        showError(error.message || 'Failed to save category rules.');
+    }
+}
+
+// Searchable columns: the contact columns and roster (custom) columns search looks at
+async function showSearchSettings() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/events/${currentEvent.id}/search-settings`);
+        if (!response.ok) {
+            throw new Error('Failed to load search settings.');
+        }
+        const settings = await response.json();
+        const searchAll = settings.search_columns === null;
+        
+        const fillColumns = (containerId, columns) => {
+            const container = document.getElementById(containerId);
+            container.innerHTML = columns.length === 0 ? '<p class="text-muted small mb-0">None imported yet.</p>' : '';
+            // Custom field names come from CSV headers, so they are set as text
+            columns.forEach((column, index) => {
+                const item = document.createElement('div');
+                item.className = 'form-check form-check-inline';
+                const checkbox = document.createElement('input');
+                checkbox.className = 'form-check-input search-column';
+                checkbox.type = 'checkbox';
+                checkbox.id = `${containerId}_${index}`;
+                checkbox.value = column;
+                checkbox.checked = searchAll || settings.search_columns.includes(column);
+                checkbox.disabled = searchAll;
+                const label = document.createElement('label');
+                label.className = 'form-check-label';
+                label.htmlFor = checkbox.id;
+                label.textContent = column;
+                item.append(checkbox, label);
+                container.appendChild(item);
+            });
+        };
+        fillColumns('searchStandardColumns', settings.standardColumns);
+        fillColumns('searchCustomColumns', settings.customFields);
+        document.getElementById('searchAllColumns').checked = searchAll;
+        
+        new bootstrap.Modal(document.getElementById('searchSettingsModal')).show();
+    } catch (error) {
+        console.error('Failed to load search settings:', error);
+        showError(error.message || 'Failed to load search settings.');
+    }
+}
+
+async function saveSearchSettings() {
+    const searchColumns = document.getElementById('searchAllColumns').checked
+        ? null
+        : Array.from(document.querySelectorAll('.search-column:checked')).map(checkbox => checkbox.value);
+    
+    try {
+        const response = await fetch(`/api/events/${currentEvent.id}/search-settings`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ search_columns: searchColumns })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error);
+        }
+        
+        bootstrap.Modal.getInstance(document.getElementById('searchSettingsModal')).hide();
+        showSuccess('Search columns saved.');
+    } catch (error) {
+        console.error('Failed to save search settings:', error);
+        showError(error.message || 'Failed to save search settings.');
+    }
+}
+
+// Likely duplicate contacts. Each pair lists the suggested contact to keep first;
+// "Swap" keeps the other one instead.
+async function showDuplicates() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/contacts/duplicates/${currentEvent.id}`);
+        if (!response.ok) {
+            throw new Error('Failed to find duplicates.');
+        }
+        const { total, minScore, pairs } = await response.json();
+        
+        document.getElementById('duplicatesSummary').textContent = total === 0
+            ? `No pairs of contacts score ${minScore} or more.`
+            : `${total} pair(s) score ${minScore} or more${total > pairs.length ? `; showing the best ${pairs.length}` : ''}. Merging keeps the first contact, fills its blank fields from the second and moves the second's credentials to it.`;
+        
+        // Roster values are set as text so a crafted CSV cannot inject markup
+        const describeContact = contact => {
+            const cell = document.createElement('td');
+            const name = document.createElement('strong');
+            name.textContent = contact.displayName;
+            cell.appendChild(name);
+            if (contact.isCredentialed) {
+                cell.insertAdjacentHTML('beforeend', '<span class="badge bg-success ms-1">Credentialed</span>');
+            }
+            const details = document.createElement('small');
+            details.className = 'd-block text-muted';
+            details.textContent = [contact.birth_date, contact.addressDisplay, contact.email].filter(Boolean).join(' • ');
+            cell.appendChild(details);
+            return cell;
+        };
+        
+        const tbody = document.getElementById('duplicatesBody');
+        tbody.innerHTML = '';
+        pairs.forEach(pair => {
+            const row = document.createElement('tr');
+            row.dataset.contactIds = pair.contacts.map(contact => contact.id).join(' ');
+            const render = () => {
+                row.innerHTML = `
+                    <td>${Math.round(pair.score * 100)}%</td>
+                    <td><small class="duplicate-reasons"></small></td>
+                    <td class="text-nowrap">
+                        <button class="btn btn-sm btn-outline-secondary duplicate-swap" title="Keep the other contact"><i class="fas fa-right-left"></i></button>
+                        <button class="btn btn-sm btn-primary duplicate-merge">Merge</button>
+                    </td>
+                `;
+                row.children[1].before(describeContact(pair.contacts[0]), describeContact(pair.contacts[1]));
+                row.querySelector('.duplicate-reasons').textContent = pair.reasons.join('; ');
+                row.querySelector('.duplicate-swap').addEventListener('click', () => {
+                    pair.contacts.reverse();
+                    render();
+                });
+                row.querySelector('.duplicate-merge').addEventListener('click', () => mergeDuplicate(pair, row));
+            };
+            render();
+            tbody.appendChild(row);
+        });
+        
+        const modalElement = document.getElementById('duplicatesModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to find duplicates:', error);
+        showError(error.message || 'Failed to find duplicates.');
+    }
+}
+
+async function mergeDuplicate(pair, row) {
+    const [survivor, duplicate] = pair.contacts;
+    if (!confirm(`Merge ${duplicate.displayName} into ${survivor.displayName}? ${duplicate.displayName} will be deleted.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/contacts/${survivor.id}/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ duplicateId: duplicate.id })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error);
+        }
+        
+        // Other pairs with the deleted contact are gone too
+        document.querySelectorAll('#duplicatesBody tr').forEach(other => {
+            if (other === row || other.dataset.contactIds.split(' ').includes(duplicate.id)) {
+                other.remove();
+            }
+        });
+        showSuccess(`Merged into ${survivor.displayName}.`);
+        if (currentContact && currentContact.id === duplicate.id) {
+            await selectContact(survivor.id);
+        }
+    } catch (error) {
+        console.error('Failed to merge contacts:', error);
+        showError(error.message || 'Failed to merge contacts.');
+    }
+}
+
+// Seat upgrade status, and the "Seat as Delegate" button for credentialed alternates
+function displaySeatUpgrade(contact) {
+    const info = document.getElementById('seatUpgradeInfo');
+    const upgrade = contact.seat_upgrade;
+    if (upgrade) {
+        info.textContent = upgrade.alternate_id === contact.id
+            ? `Seated as a delegate for district ${upgrade.district}.`
+            : `Absent: an alternate holds this seat for district ${upgrade.district}.`;
+        info.style.display = 'block';
+    } else {
+        info.style.display = 'none';
+    }
+    
+    const canSeat = contact.category === 'alternate' && contact.district && contact.isCredentialed && !upgrade;
+    document.getElementById('seatAlternateBtn').style.display = canSeat ? 'block' : 'none';
+}
+
+async function showSeatAlternateModal() {
+    if (!currentContact || !currentEvent) {
+        return;
+    }
+    
+    try {
+        const district = currentContact.district;
+        const response = await fetch(`/api/seating/${currentEvent.id}/districts/${encodeURIComponent(district)}`);
+        if (!response.ok) {
+            throw new Error('Failed to load district seating.');
+        }
+        const seating = await response.json();
+        
+        const select = document.getElementById('seatDelegateSelect');
+        select.innerHTML = '';
+        seating.absentDelegates.forEach(delegate => {
+            const option = document.createElement('option');
+            option.value = delegate.id;
+            option.textContent = `${delegate.last_name}, ${delegate.first_name}`;
+            select.appendChild(option);
+        });
+        if (seating.absentDelegates.length === 0) {
+            showError(`District ${district} has no absent delegates with an open seat.`);
+            return;
+        }
+        
+        const next = seating.availableAlternates[0];
+        const rank = currentContact.alternate_rank ? `rank ${currentContact.alternate_rank}` : 'unranked';
+        document.getElementById('seatAlternateSummary').textContent =
+            `${currentContact.first_name} ${currentContact.last_name} (${rank}), district ${district}.` +
+            (next && next.id !== currentContact.id ? ` Next in line: ${next.first_name} ${next.last_name}.` : '');
+        document.getElementById('seatNotes').value = '';
+        document.getElementById('seatSkipRankReason').value = '';
+        document.getElementById('seatSkipRank').style.display = 'none';
+        
+        new bootstrap.Modal(document.getElementById('seatAlternateModal')).show();
+    } catch (error) {
+        console.error('Failed to load district seating:', error);
+        showError(error.message || 'Failed to load district seating.');
+    }
+}
+
+async function submitSeatAlternate() {
+    try {
+        const response = await fetch(`/api/seating/${currentEvent.id}/upgrades`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                alternateId: currentContact.id,
+                delegateId: document.getElementById('seatDelegateSelect').value,
+                notes: document.getElementById('seatNotes').value,
+                skipRankReason: document.getElementById('seatSkipRankReason').value
+            })
+        });
+        const result = await response.json();
+        
+        // Out of rank order: ask for a reason and let staff resubmit
+        if (result.requiresSkipReason) {
+            document.getElementById('seatSkipRankMessage').textContent = result.error;
+            document.getElementById('seatSkipRank').style.display = 'block';
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to seat alternate.');
+        }
+        
+        bootstrap.Modal.getInstance(document.getElementById('seatAlternateModal')).hide();
+        showSuccess(`${currentContact.first_name} ${currentContact.last_name} seated as a delegate.`);
+        await selectContact(currentContact.id);
+    } catch (error) {
+        console.error('Failed to seat alternate:', error);
+        showError(error.message || 'Failed to seat alternate.');
+    }
+}
+
+// Quorum: thresholds per event and per group, with the current status of each group
+async function showQuorum() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const [settingsResponse, statusResponse] = await Promise.all([
+            fetch(`/api/seating/${currentEvent.id}/quorum-settings`),
+            fetch(`/api/seating/${currentEvent.id}/quorum`)
+        ]);
+        if (!settingsResponse.ok || !statusResponse.ok) {
+            throw new Error('Failed to load quorum.');
+        }
+        const settings = await settingsResponse.json();
+        const quorum = await statusResponse.json();
+        
+        document.getElementById('quorumPercent').value = settings.quorum_percent ?? '';
+        document.getElementById('quorumGroupBy').value = settings.quorum_group_by;
+        document.getElementById('quorumGroupBy').dataset.saved = settings.quorum_group_by;
+        document.getElementById('quorumGroupColumns').innerHTML = settings.groupColumns
+            .map(column => `<option value="${column}">`).join('');
+        
+        const overall = quorum.overall;
+        document.getElementById('quorumOverall').textContent =
+            `Overall: ${overall.credentialed_seats} of ${overall.allotted_seats} seats credentialed. ` +
+            `Quorum ${overall.quorum_reached ? 'reached' : 'not reached'} (${overall.quorum_required} needed).`;
+        
+        const tbody = document.getElementById('quorumGroupsBody');
+        tbody.innerHTML = '';
+        quorum.groups.filter(group => group.group !== null).forEach(group => {
+            const override = settings.groups.find(g => g.group_value === group.group) || {};
+            const row = document.createElement('tr');
+            row.dataset.group = group.group;
+            row.innerHTML = `
+                <td class="group-name"></td>
+                <td class="text-end">${group.credentialed_seats}</td>
+                <td><input type="number" class="form-control form-control-sm group-seats" min="0" step="1"></td>
+                <td><input type="number" class="form-control form-control-sm group-percent" min="1" max="100" step="any"></td>
+                <td>${group.quorum_reached ? '<span class="credentialed-badge">Yes</span>' : `${group.quorum_required} needed`}</td>
+            `;
+            row.querySelector('.group-name').textContent = group.group;
+            row.querySelector('.group-seats').value = override.allotted_seats ?? '';
+            row.querySelector('.group-seats').placeholder = group.allotted_seats;
+            row.querySelector('.group-percent').value = override.quorum_percent ?? '';
+            row.querySelector('.group-percent').placeholder = settings.quorum_percent ?? 50;
+            tbody.appendChild(row);
+        });
+        
+        const modalElement = document.getElementById('quorumModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to load quorum:', error);
+        showError(error.message || 'Failed to load quorum.');
+    }
+}
+
+async function saveQuorumSettings() {
+    const groupByInput = document.getElementById('quorumGroupBy');
+    const groupBy = groupByInput.value.trim() || 'district';
+    
+    // Group overrides belong to the old grouping, so a new grouping starts without any
+    const groups = [];
+    const rows = groupBy === groupByInput.dataset.saved ? document.querySelectorAll('#quorumGroupsBody tr') : [];
+    rows.forEach(row => {
+        const seats = row.querySelector('.group-seats').value;
+        const percent = row.querySelector('.group-percent').value;
+        if (seats !== '' || percent !== '') {
+            groups.push({ group_value: row.dataset.group, allotted_seats: seats, quorum_percent: percent });
+        }
+    });
+    
+    try {
+        const response = await fetch(`/api/seating/${currentEvent.id}/quorum-settings`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                quorum_percent: document.getElementById('quorumPercent').value,
+                quorum_group_by: groupBy,
+                groups
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save quorum settings.');
+        }
+        
+        showSuccess('Quorum settings saved.');
+        await showQuorum();
+        loadStatistics();
+    } catch (error) {
+        console.error('Failed to save quorum settings:', error);
+        showError(error.message || 'Failed to save quorum settings.');
+    }
+}
+
+async function showSeatingReport() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/seating/${currentEvent.id}/report`);
+        if (!response.ok) {
+            throw new Error('Failed to load seating report.');
+        }
+        const report = await response.json();
+        renderSeatingReport(report);
+        
+        const modalElement = document.getElementById('seatingReportModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to load seating report:', error);
+        showError(error.message || 'Failed to load seating report.');
+    }
+}
+
+function renderSeatingReport(report) {
+    const tbody = document.getElementById('seatingReportBody');
+    tbody.innerHTML = '';
+    const rows = [...report.districts, { district: 'Total', ...report.totals }];
+    rows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (index === rows.length - 1) {
+            tr.className = 'fw-bold';
+        }
+        [row.district, row.delegate_seats, row.seated_delegates, row.upgraded_alternates, row.unfilled_seats].forEach((value, column) => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            if (column > 0) {
+                td.className = 'text-end';
+            }
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    
+    const list = document.getElementById('seatUpgradesList');
+    list.innerHTML = '';
+    const upgrades = report.districts.flatMap(district => district.upgrades);
+    if (upgrades.length === 0) {
+        list.innerHTML = '<p class="text-muted small">No alternates have been seated.</p>';
+        return;
+    }
+    upgrades.forEach(upgrade => {
+        const item = document.createElement('div');
+        item.className = 'd-flex justify-content-between align-items-center border-bottom py-1';
+        const text = document.createElement('span');
+        text.textContent = `District ${upgrade.district}: ${upgrade.alternate_first_name} ${upgrade.alternate_last_name} ` +
+            `for ${upgrade.delegate_first_name} ${upgrade.delegate_last_name}`;
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'btn btn-outline-danger btn-sm';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.addEventListener('click', () => revokeSeatUpgrade(upgrade.id));
+        item.appendChild(text);
+        item.appendChild(revokeBtn);
+        list.appendChild(item);
+    });
+}
+
+async function revokeSeatUpgrade(upgradeId) {
+    const reason = prompt('Reason for revoking this seat upgrade (e.g. delegate arrived):');
+    if (reason === null) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/seating/${currentEvent.id}/upgrades/${upgradeId}/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to revoke seat upgrade.');
+        }
+        
+        showSuccess('Seat upgrade revoked.');
+        await showSeatingReport();
+        if (currentContact && currentContact.id) {
+            await selectContact(currentContact.id);
+        }
+    } catch (error) {
+        console.error('Failed to revoke seat upgrade:', error);
+        showError(error.message || 'Failed to revoke seat upgrade.');
+    }
+}
+
+// Attendance: whether the contact is checked in, and the button to change it
+function displayCheckinStatus(contact) {
+    const latest = contact.last_checkin;
+    document.getElementById('checkinStatus').textContent = latest
+        ? `${contact.checked_in ? 'Checked in' : 'Checked out'} at ${new Date(latest.created_at).toLocaleTimeString()}`
+        : 'Not checked in';
+    document.getElementById('checkInBtn').style.display = contact.checked_in ? 'none' : 'block';
+    document.getElementById('checkOutBtn').style.display = contact.checked_in ? 'block' : 'none';
+}
+
+async function recordCheckin(action) {
+    if (!currentContact || !currentEvent) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/checkins/${currentEvent.id}/contacts/${currentContact.id}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to record check-in.');
+        }
+        
+        const name = `${currentContact.first_name} ${currentContact.last_name}`;
+        showSuccess(action === 'check_in' ? `${name} checked in.` : `${name} checked out.`);
+        await selectContact(currentContact.id);
+        loadStatistics();
+    } catch (error) {
+        console.error('Failed to record check-in:', error);
+        showError(error.message || 'Failed to record check-in.');
+    }
+}
+
+// Who is checked in now, by district and by category
+async function showPresence() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/checkins/${currentEvent.id}/presence`);
+        if (!response.ok) {
+            throw new Error('Failed to load presence.');
+        }
+        const presence = await response.json();
+        
+        document.getElementById('presenceOverall').textContent =
+            `${presence.present} of ${presence.total} contacts checked in ` +
+            `(as of ${new Date(presence.generatedAt).toLocaleTimeString()}).`;
+        
+        const fillTable = (tbodyId, groups, key, label) => {
+            const tbody = document.getElementById(tbodyId);
+            tbody.innerHTML = '';
+            groups.forEach(group => {
+                const row = document.createElement('tr');
+                row.innerHTML = '<td></td><td class="text-end"></td><td class="text-end"></td>';
+                row.cells[0].textContent = group[key] === null ? 'None' : label(group[key]);
+                row.cells[1].textContent = group.present;
+                row.cells[2].textContent = group.total;
+                tbody.appendChild(row);
+            });
+        };
+        fillTable('presenceDistrictBody', presence.by_district, 'district', district => district);
+        fillTable('presenceCategoryBody', presence.by_category, 'category', formatCategory);
+        
+        const modalElement = document.getElementById('presenceModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to load presence:', error);
+        showError(error.message || 'Failed to load presence.');
+    }
+}
+
+async function exportPresenceTimeline() {
+    try {
+        const response = await fetch('/api/exports/export-presence-timeline', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ eventId: currentEvent.id })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Export failed.');
+        }
+        
+        const downloadResponse = await fetch(`/api/exports/download/${result.exportId}`);
+        const blob = await downloadResponse.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = result.filename;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+        
+        showSuccess('Presence timeline exported.');
+    } catch (error) {
+        console.error('Presence timeline export failed:', error);
+        showError(error.message || 'Export failed.');
+    }
+}
+
+// Access zones: who may enter each area, and how many are in it now
+async function showAccessZones() {
+    if (!currentEvent) {
+        showError('Please select an event first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/zones/${currentEvent.id}`);
+        if (!response.ok) {
+            throw new Error('Failed to load access zones.');
+        }
+        const { zones } = await response.json();
+        
+        const tbody = document.getElementById('accessZonesBody');
+        tbody.innerHTML = '';
+        [...zones, null].forEach(zone => tbody.appendChild(accessZoneRow(zone)));
+        
+        const modalElement = document.getElementById('accessZonesModal');
+        (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+    } catch (error) {
+        console.error('Failed to load access zones:', error);
+        showError(error.message || 'Failed to load access zones.');
+    }
+}
+
+// An editable zone row; null gives the row that adds a new zone
+function accessZoneRow(zone) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" class="form-control form-control-sm zone-name" placeholder="New zone"></td>
+        <td><input type="number" class="form-control form-control-sm zone-capacity" min="1" step="1" style="width: 90px;"></td>
+        <td class="text-center"><input type="checkbox" class="form-check-input zone-open"></td>
+        <td><textarea class="form-control form-control-sm zone-rules" rows="2" placeholder="category = delegate"></textarea></td>
+        <td class="small zone-contacts"></td>
+        <td class="text-end zone-present"></td>
+        <td class="text-nowrap"></td>
+    `;
+    const actions = row.lastElementChild;
+    
+    if (zone) {
+        const contactRules = zone.rules.filter(rule => rule.contact_id);
+        row.querySelector('.zone-name').value = zone.name;
+        row.querySelector('.zone-capacity').value = zone.capacity ?? '';
+        row.querySelector('.zone-open').checked = Boolean(zone.open_to_all);
+        row.querySelector('.zone-rules').value = zone.rules
+            .filter(rule => rule.field)
+            .map(rule => `${rule.field} = ${rule.value}`)
+            .join('\n');
+        row.querySelector('.zone-contacts').textContent = contactRules
+            .map(rule => `${rule.first_name || ''} ${rule.last_name || ''}`.trim())
+            .join(', ');
+        row.querySelector('.zone-present').textContent = zone.capacity ? `${zone.present} / ${zone.capacity}` : zone.present;
+    }
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'btn btn-sm btn-primary me-1';
+    saveBtn.textContent = zone ? 'Save' : 'Add';
+    saveBtn.addEventListener('click', () => saveAccessZone(row, zone));
+    actions.appendChild(saveBtn);
+    
+    if (zone) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-sm btn-outline-danger';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.title = 'Delete zone';
+        deleteBtn.addEventListener('click', () => deleteAccessZone(zone));
+        actions.appendChild(deleteBtn);
+    }
+    return row;
+}
+
+async function saveAccessZone(row, zone) {
+    const rules = [];
+    const lines = row.querySelector('.zone-rules').value.split('\n').map(line => line.trim()).filter(Boolean);
+    for (const line of lines) {
+        const separator = line.indexOf('=');
+        if (separator < 1) {
+            showError(`"${line}" is not a column = value rule.`);
+            return;
+        }
+        rules.push({ field: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() });
+    }
+    
+    try {
+        const response = await fetch(zone ? `/api/zones/${currentEvent.id}/${zone.id}` : `/api/zones/${currentEvent.id}`, {
+            method: zone ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: row.querySelector('.zone-name').value,
+                capacity: row.querySelector('.zone-capacity').value,
+                open_to_all: row.querySelector('.zone-open').checked,
+                rules
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save access zone.');
+        }
+        
+        showSuccess(`Access zone ${result.name} saved.`);
+        await showAccessZones();
+        loadStatistics();
+    } catch (error) {
+        console.error('Failed to save access zone:', error);
+        showError(error.message || 'Failed to save access zone.');
+    }
+}
+
+async function deleteAccessZone(zone) {
+    if (!confirm(`Delete the access zone ${zone.name}? Its scan history is kept.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/zones/${currentEvent.id}/${zone.id}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to delete access zone.');
+        }
+        
+        showSuccess(`Access zone ${zone.name} deleted.`);
+        await showAccessZones();
+        loadStatistics();
     } catch (error) {
-        console.error('Failed to create event:', error);
-        showError(error.message || 'Failed to create event.');
+        console.error('Failed to delete access zone:', error);
+        showError(error.message || 'Failed to delete access zone.');
     }
 }
 
-// Refresh available fields in all components after CSV import
-async function refreshAvailableFields() {
-    console.log('🔄 Refreshing available fields after CSV import...');
-    
-    // Refresh Visual Designer fields if instance exists
-    if (window.visualDesigner) {
-        console.log('📝 Refreshing Visual Designer fields...');
-        await window.visualDesigner.loadAvailableFields();
-        window.visualDesigner.updateFieldSelector();
-    }
-    
-    // Refresh Modern Label Designer fields if instance exists
-    if (window.modernLabelDesigner) {
-        console.log('🎨 Refreshing Modern Label Designer fields...');
-        await window.modernLabelDesigner.loadAvailableFields();
+// The zones a contact may enter, with individual access they can be given or lose
+function displayContactZones(contact) {
+    const zones = contact.access_zones || [];
+    document.getElementById('contactZones').style.display = zones.length > 0 ? 'block' : 'none';
+    
+    const list = document.getElementById('contactZonesList');
+    list.innerHTML = '';
+    zones.filter(zone => zone.allowed_via).forEach(zone => {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-secondary me-1';
+        badge.textContent = zone.name;
+        badge.title = zone.allowed_via === 'open' ? 'Open to all' : zone.allowed_via === 'contact' ? 'Allowed individually' : zone.allowed_via;
+        if (zone.allowed_via === 'contact') {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white btn-sm ms-1';
+            removeBtn.style.fontSize = '0.5rem';
+            removeBtn.title = 'Remove individual access';
+            removeBtn.addEventListener('click', () => setContactZoneAccess(zone.id, false));
+            badge.appendChild(removeBtn);
+        }
+        list.appendChild(badge);
+    });
+    if (!list.children.length) {
+        list.innerHTML = '<small class="text-muted">No zones</small>';
     }
     
-    // Notify user that fields have been updated
-    showSuccess('Available fields updated with new CSV data!');
-    
-    console.log('✅ Field refresh complete');
+    const select = document.getElementById('contactZoneSelect');
+    select.innerHTML = '';
+    zones.filter(zone => !zone.allowed_via).forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone.id;
+        option.textContent = zone.name;
+        select.appendChild(option);
+    });
+    select.parentElement.style.display = select.options.length > 0 ? '' : 'none';
 }
 
-// Import CSV
-async function importCSV(eventId, file) {
-    const formData = new FormData();
-    formData.append('csvFile', file);
+async function setContactZoneAccess(zoneId, allowed) {
+    if (!currentContact || !zoneId) {
+        return;
+    }
     
     try {
-        const response = await fetch(`/api/events/${eventId}/import-csv`, {
-            method: 'POST',
-            body: formData
+        const response = await fetch(`/api/zones/${currentEvent.id}/${zoneId}/contacts/${currentContact.id}`, {
+            method: allowed ? 'PUT' : 'DELETE'
         });
-        
         const result = await response.json();
-        
-        if (response.ok) {
-            showSuccess(`CSV imported successfully! ${result.contactCount} contacts loaded.`);
-            
-            // Refresh available fields in all components that use them
-            await refreshAvailableFields();
-        } else {
-            throw new Error(result.error || 'CSV import failed.');
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to change zone access.');
         }
+        
+        await selectContact(currentContact.id);
     } catch (error) {
-        console.error('CSV import failed:', error);
-        showError(error.message || 'CSV import failed.');
+        console.error('Failed to change zone access:', error);
+        showError(error.message || 'Failed to change zone access.');
     }
 }
 
@@ -1808,6 +3186,8 @@ async function printStats() {
         
         if (response.ok) {
             showSuccess('Statistics label printed successfully!');
+            // The per-group quorum breakdown doesn't fit on a label; print it as a page
+            window.open(`${result.quorumReportUrl}?autoprint=1`, '_blank');
         } else {
             throw new Error(result.error || 'Failed to print statistics.');
         }
@@ -1834,7 +3214,10 @@ function showManualAdd() {
     document.getElementById('contactName').textContent = 'New Contact';
     document.getElementById('credentialStatus').innerHTML = '<span class="ready-badge">Ready to Add</span>';
     document.getElementById('printBtn').style.display = 'none';
+    document.getElementById('reprintBtn').style.display = 'none';
     document.getElementById('unCredentialBtn').style.display = 'none';
+    document.getElementById('seatAlternateBtn').style.display = 'none';
+    document.getElementById('seatUpgradeInfo').style.display = 'none';
     
     // Clear current contact
     currentContact = null;
@@ -1853,13 +3236,15 @@ function showSuccess(message) {
         <div class="toast align-items-center text-white bg-success border-0" role="alert" aria-live="assertive" aria-atomic="true">
             <div class="d-flex">
                 <div class="toast-body">
-                    <i class="fas fa-check-circle me-2"></i>${message}
+                    <i class="fas fa-check-circle me-2"></i>
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
             </div>
         </div>
     `;
     
+    // Messages can carry contact names from the roster, so they go in as text
+    toast.querySelector('.toast-body').append(message);
     document.body.appendChild(toast);
     
     // Initialize and show the toast
@@ -1885,13 +3270,15 @@ function showError(message) {
         <div class="toast align-items-center text-white bg-danger border-0" role="alert" aria-live="assertive" aria-atomic="true">
             <div class="d-flex">
                 <div class="toast-body">
-                    <i class="fas fa-exclamation-circle me-2"></i>${message}
+                    <i class="fas fa-exclamation-circle me-2"></i>
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
             </div>
         </div>
     `;
     
+    // Messages can carry contact names from the roster, so they go in as text
+    toast.querySelector('.toast-body').append(message);
     document.body.appendChild(toast);
     
     // Initialize and show the toast
@@ -2376,6 +3763,15 @@ function createCanvasElement(element, isFoldPreview = false) {
             cursor: pointer;
             user-select: none;
         `;
+    } else if (element.type === 'barcode') {
+        const img = document.createElement('img');
+        img.src = barcodePreviewUrl(element);
+        img.alt = element.content || '';
+        img.style.cssText = 'width: 100%; height: 100%; display: block; pointer-events: none;';
+        img.onerror = () => {
+            div.textContent = `Invalid barcode: ${element.content || ''}`;
+        };
+        div.appendChild(img);
     } else if (element.type === 'textArea') {
         div.style.cssText = `
             position: absolute;
@@ -2628,6 +4024,46 @@ function updatePropertiesPanel(element) {
             </div>
         `;
         
+        setupPropertyListeners(element);
+    } else if (element.type === 'barcode') {
+        propertiesPanel.innerHTML = `
+            <div class="mb-2">
+                <label class="form-label">Type</label>
+                <select class="form-control" id="symbologyInput">
+                    ${BARCODE_SYMBOLOGIES.map(option =>
+                        `<option value="${option.value}" ${element.symbology === option.value ? 'selected' : ''}>${option.label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Content</label>
+                <input type="text" class="form-control" id="contentInput" value="${element.content || ''}">
+                <small class="form-text text-muted">Use {{credentialId}} or a roster column such as {{badgeNumber}}</small>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">CSV Field</label>
+                <select class="form-control" id="csvFieldInput">
+                    <option value="">-- Loading CSV Fields --</option>
+                </select>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">X Position</label>
+                <input type="number" class="form-control" id="xInput" value="${element.x}" step="0.1" min="0" max="4">
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Y Position</label>
+                <input type="number" class="form-control" id="yInput" value="${element.y}" step="0.1" min="0" max="6">
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Width</label>
+                <input type="number" class="form-control" id="widthInput" value="${element.width}" step="0.1" min="0.3" max="4">
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Height</label>
+                <input type="number" class="form-control" id="heightInput" value="${element.height}" step="0.1" min="0.3" max="6">
+            </div>
+        `;
+        
         setupPropertyListeners(element);
     } else if (element.type === 'textArea') {
         propertiesPanel.innerHTML = `
@@ -2654,7 +4090,7 @@ function setupPropertyListeners(element) {
     const contentInput = document.getElementById('contentInput') || document.getElementById('labelInput');
     if (contentInput) {
         contentInput.addEventListener('input', (e) => {
-            if (element.type === 'text') {
+            if (element.type === 'text' || element.type === 'barcode') {
                 element.content = e.target.value;
             } else if (element.type === 'checkbox') {
                 element.label = e.target.value;
@@ -2683,7 +4119,7 @@ function setupPropertyListeners(element) {
         })();
         
         csvFieldInput.addEventListener('change', (e) => {
-            if (element.type === 'text' && e.target.value) {
+            if ((element.type === 'text' || element.type === 'barcode') && e.target.value) {
                 element.content = e.target.value;
                 renderCanvas();
             }
@@ -2776,6 +4212,17 @@ function setupPropertyListeners(element) {
         }
     }
     
+    // Barcode-specific properties
+    if (element.type === 'barcode') {
+        const symbologyInput = document.getElementById('symbologyInput');
+        if (symbologyInput) {
+            symbologyInput.addEventListener('change', (e) => {
+                element.symbology = e.target.value;
+                renderCanvas();
+            });
+        }
+    }
+    
     // Square-specific properties
     if (element.type === 'square') {
         const borderColorInput = document.getElementById('borderColorInput');
@@ -2880,6 +4327,14 @@ function setupToolButtons() {
         });
     }
     
+    // Add Barcode button
+    const addBarcodeBtn = document.getElementById('addBarcodeBtn');
+    if (addBarcodeBtn) {
+        addBarcodeBtn.addEventListener('click', () => {
+            addBarcodeElement();
+        });
+    }
+    
     // Add Text Area button
     const addTextAreaBtn = document.getElementById('addTextAreaBtn');
     if (addTextAreaBtn) {
@@ -3026,6 +4481,23 @@ function addSquareElement() {
     selectElement(newElement);
 }
 
+function addBarcodeElement() {
+    const newElement = {
+        type: 'barcode',
+        id: `barcode-${Date.now()}`,
+        x: 0.5,
+        y: 0.5,
+        width: 3,
+        height: 0.75,
+        symbology: 'code128',
+        content: '{{credentialId}}'
+    };
+    
+    currentDesignerTemplate.config.elements.push(newElement);
+    renderCanvas();
+    selectElement(newElement);
+}
+
 function addPdfBackground() {
     // Create a file input for PDF upload
     const fileInput = document.createElement('input');
@@ -3450,7 +4922,7 @@ function showPdfPreview() {
     setupPdfModalButtons();
 }
 
-function generatePdfPreview() {
+async function generatePdfPreview() {
     const previewContent = document.getElementById('pdfPreviewContent');
     previewContent.innerHTML = '<p class="text-muted">Generating PDF preview...</p>';
     
@@ -3479,8 +4951,8 @@ function generatePdfPreview() {
             emergency_phone: '(555) 987-6543'
         };
         
-        // Generate the PDF preview
-        const pdfBlob = generatePdf(currentDesignerTemplate, sampleContact);
+        // Render the unsaved template on the server
+        const pdfBlob = await renderLabelPdf({ config: currentDesignerTemplate.config, sampleData: sampleContact });
         
         // Display the PDF preview
         displayPdfPreview(pdfBlob);
@@ -3491,555 +4963,28 @@ function generatePdfPreview() {
     }
 }
 
-// Generate PDF from Visual Designer template without requiring a full instance
-async function generateVisualDesignerPDF(template, contactData) {
-    try {
-        console.log('🔄 Generating PDF from Visual Designer template');
-        console.log('Template:', template);
-        console.log('Template config dimensions:', {
-            width: template.config.width,
-            height: template.config.height,
-            elements: template.config.elements.length
-        });
-        console.log('Contact Data:', contactData);
-        
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF({
-            orientation: 'portrait',
-            unit: 'pt',
-            format: [288, 432] // 4x6 inches in points
-        });
-        
-        // Add background image if present
-        const backgroundElement = template.config.elements.find(el => el.type === 'background-image');
-        if (backgroundElement && backgroundElement.content) {
-            try {
-                console.log('🖼️ Adding background image from template');
-                pdf.addImage(backgroundElement.content, 'JPEG', 0, 0, 288, 432);
-            } catch (e) {
-                console.warn('Failed to add background image to PDF:', e);
-            }
-        }
-        
-        // Add text fields
-        const textElements = template.config.elements.filter(el => el.type === 'text');
-        console.log('📝 Processing', textElements.length, 'text elements');
-        
-        textElements.forEach(element => {
-            try {
-                let text;
-                if (element.fieldType === 'customText') {
-                    text = element.content || 'Custom Text';
-                } else {
-                    // For data fields, extract field name from content like {{field_name}}
-                    let fieldType = element.fieldType;
-                    
-                    // If no fieldType, extract from content
-                    if (!fieldType && element.content) {
-                        const match = element.content.match(/\{\{(\w+)\}\}/);
-                        fieldType = match ? match[1] : element.type;
-                    }
-                    
-                    // Fallback to element type if nothing else works
-                    if (!fieldType) {
-                        fieldType = element.type;
-                    }
-                    
-                                    console.log(`🔍 Looking for field: "${fieldType}" (extracted from: "${element.content}") in contact data`);
-                console.log('Available contact data keys:', Object.keys(contactData));
-                console.log('First 10 keys with values:', Object.keys(contactData).slice(0, 10).map(key => `${key}: "${contactData[key]}"`));
-                    
-                    // Use unified field mapping function
-                    const fieldValue = window.mapFieldValue ? window.mapFieldValue(fieldType, contactData) : null;
-                    
-                    text = fieldValue || `[${fieldType}]`;
-                    if (!fieldValue) {
-                        console.log(`❌ No value found for field: ${fieldType}`);
-                    }
-                }
-                
-                console.log(`📄 Adding text: "${text}" at (${element.x}, ${element.y})`);
-                
-                // Set font properties
-                pdf.setFont(element.fontFamily?.toLowerCase() || 'arial');
-                if (element.bold) {
-                    pdf.setFont(element.fontFamily?.toLowerCase() || 'arial', 'bold');
-                }
-                pdf.setFontSize(element.fontSize || 12);
-                
-                // STANDARDIZED: Simple 0.5 scaling for 576x864 -> 288x432
-                const scaleX = 0.5;  // 288 / 576
-                const scaleY = 0.5;  // 432 / 864
-                const x = element.x * scaleX;
-                const y = element.y * scaleY;
-                
-                console.log(`📍 STANDARDIZED: VD(${element.x}, ${element.y}) -> PDF(${x.toFixed(1)}, ${y.toFixed(1)}) [Scale: 0.5x0.5]`);
-                
-                // Apply text alignment exactly like Visual Designer
-                let align = 'left';
-                if (element.textAlign === 'center') align = 'center';
-                else if (element.textAlign === 'right') align = 'right';
-                
-                // Add text to PDF with same positioning as Visual Designer
-                const finalY = y + (element.fontSize || 12);
-                pdf.text(text, x, finalY, { align: align });
-                
-                console.log(`📄 Final text position: (${x.toFixed(1)}, ${finalY.toFixed(1)})`);
-                console.log(`✅ Field "${fieldType}" successfully added to PDF with text: "${text}"`);
-                
-            } catch (e) {
-                console.warn('Failed to add text element to PDF:', element, e);
-            }
-        });
-        
-        console.log('✅ Visual Designer PDF generated successfully');
-        return pdf;
-        
-    } catch (error) {
-        console.error('❌ Error generating Visual Designer PDF:', error);
-        return null;
-    }
-}
-
-function generatePdf(template, contactData) {
-    // Create new PDF document (4" x 6" = 288 x 432 points)
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({
-        orientation: 'portrait',
-        unit: 'pt',
-        format: [288, 432] // 4" x 6"
+// Render a label PDF on the server. Pass templateId or config, plus contactId/eventId or sampleData.
+async function renderLabelPdf(request) {
+    const response = await fetch('/api/templates/render', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request)
     });
     
-    // Debug: Log the contact data and template
-    console.log('=== PDF Generation Debug ===');
-    console.log('Template:', template);
-    console.log('Contact Data:', contactData);
-    console.log('Contact Data Keys:', Object.keys(contactData));
-    
-    // Add PDF background if present
-    if (template.config.backgroundPdf) {
+    if (!response.ok) {
+        let message = `Render failed (${response.status})`;
         try {
-            // Add the background image/PDF to cover the entire page
-            doc.addImage(template.config.backgroundPdf, 'JPEG', 0, 0, 288, 432);
-        } catch (error) {
-            console.warn('Failed to add PDF background to print document:', error);
+            const result = await response.json();
+            message = result.details || result.error || message;
+        } catch (e) {
+            // Non-JSON error body
         }
+        throw new Error(message);
     }
     
-    // Set default font
-    doc.setFont('helvetica');
-    
-    // Process each element in the template
-    template.config.elements.forEach(element => {
-        // CORRECT coordinate conversion: Visual Designer canvas (576x864) -> PDF (288x432)
-        const scaleX = 288 / 576; // = 0.5
-        const scaleY = 432 / 864; // = 0.5
-        const x = element.x * scaleX;
-        const y = element.y * scaleY;
-        
-        if (element.type === 'text') {
-            // Process text content with placeholders
-            let content = element.content || '';
-            console.log(`Processing text element: "${content}"`);
-            
-            // Replace all placeholders with actual data using a more flexible approach
-            content = content.replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
-                console.log(`Replacing placeholder: ${match} with field: ${fieldName}`);
-                
-                // Convert field name to camelCase for standard fields
-                const camelCaseField = fieldName.replace(/([-_][a-z])/g, (g) => g[1].toUpperCase());
-                console.log(`CamelCase field: ${camelCaseField}`);
-                
-                // Check if it's a standard field first (camelCase)
-                if (contactData[camelCaseField] !== undefined) {
-                    console.log(`Found in standard fields (camelCase): ${contactData[camelCaseField]}`);
-                    return contactData[camelCaseField] || '';
-                }
-                
-                // Check if it's a direct field match
-                if (contactData[fieldName] !== undefined) {
-                    console.log(`Found in direct fields: ${contactData[fieldName]}`);
-                    return contactData[fieldName] || '';
-                }
-                
-                // Check if it's in custom fields
-                if (contactData.custom_fields) {
-                    try {
-                        const customFields = JSON.parse(contactData.custom_fields);
-                        console.log('Custom fields:', customFields);
-                        if (customFields[fieldName] !== undefined) {
-                            console.log(`Found in custom fields: ${customFields[fieldName]}`);
-                            return customFields[fieldName] || '';
-                        }
-                    } catch (e) {
-                        console.warn('Failed to parse custom fields for PDF generation:', e);
-                    }
-                }
-                
-                // Try to find a field that matches ignoring case and special characters
-                const allKeys = Object.keys(contactData);
-                const normalizedFieldName = fieldName.toLowerCase().replace(/[^a-z0-9]/g, '');
-                
-                for (const key of allKeys) {
-                    const normalizedKey = key.toLowerCase().replace(/[^a-z0-9]/g, '');
-                    if (normalizedKey === normalizedFieldName) {
-                        console.log(`Found field by normalized match: ${key} = ${contactData[key]}`);
-                        return contactData[key] || '';
-                    }
-                }
-                
-                // Check custom fields with normalized matching
-                if (contactData.custom_fields) {
-                    try {
-                        const customFields = JSON.parse(contactData.custom_fields);
-                        const customKeys = Object.keys(customFields);
-                        
-                        for (const key of customKeys) {
-                            const normalizedKey = key.toLowerCase().replace(/[^a-z0-9]/g, '');
-                            if (normalizedKey === normalizedFieldName) {
-                                console.log(`Found custom field by normalized match: ${key} = ${customFields[key]}`);
-                                return customFields[key] || '';
-                            }
-                        }
-                    } catch (e) {
-                        console.warn('Failed to parse custom fields for normalized matching:', e);
-                    }
-                }
-                
-                console.log(`No match found for field: ${fieldName}, returning original placeholder`);
-                console.log(`Available keys:`, Object.keys(contactData));
-                // Return the original placeholder if no match found
-                return match;
-            });
-            
-            console.log(`Final content after replacement: "${content}"`);
-            
-            // Set font properties
-            const fontSize = element.fontSize || 12;
-            doc.setFontSize(fontSize);
-            
-            // Set text color
-            if (element.color) {
-                doc.setTextColor(element.color);
-            }
-            
-            // Set font weight
-            if (element.bold) {
-                doc.setFont('helvetica', 'bold');
-            }
-            
-            // Text positioning with proper alignment (matching Visual Designer)
-            let align = 'left';
-            if (element.textAlign === 'center') align = 'center';
-            else if (element.textAlign === 'right') align = 'right';
-            
-            // Add text to PDF (same positioning as Visual Designer)
-            const finalY = y + fontSize;
-            doc.text(content, x, finalY, { align: align });
-            
-            // Reset font to normal
-            doc.setFont('helvetica', 'normal');
-        } else if (element.type === 'checkbox') {
-            // Simple checkbox rendering
-            doc.rect(x, y, 20, 20);
-            if (element.checked) {
-                // Draw normal checkmark
-                doc.line(x + 5, y + 10, x + 8, y + 15);
-                doc.line(x + 8, y + 15, x + 15, y + 5);
-            }
-            
-            // Add label
-            if (element.label) {
-                doc.setFontSize(12);
-                doc.text(element.label, x + 25, y + 15);
-            }
-            
-        } else if (element.type === 'image' && element.imageData) {
-            // Handle image data (base64 or data URL)
-            try {
-                let imageData = element.imageData;
-                let imageType = 'PNG';
-                
-                // If it's a data URL, extract the base64 part
-                if (imageData.startsWith('data:')) {
-                    const parts = imageData.split(',');
-                    imageData = parts[1];
-                    imageType = parts[0].split(':')[1].split(';')[0].split('/')[1].toUpperCase();
-                }
-                
-                // Simple image rendering with correct scaling
-                const scaledWidth = element.width * scaleX;
-                const scaledHeight = element.height * scaleY;
-                doc.addImage(imageData, imageType, x, y, scaledWidth, scaledHeight);
-            } catch (error) {
-                console.error('Failed to add image to PDF:', error);
-                // Fallback to placeholder
-                const scaledWidth = element.width * scaleX;
-                const scaledHeight = element.height * scaleY;
-                doc.rect(x, y, scaledWidth, scaledHeight);
-                doc.setFontSize(10);
-                doc.text('[Image Error]', x + (scaledWidth / 2), y + (scaledHeight / 2), { align: 'center' });
-            }
-        } else if (element.type === 'image') {
-            // Fallback for images without data
-            const scaledWidth = element.width * scaleX;
-            const scaledHeight = element.height * scaleY;
-            doc.rect(x, y, scaledWidth, scaledHeight);
-            doc.setFontSize(10);
-            doc.text('[No Image]', x + (scaledWidth / 2), y + (scaledHeight / 2), { align: 'center' });
-        } else if (element.type === 'line') {
-            // Simple line rendering with correct scaling
-            const thickness = element.thickness || 2;
-            const lineY = y + (thickness / 2);
-            const scaledWidth = element.width * scaleX;
-            
-            if (false) { // Simplified - no fold logic
-                // For bottom half, draw line from right to left to simulate rotation
-                if (element.style === 'dashed') {
-                    // Draw dashed line in reverse
-                    const dashLength = 10;
-                    const gapLength = 5;
-                    let currentX = x + width;
-                    while (currentX > x) {
-                        const startX = Math.max(currentX - dashLength, x);
-                        doc.line(startX, lineY, currentX, lineY);
-                        currentX = startX - gapLength;
-                    }
-                } else if (element.style === 'dotted') {
-                    // Draw dotted line in reverse
-                    const dotSpacing = 8;
-                    let currentX = x + width;
-                    while (currentX > x) {
-                        doc.circle(currentX, lineY, thickness / 2, 'F');
-                        currentX -= dotSpacing;
-                    }
-                } else {
-                    // Draw solid line in reverse
-                    doc.line(x + width, lineY, x, lineY);
-                }
-            } else {
-                // Normal line drawing for top half
-                if (element.style === 'dashed') {
-                    // Draw dashed line
-                    const dashLength = 10;
-                    const gapLength = 5;
-                    let currentX = x;
-                    while (currentX < x + scaledWidth) {
-                        const endX = Math.min(currentX + dashLength, x + scaledWidth);
-                        doc.line(currentX, lineY, endX, lineY);
-                        currentX = endX + gapLength;
-                    }
-                } else if (element.style === 'dotted') {
-                    // Draw dotted line
-                    const dotSpacing = 8;
-                    let currentX = x;
-                    while (currentX < x + scaledWidth) {
-                        doc.circle(currentX, lineY, thickness / 2, 'F');
-                        currentX += dotSpacing;
-                    }
-                } else {
-                    // Draw solid line
-                    doc.line(x, lineY, x + scaledWidth, lineY);
-                }
-            }
-            
-        } else if (element.type === 'square') {
-            // For bottom half elements, we'll handle the square normally
-            // (squares don't need rotation as they look the same from all angles)
-            
-            // Draw square/rectangle
-            if (element.fillColor && element.fillColor !== 'transparent') {
-                doc.setFillColor(element.fillColor);
-                doc.rect(x, y, width, height, 'F');
-            }
-            
-            if (element.borderWidth > 0) {
-                doc.setDrawColor(element.borderColor || '#000000');
-                doc.setLineWidth(element.borderWidth);
-                
-                if (element.borderStyle === 'dashed') {
-                    // Draw dashed border
-                    const dashLength = 10;
-                    const gapLength = 5;
-                    
-                    // Top line
-                    let currentX = x;
-                    while (currentX < x + width) {
-                        const endX = Math.min(currentX + dashLength, x + width);
-                        doc.line(currentX, y, endX, y);
-                        currentX = endX + gapLength;
-                    }
-                    
-                    // Right line
-                    let currentY = y;
-                    while (currentY < y + height) {
-                        const endY = Math.min(currentY + dashLength, y + height);
-                        doc.line(x + width, currentY, x + width, endY);
-                        currentY = endY + gapLength;
-                    }
-                    
-                    // Bottom line
-                    currentX = x;
-                    while (currentX < x + width) {
-                        const endX = Math.min(currentX + dashLength, x + width);
-                        doc.line(currentX, y + height, endX, y + height);
-                        currentX = endX + gapLength;
-                    }
-                    
-                    // Left line
-                    currentY = y;
-                    while (currentY < y + height) {
-                        const endY = Math.min(currentY + dashLength, y + height);
-                        doc.line(x, currentY, x, endY);
-                        currentY = endY + gapLength;
-                    }
-                } else if (element.borderStyle === 'dotted') {
-                    // Draw dotted border
-                    const dotSpacing = 8;
-                    
-                    // Top line
-                    let currentX = x;
-                    while (currentX < x + width) {
-                        doc.circle(currentX, y, element.borderWidth / 2, 'F');
-                        currentX += dotSpacing;
-                    }
-                    
-                    // Right line
-                    let currentY = y;
-                    while (currentY < y + height) {
-                        doc.circle(x + width, currentY, element.borderWidth / 2, 'F');
-                        currentY += dotSpacing;
-                    }
-                    
-                    // Bottom line
-                    currentX = x;
-                    while (currentX < x + width) {
-                        doc.circle(currentX, y + height, element.borderWidth / 2, 'F');
-                        currentX += dotSpacing;
-                    }
-                    
-                    // Left line
-                    currentY = y;
-                    while (currentY < y + height) {
-                        doc.circle(x, currentY, element.borderWidth / 2, 'F');
-                        currentY += dotSpacing;
-                    }
-                } else {
-                    // Draw solid border
-                    doc.rect(x, y, width, height);
-                }
-            }
-            
-        } else if (element.type === 'textArea') {
-            // For bottom half elements, we'll handle text areas with rotation
-            // Draw text area background
-            if (element.backgroundColor && element.backgroundColor !== 'transparent') {
-                doc.setFillColor(element.backgroundColor);
-                doc.rect(x, y, width, height, 'F');
-            }
-            
-            // Draw text area border
-            if (element.borderWidth > 0) {
-                doc.setDrawColor(element.borderColor || '#cccccc');
-                doc.setLineWidth(element.borderWidth);
-                doc.rect(x, y, width, height);
-            }
-            
-            // Draw text content
-            let content = element.content || '';
-            
-            // Replace placeholders with actual data using the same logic as text elements
-            content = content.replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
-                // Convert field name to camelCase for standard fields
-                const camelCaseField = fieldName.replace(/([-_][a-z])/g, (g) => g[1].toUpperCase());
-                
-                // Check if it's a standard field first
-                if (contactData[camelCaseField] !== undefined) {
-                    return contactData[camelCaseField] || '';
-                }
-                
-                // Check if it's a direct field match
-                if (contactData[fieldName] !== undefined) {
-                    return contactData[fieldName] || '';
-                }
-                
-                // Check if it's in custom fields
-                if (contactData.custom_fields) {
-                    try {
-                        const customFields = JSON.parse(contactData.custom_fields);
-                        if (customFields[fieldName] !== undefined) {
-                            return customFields[fieldName] || '';
-                        }
-                    } catch (e) {
-                        console.warn('Failed to parse custom fields for PDF generation:', e);
-                    }
-                }
-                
-                // Return the original placeholder if no match found
-                return match;
-            });
-            
-            // Set font properties
-            const fontSize = element.fontSize || 14;
-            doc.setFontSize(fontSize);
-            
-            // Set text color
-            if (element.color) {
-                doc.setTextColor(element.color);
-            }
-            
-            // Set font weight
-            if (element.bold) {
-                doc.setFont('helvetica', 'bold');
-            }
-            
-            // Draw text with word wrapping
-            const padding = 8;
-            const textX = x + padding;
-            const textY = y + padding + fontSize;
-            const maxWidth = width - (padding * 2);
-            
-            // Simple word wrapping
-            const words = content.split(' ');
-            let line = '';
-            let currentY = textY;
-            
-            for (let word of words) {
-                const testLine = line + word + ' ';
-                const testWidth = doc.getTextWidth(testLine);
-                
-                if (testWidth > maxWidth && line !== '') {
-                    // Draw current line and start new one
-                    if (false) { // Simplified - no fold logic
-                        doc.text(line.trim(), textX, currentY, { angle: 180 });
-                    } else {
-                        doc.text(line.trim(), textX, currentY);
-                    }
-                    line = word + ' ';
-                    currentY += fontSize + 2;
-                } else {
-                    line = testLine;
-                }
-            }
-            
-            // Draw the last line
-            if (line.trim()) {
-                if (false) { // Simplified - no fold logic
-                    doc.text(line.trim(), textX, currentY, { angle: 180 });
-                } else {
-                    doc.text(line.trim(), textX, currentY);
-                }
-            }
-            
-            // Reset font to normal
-            doc.setFont('helvetica', 'normal');
-        }
-    });
-    
-    // Convert to blob
-    const pdfBytes = doc.output('blob');
-    return pdfBytes;
+    return response.blob();
 }
+window.renderLabelPdf = renderLabelPdf;
 
 function displayPdfPreview(pdfBlob) {
     const previewContent = document.getElementById('pdfPreviewContent');
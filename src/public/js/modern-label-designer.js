@@ -95,21 +95,21 @@ class ModernLabelDesigner {
                     this.availableFields = [
                         'firstName', 'lastName', 'middleName', 'birthDate',
                         'address', 'city', 'state', 'zip', 'phone', 'email',
-                        'eventName', 'eventDate',
+                        'eventName', 'eventDate', 'credentialId',
                         ...(result.headers || [])
                     ];
                 } else {
                     this.availableFields = [
                         'firstName', 'lastName', 'middleName', 'birthDate',
                         'address', 'city', 'state', 'zip', 'phone', 'email',
-                        'eventName', 'eventDate'
+                        'eventName', 'eventDate', 'credentialId'
                     ];
                 }
             } else {
                 this.availableFields = [
                     'firstName', 'lastName', 'middleName', 'birthDate',
                     'address', 'city', 'state', 'zip', 'phone', 'email',
-                    'eventName', 'eventDate'
+                    'eventName', 'eventDate', 'credentialId'
                 ];
             }
             this.updateFieldSelector();
@@ -245,6 +245,54 @@ class ModernLabelDesigner {
         }
     }
 
+    // Barcode Management
+    // Adds a barcode of the selected field (the credential id if none is selected)
+    addBarcodeFromSelector() {
+        const fieldSelect = document.getElementById('fieldSelector');
+        const symbologySelect = document.getElementById('barcodeSymbologySelector');
+        const field = (fieldSelect && fieldSelect.value) || 'credentialId';
+        const symbology = symbologySelect ? symbologySelect.value : 'code128';
+        const size = symbology === 'qr' ? { width: 120, height: 120 } : { width: 250, height: 70 };
+
+        this.loadBarcodeImage(symbology, `{{${field}}}`, { left: 50, top: 50, ...size }, (img) => {
+            this.canvas.add(img);
+            this.canvas.setActiveObject(img);
+            this.canvas.renderAll();
+        });
+        if (fieldSelect) fieldSelect.value = '';
+    }
+
+    // Fabric image of a server-drawn barcode, scaled to box (left, top, width, height)
+    loadBarcodeImage(symbology, content, box, callback) {
+        fabric.Image.fromURL(barcodePreviewUrl({ symbology, content }), (img) => {
+            if (!img || !img.width) {
+                this.showError(`Cannot draw a barcode of ${content}`);
+                return;
+            }
+            img.set({
+                left: box.left,
+                top: box.top,
+                scaleX: box.width / img.width,
+                scaleY: box.height / img.height,
+                barcodeSymbology: symbology,
+                barcodeContent: content
+            });
+            callback(img);
+        });
+    }
+
+    // Redraw the selected barcode after its type or content changed, keeping its box
+    replaceBarcode(obj, symbology, content) {
+        const box = { left: obj.left, top: obj.top, width: obj.getScaledWidth(), height: obj.getScaledHeight() };
+        this.loadBarcodeImage(symbology, content, box, (img) => {
+            img.set('angle', obj.angle || 0);
+            this.canvas.remove(obj);
+            this.canvas.add(img);
+            this.canvas.setActiveObject(img);
+            this.canvas.renderAll();
+        });
+    }
+
     // Object Property Management
     onObjectSelected(obj) {
         this.selectedObject = obj;
@@ -319,6 +367,29 @@ class ModernLabelDesigner {
                 </div>
             `;
 
+            this.setupPropertyListeners();
+        } else if (obj.barcodeSymbology) {
+            panel.innerHTML = `
+                <h6>Barcode Properties</h6>
+                <div class="mb-2">
+                    <label class="form-label">Type</label>
+                    <select class="form-control" id="barcodeSymbology">
+                        ${BARCODE_SYMBOLOGIES.map(option =>
+                            `<option value="${option.value}" ${obj.barcodeSymbology === option.value ? 'selected' : ''}>${option.label}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div class="mb-2">
+                    <label class="form-label">Content</label>
+                    <input type="text" class="form-control" id="barcodeContent" value="${obj.barcodeContent}" />
+                </div>
+                <div class="mt-2">
+                    <button class="btn btn-sm btn-danger" id="deleteObject">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            `;
+
             this.setupPropertyListeners();
         }
     }
@@ -400,6 +471,21 @@ class ModernLabelDesigner {
             });
         }
 
+        // Barcode type and content
+        const barcodeSymbology = document.getElementById('barcodeSymbology');
+        if (barcodeSymbology) {
+            barcodeSymbology.addEventListener('change', (e) => {
+                this.replaceBarcode(obj, e.target.value, obj.barcodeContent);
+            });
+        }
+
+        const barcodeContent = document.getElementById('barcodeContent');
+        if (barcodeContent) {
+            barcodeContent.addEventListener('change', (e) => {
+                this.replaceBarcode(obj, obj.barcodeSymbology, e.target.value);
+            });
+        }
+
         // Delete
         const deleteObject = document.getElementById('deleteObject');
         if (deleteObject) {
@@ -441,6 +527,19 @@ class ModernLabelDesigner {
                     angle: obj.angle || 0
                 };
             }
+            if (obj.barcodeSymbology) {
+                return {
+                    type: 'barcode',
+                    id: obj.id || `barcode-${Date.now()}`,
+                    symbology: obj.barcodeSymbology,
+                    content: obj.barcodeContent,
+                    x: obj.left / 100,
+                    y: obj.top / 100,
+                    width: obj.getScaledWidth() / 100,
+                    height: obj.getScaledHeight() / 100,
+                    angle: obj.angle || 0
+                };
+            }
             return null;
         }).filter(Boolean);
 
@@ -523,6 +622,14 @@ class ModernLabelDesigner {
             });
         }
 
+        // Add barcode
+        const addBarcodeBtn = document.getElementById('addBarcodeField');
+        if (addBarcodeBtn) {
+            addBarcodeBtn.addEventListener('click', () => {
+                this.addBarcodeFromSelector();
+            });
+        }
+
         // Save template
         const saveTemplate = document.getElementById('saveTemplate');
         if (saveTemplate) {
@@ -557,7 +664,7 @@ class ModernLabelDesigner {
     }
 
     // Print Functions
-    showPrintPreview() {
+    async showPrintPreview() {
         const template = this.saveTemplate();
         
         // Create sample data for preview
@@ -577,14 +684,20 @@ class ModernLabelDesigner {
         };
 
         // Generate PDF
-        const pdfBlob = this.generatePdfFromTemplate(template, sampleData);
+        let pdfBlob;
+        try {
+            pdfBlob = await this.generatePdfFromTemplate(template, sampleData);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
         
         // Show in new window for preview
         const pdfUrl = URL.createObjectURL(pdfBlob);
         window.open(pdfUrl, '_blank');
     }
 
-    testPrint() {
+    async testPrint() {
         console.log('🚨 MODERN DESIGNER testPrint() called - this should not happen!');
         const template = this.saveTemplate();
         
@@ -605,7 +718,13 @@ class ModernLabelDesigner {
         };
 
         // Generate PDF
-        const pdfBlob = this.generatePdfFromTemplate(template, sampleData);
+        let pdfBlob;
+        try {
+            pdfBlob = await this.generatePdfFromTemplate(template, sampleData);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
         
         // Print the PDF
         const pdfUrl = URL.createObjectURL(pdfBlob);
@@ -629,85 +748,20 @@ class ModernLabelDesigner {
         this.showSuccess('Test print sent to printer!');
     }
 
-    generatePdfFromTemplate(template, contactData) {
-        // Create new PDF document (4" x 6" = 288 x 432 points)
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'pt',
-            format: [288, 432] // 4" x 6"
+    // Render on the server so the preview matches what the printer receives
+    async generatePdfFromTemplate(template, contactData) {
+        const response = await fetch('/api/templates/render', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ config: template.config, sampleData: contactData })
         });
 
-        // Add background if present
-        if (template.config.backgroundImage) {
-            try {
-                doc.addImage(template.config.backgroundImage, 'JPEG', 0, 0, 288, 432);
-            } catch (error) {
-                console.warn('Failed to add background to PDF:', error);
-            }
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.details || result.error || 'Failed to render label');
         }
 
-        // Set default font
-        doc.setFont('helvetica');
-
-        // Process each element
-        template.config.elements.forEach(element => {
-            if (element.type === 'text') {
-                // Replace placeholders with actual data
-                let content = element.content || '';
-                content = content.replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
-                    return contactData[fieldName] || match;
-                });
-
-                // Convert positions back to points (72 points per inch)
-                const x = element.x * 72;
-                const y = element.y * 72;
-
-                // Set font properties
-                doc.setFontSize(element.fontSize || 12);
-                if (element.fontWeight === 'bold') {
-                    doc.setFont('helvetica', 'bold');
-                } else {
-                    doc.setFont('helvetica', 'normal');
-                }
-
-                // Set text color
-                if (element.fill) {
-                    const color = this.hexToRgb(element.fill);
-                    if (color) {
-                        doc.setTextColor(color.r, color.g, color.b);
-                    }
-                }
-
-                // Handle rotation
-                if (element.angle && element.angle !== 0) {
-                    doc.saveGraphicsState();
-                    doc.setTransformationMatrix(
-                        Math.cos(element.angle * Math.PI / 180),
-                        Math.sin(element.angle * Math.PI / 180),
-                        -Math.sin(element.angle * Math.PI / 180),
-                        Math.cos(element.angle * Math.PI / 180),
-                        x,
-                        y
-                    );
-                    doc.text(content, 0, 0);
-                    doc.restoreGraphicsState();
-                } else {
-                    doc.text(content, x, y);
-                }
-            }
-        });
-
-        return doc.output('blob');
-    }
-
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : null;
+        return response.blob();
     }
 }
 
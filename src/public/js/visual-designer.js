@@ -31,6 +31,9 @@ class VisualDesigner {
         this.pdfOffsetX = 0;
         this.pdfOffsetY = 0;
         
+        // Barcode images drawn by the server, by symbology and content
+        this.barcodeImages = new Map();
+        
         // History stacks for undo/redo
         this.historyStack = [];
         this.futureStack = [];
@@ -206,7 +209,8 @@ class VisualDesigner {
                         fontFamily: element.fontFamily || element.font_family || 'Arial',
                         bold: element.bold || element.is_bold || false,
                         rotation: element.rotation || 0,
-                        textAlign: element.textAlign || element.align || 'left'
+                        textAlign: element.textAlign || element.align || 'left',
+                        symbology: element.type === 'barcode' ? element.symbology : null
                     };
                     
                     uniqueFields.set(key, field);
@@ -269,7 +273,8 @@ class VisualDesigner {
             'zip': 'ZIP Code',
             'phone': 'Phone',
             'email': 'Email',
-            'birthDate': 'Birth Date'
+            'birthDate': 'Birth Date',
+            'credentialId': 'Credential ID'
         };
         
         return displayNames[fieldType] || fieldType || 'Field';
@@ -409,6 +414,25 @@ class VisualDesigner {
             });
         }
         
+        const fieldFormatSelect = document.getElementById('fieldFormatSelect');
+        if (fieldFormatSelect) {
+            fieldFormatSelect.addEventListener('change', (e) => {
+                this.setFieldFormat(e.target.value);
+            });
+        }
+        
+        ['width', 'height'].forEach(property => {
+            const input = document.getElementById(`barcode${property === 'width' ? 'Width' : 'Height'}Input`);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const value = parseInt(e.target.value);
+                    if (value > 0) {
+                        this.updateFieldProperty(property, value);
+                    }
+                });
+            }
+        });
+        
         const rotateFieldBtn = document.getElementById('rotateFieldBtn');
         if (rotateFieldBtn) {
             rotateFieldBtn.addEventListener('click', () => {
@@ -917,7 +941,7 @@ class VisualDesigner {
                     this.availableFields = [
                         'firstName', 'lastName', 'middleName', 'birthDate',
                         'address', 'city', 'state', 'zip', 'phone', 'email',
-                        'eventName', 'eventDate',
+                        'eventName', 'eventDate', 'credentialId',
                         'customText', // Add custom text option
                         ...csvHeaders
                     ];
@@ -928,7 +952,7 @@ class VisualDesigner {
                     this.availableFields = [
                         'firstName', 'lastName', 'middleName', 'birthDate',
                         'address', 'city', 'state', 'zip', 'phone', 'email',
-                        'eventName', 'eventDate', 'customText'
+                        'eventName', 'eventDate', 'credentialId', 'customText'
                     ];
                 }
             } else {
@@ -936,7 +960,7 @@ class VisualDesigner {
                 this.availableFields = [
                     'firstName', 'lastName', 'middleName', 'birthDate',
                     'address', 'city', 'state', 'zip', 'phone', 'email',
-                    'eventName', 'eventDate', 'customText'
+                    'eventName', 'eventDate', 'credentialId', 'customText'
                 ];
             }
             
@@ -949,7 +973,7 @@ class VisualDesigner {
             this.availableFields = [
                 'firstName', 'lastName', 'middleName', 'birthDate',
                 'address', 'city', 'state', 'zip', 'phone', 'email',
-                'eventName', 'eventDate', 'customText'
+                'eventName', 'eventDate', 'credentialId', 'customText'
             ];
             this.updateFieldSelector();
         }
@@ -978,7 +1002,7 @@ class VisualDesigner {
         const standardFields = [
             'firstName', 'lastName', 'middleName', 'birthDate',
             'address', 'city', 'state', 'zip', 'phone', 'email',
-            'eventName', 'eventDate'
+            'eventName', 'eventDate', 'credentialId'
         ];
         
         standardFields.forEach(field => {
@@ -1024,6 +1048,7 @@ class VisualDesigner {
         if (fieldName === 'birthDate') return 'Birth Date';
         if (fieldName === 'eventName') return 'Event Name';
         if (fieldName === 'eventDate') return 'Event Date';
+        if (fieldName === 'credentialId') return 'Credential ID';
         
         // Convert normalized field names to readable format
         return fieldName
@@ -1058,6 +1083,10 @@ class VisualDesigner {
             if (fontFamilySelect) fontFamilySelect.value = this.selectedField.fontFamily;
             if (boldCheck) boldCheck.checked = this.selectedField.bold;
             
+            const fieldFormatSelect = document.getElementById('fieldFormatSelect');
+            if (fieldFormatSelect) fieldFormatSelect.value = this.selectedField.symbology || '';
+            this.updateBarcodeSizeControls();
+            
             // Update alignment buttons
             this.updateAlignmentButtons();
         } else {
@@ -1066,6 +1095,51 @@ class VisualDesigner {
         }
     }
     
+    updateBarcodeSizeControls() {
+        const controls = document.getElementById('barcodeSizeControls');
+        if (!controls || !this.selectedField) return;
+        controls.classList.toggle('d-none', !this.selectedField.symbology);
+        const widthInput = document.getElementById('barcodeWidthInput');
+        const heightInput = document.getElementById('barcodeHeightInput');
+        if (widthInput) widthInput.value = Math.round(this.selectedField.width);
+        if (heightInput) heightInput.value = Math.round(this.selectedField.height);
+    }
+    
+    // Show the selected field as text or as a barcode of its content
+    setFieldFormat(symbology) {
+        const field = this.selectedField;
+        if (!field) return;
+        
+        this.pushHistory();
+        const wasBarcode = !!field.symbology;
+        field.symbology = symbology || null;
+        if (field.symbology) {
+            // Start from a size that scans well; QR codes are square
+            const sizes = { qr: [120, 120], pdf417: [300, 90] };
+            [field.width, field.height] = sizes[field.symbology] || [300, 80];
+        } else if (wasBarcode) {
+            field.height = 20;
+        }
+        this.updateBarcodeSizeControls();
+        this.draw();
+        this.renderFieldsList();
+    }
+    
+    // The server-drawn barcode for a field, loaded once; redraws when it arrives.
+    // Returns null until the image is ready or if the content cannot be encoded.
+    getBarcodeImage(field) {
+        const content = field.type === 'customText' ? field.content : `{{${field.type}}}`;
+        const url = barcodePreviewUrl({ symbology: field.symbology, content });
+        let image = this.barcodeImages.get(url);
+        if (!image) {
+            image = new Image();
+            image.onload = () => this.draw();
+            image.src = url;
+            this.barcodeImages.set(url, image);
+        }
+        return image.complete && image.naturalWidth > 0 ? image : null;
+    }
+    
     updateFieldProperty(property, value) {
         if (this.selectedField) {
             this.pushHistory();
@@ -1528,6 +1602,21 @@ class VisualDesigner {
         this.ctx.lineWidth = lineWidth;
         this.ctx.strokeRect(field.x, field.y, field.width, field.height);
         
+        if (field.symbology) {
+            const image = this.getBarcodeImage(field);
+            if (image) {
+                this.ctx.drawImage(image, field.x, field.y, field.width, field.height);
+            } else {
+                this.ctx.fillStyle = '#6c757d';
+                this.ctx.font = '12px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(`[${this.getFieldDisplayName(field.type)} barcode]`, field.x + field.width / 2, field.y + field.height / 2);
+            }
+            this.ctx.restore();
+            return;
+        }
+        
         // Draw field text with proper alignment
         this.ctx.fillStyle = '#212529';
         this.ctx.font = `${field.bold ? 'bold ' : ''}${field.fontSize}px ${field.fontFamily}`;
@@ -1636,6 +1725,79 @@ class VisualDesigner {
         }
     }
 
+    buildTemplateConfig() {
+        // Convert Visual Designer format to the standard template format
+        const templateConfig = {
+            width: 576,  // STANDARDIZED: Always 576x864
+            height: 864,
+            designer: 'Visual Designer',
+            version: '1.0',
+            pdfOffsetX: this.pdfOffsetX || 0,
+            pdfOffsetY: this.pdfOffsetY || 0,
+            elements: this.fields.map(field => {
+                const element = {
+                    type: field.symbology ? 'barcode' : 'text',
+                    fieldType: field.type,  // Store the field type separately
+                    content: field.type === 'customText' ? field.content : `{{${field.type}}}`,
+                    x: field.x,
+                    y: field.y,
+                    width: field.width,
+                    height: field.height,
+                    fontSize: field.fontSize,
+                    fontFamily: field.fontFamily,
+                    bold: field.bold,
+                    textAlign: field.textAlign,
+                    rotation: field.rotation
+                };
+                if (field.symbology) {
+                    element.symbology = field.symbology;
+                }
+                console.log('📝 Created element:', element);
+                return element;
+            })
+        };
+        
+        console.log('📐 Canvas dimensions:', this.canvas.width, 'x', this.canvas.height);
+        console.log('🎨 Background image present:', !!this.backgroundImage);
+        
+        // Add background image as an element if present
+        if (this.originalBackgroundImage) {
+            // CRITICAL FIX: Store the original clean background, NOT the canvas with overlays
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = this.canvas.width;
+            tempCanvas.height = this.canvas.height;
+            const tempCtx = tempCanvas.getContext('2d');
+            
+            // Draw only the clean original background
+            tempCtx.drawImage(this.originalBackgroundImage, 0, 0, tempCanvas.width, tempCanvas.height);
+            
+            const bgElement = {
+                type: 'background-image',
+                content: tempCanvas.toDataURL(), // Clean background only
+                x: 0,
+                y: 0,
+                width: this.canvas.width,
+                height: this.canvas.height
+            };
+            templateConfig.elements.unshift(bgElement);
+            console.log('🖼️ Added CLEAN background element (no field overlays)');
+        } else if (this.backgroundImage) {
+            console.log('⚠️ Warning: No original background available, using current backgroundImage');
+            const bgElement = {
+                type: 'background-image',
+                content: this.backgroundImage.src,
+                x: 0,
+                y: 0,
+                width: this.canvas.width,
+                height: this.canvas.height
+            };
+            templateConfig.elements.unshift(bgElement);
+            console.log('🖼️ Added background element from backgroundImage.src');
+        }
+        
+        return templateConfig;
+    }
+    
     async saveTemplate() {
         console.log('🔄 saveTemplate() called - START');
         console.log('🔄 Call stack:', new Error().stack);
@@ -1679,71 +1841,7 @@ class VisualDesigner {
         try {
             console.log('🔧 Building template configuration...');
             
-            // Convert Visual Designer format to the standard template format
-            const templateConfig = {
-                width: 576,  // STANDARDIZED: Always 576x864
-                height: 864,
-                designer: 'Visual Designer',
-                version: '1.0',
-                pdfOffsetX: this.pdfOffsetX || 0,
-                pdfOffsetY: this.pdfOffsetY || 0,
-                elements: this.fields.map(field => {
-                    const element = {
-                        type: 'text',
-                        fieldType: field.type,  // Store the field type separately
-                        content: field.type === 'customText' ? field.content : `{{${field.type}}}`,
-                        x: field.x,
-                        y: field.y,
-                        width: field.width,
-                        height: field.height,
-                        fontSize: field.fontSize,
-                        fontFamily: field.fontFamily,
-                        bold: field.bold,
-                        textAlign: field.textAlign,
-                        rotation: field.rotation
-                    };
-                    console.log('📝 Created element:', element);
-                    return element;
-                })
-            };
-            
-            console.log('📐 Canvas dimensions:', this.canvas.width, 'x', this.canvas.height);
-            console.log('🎨 Background image present:', !!this.backgroundImage);
-            
-            // Add background image as an element if present
-            if (this.originalBackgroundImage) {
-                // CRITICAL FIX: Store the original clean background, NOT the canvas with overlays
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = this.canvas.width;
-                tempCanvas.height = this.canvas.height;
-                const tempCtx = tempCanvas.getContext('2d');
-                
-                // Draw only the clean original background
-                tempCtx.drawImage(this.originalBackgroundImage, 0, 0, tempCanvas.width, tempCanvas.height);
-                
-                const bgElement = {
-                    type: 'background-image',
-                    content: tempCanvas.toDataURL(), // Clean background only
-                    x: 0,
-                    y: 0,
-                    width: this.canvas.width,
-                    height: this.canvas.height
-                };
-                templateConfig.elements.unshift(bgElement);
-                console.log('🖼️ Added CLEAN background element (no field overlays)');
-            } else if (this.backgroundImage) {
-                console.log('⚠️ Warning: No original background available, using current backgroundImage');
-                const bgElement = {
-                    type: 'background-image',
-                    content: this.backgroundImage.src,
-                    x: 0,
-                    y: 0,
-                    width: this.canvas.width,
-                    height: this.canvas.height
-                };
-                templateConfig.elements.unshift(bgElement);
-                console.log('🖼️ Added background element from backgroundImage.src');
-            }
+            const templateConfig = this.buildTemplateConfig();
             
             const template = {
                 name: templateName,
@@ -1869,6 +1967,15 @@ class VisualDesigner {
                 previewCtx.translate(-centerX, -centerY);
             }
             
+            if (field.symbology) {
+                const image = this.getBarcodeImage(field);
+                if (image) {
+                    previewCtx.drawImage(image, field.x, field.y, field.width, field.height);
+                }
+                previewCtx.restore();
+                return;
+            }
+            
             previewCtx.fillStyle = '#212529';
             previewCtx.font = `${field.bold ? 'bold ' : ''}${field.fontSize}px ${field.fontFamily}`;
             previewCtx.textBaseline = 'middle';
@@ -1953,161 +2060,24 @@ class VisualDesigner {
         `);
     }
     
-    // Generate PDF using jsPDF
+    // Render the current (possibly unsaved) layout to a PDF Blob on the server,
+    // using the same renderer as the print queue
     async generatePDF(data) {
         try {
-            // Check if jsPDF is available (try different access methods)
-            let jsPDF = window.jsPDF;
-            if (!jsPDF && window.jspdf) {
-                jsPDF = window.jspdf.jsPDF;
-            }
-            if (!jsPDF) {
-                console.error('jsPDF not available. Checked:', {
-                    'window.jsPDF': typeof window.jsPDF,
-                    'window.jspdf': typeof window.jspdf,
-                    'window.jspdf.jsPDF': window.jspdf ? typeof window.jspdf.jsPDF : 'N/A'
-                });
-                alert('PDF generation not available. Please check if jsPDF is loaded.');
-                return null;
-            }
-            
-            // Create PDF (4x6 inches at 72 DPI)
-            const pdf = new jsPDF({
-                orientation: 'portrait',
-                unit: 'pt',
-                format: [288, 432] // 4x6 inches in points
+            const response = await fetch('/api/templates/render', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ config: this.buildTemplateConfig(), sampleData: data })
             });
             
-            // Add background image if present (completely clean - no text, no overlays)
-            if (this.backgroundImage) {
-                try {
-                    console.log('🖼️ Adding background image to PDF (clean, no text)');
-                    console.log('🖼️ backgroundImage type:', typeof this.backgroundImage);
-                    console.log('🖼️ backgroundImage constructor:', this.backgroundImage.constructor.name);
-                    console.log('🖼️ backgroundImage src:', this.backgroundImage.src ? this.backgroundImage.src.substring(0, 50) + '...' : 'No src');
-                    console.log('🔍 originalBackgroundImage exists:', !!this.originalBackgroundImage);
-                    console.log('🔍 originalBackgroundImage type:', typeof this.originalBackgroundImage);
-                    if (this.originalBackgroundImage) {
-                        console.log('🔍 originalBackgroundImage constructor:', this.originalBackgroundImage.constructor.name);
-                        console.log('🔍 originalBackgroundImage src:', this.originalBackgroundImage.src ? this.originalBackgroundImage.src.substring(0, 50) + '...' : 'No src');
-                    }
-                    
-                    // CRITICAL FIX: Use only the original clean background image
-                    if (this.originalBackgroundImage) {
-                        console.log('🖼️ Using ORIGINAL background image (guaranteed clean)');
-                        
-                        // Create a temporary canvas with ONLY the original background image
-                        const tempCanvas = document.createElement('canvas');
-                        tempCanvas.width = this.canvas.width;
-                        tempCanvas.height = this.canvas.height;
-                        const tempCtx = tempCanvas.getContext('2d');
-                        
-                        // Clear the canvas first (ensure it's completely clean)
-                        tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
-                        
-                        // Draw ONLY the original background image - no text, no fields, no overlays
-                        tempCtx.drawImage(this.originalBackgroundImage, 0, 0, tempCanvas.width, tempCanvas.height);
-                        
-                        // Convert to image data and add to PDF
-                        const imgData = tempCanvas.toDataURL('image/jpeg', 0.8);
-                        pdf.addImage(imgData, 'JPEG', 0, 0, 288, 432);
-                        
-                        // DEBUG: Log what's in the background image
-                        console.log('🔍 Background image data URL length:', imgData.length);
-                        console.log('🔍 Background image preview:', imgData.substring(0, 100) + '...');
-                        
-                        console.log('✅ Clean background image added to PDF');
-                    } else {
-                        console.log('🚫 SKIPPING background - no clean original image available');
-                        console.log('🚫 This prevents canvas text from appearing in PDF background');
-                        // Continue without background to prevent text contamination
-                    }
-                } catch (e) {
-                    console.warn('❌ Failed to add background image to PDF:', e);
-                }
-            } else {
-                console.log('📝 No background image - PDF will have white background');
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('❌ Label render failed:', response.status, errorText);
+                alert('Failed to generate PDF. Please check the console for details.');
+                return null;
             }
             
-            // Add text fields
-            console.log('🔍 DEBUG PDF Generation - Fields:', this.fields.length);
-            this.fields.forEach((field, index) => {
-                console.log(`🔍 DEBUG Field ${index}:`, {
-                    type: field.type,
-                    content: field.content,
-                    id: field.id,
-                    x: field.x,
-                    y: field.y
-                });
-                
-                try {
-                    // Handle custom text vs field data
-                    let text;
-                    if (field.type === 'customText') {
-                        // For custom text, use the content directly
-                        text = field.content || 'Custom Text';
-                        console.log(`📝 Custom text field: "${text}"`);
-                    } else {
-                        // Use unified field mapping function
-                        const fieldValue = window.mapFieldValue ? window.mapFieldValue(field.type, data) : null;
-                        text = fieldValue || `[${field.type}]`;
-                        
-                        console.log(`🔄 Data field ${field.type}:`);
-                        console.log(`   - field.content: "${field.content}"`);
-                        console.log(`   - unified mapping result: "${fieldValue}"`);
-                        console.log(`   - final text: "${text}"`);
-                    }
-                    
-                    // Set font
-                    pdf.setFont(field.fontFamily.toLowerCase());
-                    if (field.bold) {
-                        pdf.setFont(field.fontFamily.toLowerCase(), 'bold');
-                    }
-                    pdf.setFontSize(field.fontSize);
-                    
-                    // SIMPLE: Use the actual canvas dimensions (what was working)
-                    const scaleX = 288 / this.canvas.width;
-                    const scaleY = 432 / this.canvas.height;
-                    let x = field.x * scaleX;
-                    let y = field.y * scaleY;
-                    
-                    // Apply user-defined offsets for fine-tuning
-                    x += (this.pdfOffsetX || 0);
-                    y += (this.pdfOffsetY || 0);
-                    
-                    console.log(`🔍 STANDARDIZED: Field(${field.x}, ${field.y}) -> PDF(${x.toFixed(1)}, ${y.toFixed(1)}) [Scale: 0.5x0.5]`);
-                    if (this.pdfOffsetX || this.pdfOffsetY) {
-                        console.log(`🎯 Applied Offset: X=${this.pdfOffsetX || 0}, Y=${this.pdfOffsetY || 0}`);
-                    }
-                    
-                    // Apply text alignment
-                    let align = 'left';
-                    if (field.textAlign === 'center') align = 'center';
-                    else if (field.textAlign === 'right') align = 'right';
-                    
-                    // Handle rotation
-                    if (field.rotation !== 0) {
-                        pdf.save();
-                        const centerX = x + (field.width * scaleX) / 2;
-                        const centerY = y + (field.height * scaleY) / 2;
-                        pdf.translate(centerX, centerY);
-                        pdf.rotate(field.rotation);
-                        pdf.translate(-centerX, -centerY);
-                    }
-                    
-                    console.log(`📄 Adding text to PDF: "${text}" at (${x.toFixed(1)}, ${(y + field.fontSize).toFixed(1)})`);
-                    pdf.text(text, x, y + field.fontSize, { align: align });
-                    console.log(`✅ Text added to PDF successfully`);
-                    
-                    if (field.rotation !== 0) {
-                        pdf.restore();
-                    }
-                } catch (e) {
-                    console.warn('Failed to add field to PDF:', field, e);
-                }
-            });
-            
-            return pdf;
+            return await response.blob();
         } catch (error) {
             console.error('Error generating PDF:', error);
             alert('Failed to generate PDF. Please check the console for details.');
@@ -2185,10 +2155,10 @@ class VisualDesigner {
             };
             
             // Generate PDF
-            const pdf = await this.generatePDF(sampleData);
-            if (pdf) {
+            const pdfBlob = await this.generatePDF(sampleData);
+            if (pdfBlob) {
                 // Open PDF in new window for printing
-                const pdfData = pdf.output('datauristring');
+                const pdfData = URL.createObjectURL(pdfBlob);
                 const printWindow = window.open('', '_blank');
                 printWindow.document.write(`
                     <!DOCTYPE html>
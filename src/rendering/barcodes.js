@@ -0,0 +1,158 @@
+// Machine-readable codes for label barcode elements: Code 128, Code 39, QR
+// and PDF417. bwip-js works out the symbol; this module turns it into a grid
+// of modules that the HTML layout draws as SVG and the thermal compilers size
+// to whole printer dots.
+
+const bwipjs = require('bwip-js');
+
+// bwip-js encoder and fixed options per symbology. QR uses error correction
+// level M and PDF417 security level 2 so ZPL's own encoders match the layout.
+const SYMBOLOGIES = {
+  code128: { label: 'Code 128', bcid: 'code128', linear: true },
+  code39: { label: 'Code 39', bcid: 'code39', linear: true },
+  qr: { label: 'QR Code', bcid: 'qrcode', linear: false, options: { eclevel: 'M' } },
+  pdf417: { label: 'PDF417', bcid: 'pdf417', linear: false, options: { eclevel: 2 }, rowHeight: 3 }
+};
+
+const BARCODE_SYMBOLOGIES = Object.keys(SYMBOLOGIES);
+
+// Code 39 has no lowercase letters; "abc-1" is printed as ABC-1
+function normalizeBarcodeText(symbology, text) {
+  const value = String(text === undefined || text === null ? '' : text);
+  return symbology === 'code39' ? value.toUpperCase() : value;
+}
+
+// Encode text as a grid of modules:
+//   { symbology, text, linear, columns, rows, rowHeight, dataColumns, isDark(column, row) }
+// Linear codes are one row of bars; rowHeight is how many modules tall a row
+// of a stacked code is drawn. options.columns/rows pin PDF417's shape (used
+// when reading it back from ZPL). Throws when the text cannot be encoded.
+function encodeBarcode(symbology, text, options = {}) {
+  const spec = SYMBOLOGIES[symbology];
+  if (!spec) {
+    throw new Error(`Unknown barcode type "${symbology}". Expected one of: ${BARCODE_SYMBOLOGIES.join(', ')}`);
+  }
+  const value = normalizeBarcodeText(symbology, text);
+  if (!value) {
+    throw new Error('Barcode has no content');
+  }
+
+  const shape = {};
+  if (symbology === 'pdf417') {
+    if (options.columns) shape.columns = options.columns;
+    if (options.rows) shape.rows = options.rows;
+  }
+
+  let symbol;
+  try {
+    [symbol] = bwipjs.raw(spec.bcid, value, { ...spec.options, ...shape });
+  } catch (error) {
+    // bwip-js prefixes its messages with an internal code ("bwipp.code39badCharacter#10257: ...")
+    throw new Error(String(error.message || error).replace(/^bwipp\.\w+#\d+:\s*/, ''));
+  }
+
+  if (spec.linear) {
+    // sbs holds bar and space widths in turn, starting with a bar
+    const dark = [];
+    symbol.sbs.forEach((width, index) => {
+      for (let i = 0; i < width; i++) {
+        dark.push(index % 2 === 0);
+      }
+    });
+    return {
+      symbology,
+      text: value,
+      linear: true,
+      columns: dark.length,
+      rows: 1,
+      rowHeight: 1,
+      isDark: (column) => dark[column]
+    };
+  }
+
+  const columns = symbol.pixx;
+  return {
+    symbology,
+    text: value,
+    linear: false,
+    columns,
+    rows: symbol.pixs.length / columns,
+    rowHeight: spec.rowHeight || 1,
+    // PDF417 codeword columns: start, left and right indicators and stop take 69 modules
+    dataColumns: symbology === 'pdf417' ? (columns - 69) / 17 : null,
+    isDark: (column, row) => symbol.pixs[row * columns + column] === 1
+  };
+}
+
+// Runs of dark modules in one row as [start, length] pairs
+function darkRuns(encoding, row) {
+  const runs = [];
+  let start = -1;
+  for (let column = 0; column <= encoding.columns; column++) {
+    const dark = column < encoding.columns && encoding.isDark(column, row);
+    if (dark && start < 0) {
+      start = column;
+    } else if (!dark && start >= 0) {
+      runs.push([start, column - start]);
+      start = -1;
+    }
+  }
+  return runs;
+}
+
+// Standalone SVG of the symbol, one unit per module, stretched to fill
+// whatever box it is placed in. QR codes keep their square shape instead.
+// attributes are extra <svg> attributes such as x, y, width and height.
+function barcodeSvg(encoding, attributes = {}) {
+  const height = encoding.linear ? 1 : encoding.rows * encoding.rowHeight;
+  const aspect = encoding.symbology === 'qr' ? 'xMidYMid meet' : 'none';
+  const extra = Object.entries(attributes).map(([name, value]) => ` ${name}="${value}"`).join('');
+
+  const rects = [];
+  for (let row = 0; row < encoding.rows; row++) {
+    for (const [start, length] of darkRuns(encoding, row)) {
+      rects.push(`<rect x="${start}" y="${row * encoding.rowHeight}" width="${length}" height="${encoding.linear ? 1 : encoding.rowHeight}"/>`);
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg"${extra} viewBox="0 0 ${encoding.columns} ${height}" preserveAspectRatio="${aspect}" shape-rendering="crispEdges">` +
+    `<rect width="${encoding.columns}" height="${height}" fill="#ffffff"/><g fill="#000000">${rects.join('')}</g></svg>`;
+}
+
+// 1-bit rows (1 = black) of the symbol drawn moduleDots wide and rowDots tall
+// per module row, turned clockwise by rotation (0/90/180/270)
+function barcodeBitmap(encoding, moduleDots, rowDots, rotation = 0) {
+  const symbolWidth = encoding.columns * moduleDots;
+  const symbolHeight = encoding.rows * rowDots;
+  const sideways = rotation === 90 || rotation === 270;
+  const width = sideways ? symbolHeight : symbolWidth;
+  const height = sideways ? symbolWidth : symbolHeight;
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // The same dot in the unrotated symbol
+      const [sx, sy] = {
+        0: [x, y],
+        90: [y, symbolHeight - 1 - x],
+        180: [symbolWidth - 1 - x, symbolHeight - 1 - y],
+        270: [symbolWidth - 1 - y, x]
+      }[rotation] || [x, y];
+      if (encoding.isDark(Math.floor(sx / moduleDots), Math.floor(sy / rowDots))) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { bytesPerRow, rows: height, data };
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  BARCODE_SYMBOLOGIES,
+  normalizeBarcodeText,
+  encodeBarcode,
+  barcodeSvg,
+  barcodeBitmap
+};
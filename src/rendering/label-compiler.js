@@ -0,0 +1,471 @@
+// Compiles a template config into native thermal printer languages (ZPL II and
+// EPL2). Layout follows label-layout.js so the output lines up with the PDF
+// render, converted from points to printer dots at the configured DPI.
+// Thermal printers are monochrome: colors become black, except white/transparent.
+
+const {
+  parseConfig,
+  getLabelGeometry,
+  getLabelOffset,
+  getElementBox,
+  getElementText,
+  getBarcodeText,
+  getTextAlign,
+  getBackgroundSource,
+  getImageSource,
+  resolvePlaceholders,
+  resolveElementColors
+} = require('./label-layout');
+const { encodeBarcode, barcodeBitmap } = require('./barcodes');
+
+const LANGUAGES = ['zpl', 'epl'];
+
+// EPL2 resident fonts 1-5: character cell [width, height] in dots
+const EPL_FONTS = {
+  203: { 1: [10, 12], 2: [12, 16], 3: [14, 20], 4: [16, 24], 5: [36, 48] },
+  300: { 1: [14, 20], 2: [18, 28], 3: [22, 36], 4: [26, 44], 5: [52, 80] }
+};
+
+function isInkColor(value) {
+  if (!value || typeof value !== 'string') {
+    return false;
+  }
+  const color = value.trim().toLowerCase();
+  if (['transparent', 'white', 'none'].includes(color)) {
+    return false;
+  }
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+    // Light fills (pastel badge colors) would print as solid black; leave them out
+    return (0.299 * r + 0.587 * g + 0.114 * b) < 160;
+  }
+  return true;
+}
+
+function normalizeRotation(rotation) {
+  const quarter = Math.round((((Number(rotation) || 0) % 360) + 360) % 360 / 90) % 4;
+  return quarter * 90;
+}
+
+// A barcode sized to whole dots per module, as large as fits its box (in dots)
+// and centered in it. Scanners need every module the same width, so the
+// symbol can come out a little smaller than the box. QR codes print upright.
+function layoutBarcode(encoding, box, rotation) {
+  const turn = encoding.symbology === 'qr' ? 0 : rotation;
+  const sideways = turn === 90 || turn === 270;
+  // The box as the symbol sees it, before turning
+  const length = sideways ? box.height : box.width;
+  const depth = sideways ? box.width : box.height;
+
+  let module;
+  let rowDots;
+  if (encoding.symbology === 'qr') {
+    // ^BQ magnification goes up to 10
+    module = Math.min(10, Math.max(1, Math.floor(Math.min(length, depth) / encoding.columns)));
+    rowDots = module;
+  } else {
+    module = Math.max(1, Math.floor(length / encoding.columns));
+    rowDots = encoding.linear ? Math.max(1, depth) : Math.max(module, Math.floor(depth / encoding.rows));
+  }
+
+  const symbolWidth = encoding.columns * module;
+  const symbolHeight = encoding.linear ? rowDots : encoding.rows * rowDots;
+  const width = sideways ? symbolHeight : symbolWidth;
+  const height = sideways ? symbolWidth : symbolHeight;
+  return {
+    kind: 'barcode',
+    encoding,
+    rotation: turn,
+    module,
+    rowDots,
+    x: box.x + Math.round((box.width - width) / 2),
+    y: box.y + Math.round((box.height - height) / 2),
+    width,
+    height
+  };
+}
+
+// Lay the template out as printer primitives, all measured in dots
+function buildPrimitives(templateConfig, data, options = {}) {
+  const config = parseConfig(templateConfig);
+  const geometry = getLabelGeometry(config, options.labelSize);
+  const offset = getLabelOffset(config);
+  const dpi = options.dpi || 203;
+  const dots = (points) => Math.round(points * dpi / 72);
+  const items = [];
+
+  const addText = (text, box, sizePt, extra = {}) => {
+    if (!text) {
+      return;
+    }
+    const rotation = normalizeRotation(box.rotation);
+    const size = Math.max(dots(sizePt), 8);
+    const item = { kind: 'text', text, size, bold: !!extra.bold, align: extra.align || 'left', rotation, wrap: !!extra.wrap };
+
+    if (!(box.width > 0)) {
+      items.push({ ...item, x: dots(box.x), y: dots(box.y), width: 0 });
+      return;
+    }
+
+    const inset = extra.inset || 0;
+    const width = box.width - inset * 2;
+    if (extra.wrap) {
+      items.push({ ...item, x: dots(box.x + inset), y: dots(box.y + inset), width: dots(width), height: dots(box.height - inset * 2) });
+      return;
+    }
+
+    // One line of text, vertically centered in its box (as in the HTML layout)
+    const centerX = box.x + box.width / 2;
+    const centerY = box.height > 0 ? box.y + box.height / 2 : box.y + sizePt / 2;
+    const sideways = rotation === 90 || rotation === 270;
+    items.push({
+      ...item,
+      x: dots(centerX - (sideways ? sizePt : width) / 2),
+      y: dots(centerY - (sideways ? width : sizePt) / 2),
+      width: dots(width)
+    });
+  };
+
+  const addImage = (src, box) => {
+    if (src && box.width > 0 && box.height > 0) {
+      items.push({ kind: 'image', src, x: dots(box.x), y: dots(box.y), width: dots(box.width), height: dots(box.height) });
+    }
+  };
+
+  const background = getBackgroundSource(config);
+  if (background) {
+    addImage(background, { x: 0, y: 0, width: geometry.pageWidth, height: geometry.pageHeight });
+  }
+
+  const unitScale = geometry.units === 'px' ? geometry.scale : 1;
+
+  for (const templateElement of config.elements || []) {
+    const element = resolveElementColors(templateElement, data);
+    const box = getElementBox(element, geometry, offset);
+
+    switch (element.type) {
+      case 'text': {
+        const inset = geometry.units === 'px' ? 5 * geometry.scale : 0;
+        addText(getElementText(element, data), box, (Number(element.fontSize) || 12) * geometry.fontScale, {
+          bold: element.bold || element.fontWeight === 'bold',
+          align: getTextAlign(element),
+          inset
+        });
+        break;
+      }
+      case 'textArea': {
+        const borderWidth = Number(element.borderWidth) || 0;
+        if (borderWidth > 0 && isInkColor(element.borderColor || '#cccccc')) {
+          items.push({ kind: 'box', x: dots(box.x), y: dots(box.y), width: dots(box.width), height: dots(box.height), thickness: Math.max(1, dots(borderWidth)) });
+        }
+        addText(resolvePlaceholders(element.content, data), box, (Number(element.fontSize) || 14) * geometry.fontScale, {
+          bold: element.bold,
+          inset: 8 * geometry.fontScale,
+          wrap: true
+        });
+        break;
+      }
+      case 'checkbox': {
+        const size = box.width > 0 ? Math.min(box.width, box.height || box.width) : 20 * geometry.fontScale;
+        const x = dots(box.x);
+        const y = dots(box.y);
+        const side = dots(size);
+        const thickness = Math.max(2, dots(1));
+        items.push({ kind: 'box', x, y, width: side, height: side, thickness });
+        if (element.checked) {
+          items.push({ kind: 'diagonal', x, y, width: side, height: side, thickness, direction: 'L' });
+          items.push({ kind: 'diagonal', x, y, width: side, height: side, thickness, direction: 'R' });
+        }
+        if (element.label) {
+          const labelPt = 12 * unitScale;
+          addText(element.label, { x: box.x + size + labelPt * 0.4, y: box.y + (size - labelPt) / 2, width: 0, height: 0 }, labelPt);
+        }
+        break;
+      }
+      case 'image':
+        addImage(getImageSource(element.imageData || element.imageUrl || element.content), box);
+        break;
+      case 'line': {
+        if (!isInkColor(element.color || '#000000')) {
+          break;
+        }
+        const thickness = Math.max(1, dots((Number(element.thickness) || 2) * unitScale));
+        const x = dots(box.x);
+        const y = dots(box.y);
+        const width = dots(box.width);
+        if (element.style === 'dashed' || element.style === 'dotted') {
+          const on = element.style === 'dashed' ? thickness * 3 : thickness;
+          const gap = element.style === 'dashed' ? thickness * 2 : thickness;
+          for (let start = 0; start < width; start += on + gap) {
+            const length = Math.min(on, width - start);
+            items.push({ kind: 'box', x: x + start, y, width: length, height: thickness, thickness: Math.min(length, thickness) });
+          }
+        } else {
+          items.push({ kind: 'box', x, y, width, height: thickness, thickness });
+        }
+        break;
+      }
+      case 'barcode': {
+        const text = getBarcodeText(element, data);
+        if (!text || !(box.width > 0) || !(box.height > 0)) {
+          break;
+        }
+        const dotBox = { x: dots(box.x), y: dots(box.y), width: dots(box.width), height: dots(box.height) };
+        items.push(layoutBarcode(encodeBarcode(element.symbology, text), dotBox, normalizeRotation(box.rotation)));
+        break;
+      }
+      case 'square': {
+        const x = dots(box.x);
+        const y = dots(box.y);
+        const width = dots(box.width);
+        const height = dots(box.height);
+        if (isInkColor(element.fillColor)) {
+          items.push({ kind: 'box', x, y, width, height, thickness: Math.min(width, height) });
+        } else if ((Number(element.borderWidth) || 0) > 0 && isInkColor(element.borderColor || '#000000')) {
+          items.push({ kind: 'box', x, y, width, height, thickness: Math.max(1, dots(Number(element.borderWidth))) });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return {
+    dpi,
+    width: dots(geometry.pageWidth),
+    height: dots(geometry.pageHeight),
+    items
+  };
+}
+
+// Field data is sent through ^FH so ZPL control characters can never end a field early
+function escapeZplText(text) {
+  return String(text)
+    .replace(/_/g, '_5F')
+    .replace(/\^/g, '_5E')
+    .replace(/~/g, '_7E')
+    .replace(/\\/g, '_5C')
+    .replace(/\r?\n/g, '\\&');
+}
+
+const ZPL_ORIENTATION = { 0: 'N', 90: 'R', 180: 'I', 270: 'B' };
+const ZPL_JUSTIFY = { left: 'L', center: 'C', right: 'R' };
+
+function emitZplText(item) {
+  const orientation = ZPL_ORIENTATION[item.rotation] || 'N';
+  const field = (x) => {
+    let command = `^FO${x},${item.y}^A0${orientation},${item.size},${item.size}`;
+    if (item.width > 0) {
+      const lines = item.wrap ? Math.max(1, Math.floor((item.height || item.size) / item.size)) : 1;
+      command += `^FB${item.width},${lines},0,${ZPL_JUSTIFY[item.align] || 'L'},0`;
+    }
+    return `${command}^FH_^FD${escapeZplText(item.text)}^FS`;
+  };
+
+  // Font 0 has no bold weight; overprint one or two dots to the right instead
+  const lines = [field(item.x)];
+  if (item.bold) {
+    lines.push(field(item.x + Math.max(1, Math.round(item.size / 30))));
+  }
+  return lines;
+}
+
+// Native barcode fields, so the printer draws every bar itself. PDF417 gets
+// the column and row counts the layout used; QR data starts with the error
+// correction level (M) and automatic input mode (A).
+function emitZplBarcode(item) {
+  const { encoding } = item;
+  const orientation = ZPL_ORIENTATION[item.rotation] || 'N';
+  const data = `^FH_^FD${encoding.symbology === 'qr' ? 'MA,' : ''}${escapeZplText(encoding.text)}^FS`;
+  const origin = `^FO${item.x},${item.y}`;
+
+  switch (encoding.symbology) {
+    case 'code128':
+      return `${origin}^BY${item.module}^BC${orientation},${item.rowDots},N,N,N,A${data}`;
+    case 'code39':
+      return `${origin}^BY${item.module},3^B3${orientation},N,${item.rowDots},N,N${data}`;
+    case 'qr':
+      return `${origin}^BQN,2,${item.module}${data}`;
+    default:
+      return `${origin}^BY${item.module}^B7${orientation},${item.rowDots},2,${encoding.dataColumns},${encoding.rows},N${data}`;
+  }
+}
+
+function emitZplImage(item, bitmap) {
+  const total = bitmap.data.length;
+  return `^FO${item.x},${item.y}^GFA,${total},${total},${bitmap.bytesPerRow},${bitmap.data.toString('hex').toUpperCase()}^FS`;
+}
+
+async function compileZpl(layout, rasterize) {
+  const lines = ['^XA', '^CI28', `^PW${layout.width}`, `^LL${layout.height}`, '^LH0,0'];
+
+  for (const item of layout.items) {
+    if (item.kind === 'text') {
+      lines.push(...emitZplText(item));
+    } else if (item.kind === 'box') {
+      const thickness = Math.max(1, Math.min(item.thickness, item.width, item.height));
+      lines.push(`^FO${item.x},${item.y}^GB${Math.max(item.width, thickness)},${Math.max(item.height, thickness)},${thickness},B,0^FS`);
+    } else if (item.kind === 'diagonal') {
+      lines.push(`^FO${item.x},${item.y}^GD${item.width},${item.height},${item.thickness},B,${item.direction}^FS`);
+    } else if (item.kind === 'image') {
+      lines.push(emitZplImage(item, await rasterize(item.src, item.width, item.height)));
+    } else if (item.kind === 'barcode') {
+      lines.push(emitZplBarcode(item));
+    }
+  }
+
+  lines.push('^PQ1', '^XZ');
+  return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+// Pick the resident font and multiplier whose height is closest to the target
+function pickEplFont(size, dpi) {
+  const fonts = EPL_FONTS[dpi >= 250 ? 300 : 203];
+  let best = null;
+  for (const [font, [cellWidth, cellHeight]] of Object.entries(fonts)) {
+    for (let multiplier = 1; multiplier <= 6; multiplier++) {
+      const error = Math.abs(cellHeight * multiplier - size);
+      if (!best || error < best.error) {
+        best = { font, multiplier, cellWidth, cellHeight, error };
+      }
+    }
+  }
+  return best;
+}
+
+function escapeEplText(text) {
+  // EPL is sent as Latin-1 (I8,1); anything outside it prints as '?'
+  return String(text)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"');
+}
+
+function emitEplText(item, dpi) {
+  const font = pickEplFont(item.size, dpi);
+  const rotation = item.rotation / 90;
+  const textWidth = item.text.length * font.cellWidth * font.multiplier;
+  const textHeight = font.cellHeight * font.multiplier;
+
+  let x = item.x;
+  let y = item.y;
+  if (rotation === 0 && item.width > 0) {
+    if (item.align === 'center') x += Math.round((item.width - textWidth) / 2);
+    if (item.align === 'right') x += item.width - textWidth;
+  } else if (rotation === 1) {
+    x += textHeight;
+  } else if (rotation === 2) {
+    x += item.width > 0 ? item.width : textWidth;
+    y += textHeight;
+  } else if (rotation === 3) {
+    y += item.width > 0 ? item.width : textWidth;
+  }
+
+  const command = (left) => `A${Math.max(0, left)},${Math.max(0, y)},${rotation},${font.font},${font.multiplier},${font.multiplier},N,"${escapeEplText(item.text)}"`;
+  const lines = [command(x)];
+  if (item.bold) {
+    lines.push(command(x + 1));
+  }
+  return lines;
+}
+
+// EPL2 draws Code 128 and Code 39 itself (B command). Its 2D barcode support
+// depends on the printer's firmware, so QR and PDF417 go out as graphics,
+// drawn at whole dots per module like the ZPL fields.
+function eplBarcode(item) {
+  const { encoding } = item;
+  if (!encoding.linear) {
+    return { bitmap: barcodeBitmap(encoding, item.module, item.rowDots, item.rotation) };
+  }
+
+  // Rotated fields turn about their start point, as EPL text does
+  let x = item.x;
+  let y = item.y;
+  if (item.rotation === 90) {
+    x += item.width;
+  } else if (item.rotation === 180) {
+    x += item.width;
+    y += item.height;
+  } else if (item.rotation === 270) {
+    y += item.height;
+  }
+  const type = encoding.symbology === 'code128' ? '1' : '3';
+  return {
+    command: `B${x},${y},${item.rotation / 90},${type},${item.module},${item.module * 3},${item.rowDots},N,"${escapeEplText(encoding.text)}"`
+  };
+}
+
+// EPL graphics use 0 for a printed dot, the inverse of ZPL
+function pushEplGraphic(chunks, x, y, bitmap) {
+  const data = Buffer.from(bitmap.data.map(byte => ~byte & 0xff));
+  chunks.push(Buffer.from(`GW${x},${y},${bitmap.bytesPerRow},${bitmap.rows},`, 'latin1'), data);
+}
+
+async function compileEpl(layout, rasterize, options = {}) {
+  const chunks = [];
+  const pushLine = (line) => chunks.push(Buffer.from(`${line}\n`, 'latin1'));
+
+  pushLine('');
+  pushLine('N');
+  pushLine(`q${layout.width}`);
+  pushLine(`Q${layout.height},${options.gapDots || 24}`);
+  pushLine('I8,1,001');
+
+  for (const item of layout.items) {
+    if (item.kind === 'text') {
+      emitEplText(item, layout.dpi).forEach(pushLine);
+    } else if (item.kind === 'box') {
+      if (item.thickness >= Math.min(item.width, item.height)) {
+        pushLine(`LO${item.x},${item.y},${item.width},${item.height}`);
+      } else {
+        pushLine(`X${item.x},${item.y},${item.thickness},${item.x + item.width},${item.y + item.height}`);
+      }
+    } else if (item.kind === 'diagonal') {
+      const [y1, y2] = item.direction === 'R' ? [item.y + item.height, item.y] : [item.y, item.y + item.height];
+      pushLine(`LS${item.x},${y1},${item.thickness},${item.x + item.width},${y2}`);
+    } else if (item.kind === 'image') {
+      pushEplGraphic(chunks, item.x, item.y, await rasterize(item.src, item.width, item.height));
+      pushLine('');
+    } else if (item.kind === 'barcode') {
+      const barcode = eplBarcode(item);
+      if (barcode.command) {
+        pushLine(barcode.command);
+      } else {
+        pushEplGraphic(chunks, item.x, item.y, barcode.bitmap);
+        pushLine('');
+      }
+    }
+  }
+
+  pushLine('P1');
+  return Buffer.concat(chunks);
+}
+
+// Compile to 'zpl' or 'epl'. rasterize(src, width, height) must return
+// { bytesPerRow, rows, data } with 1 bits for black dots; it is only
+// called when the template has images.
+async function compileLabel(templateConfig, data, options = {}) {
+  const language = options.language || 'zpl';
+  if (!LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported label language "${language}". Expected one of: ${LANGUAGES.join(', ')}`);
+  }
+
+  const layout = buildPrimitives(templateConfig, data, options);
+  const rasterize = options.rasterize || (() => {
+    throw new Error('Templates with images need a rasterizer to compile to ZPL/EPL');
+  });
+
+  return language === 'zpl'
+    ? compileZpl(layout, rasterize)
+    : compileEpl(layout, rasterize, options);
+}
+
+module.exports = {
+  LANGUAGES,
+  buildPrimitives,
+  compileLabel
+};
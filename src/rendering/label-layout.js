@@ -0,0 +1,479 @@
+// Turns a template config into positioned label HTML.
+//
+// Templates come in two coordinate systems:
+//   - inches (width: 4, height: 6): default/CCM templates, the template editor
+//     and the Modern Label Designer. Those designers draw at 100 px per inch.
+//   - canvas pixels (width: 576, height: 864, or older 400x600): Visual Designer.
+// Everything is converted to PDF points here so print, preview and test-print
+// all share one layout. Font sizes are in designer canvas pixels, so text
+// prints at the size the designer shows.
+
+const { encodeBarcode, barcodeSvg } = require('./barcodes');
+
+const POINTS_PER_INCH = 72;
+const DESIGNER_PX_PER_INCH = 100;
+const DEFAULT_LABEL_SIZE = { width: 4, height: 6 };
+
+function parseConfig(templateConfig) {
+  if (typeof templateConfig === 'string') {
+    return JSON.parse(templateConfig);
+  }
+  return templateConfig || {};
+}
+
+// Work out the page size in points and how many points one template unit is
+function getLabelGeometry(templateConfig, labelSize = DEFAULT_LABEL_SIZE) {
+  const config = parseConfig(templateConfig);
+  const width = Number(config.width) || labelSize.width;
+  const height = Number(config.height) || labelSize.height;
+  const usesPixels = config.designer === 'Visual Designer' || width > 20;
+
+  if (usesPixels) {
+    const pageWidth = labelSize.width * POINTS_PER_INCH;
+    const scale = pageWidth / width;
+    return {
+      units: 'px',
+      scale,
+      fontScale: scale,
+      pageWidth,
+      pageHeight: height * scale
+    };
+  }
+
+  return {
+    units: 'in',
+    scale: POINTS_PER_INCH,
+    fontScale: POINTS_PER_INCH / DESIGNER_PX_PER_INCH,
+    pageWidth: width * POINTS_PER_INCH,
+    pageHeight: height * POINTS_PER_INCH
+  };
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseCustomFields(customFields) {
+  if (!customFields) {
+    return {};
+  }
+  if (typeof customFields === 'object') {
+    return customFields;
+  }
+  try {
+    return JSON.parse(customFields) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Look up a placeholder name: camelCase standard field, exact key, custom
+// field (exact or legacy uppercase), then a case/punctuation-insensitive match.
+// Returns undefined when nothing matches.
+function lookupField(data, fieldName) {
+  if (!data) {
+    return undefined;
+  }
+
+  const camelCaseField = fieldName.replace(/([-_][a-z])/g, (g) => g[1].toUpperCase());
+  if (data[camelCaseField] !== undefined && data[camelCaseField] !== null) {
+    return data[camelCaseField];
+  }
+  if (data[fieldName] !== undefined && data[fieldName] !== null) {
+    return data[fieldName];
+  }
+
+  const customFields = parseCustomFields(data.custom_fields);
+  if (customFields[fieldName] !== undefined && customFields[fieldName] !== null) {
+    return customFields[fieldName];
+  }
+  const uppercaseField = fieldName.toUpperCase();
+  if (customFields[uppercaseField] !== undefined && customFields[uppercaseField] !== null) {
+    return customFields[uppercaseField];
+  }
+
+  const normalizedFieldName = normalizeKey(fieldName);
+  for (const source of [data, customFields]) {
+    for (const key of Object.keys(source)) {
+      if (normalizeKey(key) === normalizedFieldName && typeof source[key] !== 'object') {
+        return source[key];
+      }
+    }
+  }
+
+  return undefined;
+}
+
+// Replace {{field}} placeholders; unknown fields are left as-is so they show up on proofs
+function resolvePlaceholders(content, data) {
+  return String(content || '').replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
+    const value = lookupField(data, fieldName);
+    return value === undefined ? match : String(value);
+  });
+}
+
+const COLOR_PROPERTIES = ['color', 'fill', 'fillColor', 'borderColor', 'backgroundColor'];
+
+// Colour properties may hold placeholders too, e.g. fillColor "{{badgeColor}}"
+// for a band coloured by contact category. The result still goes through safeColor.
+function resolveElementColors(element, data) {
+  const colors = {};
+  for (const key of COLOR_PROPERTIES) {
+    if (typeof element[key] === 'string' && element[key].includes('{{')) {
+      colors[key] = resolvePlaceholders(element[key], data);
+    }
+  }
+  return Object.keys(colors).length ? { ...element, ...colors } : element;
+}
+
+// Flatten a contact row (and optional event) into the data object templates expect
+function buildLabelData(contact, event, overrides = {}) {
+  const customFields = parseCustomFields(contact && contact.custom_fields);
+  const data = {
+    ...customFields,
+    ...(contact || {}),
+    firstName: contact ? contact.first_name : '',
+    lastName: contact ? contact.last_name : '',
+    middleName: contact ? contact.middle_name : '',
+    birthDate: contact ? contact.birth_date : '',
+    badgeNumber: (contact && contact.badge_number) || '',
+    eventName: event ? event.name : '',
+    eventDate: event ? event.date : ''
+  };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      data[key] = value;
+    }
+  }
+
+  return data;
+}
+
+// Placeholder data for proofs and test prints
+function getSampleLabelData() {
+  return {
+    firstName: 'TEST',
+    lastName: 'USER',
+    middleName: 'T',
+    birthDate: '1990-01-01',
+    address: '123 Test Street',
+    city: 'Test City',
+    state: 'TS',
+    zip: '12345',
+    phone: '(555) 123-4567',
+    email: 'test@example.com',
+    badgeNumber: '0001',
+    category: 'delegate',
+    badgeColor: '#1e88e5',
+    credentialId: 'TEST-CREDENTIAL-0001',
+    eventName: 'TEST EVENT',
+    eventDate: '2025-01-01'
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only inline images are rendered; templates must not make the renderer fetch URLs
+function getImageSource(value) {
+  if (typeof value === 'string' && /^data:image\/[a-z0-9.+-]+;base64,/i.test(value)) {
+    return value;
+  }
+  return null;
+}
+
+function safeColor(value, fallback) {
+  if (typeof value === 'string' && /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i.test(value.trim())) {
+    return value.trim();
+  }
+  return fallback;
+}
+
+function safeFontFamily(value) {
+  const family = typeof value === 'string' ? value.replace(/[^\w\s-]/g, '').trim() : '';
+  return family ? `'${family}', ` : '';
+}
+
+function safeBorderStyle(value) {
+  return ['dashed', 'dotted'].includes(value) ? value : 'solid';
+}
+
+function pt(value) {
+  return `${Number(value.toFixed(3))}pt`;
+}
+
+function getTextAlign(element) {
+  const align = element.textAlign || element.align || 'left';
+  return ['left', 'center', 'right'].includes(align) ? align : 'left';
+}
+
+function boxStyle(box, extra = []) {
+  const styles = [`left:${pt(box.x)}`, `top:${pt(box.y)}`];
+  if (box.width > 0) styles.push(`width:${pt(box.width)}`);
+  if (box.height > 0) styles.push(`height:${pt(box.height)}`);
+  if (box.rotation) styles.push(`transform:rotate(${Number(box.rotation)}deg)`);
+  return styles.concat(extra).join(';');
+}
+
+function renderText(element, box, geometry, data) {
+  const text = getElementText(element, data);
+  const align = getTextAlign(element);
+  const justify = { left: 'flex-start', center: 'center', right: 'flex-end' }[align];
+  const fontSize = (Number(element.fontSize) || 12) * geometry.fontScale;
+  // Visual Designer insets text 5 canvas px from the box edge
+  const inset = geometry.units === 'px' ? 5 * geometry.scale : 0;
+  const bold = element.bold || element.fontWeight === 'bold';
+
+  const styles = [
+    `font-size:${pt(fontSize)}`,
+    `font-family:${safeFontFamily(element.fontFamily)}Helvetica, Arial, sans-serif`,
+    `font-weight:${bold ? 'bold' : 'normal'}`,
+    `font-style:${element.fontStyle === 'italic' ? 'italic' : 'normal'}`,
+    `color:${safeColor(element.color || element.fill, '#000000')}`,
+    `text-align:${align}`,
+    `justify-content:${justify}`,
+    `padding:0 ${pt(inset)}`
+  ];
+  if (element.backgroundColor) {
+    styles.push(`background:${safeColor(element.backgroundColor, 'transparent')}`);
+  }
+
+  const className = box.height > 0 ? 'el text' : 'el text text-free';
+  return `<div class="${className}" style="${boxStyle(box, styles)}">${escapeHtml(text)}</div>`;
+}
+
+function renderTextArea(element, box, geometry, data) {
+  const fontSize = (Number(element.fontSize) || 14) * geometry.fontScale;
+  const styles = [
+    `font-size:${pt(fontSize)}`,
+    `font-weight:${element.bold ? 'bold' : 'normal'}`,
+    `color:${safeColor(element.color, '#000000')}`,
+    `background:${safeColor(element.backgroundColor, 'transparent')}`,
+    `border:${pt(Number(element.borderWidth) || 0)} solid ${safeColor(element.borderColor, '#cccccc')}`,
+    `padding:${pt(8 * geometry.fontScale)}`
+  ];
+  return `<div class="el textarea" style="${boxStyle(box, styles)}">${escapeHtml(resolvePlaceholders(element.content, data))}</div>`;
+}
+
+function renderCheckbox(element, box, geometry) {
+  const size = box.width > 0 ? Math.min(box.width, box.height || box.width) : 20 * geometry.fontScale;
+  const color = safeColor(element.color, '#000000');
+  const labelSize = 12 * (geometry.units === 'px' ? geometry.scale : 1);
+  const mark = element.checked ? '&#10003;' : '';
+
+  return `<div class="el checkbox" style="${boxStyle({ ...box, width: 0, height: 0 })}">` +
+    `<span class="box" style="width:${pt(size)};height:${pt(size)};border-color:${color};font-size:${pt(size)}">${mark}</span>` +
+    (element.label ? `<span class="caption" style="font-size:${pt(labelSize)}">${escapeHtml(element.label)}</span>` : '') +
+    '</div>';
+}
+
+function renderImage(element, box) {
+  const src = getImageSource(element.imageData || element.imageUrl || element.content);
+  if (!src) {
+    return `<div class="el placeholder" style="${boxStyle(box)}">[No Image]</div>`;
+  }
+  return `<img class="el" src="${escapeHtml(src)}" style="${boxStyle(box, ['object-fit:contain'])}" />`;
+}
+
+function renderLine(element, box, geometry) {
+  const thickness = (Number(element.thickness) || 2) * (geometry.units === 'px' ? geometry.scale : 1);
+  const styles = [
+    `border-top:${pt(thickness)} ${safeBorderStyle(element.style)} ${safeColor(element.color, '#000000')}`
+  ];
+  return `<div class="el" style="${boxStyle({ ...box, height: 0 }, styles)}"></div>`;
+}
+
+// Barcode content with placeholders filled in. While any placeholder has no
+// value the content is '', so a half-filled code never prints.
+function getBarcodeText(element, data) {
+  const text = resolvePlaceholders(element.content, data);
+  return /\{\{\w+\}\}/.test(text) ? '' : text;
+}
+
+function renderBarcode(element, box, data) {
+  const text = getBarcodeText(element, data);
+  if (!text) {
+    return `<div class="el placeholder" style="${boxStyle(box)}">${escapeHtml(element.content || '[No Barcode Data]')}</div>`;
+  }
+  try {
+    const svg = barcodeSvg(encodeBarcode(element.symbology, text), { width: '100%', height: '100%' });
+    return `<div class="el barcode" style="${boxStyle(box)}">${svg}</div>`;
+  } catch (error) {
+    return `<div class="el placeholder" style="${boxStyle(box)}">${escapeHtml(`[${error.message}]`)}</div>`;
+  }
+}
+
+function renderSquare(element, box) {
+  const styles = [
+    `background:${safeColor(element.fillColor, 'transparent')}`,
+    `border:${pt(Number(element.borderWidth) || 0)} ${safeBorderStyle(element.borderStyle)} ${safeColor(element.borderColor, '#000000')}`
+  ];
+  return `<div class="el" style="${boxStyle(box, styles)}"></div>`;
+}
+
+// pdfOffsetX/Y are fine-tuning nudges in points (Visual Designer "PDF offset")
+function getLabelOffset(config) {
+  return { x: Number(config.pdfOffsetX) || 0, y: Number(config.pdfOffsetY) || 0 };
+}
+
+// Element position and size in points
+function getElementBox(element, geometry, offset) {
+  return {
+    x: (Number(element.x) || 0) * geometry.scale + offset.x,
+    y: (Number(element.y) || 0) * geometry.scale + offset.y,
+    width: (Number(element.width) || 0) * geometry.scale,
+    height: (Number(element.height) || 0) * geometry.scale,
+    rotation: Number(element.rotation || element.angle) || 0
+  };
+}
+
+function getElementText(element, data) {
+  return element.fieldType === 'customText'
+    ? element.content || ''
+    : resolvePlaceholders(element.content, data);
+}
+
+function renderElement(templateElement, geometry, data, offset) {
+  const element = resolveElementColors(templateElement, data);
+  const box = getElementBox(element, geometry, offset);
+
+  switch (element.type) {
+    case 'text':
+      return renderText(element, box, geometry, data);
+    case 'textArea':
+      return renderTextArea(element, box, geometry, data);
+    case 'checkbox':
+      return renderCheckbox(element, box, geometry);
+    case 'image':
+      return renderImage(element, box);
+    case 'line':
+      return renderLine(element, box, geometry);
+    case 'square':
+      return renderSquare(element, box);
+    case 'barcode':
+      return renderBarcode(element, box, data);
+    default:
+      return '';
+  }
+}
+
+function getBackgroundSource(config) {
+  const backgroundElement = (config.elements || []).find(el => el.type === 'background-image');
+  return getImageSource(backgroundElement && backgroundElement.content) ||
+    getImageSource(config.backgroundImage) ||
+    getImageSource(config.backgroundPdf);
+}
+
+// Fold-over labels fold across the middle; mark the fold and name the two panels
+function renderFoldOverlay(geometry) {
+  const half = geometry.pageHeight / 2;
+  return `<div class="fold-line" style="top:${pt(half)}"></div>` +
+    `<div class="panel-tag" style="top:${pt(2)}">FRONT</div>` +
+    `<div class="panel-tag" style="top:${pt(half + 2)}">BACK</div>`;
+}
+
+function getLabelCss(geometry) {
+  return `.label-page { position: relative; width: ${pt(geometry.pageWidth)}; height: ${pt(geometry.pageHeight)}; overflow: hidden; background: #ffffff; }
+.label-page .background { position: absolute; left: 0; top: 0; width: 100%; height: 100%; }
+.label-page .el { position: absolute; box-sizing: border-box; transform-origin: center center; }
+.label-page .text { display: flex; align-items: center; white-space: pre; overflow: visible; line-height: 1; }
+.label-page .text-free { display: block; }
+.label-page .textarea { white-space: pre-wrap; overflow-wrap: break-word; overflow: hidden; font-family: Helvetica, Arial, sans-serif; }
+.label-page .checkbox { display: flex; align-items: center; white-space: nowrap; font-family: Helvetica, Arial, sans-serif; }
+.label-page .checkbox .box { display: inline-flex; align-items: center; justify-content: center; box-sizing: border-box; border: 1pt solid; line-height: 1; }
+.label-page .checkbox .caption { margin-left: 0.4em; }
+.label-page .barcode svg { display: block; }
+.label-page .placeholder { display: flex; align-items: center; justify-content: center; border: 1pt solid #000000; font: 8pt Helvetica, Arial, sans-serif; }
+.label-page .fold-line { position: absolute; left: 0; width: 100%; border-top: 1pt dashed #dc3545; }
+.label-page .panel-tag { position: absolute; right: 3pt; font: bold 6pt Helvetica, Arial, sans-serif; color: #dc3545; }`;
+}
+
+// Label markup shared by the HTML (print/PNG) and SVG outputs
+function buildLabelMarkup(templateConfig, data, options = {}) {
+  const config = parseConfig(templateConfig);
+  const geometry = getLabelGeometry(config, options.labelSize);
+  const offset = getLabelOffset(config);
+
+  const background = getBackgroundSource(config);
+  const body = (config.elements || [])
+    .filter(element => element.type !== 'background-image')
+    .map(element => renderElement(element, geometry, data || {}, offset))
+    .join('\n');
+
+  const markup = `<div class="label-page">
+${background ? `<img class="background" src="${escapeHtml(background)}" />` : ''}
+${body}
+${options.showFold ? renderFoldOverlay(geometry) : ''}
+</div>`;
+
+  return { geometry, css: getLabelCss(geometry), markup };
+}
+
+// Build a standalone HTML document for one label, sized in points
+function buildLabelHtml(templateConfig, data, options = {}) {
+  const { geometry, css, markup } = buildLabelMarkup(templateConfig, data, options);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+@page { size: ${pt(geometry.pageWidth)} ${pt(geometry.pageHeight)}; margin: 0; }
+html, body { margin: 0; padding: 0; background: #ffffff; }
+${css}
+</style>
+</head>
+<body>
+${markup}
+</body>
+</html>`;
+}
+
+// SVG of the label (HTML layout embedded via foreignObject), sized for the given DPI
+function buildLabelSvg(templateConfig, data, options = {}) {
+  const { geometry, css, markup } = buildLabelMarkup(templateConfig, data, options);
+  const dpi = options.dpi || POINTS_PER_INCH;
+  // CSS lays out at 96 px per inch; the outer size sets the output resolution
+  const viewWidth = geometry.pageWidth * 96 / POINTS_PER_INCH;
+  const viewHeight = geometry.pageHeight * 96 / POINTS_PER_INCH;
+  const width = Math.round(geometry.pageWidth * dpi / POINTS_PER_INCH);
+  const height = Math.round(geometry.pageHeight * dpi / POINTS_PER_INCH);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${viewWidth} ${viewHeight}">
+<foreignObject x="0" y="0" width="${viewWidth}" height="${viewHeight}">
+<div xmlns="http://www.w3.org/1999/xhtml">
+<style>
+${css}
+</style>
+${markup}
+</div>
+</foreignObject>
+</svg>`;
+}
+
+module.exports = {
+  parseConfig,
+  getLabelGeometry,
+  getLabelOffset,
+  getElementBox,
+  getElementText,
+  getBarcodeText,
+  getTextAlign,
+  getBackgroundSource,
+  getImageSource,
+  lookupField,
+  resolvePlaceholders,
+  resolveElementColors,
+  buildLabelData,
+  getSampleLabelData,
+  buildLabelHtml,
+  buildLabelSvg,
+  escapeHtml
+};
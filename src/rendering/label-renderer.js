@@ -0,0 +1,226 @@
+const puppeteer = require('puppeteer');
+const { buildLabelHtml, buildLabelSvg, getLabelGeometry } = require('./label-layout');
+const { compileLabel } = require('./label-compiler');
+const { zplToSvg, parseZpl } = require('./zpl-preview');
+
+// Renders template configs to PDF/PNG with headless Chromium. One browser is
+// started lazily and shared; every render gets its own page.
+class LabelRenderer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.browserPromise = null;
+  }
+
+  getRendererConfig() {
+    return this.config.getRendererConfig();
+  }
+
+  getLabelSize() {
+    const printerConfig = this.config.getPrinterConfig();
+    return { width: printerConfig.width || 4, height: printerConfig.height || 6 };
+  }
+
+  async getBrowser() {
+    if (!this.browserPromise) {
+      const { executablePath, launchArgs } = this.getRendererConfig();
+      this.browserPromise = puppeteer.launch({
+        headless: true,
+        executablePath: executablePath || undefined,
+        args: launchArgs || []
+      }).then((browser) => {
+        browser.on('disconnected', () => {
+          this.browserPromise = null;
+        });
+        return browser;
+      }).catch((error) => {
+        // Allow the next render to try again (e.g. after fixing executablePath)
+        this.browserPromise = null;
+        throw new Error(`Label renderer could not start Chromium: ${error.message}`);
+      });
+    }
+    return this.browserPromise;
+  }
+
+  buildHtml(templateConfig, data, options = {}) {
+    return buildLabelHtml(templateConfig, data, { ...options, labelSize: this.getLabelSize() });
+  }
+
+  getGeometry(templateConfig) {
+    return getLabelGeometry(templateConfig, this.getLabelSize());
+  }
+
+  // Open a page with the label loaded, run work(page, geometry), then close the page
+  async withLabelPage(templateConfig, data, work, options = {}) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    const { timeoutMs } = this.getRendererConfig();
+
+    try {
+      page.setDefaultTimeout(timeoutMs);
+      // Templates only embed data: URLs; never let a render reach the network
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.url().startsWith('data:')) {
+          request.continue();
+        } else {
+          request.abort();
+        }
+      });
+
+      await page.setContent(this.buildHtml(templateConfig, data, options), { waitUntil: 'load' });
+      return await work(page, this.getGeometry(templateConfig));
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async renderPdf(templateConfig, data) {
+    const startTime = Date.now();
+
+    const pdf = await this.withLabelPage(templateConfig, data, (page, geometry) => page.pdf({
+      width: `${geometry.pageWidth}pt`,
+      height: `${geometry.pageHeight}pt`,
+      printBackground: true,
+      pageRanges: '1'
+    }));
+
+    this.logger.logPerformance('label_render_pdf', Date.now() - startTime, { bytes: pdf.length });
+    return Buffer.from(pdf);
+  }
+
+  // PNG proof at the given DPI; showFold marks the fold-over panels
+  async renderPng(templateConfig, data, options = {}) {
+    const startTime = Date.now();
+    const dpi = options.dpi || 96;
+
+    const png = await this.withLabelPage(templateConfig, data, async (page, geometry) => {
+      // CSS pixels are 1/96 in; deviceScaleFactor brings them to the requested DPI
+      const width = geometry.pageWidth * 96 / 72;
+      const height = geometry.pageHeight * 96 / 72;
+      await page.setViewport({
+        width: Math.ceil(width),
+        height: Math.ceil(height),
+        deviceScaleFactor: dpi / 96
+      });
+      return page.screenshot({ type: 'png', clip: { x: 0, y: 0, width, height } });
+    }, { showFold: options.showFold });
+
+    this.logger.logPerformance('label_render_png', Date.now() - startTime, { dpi, bytes: png.length });
+    return Buffer.from(png);
+  }
+
+  // SVG proofs are built directly and do not need the browser
+  renderSvg(templateConfig, data, options = {}) {
+    return buildLabelSvg(templateConfig, data, { ...options, labelSize: this.getLabelSize() });
+  }
+
+  // Scale a data: image to width x height dots and threshold it to 1-bit rows
+  // (1 = black) for ZPL/EPL graphics
+  async rasterizeImage(src, width, height) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      page.setDefaultTimeout(this.getRendererConfig().timeoutMs);
+      const bytes = await page.evaluate(async (source, w, h) => {
+        const image = new Image();
+        image.src = source;
+        await image.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, w, h);
+        context.drawImage(image, 0, 0, w, h);
+
+        const pixels = context.getImageData(0, 0, w, h).data;
+        const bytesPerRow = Math.ceil(w / 8);
+        const packed = new Array(bytesPerRow * h).fill(0);
+        for (let y = 0; y < h; y++) {
+          for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            if (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114 < 128) {
+              packed[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+          }
+        }
+        return packed;
+      }, src, width, height);
+
+      return { bytesPerRow: Math.ceil(width / 8), rows: height, data: Buffer.from(bytes) };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  // Compile to ZPL or EPL at the printer's DPI
+  async compile(templateConfig, data, language) {
+    const startTime = Date.now();
+    const printerConfig = this.config.getPrinterConfig();
+
+    const output = await compileLabel(templateConfig, data, {
+      language,
+      dpi: printerConfig.dpi || 203,
+      gapDots: printerConfig.labelGapDots,
+      labelSize: this.getLabelSize(),
+      rasterize: (src, width, height) => this.rasterizeImage(src, width, height)
+    });
+
+    this.logger.logPerformance(`label_compile_${language}`, Date.now() - startTime, { bytes: output.length });
+    return output;
+  }
+
+  // Output in the format the configured printer expects (printer.language)
+  async renderForPrinter(templateConfig, data) {
+    const language = this.config.getPrinterConfig().language || 'pdf';
+
+    if (language === 'pdf') {
+      return { language, extension: '.pdf', raw: false, data: await this.renderPdf(templateConfig, data) };
+    }
+
+    return { language, extension: `.${language}`, raw: true, data: await this.compile(templateConfig, data, language) };
+  }
+
+  // Proof of compiled ZPL: SVG directly, PNG through the browser (one pixel per dot)
+  async renderZplPreview(zpl, format = 'svg') {
+    const svg = zplToSvg(zpl);
+    if (format === 'svg') {
+      return svg;
+    }
+
+    const label = parseZpl(zpl);
+    const width = label.width || 812;
+    const height = label.height || 1218;
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      page.setDefaultTimeout(this.getRendererConfig().timeoutMs);
+      await page.setViewport({ width, height });
+      await page.setContent(`<html><body style="margin:0">${svg.replace(/^<\?xml[^>]*>/, '')}</body></html>`, { waitUntil: 'load' });
+      const png = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width, height } });
+      return Buffer.from(png);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async close() {
+    if (!this.browserPromise) {
+      return;
+    }
+    const browserPromise = this.browserPromise;
+    this.browserPromise = null;
+    try {
+      const browser = await browserPromise;
+      await browser.close();
+    } catch (error) {
+      this.logger.warn('Failed to close label renderer', { error: error.message });
+    }
+  }
+}
+
+module.exports = LabelRenderer;
@@ -0,0 +1,299 @@
+// Renders ZPL back to an SVG so a compiled label can be proofed without a
+// printer. Understands the subset label-compiler.js emits (^FO ^A0 ^FB ^FH
+// ^FD ^FS ^GB ^GD ^GFA ^PW ^LL ^LH, and barcodes ^BY ^BC ^B3 ^BQ ^B7); other
+// commands are ignored.
+
+const { escapeHtml } = require('./label-layout');
+const { encodeBarcode, barcodeSvg } = require('./barcodes');
+
+const ROTATIONS = { N: 0, R: 90, I: 180, B: 270 };
+
+function parseArgs(value) {
+  return value.split(',').map(part => part.trim());
+}
+
+// ^FH: the indicator followed by two hex digits is one byte of field data
+function decodeFieldData(data, indicator) {
+  let text = data;
+  if (indicator) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+      const hex = text.substr(i + 1, 2);
+      if (text[i] === indicator && /^[0-9a-f]{2}$/i.test(hex)) {
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+      } else {
+        bytes.push(...Buffer.from(text[i], 'utf8'));
+      }
+    }
+    text = Buffer.from(bytes).toString('utf8');
+  }
+  return text.split('\\&');
+}
+
+// Interpret ZPL into { width, height, items } in dots
+function parseZpl(zpl) {
+  const label = { width: 0, height: 0, items: [] };
+  let home = { x: 0, y: 0 };
+  let field = null;
+  // ^BY module width stays in effect for later fields
+  let barcodeModule = 2;
+
+  const resetField = () => {
+    field = { x: 0, y: 0, font: null, block: null, barcode: null, hexIndicator: null, text: null };
+  };
+  resetField();
+
+  // Field data can hold commas and spaces, so split only on the command prefix
+  const commands = String(zpl).split(/(?=\^)/).map(chunk => chunk.replace(/[\r\n]+$/, ''));
+
+  for (const chunk of commands) {
+    if (!chunk.startsWith('^')) {
+      continue;
+    }
+    const code = chunk.substr(1, 2).toUpperCase();
+    const rest = chunk.substr(3);
+
+    switch (code) {
+      case 'XA':
+        home = { x: 0, y: 0 };
+        resetField();
+        break;
+      case 'PW':
+        label.width = parseInt(rest, 10) || label.width;
+        break;
+      case 'LL':
+        label.height = parseInt(rest, 10) || label.height;
+        break;
+      case 'LH': {
+        const [x, y] = parseArgs(rest).map(Number);
+        home = { x: x || 0, y: y || 0 };
+        break;
+      }
+      case 'FO': {
+        const [x, y] = parseArgs(rest).map(Number);
+        field.x = home.x + (x || 0);
+        field.y = home.y + (y || 0);
+        break;
+      }
+      case 'A0': {
+        const [height, width] = parseArgs(rest.substr(2)).map(Number);
+        field.font = { rotation: ROTATIONS[rest[0]] || 0, height: height || 30, width: width || height || 30 };
+        break;
+      }
+      case 'FB': {
+        const [width, lines, , justify] = parseArgs(rest);
+        field.block = { width: Number(width) || 0, lines: Number(lines) || 1, justify: justify || 'L' };
+        break;
+      }
+      case 'BY':
+        barcodeModule = Number(parseArgs(rest)[0]) || barcodeModule;
+        break;
+      case 'BC': {
+        const [height] = parseArgs(rest.substr(2)).map(Number);
+        field.barcode = { symbology: 'code128', rotation: ROTATIONS[rest[0]] || 0, height: height || 10 };
+        break;
+      }
+      case 'B3': {
+        const [, height] = parseArgs(rest.substr(2));
+        field.barcode = { symbology: 'code39', rotation: ROTATIONS[rest[0]] || 0, height: Number(height) || 10 };
+        break;
+      }
+      case 'BQ': {
+        const [, , magnification] = parseArgs(rest);
+        field.barcode = { symbology: 'qr', rotation: 0, magnification: Number(magnification) || 1 };
+        break;
+      }
+      case 'B7': {
+        const [rowHeight, , columns, rows] = parseArgs(rest.substr(2)).map(Number);
+        field.barcode = { symbology: 'pdf417', rotation: ROTATIONS[rest[0]] || 0, rowHeight: rowHeight || barcodeModule, columns, rows };
+        break;
+      }
+      case 'FH':
+        field.hexIndicator = rest[0] || '_';
+        break;
+      case 'FD':
+        field.text = rest;
+        break;
+      case 'GB': {
+        const [width, height, thickness] = parseArgs(rest).map(Number);
+        const t = thickness || 1;
+        label.items.push({ kind: 'box', x: field.x, y: field.y, width: Math.max(width || 0, t), height: Math.max(height || 0, t), thickness: t });
+        break;
+      }
+      case 'GD': {
+        const [width, height, thickness, , direction] = parseArgs(rest);
+        label.items.push({ kind: 'diagonal', x: field.x, y: field.y, width: Number(width) || 0, height: Number(height) || 0, thickness: Number(thickness) || 1, direction: direction || 'R' });
+        break;
+      }
+      case 'GF': {
+        // ^GFA,total,total,bytesPerRow,hex
+        const [format, total, , bytesPerRow, hex] = parseArgs(rest);
+        if (format === 'A' && bytesPerRow && hex) {
+          const data = Buffer.from(hex.replace(/[^0-9a-f]/gi, ''), 'hex').subarray(0, Number(total) || undefined);
+          const rowBytes = Number(bytesPerRow);
+          label.items.push({ kind: 'image', x: field.x, y: field.y, bytesPerRow: rowBytes, rows: Math.floor(data.length / rowBytes), data });
+        }
+        break;
+      }
+      case 'FS':
+        if (field.text !== null && field.barcode) {
+          let text = decodeFieldData(field.text, field.hexIndicator).join('\n');
+          if (field.barcode.symbology === 'qr') {
+            // Error correction and input mode come before the data
+            text = text.replace(/^[HQML]A,/, '');
+          }
+          label.items.push({ kind: 'barcode', x: field.x, y: field.y, module: barcodeModule, text, ...field.barcode });
+        } else if (field.text !== null) {
+          const font = field.font || { rotation: 0, height: 30, width: 30 };
+          label.items.push({
+            kind: 'text',
+            x: field.x,
+            y: field.y,
+            lines: decodeFieldData(field.text, field.hexIndicator),
+            size: font.height,
+            rotation: font.rotation,
+            block: field.block
+          });
+        }
+        resetField();
+        break;
+      default:
+        break;
+    }
+  }
+
+  return label;
+}
+
+// 1-bit BMP (palette: 0 white, 1 black) so ZPL bitmaps can be shown as <image>
+function bitmapToBmpDataUrl(item) {
+  const width = item.bytesPerRow * 8;
+  const stride = Math.ceil(item.bytesPerRow / 4) * 4;
+  const pixelBytes = stride * item.rows;
+  const bmp = Buffer.alloc(62 + pixelBytes);
+
+  bmp.write('BM', 0, 'latin1');
+  bmp.writeUInt32LE(bmp.length, 2);
+  bmp.writeUInt32LE(62, 10);
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(item.rows, 22);
+  bmp.writeUInt16LE(1, 26);
+  bmp.writeUInt16LE(1, 28);
+  bmp.writeUInt32LE(pixelBytes, 34);
+  bmp.writeUInt32LE(2, 46);
+  bmp.writeUInt32LE(0x00ffffff, 54);
+  bmp.writeUInt32LE(0x00000000, 58);
+
+  // BMP rows are stored bottom-up
+  for (let row = 0; row < item.rows; row++) {
+    item.data.copy(bmp, 62 + (item.rows - 1 - row) * stride, row * item.bytesPerRow, (row + 1) * item.bytesPerRow);
+  }
+
+  return `data:image/bmp;base64,${bmp.toString('base64')}`;
+}
+
+function renderText(item) {
+  const width = item.block ? item.block.width : 0;
+  const justify = item.block ? item.block.justify : 'L';
+  const anchor = { C: 'middle', R: 'end' }[justify] || 'start';
+  const anchorX = anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0;
+  const sideways = item.rotation === 90 || item.rotation === 270;
+  const blockHeight = item.size * item.lines.length;
+
+  // Draw upright at the origin, then rotate into the field's bounding box
+  const extentX = sideways ? blockHeight : width;
+  const extentY = sideways ? width : blockHeight;
+  const origin = {
+    0: [item.x, item.y],
+    90: [item.x + extentX, item.y],
+    180: [item.x + extentX, item.y + extentY],
+    270: [item.x, item.y + extentY]
+  }[item.rotation];
+
+  const lines = item.lines.map((line, index) =>
+    `<tspan x="${anchorX}" y="${Math.round(item.size * (index + 0.8))}">${escapeHtml(line)}</tspan>`
+  ).join('');
+
+  return `<text transform="translate(${origin[0]},${origin[1]}) rotate(${item.rotation})" font-size="${item.size}" text-anchor="${anchor}">${lines}</text>`;
+}
+
+// Draw the barcode the way the printer would size it: whole dots per module
+function renderBarcode(item) {
+  let encoding;
+  try {
+    encoding = encodeBarcode(item.symbology, item.text, { columns: item.columns, rows: item.rows });
+  } catch (error) {
+    return '';
+  }
+
+  let width;
+  let height;
+  if (item.symbology === 'qr') {
+    width = height = encoding.columns * item.magnification;
+  } else if (item.symbology === 'pdf417') {
+    width = encoding.columns * item.module;
+    height = encoding.rows * item.rowHeight;
+  } else {
+    width = encoding.columns * item.module;
+    height = item.height;
+  }
+
+  const sideways = item.rotation === 90 || item.rotation === 270;
+  const extentX = sideways ? height : width;
+  const extentY = sideways ? width : height;
+  const origin = {
+    0: [item.x, item.y],
+    90: [item.x + extentX, item.y],
+    180: [item.x + extentX, item.y + extentY],
+    270: [item.x, item.y + extentY]
+  }[item.rotation];
+
+  return `<g transform="translate(${origin[0]},${origin[1]}) rotate(${item.rotation})">${barcodeSvg(encoding, { width, height })}</g>`;
+}
+
+function renderItem(item) {
+  switch (item.kind) {
+    case 'text':
+      return renderText(item);
+    case 'box': {
+      if (item.thickness * 2 >= Math.min(item.width, item.height)) {
+        return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="#000"/>`;
+      }
+      const half = item.thickness / 2;
+      return `<rect x="${item.x + half}" y="${item.y + half}" width="${item.width - item.thickness}" height="${item.height - item.thickness}" fill="none" stroke="#000" stroke-width="${item.thickness}"/>`;
+    }
+    case 'diagonal': {
+      const [y1, y2] = item.direction === 'R' ? [item.y + item.height, item.y] : [item.y, item.y + item.height];
+      return `<line x1="${item.x}" y1="${y1}" x2="${item.x + item.width}" y2="${y2}" stroke="#000" stroke-width="${item.thickness}"/>`;
+    }
+    case 'barcode':
+      return renderBarcode(item);
+    case 'image':
+      return `<image x="${item.x}" y="${item.y}" width="${item.bytesPerRow * 8}" height="${item.rows}" preserveAspectRatio="none" style="image-rendering: pixelated" href="${bitmapToBmpDataUrl(item)}"/>`;
+    default:
+      return '';
+  }
+}
+
+// SVG proof of a ZPL label, one SVG unit per printer dot
+function zplToSvg(zpl, options = {}) {
+  const label = parseZpl(zpl);
+  const width = label.width || options.width || 812;
+  const height = label.height || options.height || 1218;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#fff"/>
+<g font-family="'Arial Narrow', 'Helvetica Neue', Arial, sans-serif" font-weight="bold" fill="#000">
+${label.items.map(renderItem).join('\n')}
+</g>
+</svg>
+`;
+}
+
+module.exports = {
+  parseZpl,
+  zplToSvg
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const moment = require('moment');
+
+const CHECKIN_ACTIONS = ['check_in', 'check_out'];
+
+// Attendance on the floor, for roll-call votes. Staff check contacts in and
+// out from the lookup screen; this is independent of whether a badge has been
+// printed, so an uncredentialed contact can be checked in too.
+module.exports = function(database, config, logger) {
+  const router = express.Router();
+
+  // Who is present now, overall and by district and category
+  router.get('/:eventId/presence', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      res.json({
+        eventId: event.id,
+        eventName: event.name,
+        generatedAt: moment().toISOString(),
+        ...await database.getPresence(event.id)
+      });
+    } catch (error) {
+      logger.error('Failed to get presence', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get presence' });
+    }
+  });
+
+  // A contact's check-ins and check-outs, oldest first
+  router.get('/:eventId/contacts/:contactId', async (req, res) => {
+    try {
+      const { eventId, contactId } = req.params;
+      const contact = await database.getContact(contactId);
+      if (!contact || contact.event_id !== eventId) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const checkins = await database.getCheckins(contactId, eventId);
+      const latest = checkins[checkins.length - 1];
+      res.json({
+        contactId,
+        checked_in: Boolean(latest && latest.action === 'check_in'),
+        checkins
+      });
+    } catch (error) {
+      logger.error('Failed to get check-ins', { error: error.message, contactId: req.params.contactId });
+      res.status(500).json({ error: 'Failed to get check-ins' });
+    }
+  });
+
+  // Check a contact in or out. Body: { action: 'check_in' | 'check_out', recordedBy }
+  router.post('/:eventId/contacts/:contactId', async (req, res) => {
+    try {
+      const { eventId, contactId } = req.params;
+      const { action, recordedBy } = req.body;
+
+      if (!CHECKIN_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${CHECKIN_ACTIONS.join(', ')}` });
+      }
+
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      const contact = await database.getContact(contactId);
+      if (!contact || contact.event_id !== eventId) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const latest = await database.getLatestCheckin(contactId, eventId);
+      const checkedIn = Boolean(latest && latest.action === 'check_in');
+      if (action === 'check_in' && checkedIn) {
+        return res.status(409).json({ error: 'Contact is already checked in', since: latest.created_at });
+      }
+      if (action === 'check_out' && !checkedIn) {
+        return res.status(409).json({ error: 'Contact is not checked in' });
+      }
+
+      const checkin = await database.recordCheckin({
+        event_id: eventId,
+        contact_id: contactId,
+        action,
+        recorded_by: recordedBy
+      });
+
+      logger.logCredentialing(contactId, action === 'check_in' ? 'checked_in' : 'checked_out', { eventId });
+
+      res.status(201).json({
+        checkin,
+        checked_in: action === 'check_in',
+        presence: await database.getPresence(eventId)
+      });
+    } catch (error) {
+      logger.error('Failed to record check-in', { error: error.message, contactId: req.params.contactId });
+      res.status(500).json({ error: 'Failed to record check-in' });
+    }
+  });
+
+  return router;
+};
@@ -1,10 +1,81 @@
 const express = require('express');
 const moment = require('moment');
+const { CATEGORIES, normalizeCategory } = require('../utils/categories');
+const { NAME_FIELDS, foldName, createNameMatcher } = require('../utils/name-matching');
+const { parseSearchQuery } = require('../utils/search-query');
+const { findDuplicatePairs, mergeValues } = require('../utils/duplicate-contacts');
+const { zoneAccessVia } = require('../utils/access-zones');
+
+// Most contacts one listing page returns
+const MAX_LISTING_LIMIT = 1000;
 
 module.exports = function(database, config, logger) {
   const router = express.Router();
 
-  // Search contacts with fuzzy search
+  // A contact as the listing and search endpoints return it, with the
+  // credential summary the database joins in
+  function listedContact(contact) {
+    return {
+      ...contact,
+      isCredentialed: !!contact.is_credentialed,
+      displayName: `${contact.last_name}, ${contact.first_name}`.trim(),
+      addressDisplay: [contact.address, contact.city, contact.state, contact.zip]
+        .filter(Boolean)
+        .join(', ')
+    };
+  }
+
+  // Contact names per event for the fuzzy search, reloaded when the event's
+  // contacts change
+  const contactNameCache = new Map();
+
+  async function contactNames(eventId) {
+    const version = await database.getContactsVersion(eventId);
+    const cached = contactNameCache.get(eventId);
+    if (cached && cached.version === version) {
+      return cached.contacts;
+    }
+    const contacts = await database.getContactNames(eventId);
+    contactNameCache.set(eventId, { version, contacts });
+    return contacts;
+  }
+
+  // Contacts whose searchable names match the query's text by nickname, sound
+  // or spelling, best first, among those passing its field filters. Each gets
+  // match: { type, score, reasons }.
+  async function fuzzyNameMatches(eventId, search, limit, excludeIds) {
+    const queryWords = search.text.split(/\s+/).map(foldName).filter(Boolean);
+    const nameFields = NAME_FIELDS.filter(field => search.fields.standard.includes(field));
+    if (queryWords.length === 0 || nameFields.length === 0 || limit <= 0) {
+      return [];
+    }
+
+    const allowedIds = search.filters.length > 0
+      ? await database.getFilteredContactIds(eventId, search.filters)
+      : null;
+    const matchName = createNameMatcher(queryWords, config.getSearchConfig().fuzzyThreshold, nameFields);
+    const matches = [];
+    for (const contact of await contactNames(eventId)) {
+      if (excludeIds.has(contact.id) || (allowedIds && !allowedIds.has(contact.id))) {
+        continue;
+      }
+      const match = matchName(contact);
+      if (match) {
+        matches.push({ id: contact.id, match });
+      }
+    }
+    matches.sort((a, b) => b.match.score - a.match.score);
+
+    const best = matches.slice(0, limit);
+    const contacts = await database.getSearchResults(eventId, best.map(({ id }) => id));
+    return contacts.map((contact, index) => ({ ...contact, match: best[index].match }));
+  }
+
+  // Full-text contact search (see Database.searchContacts) over the event's
+  // searchable columns; field:value terms filter (see parseSearchQuery). When
+  // it finds fewer than limit contacts, names that match by nickname, sound or
+  // close spelling (scoring at least search.fuzzyThreshold) follow. match says
+  // why each contact was found: type is text, nickname, phonetic or fuzzy.
   router.get('/search/:eventId', async (req, res) => {
     try {
       const { eventId } = req.params;
@@ -16,23 +87,21 @@ module.exports = function(database, config, logger) {
 
       const startTime = Date.now();
       
-      // Use database search for better performance
-      const contacts = await database.searchContacts(eventId, query.trim(), parseInt(limit));
+      const maxResults = parseInt(limit);
+      const search = parseSearchQuery(query.trim(), await database.getSearchFields(eventId));
+      const textMatches = (await database.searchContacts(eventId, search, maxResults))
+        .map(contact => ({
+          ...contact,
+          match: { type: 'text', score: 1, reasons: [`Matches "${query.trim()}"`] }
+        }));
+      const contacts = textMatches.concat(await fuzzyNameMatches(
+        eventId,
+        search,
+        maxResults - textMatches.length,
+        new Set(textMatches.map(contact => contact.id))
+      ));
       
-      // Check credentialing status for each contact
-      const contactsWithStatus = await Promise.all(
-        contacts.map(async (contact) => {
-          const isCredentialed = await database.isContactCredentialed(contact.id, eventId);
-          return {
-            ...contact,
-            isCredentialed,
-            displayName: `${contact.last_name}, ${contact.first_name}`.trim(),
-            addressDisplay: [contact.address, contact.city, contact.state, contact.zip]
-              .filter(Boolean)
-              .join(', ')
-          };
-        })
-      );
+      const contactsWithStatus = contacts.map(listedContact);
 
       const duration = Date.now() - startTime;
       logger.logPerformance('contact_search', duration, { 
@@ -40,6 +109,9 @@ module.exports = function(database, config, logger) {
         query, 
         resultCount: contactsWithStatus.length 
       });
+      if (duration > config.getPerformanceConfig().searchTimeoutMs) {
+        logger.warn('Contact search was slower than performance.searchTimeoutMs', { eventId, query, duration });
+      }
 
       res.json(contactsWithStatus);
     } catch (error) {
@@ -52,6 +124,119 @@ module.exports = function(database, config, logger) {
     }
   });
 
+  // Filled-in fields, for suggesting which of two duplicates to keep
+  const filledFields = contact => ['first_name', 'middle_name', 'last_name', 'birth_date', 'address', 'city', 'state', 'zip', 'phone', 'email']
+    .filter(field => contact[field] && String(contact[field]).trim()).length;
+
+  // The contact to keep first: the credentialed one, else the more complete,
+  // else the older
+  function survivorFirst(a, b) {
+    const rank = contact => [contact.is_credentialed ? 1 : 0, filledFields(contact), -Date.parse(contact.created_at)];
+    const [rankA, rankB] = [rank(a), rank(b)];
+    const index = rankA.findIndex((value, i) => value !== rankB[i]);
+    return index === -1 || rankA[index] > rankB[index] ? [a, b] : [b, a];
+  }
+
+  // Likely duplicate contacts, best first (see utils/duplicate-contacts).
+  // Each pair lists the suggested survivor first. ?minScore defaults to
+  // duplicates.minScore.
+  router.get('/duplicates/:eventId', async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      const minScore = req.query.minScore !== undefined
+        ? parseFloat(req.query.minScore)
+        : config.getDuplicatesConfig().minScore;
+      if (!(minScore > 0 && minScore <= 1)) {
+        return res.status(400).json({ error: 'minScore must be above 0 and at most 1' });
+      }
+      const limit = parseInt(req.query.limit) || 100;
+
+      const startTime = Date.now();
+      const pairs = findDuplicatePairs(await database.getDuplicateCandidates(eventId), minScore);
+      const shown = pairs.slice(0, limit);
+
+      const ids = [...new Set(shown.flatMap(pair => pair.contacts.map(contact => contact.id)))];
+      const contacts = new Map((await database.getSearchResults(eventId, ids)).map(contact => [contact.id, contact]));
+
+      logger.logPerformance('duplicate_scan', Date.now() - startTime, { eventId, pairCount: pairs.length });
+
+      res.json({
+        minScore,
+        total: pairs.length,
+        pairs: shown.map(pair => ({
+          score: pair.score,
+          fields: pair.fields,
+          reasons: pair.reasons,
+          contacts: survivorFirst(...pair.contacts.map(contact => contacts.get(contact.id))).map(listedContact)
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to find duplicate contacts', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to find duplicate contacts' });
+    }
+  });
+
+  // Why two contacts cannot be merged, as { status, error }, or null
+  async function checkMerge(survivor, duplicate) {
+    if (!survivor || !duplicate) {
+      return { status: 404, error: 'Contact not found' };
+    }
+    if (survivor.id === duplicate.id) {
+      return { status: 400, error: 'A contact cannot be merged with itself' };
+    }
+    if (survivor.event_id !== duplicate.event_id) {
+      return { status: 400, error: 'Only contacts in the same event can be merged' };
+    }
+    if (await database.isContactCredentialed(survivor.id, survivor.event_id) &&
+        await database.isContactCredentialed(duplicate.id, duplicate.event_id)) {
+      return { status: 409, error: 'Both contacts hold an active credential. Void one before merging.' };
+    }
+    if (await database.getActiveSeatUpgrade(survivor.id) && await database.getActiveSeatUpgrade(duplicate.id)) {
+      return { status: 409, error: 'Both contacts are part of a seat upgrade. Revoke one before merging.' };
+    }
+    return null;
+  }
+
+  // Merge duplicateId into this contact. Body: { duplicateId, picks } where
+  // picks maps a field to 'survivor' or 'duplicate' (see mergeValues)
+  router.post('/:contactId/merge', async (req, res) => {
+    try {
+      const { duplicateId, picks = {} } = req.body;
+      if (!duplicateId) {
+        return res.status(400).json({ error: 'duplicateId is required' });
+      }
+
+      const survivor = await database.getContact(req.params.contactId);
+      const duplicate = await database.getContact(duplicateId);
+      const problem = await checkMerge(survivor, duplicate);
+      if (problem) {
+        return res.status(problem.status).json({ error: problem.error });
+      }
+
+      const merge = mergeValues(survivor, duplicate, picks);
+      if (merge.error) {
+        return res.status(merge.status).json({ error: merge.error });
+      }
+
+      const { contact, moved } = await database.mergeContacts(survivor.id, duplicate.id, merge.values);
+
+      logger.logCredentialing(survivor.id, 'contact_merged', {
+        eventId: survivor.event_id,
+        duplicateId: duplicate.id,
+        moved
+      });
+
+      res.json({ contact, moved });
+    } catch (error) {
+      logger.error('Failed to merge contacts', {
+        error: error.message,
+        contactId: req.params.contactId,
+        duplicateId: req.body.duplicateId
+      });
+      res.status(500).json({ error: 'Failed to merge contacts' });
+    }
+  });
+
   // Get specific contact
   router.get('/:contactId', async (req, res) => {
     try {
@@ -65,11 +250,25 @@ module.exports = function(database, config, logger) {
       
       // Get credentials history
       const credentials = await database.getCredentialsByContact(contact.id);
+      const currentCredential = await database.getCurrentCredential(contact.id, contact.event_id);
+      const reprintCount = await database.countReprints(contact.id, contact.event_id);
+      const categoryRule = await database.getCategoryRule(contact.event_id, contact.category);
+      const seatUpgrade = await database.getActiveSeatUpgrade(contact.id);
+      const zones = await database.getAccessZones(contact.event_id);
+      const latestCheckin = await database.getLatestCheckin(contact.id, contact.event_id);
 
       res.json({
         ...contact,
         isCredentialed,
         credentials,
+        badge_number: currentCredential ? currentCredential.badge_number : null,
+        reprint_count: reprintCount,
+        category_rule: categoryRule || null,
+        seat_upgrade: seatUpgrade || null,
+        // Every zone of the event; allowed_via is null where the contact may not enter
+        access_zones: zones.map(zone => ({ id: zone.id, name: zone.name, allowed_via: zoneAccessVia(zone, contact) })),
+        checked_in: Boolean(latestCheckin && latestCheckin.action === 'check_in'),
+        last_checkin: latestCheckin || null,
         displayName: `${contact.last_name}, ${contact.first_name}`.trim(),
         addressDisplay: [contact.address, contact.city, contact.state, contact.zip]
           .filter(Boolean)
@@ -84,6 +283,35 @@ module.exports = function(database, config, logger) {
     }
   });
 
+  // Credential history: every badge issued to the contact, oldest first, each
+  // with its audit entries. reprint_of / replaced_by link the reprint chain.
+  router.get('/:contactId/credential-history', async (req, res) => {
+    try {
+      const contact = await database.getContact(req.params.contactId);
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const credentials = (await database.getCredentialsByContact(contact.id)).reverse();
+      const audit = await database.getAuditEntries('credential', credentials.map(credential => credential.id));
+
+      res.json({
+        contactId: contact.id,
+        reprintCount: credentials.filter(credential => credential.reprint_of).length,
+        credentials: credentials.map(credential => ({
+          ...credential,
+          audit: audit.filter(entry => entry.entity_id === credential.id)
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to get credential history', {
+        error: error.message,
+        contactId: req.params.contactId
+      });
+      res.status(500).json({ error: 'Failed to get credential history' });
+    }
+  });
+
   // Update contact
   router.put('/:contactId', async (req, res) => {
     try {
@@ -94,6 +322,23 @@ module.exports = function(database, config, logger) {
         return res.status(404).json({ error: 'Contact not found' });
       }
 
+      const category = parseCategory(req.body.category);
+      if (category.error) {
+        return res.status(400).json({ error: category.error });
+      }
+
+      const seating = parseSeating(req.body);
+      if (seating.error) {
+        return res.status(400).json({ error: seating.error });
+      }
+
+      // A seated alternate (or the delegate they replace) keeps their district and category
+      const movesSeat = (category.value !== undefined && category.value !== contact.category) ||
+        (seating.district !== undefined && seating.district !== contact.district);
+      if (movesSeat && await database.getActiveSeatUpgrade(contactId)) {
+        return res.status(409).json({ error: 'Contact is part of a seat upgrade. Revoke the upgrade before changing district or category.' });
+      }
+
       // Prepare update data
       const updateData = {
         first_name: req.body.first_name || contact.first_name,
@@ -106,7 +351,10 @@ module.exports = function(database, config, logger) {
         zip: req.body.zip || contact.zip,
         phone: req.body.phone || contact.phone,
         email: req.body.email || contact.email,
-        custom_fields: req.body.custom_fields || contact.custom_fields
+        custom_fields: req.body.custom_fields || contact.custom_fields,
+        category: category.value,
+        district: seating.district,
+        alternate_rank: seating.alternate_rank
       };
 
       const updatedContact = await database.updateContact(contactId, updateData);
@@ -145,6 +393,16 @@ module.exports = function(database, config, logger) {
         return res.status(400).json({ error: 'First name and last name are required' });
       }
 
+      const category = parseCategory(req.body.category);
+      if (category.error) {
+        return res.status(400).json({ error: category.error });
+      }
+
+      const seating = parseSeating(req.body);
+      if (seating.error) {
+        return res.status(400).json({ error: seating.error });
+      }
+
       const contactData = {
         first_name: first_name.trim(),
         last_name: last_name.trim(),
@@ -156,7 +414,10 @@ module.exports = function(database, config, logger) {
         zip: zip?.trim() || '',
         phone: phone?.trim() || '',
         email: email?.trim() || '',
-        custom_fields: custom_fields || {}
+        custom_fields: custom_fields || {},
+        category: category.value || null,
+        district: seating.district || null,
+        alternate_rank: seating.alternate_rank || null
       };
 
       const newContact = await database.addContact(eventId, contactData);
@@ -176,63 +437,48 @@ module.exports = function(database, config, logger) {
     }
   });
 
-  // Get all contacts for an event
+  // One page of an event's contacts, each with its credential status, latest
+  // print and template, and credential count. Pass pagination.nextCursor back
+  // as ?cursor= for the next page; ?page= still pages by offset.
   router.get('/event/:eventId', async (req, res) => {
     try {
       const { eventId } = req.params;
-      const { page = 1, limit = 100, sortBy = 'last_name', sortOrder = 'asc' } = req.query;
-      
-      const offset = (parseInt(page) - 1) * parseInt(limit);
-      
-      // Validate sort fields
-      const allowedSortFields = ['last_name', 'first_name', 'birth_date', 'city', 'state'];
-      const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'last_name';
-      const order = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
-      
-      const sql = `
-        SELECT * FROM contacts 
-        WHERE event_id = ? 
-        ORDER BY ${sortField} ${order}, last_name ASC, first_name ASC
-        LIMIT ? OFFSET ?
-      `;
-      
-      const contacts = await database.all(sql, [eventId, parseInt(limit), offset]);
-      
-      // Get total count for pagination
-      const countResult = await database.get(
-        'SELECT COUNT(*) as total FROM contacts WHERE event_id = ?',
-        [eventId]
-      );
-      
-      // Add credentialing status
-      const contactsWithStatus = await Promise.all(
-        contacts.map(async (contact) => {
-          const isCredentialed = await database.isContactCredentialed(contact.id, eventId);
-          return {
-            ...contact,
-            isCredentialed,
-            displayName: `${contact.last_name}, ${contact.first_name}`.trim(),
-            addressDisplay: [contact.address, contact.city, contact.state, contact.zip]
-              .filter(Boolean)
-              .join(', ')
-          };
-        })
-      );
+      const { page, cursor, limit = 100, sortBy = 'last_name', sortOrder = 'asc', category } = req.query;
+
+      const pageSize = parseInt(limit);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LISTING_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${MAX_LISTING_LIMIT}` });
+      }
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const order = String(sortOrder).toLowerCase() === 'desc' ? 'desc' : 'asc';
+
+      const listing = await database.listContacts(eventId, {
+        sortBy,
+        order,
+        category: category && category !== 'none' ? normalizeCategory(category) : category,
+        limit: pageSize,
+        cursor: cursor || null,
+        offset: (pageNumber - 1) * pageSize
+      });
 
       res.json({
-        contacts: contactsWithStatus,
+        contacts: listing.contacts.map(listedContact),
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: countResult.total,
-          pages: Math.ceil(countResult.total / parseInt(limit))
+          ...(cursor ? {} : { page: pageNumber }),
+          limit: pageSize,
+          total: listing.total,
+          pages: Math.ceil(listing.total / pageSize),
+          nextCursor: listing.nextCursor
         },
         sort: {
-          field: sortField,
-          order: order.toLowerCase()
+          field: listing.sortField,
+          order
         }
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       logger.error('Failed to get event contacts', { 
         error: error.message, 
         eventId: req.params.eventId 
@@ -323,6 +569,10 @@ module.exports = function(database, config, logger) {
       
       for (const contactUpdate of contacts) {
         try {
+          if (contactUpdate.category !== undefined) {
+            contactUpdate.category = normalizeCategory(contactUpdate.category);
+          }
+
           if (contactUpdate.id) {
             // Update existing contact
             const updatedContact = await database.updateContact(contactUpdate.id, contactUpdate);
@@ -378,8 +628,21 @@ module.exports = function(database, config, logger) {
         });
       }
 
+      if (await database.getActiveSeatUpgrade(contactId)) {
+        return res.status(400).json({ 
+          error: 'Cannot delete a contact who is part of a seat upgrade. Revoke the upgrade first.' 
+        });
+      }
+
+      const printJobs = await database.listPrintJobs({ contactId, status: ['queued', 'sending'], limit: 1 });
+      if (printJobs.length > 0) {
+        return res.status(400).json({ 
+          error: 'Cannot delete a contact whose badge is printing. Wait for the print job or cancel it first.' 
+        });
+      }
+
       // Delete contact
-      await database.run('DELETE FROM contacts WHERE id = ?', [contactId]);
+      await database.transaction(() => database.deleteContact(contactId));
       
       logger.logCredentialing(contactId, 'contact_deleted', {
         eventId: contact.event_id,
@@ -396,5 +659,38 @@ module.exports = function(database, config, logger) {
     }
   });
 
+  // Returns { value } with the canonical category (null clears it; undefined
+  // leaves it unchanged) or { error } for a value that is not a known category
+  function parseCategory(value) {
+    if (value === undefined) {
+      return { value: undefined };
+    }
+    if (value === null || String(value).trim() === '') {
+      return { value: null };
+    }
+    const category = normalizeCategory(value);
+    if (!category) {
+      return { error: `Category must be one of: ${CATEGORIES.join(', ')}` };
+    }
+    return { value: category };
+  }
+
+  // District and alternate rank from a request body. Undefined leaves a field
+  // unchanged and '' clears it; the rank must be a positive whole number.
+  function parseSeating(body) {
+    const seating = {};
+    if (body.district !== undefined) {
+      seating.district = body.district === null ? null : String(body.district).trim() || null;
+    }
+    if (body.alternate_rank !== undefined) {
+      const value = body.alternate_rank === null ? '' : String(body.alternate_rank).trim();
+      if (value !== '' && !/^[1-9]\d*$/.test(value)) {
+        return { error: 'Alternate rank must be a positive whole number' };
+      }
+      seating.alternate_rank = value === '' ? null : parseInt(value, 10);
+    }
+    return seating;
+  }
+
   return router;
 };
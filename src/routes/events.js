@@ -1,11 +1,20 @@
 const express = require('express');
-const csv = require('csv-parser');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const { CATEGORIES, isValidCategory, normalizeCategory } = require('../utils/categories');
+const {
+  IMPORT_FIELDS, suggestMapping, missingRequiredFields, validateMapping, compactMapping, headerForField,
+  customFieldKey
+} = require('../utils/column-mapping');
+const { diffRoster, rowContactFields } = require('../importing/roster-diff');
+const { validateRows } = require('../importing/row-validator');
+const { rosterFormat, readRoster } = require('../importing/roster-reader');
+const { STANDARD_SEARCH_COLUMNS } = require('../utils/search-query');
 
-module.exports = function(database, config, logger, upload) {
+module.exports = function(database, config, logger, upload, importJobs) {
   const router = express.Router();
 
   // Get all events
@@ -36,18 +45,23 @@ module.exports = function(database, config, logger, upload) {
   // Create new event
   router.post('/', async (req, res) => {
     try {
-      const { name, date, description, merged_pdf_path, fallback_pdf_path } = req.body;
+      const { name, date, description, merged_pdf_path, fallback_pdf_path, badge_prefix, badge_digits, reprint_limit } = req.body;
       
       if (!name || !date) {
         return res.status(400).json({ error: 'Event name and date are required' });
       }
 
+      const settingsError = validateCredentialSettings(badge_prefix, badge_digits, reprint_limit);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
       // Validate date format
       if (!moment(date, moment.ISO_8601, true).isValid()) {
         return res.status(400).json({ error: 'Invalid date format. Use ISO 8601 format (YYYY-MM-DD)' });
       }
 
-      const event = await database.createEvent({ name, date, description, merged_pdf_path, fallback_pdf_path });
+      const event = await database.createEvent({ name, date, description, merged_pdf_path, fallback_pdf_path, badge_prefix, badge_digits, reprint_limit });
       
       logger.logEvent('event_created', { eventId: event.id, eventName: event.name });
       
@@ -61,7 +75,7 @@ module.exports = function(database, config, logger, upload) {
   // Update event
   router.put('/:eventId', async (req, res) => {
     try {
-      const { name, date, description, template_id, merged_pdf_path, fallback_pdf_path } = req.body;
+      const { name, date, description, template_id, merged_pdf_path, fallback_pdf_path, badge_prefix, badge_digits, reprint_limit } = req.body;
       
       // If updating basic event info, validate required fields
       if (name !== undefined || date !== undefined) {
@@ -75,6 +89,11 @@ module.exports = function(database, config, logger, upload) {
         }
       }
 
+      const settingsError = validateCredentialSettings(badge_prefix, badge_digits, reprint_limit);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
       const updateData = {};
       if (name !== undefined) updateData.name = name;
       if (date !== undefined) updateData.date = date;
@@ -82,6 +101,10 @@ module.exports = function(database, config, logger, upload) {
       if (template_id !== undefined) updateData.template_id = template_id;
       if (merged_pdf_path !== undefined) updateData.merged_pdf_path = merged_pdf_path;
       if (fallback_pdf_path !== undefined) updateData.fallback_pdf_path = fallback_pdf_path;
+      if (badge_prefix !== undefined) updateData.badge_prefix = badge_prefix.trim();
+      if (badge_digits !== undefined) updateData.badge_digits = parseInt(badge_digits);
+      // null or '' removes the limit
+      if (reprint_limit !== undefined) updateData.reprint_limit = reprint_limit === null || reprint_limit === '' ? null : parseInt(reprint_limit);
 
       const event = await database.updateEvent(req.params.eventId, updateData);
       
@@ -114,16 +137,26 @@ module.exports = function(database, config, logger, upload) {
           contactCount: contacts[0].count,
           warning: 'Event deleted with existing contacts - data may be lost'
         });
-        
-        // Delete all related data (contacts, credentials, etc.)
+      }
+
+      // Delete the event and everything related to it in one transaction.
+      // Its print jobs go first so the print queue does not pick them up.
+      await database.transaction(async () => {
+        await database.run('DELETE FROM print_jobs WHERE event_id = ?', [eventId]);
         await database.run('DELETE FROM credentials WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM badge_sequences WHERE event_id = ?', [eventId]);
         await database.run('DELETE FROM contacts WHERE event_id = ?', [eventId]);
         await database.run('DELETE FROM csv_imports WHERE event_id = ?', [eventId]);
         await database.run('DELETE FROM exports WHERE event_id = ?', [eventId]);
-      }
-
-      // Delete the event
-      await database.run('DELETE FROM events WHERE id = ?', [eventId]);
+        await database.run('DELETE FROM event_category_rules WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM seat_upgrades WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM quorum_groups WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM badge_scans WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM access_zone_rules WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM access_zones WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM checkins WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM events WHERE id = ?', [eventId]);
+      });
       
       logger.logEvent('event_deleted', { eventId: eventId, eventName: event.name });
       
@@ -138,7 +171,754 @@ module.exports = function(database, config, logger, upload) {
     }
   });
 
-  // Import CSV for event
+  // CSV import runs in two phases: preview uploads the file and returns its
+  // headers with a suggested column mapping; commit imports it with the mapping
+  // the user confirmed. Uploads wait in the staging directory in between, as
+  // CSV whatever format they arrived in.
+  const stagingDir = path.join(config.getDataDir(), 'import_staging');
+  const STAGED_UPLOAD_TTL_HOURS = 24;
+
+  // Read an uploaded roster: CSV, tab-delimited or an Excel workbook. sheet
+  // and headerRow pick what to read from it. Returns { status, error } if the
+  // file or the options are unusable.
+  async function readUploadedRoster(file, { sheet, headerRow }) {
+    const format = rosterFormat(file.originalname);
+    if (!format) {
+      return { status: 400, error: 'Rosters must be .csv, .tsv, .txt or .xlsx files' };
+    }
+
+    let headerRowNumber = null;
+    if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+      headerRowNumber = Number(headerRow);
+      if (!Number.isInteger(headerRowNumber) || headerRowNumber < 1) {
+        return { status: 400, error: 'headerRow must be a row number, counting from 1' };
+      }
+    }
+
+    try {
+      const roster = await readRoster(file.path, { format, sheet: sheet || null, headerRow: headerRowNumber });
+      return { format, ...roster };
+    } catch (error) {
+      if (error.status) {
+        return { status: error.status, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  async function writeStagedCsv(csvPath, headers, rows) {
+    const writer = createCsvWriter({
+      path: csvPath,
+      header: headers.map(header => ({ id: header, title: header }))
+    });
+    await writer.writeRecords(rows);
+  }
+
+  function stagedUploadPaths(uploadId) {
+    return {
+      csvPath: path.join(stagingDir, `${uploadId}.csv`),
+      metaPath: path.join(stagingDir, `${uploadId}.json`)
+    };
+  }
+
+  // Staged uploads nobody committed
+  async function removeStaleUploads() {
+    const cutoff = moment().subtract(STAGED_UPLOAD_TTL_HOURS, 'hours');
+    const files = await fs.readdir(stagingDir);
+    for (const file of files) {
+      const filePath = path.join(stagingDir, file);
+      const stat = await fs.stat(filePath);
+      if (moment(stat.mtime).isBefore(cutoff)) {
+        await fs.remove(filePath);
+      }
+    }
+  }
+
+  // The saved profile that maps the most of these headers, among profiles whose
+  // columns are all present
+  async function findMatchingProfile(headers) {
+    const profiles = await database.getImportProfiles();
+    let best = null;
+    for (const profile of profiles) {
+      const columns = Object.keys(profile.mapping);
+      if (columns.length > 0 && columns.every(column => headers.includes(column))
+        && (!best || columns.length > Object.keys(best.mapping).length)) {
+        best = profile;
+      }
+    }
+    return best;
+  }
+
+  // A profile's mapping for this CSV, with every header present
+  function profileMappingFor(profile, headers) {
+    const mapping = {};
+    headers.forEach(header => {
+      mapping[header] = profile.mapping[header] || null;
+    });
+    return mapping;
+  }
+
+  // Create or update the named profile with this mapping
+  async function saveImportProfile({ name, source }, mapping) {
+    const existing = (await database.getImportProfiles()).find(profile => profile.name === name);
+    const profileData = { name, source: source || null, mapping: compactMapping(mapping) };
+    const profile = existing
+      ? await database.updateImportProfile(existing.id, profileData)
+      : await database.createImportProfile(profileData);
+
+    await database.logAudit({
+      action: existing ? 'import_profile_updated' : 'import_profile_created',
+      entity_type: 'import_profile',
+      entity_id: profile.id,
+      details: { name: profile.name, source: profile.source }
+    });
+
+    return profile;
+  }
+
+  // The app works from a copy of each roster with normalized headers,
+  // leaving the original untouched
+  async function writeWorkingCopy(eventId, headers, contacts) {
+    const workingCopyDir = path.join(config.getDataDir(), 'working_copies');
+    await fs.ensureDir(workingCopyDir);
+    
+    const workingCopyPath = path.join(workingCopyDir, `event_${eventId}_${Date.now()}.csv`);
+    const normalizedHeaders = headers.map(customFieldKey);
+    
+    const csvContent = [
+      normalizedHeaders.join(','),
+      ...contacts.map(row => 
+        headers.map(header => JSON.stringify(row[header] || '')).join(',')
+      )
+    ].join('\n');
+    
+    await fs.writeFile(workingCopyPath, csvContent);
+    return { workingCopyPath, normalizedHeaders };
+  }
+
+  // Write the working copy, then insert the contacts and record the import in
+  // one transaction. Nothing is imported if any row fails.
+  // The working copy holds every row; rowNumbers (1-based) limits which rows
+  // are imported, e.g. to the ones that passed validation.
+  async function importRows(event, { filePath, originalFilename, headers, rows, rowNumbers = null, mapping }, onProgress = null) {
+    const eventId = event.id;
+    const startTime = Date.now();
+    const contacts = rowNumbers ? rowNumbers.map(rowNumber => rows[rowNumber - 1]) : rows;
+
+    const { workingCopyPath, normalizedHeaders } = await writeWorkingCopy(eventId, headers, rows);
+
+    let csvImport;
+    try {
+      ({ csvImport } = await database.importContacts(eventId, contacts, {
+        headers,
+        mapping,
+        rowNumbers,
+        onProgress,
+        csvImport: {
+          event_id: eventId,
+          original_filename: originalFilename,
+          working_copy_path: workingCopyPath,
+          record_count: contacts.length,
+          headers: normalizedHeaders,
+          import_date: moment().toISOString()
+        }
+      }));
+    } catch (error) {
+      await fs.remove(workingCopyPath);
+      throw error;
+    }
+
+    // Remember the category column so the next roster maps it the same way
+    const categoryColumn = headerForField(mapping, 'category');
+    if (categoryColumn && categoryColumn !== event.category_column) {
+      await database.updateEvent(eventId, { category_column: categoryColumn });
+    }
+    const uncategorized = categoryColumn
+      ? contacts.filter(row => !normalizeCategory(row[categoryColumn])).length
+      : contacts.length;
+
+    // Clean up uploaded file
+    await fs.remove(filePath);
+
+    const duration = Date.now() - startTime;
+    logger.logPerformance('csv_import', duration, { 
+      eventId, 
+      recordCount: contacts.length,
+      csvImportId: csvImport.id 
+    });
+    
+    logger.logCSVImport(originalFilename, contacts.length, { 
+      eventId, 
+      csvImportId: csvImport.id,
+      workingCopyPath 
+    });
+
+    return {
+      message: `Successfully imported ${contacts.length} contacts`,
+      contactCount: contacts.length,
+      headers: normalizedHeaders,
+      workingCopyPath,
+      csvImportId: csvImport.id,
+      mapping: compactMapping(mapping),
+      categoryColumn,
+      uncategorized,
+      duration: `${duration}ms`
+    };
+  }
+
+  function jobResponse(eventId, job) {
+    return {
+      jobId: job.id,
+      statusUrl: `/api/events/${eventId}/import-jobs/${job.id}`,
+      ...importJobs.describe(job)
+    };
+  }
+
+  // The staged upload and column mapping a commit, diff or apply request
+  // names (by mapping, or by profileId). Returns { status, error } if unusable.
+  async function loadStagedImport(event, { uploadId, mapping, profileId }) {
+    if (typeof uploadId !== 'string' || !/^[0-9a-f-]{36}$/i.test(uploadId)) {
+      return { status: 400, error: 'uploadId is required' };
+    }
+
+    const { csvPath, metaPath } = stagedUploadPaths(uploadId);
+    if (!(await fs.pathExists(metaPath)) || !(await fs.pathExists(csvPath))) {
+      return { status: 404, error: 'Upload not found or expired; upload the CSV again' };
+    }
+    const meta = await fs.readJson(metaPath);
+    if (meta.eventId !== event.id) {
+      return { status: 400, error: 'Upload belongs to a different event' };
+    }
+
+    let profile = null;
+    if (!mapping && profileId) {
+      profile = await database.getImportProfile(profileId);
+      if (!profile) {
+        return { status: 404, error: 'Import profile not found' };
+      }
+      mapping = profileMappingFor(profile, meta.headers);
+    }
+    if (!mapping) {
+      return { status: 400, error: 'A column mapping or profileId is required' };
+    }
+
+    const mappingError = validateMapping(mapping, meta.headers);
+    if (mappingError) {
+      return { status: 400, error: mappingError };
+    }
+    const missingFields = missingRequiredFields(mapping);
+    if (missingFields.length > 0) {
+      return {
+        status: 400,
+        error: `Map a column to ${missingFields.join(' and ')} before importing`,
+        missingFields
+      };
+    }
+
+    return { uploadId, meta, csvPath, metaPath, mapping, profile };
+  }
+
+  const INVALID_ROW_CHOICES = ['import_all', 'valid_only', 'abort'];
+  // Issues returned inline; the downloadable report has all of them
+  const MAX_INLINE_ISSUES = 200;
+
+  // Check rows against the configured import rules. When there are issues the
+  // full list is written as a CSV export and reportUrl points at its download.
+  async function validateImport(event, { rows, headers, mapping, originalFilename, headerRow = 1 }) {
+    const validation = validateRows(rows, {
+      headers,
+      mapping,
+      rules: config.getImportValidationConfig().rules,
+      headerLine: headerRow
+    });
+
+    let reportUrl = null;
+    if (validation.issues.length > 0) {
+      const exportsDir = config.getExportsDir();
+      await fs.ensureDir(exportsDir);
+      const eventName = event.name.replace(/[^a-zA-Z0-9]/g, '_');
+      const filename = `Import_Validation_${eventName}_${moment().format('YYYY-MM-DD_HH-mm-ss')}.csv`;
+      const filePath = path.join(exportsDir, filename);
+
+      await createCsvWriter({
+        path: filePath,
+        header: [
+          { id: 'line', title: 'Line' },
+          { id: 'row', title: 'Row' },
+          { id: 'severity', title: 'Severity' },
+          { id: 'field', title: 'Field' },
+          { id: 'column', title: 'Column' },
+          { id: 'value', title: 'Value' },
+          { id: 'message', title: 'Message' }
+        ]
+      }).writeRecords(validation.issues);
+
+      const exportRecord = await database.recordExport({
+        event_id: event.id,
+        filename,
+        file_path: filePath,
+        record_count: validation.issues.length,
+        export_date: moment().toISOString()
+      });
+      reportUrl = `/api/exports/download/${exportRecord.id}`;
+      logger.info('Import validation report written', { eventId: event.id, originalFilename, ...validation.summary });
+    }
+
+    return {
+      summary: validation.summary,
+      rejectedRows: validation.rejectedRows,
+      issues: validation.issues.slice(0, MAX_INLINE_ISSUES),
+      issuesTruncated: validation.issues.length > MAX_INLINE_ISSUES,
+      reportUrl
+    };
+  }
+
+  // What to import given the operator's choice for rows that failed validation.
+  // Returns { rowNumbers } (null for every row), { abort: true }, or
+  // { status, error, ... } when a choice is missing or unknown.
+  function applyInvalidRowChoice(validation, onInvalid, rowCount) {
+    if (onInvalid !== undefined && onInvalid !== null && !INVALID_ROW_CHOICES.includes(onInvalid)) {
+      return { status: 400, error: `onInvalid must be one of ${INVALID_ROW_CHOICES.join(', ')}` };
+    }
+    if (onInvalid === 'abort') {
+      return { abort: true };
+    }
+    if (validation.summary.rejectedRows === 0 || onInvalid === 'import_all') {
+      return { rowNumbers: null };
+    }
+    if (onInvalid === 'valid_only') {
+      const rejected = new Set(validation.rejectedRows);
+      const rowNumbers = [];
+      for (let rowNumber = 1; rowNumber <= rowCount; rowNumber++) {
+        if (!rejected.has(rowNumber)) {
+          rowNumbers.push(rowNumber);
+        }
+      }
+      return { rowNumbers };
+    }
+    return {
+      status: 409,
+      error: `${validation.summary.rejectedRows} row(s) failed validation; import all rows, only the valid ones, or abort`,
+      requiresDecision: true,
+      choices: INVALID_ROW_CHOICES,
+      validation
+    };
+  }
+
+  // Phase one: stage the roster and suggest a mapping. Uses ?profileId= (or a
+  // profileId form field) when given, else the best matching saved profile,
+  // else a guess from the header names. For workbooks, sheet names the sheet
+  // to read (default: the first); headerRow moves the header down past title
+  // rows. To re-read the same file another way, upload it again with
+  // replaceUploadId so the earlier staged copy is dropped.
+  router.post('/:eventId/import-csv/preview', upload.single('csvFile'), async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        if (req.file) {
+          await fs.remove(req.file.path);
+        }
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No roster file provided' });
+      }
+
+      const options = { ...req.query, ...req.body };
+      const roster = await readUploadedRoster(req.file, options);
+      if (roster.error) {
+        await fs.remove(req.file.path);
+        const { status, ...body } = roster;
+        return res.status(status).json(body);
+      }
+      const { format, headers, rows, sheets, sheet, headerRow } = roster;
+      if (rows.length === 0) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({
+          error: sheet ? `Sheet "${sheet}" has no rows below row ${headerRow}` : 'CSV file contains no data',
+          sheets,
+          sheet,
+          headerRow
+        });
+      }
+
+      const profileId = req.query.profileId || req.body.profileId;
+      let profile = null;
+      if (profileId) {
+        profile = await database.getImportProfile(profileId);
+        if (!profile) {
+          await fs.remove(req.file.path);
+          return res.status(404).json({ error: 'Import profile not found' });
+        }
+      } else {
+        profile = await findMatchingProfile(headers);
+      }
+
+      const guessedMapping = suggestMapping(headers, { categoryColumn: event.category_column });
+      const suggestedMapping = profile ? profileMappingFor(profile, headers) : guessedMapping;
+
+      await fs.ensureDir(stagingDir);
+      await removeStaleUploads();
+
+      const uploadId = uuidv4();
+      const { csvPath, metaPath } = stagedUploadPaths(uploadId);
+      await writeStagedCsv(csvPath, headers, rows);
+      await fs.remove(req.file.path);
+      await fs.writeJson(metaPath, {
+        eventId: event.id,
+        originalFilename: req.file.originalname,
+        format,
+        sheet,
+        headerRow,
+        headers,
+        rowCount: rows.length,
+        uploadedAt: moment().toISOString()
+      });
+
+      const { replaceUploadId } = options;
+      if (typeof replaceUploadId === 'string' && /^[0-9a-f-]{36}$/i.test(replaceUploadId)
+        && !importJobs.findRunning(replaceUploadId)) {
+        const previous = stagedUploadPaths(replaceUploadId);
+        if (await fs.pathExists(previous.metaPath) && (await fs.readJson(previous.metaPath)).eventId === event.id) {
+          await fs.remove(previous.csvPath);
+          await fs.remove(previous.metaPath);
+        }
+      }
+
+      res.json({
+        uploadId,
+        originalFilename: req.file.originalname,
+        format,
+        sheets,
+        sheet,
+        headerRow,
+        rowCount: rows.length,
+        headers,
+        sampleRows: rows.slice(0, 5),
+        fields: IMPORT_FIELDS,
+        suggestedMapping,
+        guessedMapping,
+        missingFields: missingRequiredFields(suggestedMapping),
+        profile: profile ? { id: profile.id, name: profile.name, source: profile.source } : null,
+        profileMissingColumns: profile ? Object.keys(profile.mapping).filter(column => !headers.includes(column)) : [],
+        expiresAt: moment().add(STAGED_UPLOAD_TTL_HOURS, 'hours').toISOString()
+      });
+    } catch (error) {
+      logger.error('CSV import preview failed', {
+        error: error.message,
+        eventId: req.params.eventId,
+        fileName: req.file?.originalname
+      });
+      if (req.file) {
+        await fs.remove(req.file.path).catch(() => {});
+      }
+      res.status(500).json({ error: 'CSV import preview failed', details: error.message });
+    }
+  });
+
+  // Phase two. Body: { uploadId, mapping: { "CSV Header": "first_name", ... } }
+  // or { uploadId, profileId }; saveProfile: { name, source } stores the mapping
+  // for the next roster from the same source. Rows are validated first: if any
+  // fail, onInvalid ('import_all', 'valid_only' or 'abort') decides, and without
+  // it the response is 409 with the validation report. Responds 202 with an
+  // import job to poll; a failed import leaves the upload staged for a retry.
+  router.post('/:eventId/import-csv/commit', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const staged = await loadStagedImport(event, req.body);
+      if (staged.error) {
+        const { status, ...body } = staged;
+        return res.status(status).json(body);
+      }
+      const { uploadId, meta, csvPath, metaPath, mapping, profile } = staged;
+      const { saveProfile } = req.body;
+      if (saveProfile !== undefined && saveProfile !== null
+        && (typeof saveProfile !== 'object' || typeof saveProfile.name !== 'string' || !saveProfile.name.trim())) {
+        return res.status(400).json({ error: 'saveProfile needs a name' });
+      }
+
+      if (importJobs.findRunning(uploadId)) {
+        return res.status(409).json({ error: 'This upload is already being imported' });
+      }
+
+      const { rows } = await readRoster(csvPath);
+      const validation = await validateImport(event, {
+        rows,
+        headers: meta.headers,
+        mapping,
+        originalFilename: meta.originalFilename,
+        headerRow: meta.headerRow
+      });
+      const choice = applyInvalidRowChoice(validation, req.body.onInvalid, rows.length);
+      if (choice.error) {
+        const { status, ...body } = choice;
+        return res.status(status).json(body);
+      }
+      if (choice.abort) {
+        await fs.remove(csvPath);
+        await fs.remove(metaPath);
+        logger.info('CSV import aborted', { eventId: event.id, uploadId, ...validation.summary });
+        return res.json({ message: 'Import aborted; nothing was imported', aborted: true, validation });
+      }
+      const { rowNumbers } = choice;
+
+      const job = importJobs.start({
+        eventId: event.id,
+        uploadId,
+        originalFilename: meta.originalFilename,
+        totalRows: rowNumbers ? rowNumbers.length : rows.length
+      }, async (job, reportProgress) => {
+        const result = await importRows(event, {
+          filePath: csvPath,
+          originalFilename: meta.originalFilename,
+          headers: meta.headers,
+          rows,
+          rowNumbers,
+          mapping
+        }, reportProgress);
+        await fs.remove(metaPath);
+
+        if (profile) {
+          await database.touchImportProfile(profile.id);
+        }
+        let savedProfile = null;
+        if (saveProfile) {
+          savedProfile = await saveImportProfile({
+            name: saveProfile.name.trim(),
+            source: typeof saveProfile.source === 'string' ? saveProfile.source.trim() : null
+          }, mapping);
+          await database.touchImportProfile(savedProfile.id);
+        }
+
+        return {
+          ...result,
+          skippedRows: rowNumbers ? rows.length - rowNumbers.length : 0,
+          validation: { summary: validation.summary, reportUrl: validation.reportUrl },
+          profileId: savedProfile ? savedProfile.id : (profile ? profile.id : null)
+        };
+      });
+
+      res.status(202).json(jobResponse(event.id, job));
+    } catch (error) {
+      logger.error('CSV import failed', {
+        error: error.message,
+        eventId: req.params.eventId,
+        uploadId: req.body.uploadId
+      });
+      res.status(500).json({ error: 'CSV import failed', details: error.message });
+    }
+  });
+
+  // Validate a staged upload without importing it. Body: { uploadId, mapping | profileId }
+  router.post('/:eventId/import-csv/validate', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const staged = await loadStagedImport(event, req.body);
+      if (staged.error) {
+        const { status, ...body } = staged;
+        return res.status(status).json(body);
+      }
+
+      const { rows } = await readRoster(staged.csvPath);
+      const validation = await validateImport(event, {
+        rows,
+        headers: staged.meta.headers,
+        mapping: staged.mapping,
+        originalFilename: staged.meta.originalFilename,
+        headerRow: staged.meta.headerRow
+      });
+      res.json({ uploadId: staged.uploadId, ...validation });
+    } catch (error) {
+      logger.error('Failed to validate CSV', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to validate CSV' });
+    }
+  });
+
+  // Re-import: compare a staged roster with the event's contacts and apply the
+  // differences selectively. Contacts are matched on keyColumn (a CSV header)
+  // or, without one, on first and last name; matched contacts keep their id and
+  // credentials. Upload the new roster through /import-csv/preview first.
+  async function loadRosterDiff(event, body) {
+    const staged = await loadStagedImport(event, body);
+    if (staged.error) {
+      return staged;
+    }
+
+    const keyColumn = body.keyColumn || null;
+    if (keyColumn && !staged.meta.headers.includes(keyColumn)) {
+      return { status: 400, error: `Key column "${keyColumn}" is not in the CSV` };
+    }
+
+    const { rows } = await readRoster(staged.csvPath);
+    const contacts = await database.getRosterContacts(event.id);
+    const diff = diffRoster({ contacts, rows, headers: staged.meta.headers, mapping: staged.mapping, keyColumn });
+    return { ...staged, keyColumn, rows, diff };
+  }
+
+  // Body: { uploadId, mapping | profileId, keyColumn }. Changes nothing.
+  router.post('/:eventId/reimport/diff', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const result = await loadRosterDiff(event, req.body);
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+
+      res.json({ uploadId: result.uploadId, ...result.diff });
+    } catch (error) {
+      logger.error('Failed to compare roster', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to compare roster' });
+    }
+  });
+
+  // Which items of one diff list to apply: true for every item that is not
+  // blocked, false for none, or a list of ids
+  function selectItems(items, selection, idOf) {
+    if (selection === true) {
+      return { selected: items.filter(item => !item.blocked) };
+    }
+    if (!selection) {
+      return { selected: [] };
+    }
+    if (!Array.isArray(selection)) {
+      return { error: 'Selections must be true, false or a list' };
+    }
+
+    const wanted = new Set(selection.map(String));
+    const selected = items.filter(item => wanted.has(String(idOf(item))));
+    if (selected.length !== wanted.size) {
+      return { error: 'Some selected items are not in the diff; compare the roster again' };
+    }
+    return { selected };
+  }
+
+  // Body: { uploadId, mapping | profileId, keyColumn, add, update, remove,
+  // acknowledgeConflicts }. add takes row numbers, update and remove take
+  // contact ids (or true/false). By default every addition and update is applied
+  // and nothing is removed. The diff is recomputed, so a stale selection fails.
+  router.post('/:eventId/reimport/apply', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const result = await loadRosterDiff(event, req.body);
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+      const { uploadId, meta, csvPath, metaPath, mapping, keyColumn, rows, diff } = result;
+      const { add = true, update = true, remove = false, acknowledgeConflicts = false } = req.body;
+
+      const additions = selectItems(diff.added, add, item => item.row);
+      const updates = selectItems(diff.changed, update, item => item.contactId);
+      const removals = selectItems(diff.removed, remove, item => item.contactId);
+      const selectionError = additions.error || updates.error || removals.error;
+      if (selectionError) {
+        return res.status(400).json({ error: selectionError });
+      }
+
+      const blocked = [...updates.selected, ...removals.selected].filter(item => item.blocked);
+      if (blocked.length > 0) {
+        return res.status(409).json({
+          error: `${blocked.length} selected change(s) cannot be applied`,
+          blocked: diff.conflicts.filter(conflict => blocked.some(item => item.contactId === conflict.contactId))
+        });
+      }
+      const unacknowledged = updates.selected.filter(item => item.needsAcknowledgement);
+      if (unacknowledged.length > 0 && !acknowledgeConflicts) {
+        return res.status(409).json({
+          error: `${unacknowledged.length} selected update(s) change credentialed contacts; confirm to apply them`,
+          requiresAcknowledgement: true,
+          conflicts: diff.conflicts.filter(conflict => unacknowledged.some(item => item.contactId === conflict.contactId))
+        });
+      }
+
+      const { workingCopyPath, normalizedHeaders } = await writeWorkingCopy(event.id, meta.headers, rows);
+      let applied;
+      try {
+        applied = await database.applyRosterChanges(event.id, {
+          headers: meta.headers,
+          mapping,
+          add: additions.selected.map(item => ({ contact: rows[item.row - 1], rowNumber: item.row })),
+          update: updates.selected.map(item => ({
+            contactId: item.contactId,
+            rowNumber: item.row,
+            ...rowContactFields(rows[item.row - 1], meta.headers, mapping)
+          })),
+          remove: removals.selected.map(item => item.contactId),
+          csvImport: {
+            event_id: event.id,
+            original_filename: meta.originalFilename,
+            working_copy_path: workingCopyPath,
+            record_count: rows.length,
+            headers: normalizedHeaders,
+            import_date: moment().toISOString()
+          }
+        });
+      } catch (error) {
+        await fs.remove(workingCopyPath);
+        throw error;
+      }
+      await fs.remove(csvPath);
+      await fs.remove(metaPath);
+
+      const summary = {
+        added: applied.addedIds.length,
+        updated: applied.updated,
+        removed: applied.removed,
+        skipped: {
+          added: diff.added.length - additions.selected.length,
+          changed: diff.changed.length - updates.selected.length,
+          removed: diff.removed.length - removals.selected.length
+        }
+      };
+
+      await database.logAudit({
+        action: 'roster_reimported',
+        entity_type: 'event',
+        entity_id: event.id,
+        details: { originalFilename: meta.originalFilename, keyColumn, csvImportId: applied.csvImport.id, ...summary }
+      });
+      logger.logCSVImport(meta.originalFilename, rows.length, {
+        eventId: event.id,
+        csvImportId: applied.csvImport.id,
+        workingCopyPath,
+        reimport: summary
+      });
+
+      res.json({
+        message: `Roster updated: ${summary.added} added, ${summary.updated} updated, ${summary.removed} removed`,
+        uploadId,
+        csvImportId: applied.csvImport.id,
+        ...summary
+      });
+    } catch (error) {
+      logger.error('Failed to apply roster', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to apply roster', details: error.message });
+    }
+  });
+
+  // Single-step import. Takes the mapping as a JSON form field, a profileId, or
+  // falls back to the suggested mapping; categoryColumn overrides the category
+  // column. Refuses a CSV whose name columns cannot be mapped. Rows failing
+  // validation are handled as for commit, by an onInvalid form field. Reads
+  // the same file formats as preview, with the same sheet and headerRow fields.
   router.post('/:eventId/import-csv', upload.single('csvFile'), async (req, res) => {
     try {
       const eventId = req.params.eventId;
@@ -149,103 +929,116 @@ module.exports = function(database, config, logger, upload) {
       }
 
       if (!req.file) {
-        return res.status(400).json({ error: 'No CSV file provided' });
+        return res.status(400).json({ error: 'No roster file provided' });
       }
 
-      const startTime = Date.now();
-      
-      // Parse CSV file
-      const contacts = [];
-      const headers = [];
-      let isFirstRow = true;
-      
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(req.file.path)
-          .pipe(csv())
-          .on('headers', (headerList) => {
-            headers.push(...headerList);
-          })
-          .on('data', (row) => {
-            if (isFirstRow) {
-              isFirstRow = false;
-            }
-            contacts.push(row);
-          })
-          .on('end', resolve)
-          .on('error', reject);
-      });
+      const roster = await readUploadedRoster(req.file, req.body);
+      if (roster.error) {
+        await fs.remove(req.file.path);
+        const { status, ...body } = roster;
+        return res.status(status).json(body);
+      }
+      const { headers, rows: contacts, headerRow } = roster;
 
       if (contacts.length === 0) {
+        await fs.remove(req.file.path);
         return res.status(400).json({ error: 'CSV file contains no data' });
       }
 
-      // Create working copy
-      const workingCopyDir = path.join(config.getDataDir(), 'working_copies');
-      await fs.ensureDir(workingCopyDir);
-      
-      const workingCopyPath = path.join(workingCopyDir, `event_${eventId}_${Date.now()}.csv`);
-      
-      // Write working copy with normalized headers
-      const normalizedHeaders = headers.map(header => 
-        header.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '')
-      );
-      
-      // Debug: Show header transformation
-      console.log('🔍 IMMEDIATE - Original headers:', headers);
-      console.log('🔍 IMMEDIATE - Normalized headers:', normalizedHeaders);
-      
-      const csvContent = [
-        normalizedHeaders.join(','),
-        ...contacts.map(row => 
-          normalizedHeaders.map(header => 
-            JSON.stringify(row[headers[normalizedHeaders.indexOf(header)]] || '')
-          ).join(',')
-        )
-      ].join('\n');
-      
-      await fs.writeFile(workingCopyPath, csvContent);
+      let mapping;
+      let profile = null;
+      if (req.body.mapping) {
+        try {
+          mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+        } catch (parseError) {
+          await fs.remove(req.file.path);
+          return res.status(400).json({ error: 'Mapping must be valid JSON' });
+        }
+        const shapeError = validateMapping(mapping, headers);
+        if (shapeError) {
+          await fs.remove(req.file.path);
+          return res.status(400).json({ error: shapeError });
+        }
+      } else if (req.body.profileId) {
+        profile = await database.getImportProfile(req.body.profileId);
+        if (!profile) {
+          await fs.remove(req.file.path);
+          return res.status(404).json({ error: 'Import profile not found' });
+        }
+        mapping = profileMappingFor(profile, headers);
+      } else {
+        mapping = suggestMapping(headers, { categoryColumn: event.category_column });
+      }
 
-      // Debug the headers before passing to database
-      console.log('🔍 CSV Import - Original headers:', headers);
-      console.log('🔍 CSV Import - Normalized headers:', normalizedHeaders);
-      console.log('🔍 CSV Import - Sample contact keys:', Object.keys(contacts[0] || {}));
-      
-      // Import contacts to database with normalized headers
-      const contactIds = await database.importContacts(eventId, contacts, null, normalizedHeaders, headers);
-      
-      // Record CSV import
-      const csvImport = await database.recordCSVImport({
-        event_id: eventId,
-        original_filename: req.file.originalname,
-        working_copy_path: workingCopyPath,
-        record_count: contacts.length,
-        headers: normalizedHeaders,
-        import_date: moment().toISOString()
-      });
+      const { categoryColumn: mappedCategoryColumn } = req.body;
+      if (mappedCategoryColumn) {
+        if (!headers.includes(mappedCategoryColumn)) {
+          await fs.remove(req.file.path);
+          return res.status(400).json({ error: `Category column "${mappedCategoryColumn}" is not in the CSV` });
+        }
+        const previous = headerForField(mapping, 'category');
+        if (previous) {
+          mapping[previous] = null;
+        }
+        mapping[mappedCategoryColumn] = 'category';
+      }
 
-      // Clean up uploaded file
-      await fs.remove(req.file.path);
+      const mappingError = validateMapping(mapping, headers);
+      const missingFields = mappingError ? [] : missingRequiredFields(mapping);
+      if (mappingError || missingFields.length > 0) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({
+          error: mappingError || `No column could be mapped to ${missingFields.join(' and ')}; map the columns and import again`,
+          headers,
+          suggestedMapping: suggestMapping(headers, { categoryColumn: event.category_column }),
+          missingFields
+        });
+      }
 
-      const duration = Date.now() - startTime;
-      logger.logPerformance('csv_import', duration, { 
-        eventId, 
-        recordCount: contacts.length,
-        csvImportId: csvImport.id 
-      });
-      
-      logger.logCSVImport(req.file.originalname, contacts.length, { 
-        eventId, 
-        csvImportId: csvImport.id,
-        workingCopyPath 
+      const validation = await validateImport(event, {
+        rows: contacts,
+        headers,
+        mapping,
+        originalFilename: req.file.originalname,
+        headerRow
       });
+      const choice = applyInvalidRowChoice(validation, req.body.onInvalid, contacts.length);
+      if (choice.error || choice.abort) {
+        await fs.remove(req.file.path);
+        if (choice.abort) {
+          return res.json({ message: 'Import aborted; nothing was imported', aborted: true, validation });
+        }
+        const { status, ...body } = choice;
+        return res.status(status).json(body);
+      }
+      const { rowNumbers } = choice;
+
+      // Runs as an import job too, but the response waits for it to finish
+      const job = importJobs.start({
+        eventId,
+        originalFilename: req.file.originalname,
+        totalRows: rowNumbers ? rowNumbers.length : contacts.length
+      }, (job, reportProgress) => importRows(event, {
+        filePath: req.file.path,
+        originalFilename: req.file.originalname,
+        headers,
+        rows: contacts,
+        rowNumbers,
+        mapping
+      }, reportProgress));
+      await job.done;
+      if (job.status === 'failed') {
+        throw new Error(job.error);
+      }
+      if (profile) {
+        await database.touchImportProfile(profile.id);
+      }
 
       res.json({
-        message: `Successfully imported ${contacts.length} contacts`,
-        contactCount: contacts.length,
-        headers: normalizedHeaders,
-        workingCopyPath,
-        csvImportId: csvImport.id,
-        duration: `${duration}ms`
+        ...job.result,
+        skippedRows: rowNumbers ? contacts.length - rowNumbers.length : 0,
+        validation: { summary: validation.summary, reportUrl: validation.reportUrl },
+        jobId: job.id
       });
 
     } catch (error) {
@@ -268,6 +1061,144 @@ module.exports = function(database, config, logger, upload) {
     }
   });
 
+  // Progress of an import job: status is running, completed or failed;
+  // result holds the import summary once completed
+  router.get('/:eventId/import-jobs/:jobId', (req, res) => {
+    const job = importJobs.get(req.params.jobId);
+    if (!job || job.event_id !== req.params.eventId) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    res.json(jobResponse(job.event_id, job));
+  });
+
+  // Category rules: which template, badge colour and serial prefix each
+  // contact category gets at this event
+  router.get('/:eventId/category-rules', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const rules = await database.getCategoryRules(event.id);
+      res.json({ categories: CATEGORIES, categoryColumn: event.category_column || null, rules });
+    } catch (error) {
+      logger.error('Failed to get category rules', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get category rules' });
+    }
+  });
+
+  // Replaces the event's rules; categories left out have no rule
+  router.put('/:eventId/category-rules', async (req, res) => {
+    try {
+      const eventId = req.params.eventId;
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const { rules } = req.body;
+      if (!Array.isArray(rules)) {
+        return res.status(400).json({ error: 'Rules must be an array' });
+      }
+
+      const cleaned = [];
+      for (const rule of rules) {
+        const ruleError = await validateCategoryRule(rule, cleaned);
+        if (ruleError) {
+          return res.status(400).json({ error: ruleError, category: rule && rule.category });
+        }
+        cleaned.push({
+          category: rule.category,
+          template_id: rule.template_id || null,
+          badge_color: rule.badge_color ? rule.badge_color.trim().toLowerCase() : null,
+          badge_prefix: rule.badge_prefix ? rule.badge_prefix.trim() : null
+        });
+      }
+
+      const saved = await database.replaceCategoryRules(eventId, cleaned);
+
+      await database.logAudit({
+        action: 'category_rules_updated',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: { rules: cleaned }
+      });
+
+      res.json({ categories: CATEGORIES, categoryColumn: event.category_column || null, rules: saved });
+    } catch (error) {
+      logger.error('Failed to update category rules', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to update category rules' });
+    }
+  });
+
+  // Searchable columns: null for every column, or standard column names and
+  // custom field keys
+  async function searchSettings(event) {
+    return {
+      search_columns: event.search_columns ? JSON.parse(event.search_columns) : null,
+      standardColumns: STANDARD_SEARCH_COLUMNS,
+      customFields: (await database.getCustomFieldKeys(event.id))
+        .filter(field => !STANDARD_SEARCH_COLUMNS.includes(field))
+    };
+  }
+
+  router.get('/:eventId/search-settings', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      res.json(await searchSettings(event));
+    } catch (error) {
+      logger.error('Failed to get search settings', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get search settings' });
+    }
+  });
+
+  // Body: { search_columns: [column, ...] | null }. Custom fields can be named
+  // by CSV header or key ("Voter Precinct" is voter_precinct)
+  router.put('/:eventId/search-settings', async (req, res) => {
+    try {
+      const eventId = req.params.eventId;
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const { search_columns: searchColumns } = req.body;
+      let columns = null;
+      if (searchColumns !== null && searchColumns !== undefined) {
+        if (!Array.isArray(searchColumns) || searchColumns.some(column => typeof column !== 'string')) {
+          return res.status(400).json({ error: 'search_columns must be an array of column names, or null for all columns' });
+        }
+        columns = [...new Set(searchColumns.map(customFieldKey).filter(Boolean))];
+        if (columns.length === 0) {
+          return res.status(400).json({ error: 'Choose at least one searchable column' });
+        }
+        const tooLong = columns.find(column => column.length > 64);
+        if (tooLong) {
+          return res.status(400).json({ error: `Column name is too long: ${tooLong}` });
+        }
+      }
+
+      const updated = await database.updateSearchColumns(eventId, columns);
+
+      await database.logAudit({
+        action: 'search_settings_updated',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: { search_columns: columns }
+      });
+
+      res.json(await searchSettings(updated));
+    } catch (error) {
+      logger.error('Failed to update search settings', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to update search settings' });
+    }
+  });
+
   // Upload merged PDF (known contacts)
   router.post('/:eventId/upload-merged-pdf', upload.single('mergedPdf'), async (req, res) => {
     try {
@@ -326,7 +1257,7 @@ module.exports = function(database, config, logger, upload) {
         return res.status(404).json({ error: 'Event not found' });
       }
 
-      const stats = await database.getEventStatistics(eventId);
+      const stats = await database.getEventStatistics(eventId, { quorum: true, zones: true, presence: true });
       res.json(stats);
     } catch (error) {
       logger.error('Failed to get event statistics', { 
@@ -350,8 +1281,15 @@ module.exports = function(database, config, logger, upload) {
       // Get current statistics before reset
       const stats = await database.getEventStatistics(eventId);
       
-      // Only clear credentials for this event (keep contacts)
-      await database.run('DELETE FROM credentials WHERE event_id = ?', [eventId]);
+      // Only clear credentials for this event (keep contacts). Seating depends
+      // on who is credentialed, so seat upgrades go too, and print jobs go
+      // first so none prints a deleted credential. Badge sequences are kept:
+      // restarting them would give new badges the numbers of ones already out.
+      await database.transaction(async () => {
+        await database.run('DELETE FROM print_jobs WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM credentials WHERE event_id = ?', [eventId]);
+        await database.run('DELETE FROM seat_upgrades WHERE event_id = ?', [eventId]);
+      });
       
       logger.logEvent('event_reset', { 
         eventId, 
@@ -566,5 +1504,39 @@ module.exports = function(database, config, logger, upload) {
     }
   });
 
+  async function validateCategoryRule(rule, previous) {
+    if (!rule || !isValidCategory(rule.category)) {
+      return `Category must be one of: ${CATEGORIES.join(', ')}`;
+    }
+    if (previous.some(other => other.category === rule.category)) {
+      return `Category "${rule.category}" has more than one rule`;
+    }
+    if (rule.template_id && !(await database.getTemplate(rule.template_id))) {
+      return 'Template not found';
+    }
+    if (rule.badge_color && (typeof rule.badge_color !== 'string' || !/^#[0-9a-f]{6}$/i.test(rule.badge_color.trim()))) {
+      return 'Badge colour must be a hex colour such as #1e88e5';
+    }
+    return validateCredentialSettings(rule.badge_prefix || undefined);
+  }
+
+  // Badge numbers are printed and typed in by hand, so keep prefixes short and plain.
+  // A reprint limit of null means unlimited; 0 sends every reprint to a supervisor.
+  function validateCredentialSettings(prefix, digits, reprintLimit) {
+    if (prefix !== undefined && (typeof prefix !== 'string' || !/^[A-Za-z0-9]{0,10}$/.test(prefix.trim()))) {
+      return 'Badge prefix must be up to 10 letters or digits';
+    }
+    if (digits !== undefined) {
+      const value = parseInt(digits);
+      if (!value || value < 1 || value > 10) {
+        return 'Badge digits must be between 1 and 10';
+      }
+    }
+    if (reprintLimit !== undefined && reprintLimit !== null && reprintLimit !== '' && !(parseInt(reprintLimit) >= 0)) {
+      return 'Reprint limit must be zero or a positive number';
+    }
+    return null;
+  }
+
   return router;
 };
@@ -42,7 +42,7 @@ module.exports = function(database, config, logger) {
 
       // Get credentialed contacts
       let sql = `
-        SELECT c.*, cr.id as credential_id, cr.printed_at, cr.template_id, cr.status as credential_status
+        SELECT c.*, cr.id as credential_id, cr.badge_number, cr.printed_at, cr.template_id, cr.status as credential_status
         FROM contacts c
         INNER JOIN credentials cr ON c.id = cr.contact_id
         WHERE c.event_id = ? AND cr.status = ?
@@ -80,6 +80,8 @@ module.exports = function(database, config, logger) {
       // Add credentialing information columns
       csvHeaders.push(
         { id: 'credential_id', title: 'Credential ID' },
+        { id: 'badge_number', title: 'Badge Number' },
+        { id: 'contact_category', title: 'Category' },
         { id: 'printed_at', title: 'Credentialed Date' },
         { id: 'template_id', title: 'Template Used' },
         { id: 'credential_status', title: 'Credential Status' }
@@ -87,7 +89,8 @@ module.exports = function(database, config, logger) {
 
       // Process contacts to flatten custom_fields and add credentialing data
       const processedContacts = contacts.map(contact => {
-        const processed = { ...contact };
+        // contact_category so a roster column named "category" is not overwritten
+        const processed = { ...contact, contact_category: contact.category || '' };
         
         // Parse custom_fields JSON and merge with main contact data
         if (contact.custom_fields) {
@@ -239,13 +242,15 @@ module.exports = function(database, config, logger) {
       // Add credentialing information columns
       csvHeaders.push(
         { id: 'is_credentialed', title: 'Is Credentialed' },
+        { id: 'contact_category', title: 'Category' },
         { id: 'credential_date', title: 'Credential Date' },
         { id: 'template_used', title: 'Template Used' }
       );
 
       // Process contacts to flatten custom_fields and add credentialing data
       const processedContacts = contacts.map(contact => {
-        const processed = { ...contact };
+        // contact_category so a roster column named "category" is not overwritten
+        const processed = { ...contact, contact_category: contact.category || '' };
         
         // Parse custom_fields JSON and merge with main contact data
         if (contact.custom_fields) {
@@ -322,6 +327,87 @@ module.exports = function(database, config, logger) {
     }
   });
 
+  // Export the presence timeline: every check-in and check-out in order, with
+  // the number present after each
+  router.post('/export-presence-timeline', async (req, res) => {
+    try {
+      const { eventId } = req.body;
+
+      if (!eventId) {
+        return res.status(400).json({ error: 'Event ID is required' });
+      }
+
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const timeline = await database.getPresenceTimeline(eventId);
+      if (timeline.length === 0) {
+        return res.status(404).json({ error: 'No check-ins found for export' });
+      }
+
+      const eventName = event.name.replace(/[^a-zA-Z0-9]/g, '_');
+      const eventDate = moment(event.date).format('YYYY-MM-DD');
+      const timestamp = moment().format('HH-mm-ss');
+      const filename = `Presence_${eventName}_${eventDate}_${timestamp}.csv`;
+
+      const exportsDir = config.getExportsDir();
+      await fs.ensureDir(exportsDir);
+      const filePath = path.join(exportsDir, filename);
+
+      const csvWriter = csv({
+        path: filePath,
+        header: [
+          { id: 'created_at', title: 'Time' },
+          { id: 'action', title: 'Action' },
+          { id: 'last_name', title: 'Last Name' },
+          { id: 'first_name', title: 'First Name' },
+          { id: 'district', title: 'District' },
+          { id: 'category', title: 'Category' },
+          { id: 'recorded_by', title: 'Recorded By' },
+          { id: 'present_count', title: 'Present After' },
+          { id: 'contact_id', title: 'Contact ID' }
+        ]
+      });
+      await csvWriter.writeRecords(timeline.map(row => ({
+        ...row,
+        action: row.action === 'check_in' ? 'Check in' : 'Check out'
+      })));
+
+      const exportRecord = await database.recordExport({
+        event_id: eventId,
+        filename,
+        file_path: filePath,
+        record_count: timeline.length,
+        export_date: moment().toISOString()
+      });
+
+      await database.logAudit({
+        action: 'export_presence_timeline',
+        entity_type: 'export',
+        entity_id: exportRecord.id,
+        details: { eventId, filename, recordCount: timeline.length }
+      });
+
+      logger.logExport(event.name, timeline.length, { eventId, exportId: exportRecord.id, filename });
+
+      res.json({
+        message: `Successfully exported ${timeline.length} check-ins and check-outs`,
+        filename,
+        filePath,
+        recordCount: timeline.length,
+        exportId: exportRecord.id
+      });
+    } catch (error) {
+      logger.error('Failed to export presence timeline', {
+        error: error.message,
+        eventId: req.body.eventId
+      });
+      res.status(500).json({ error: 'Export failed', details: error.message });
+    }
+  });
+
   // Get export history for an event
   router.get('/history/:eventId', async (req, res) => {
     try {
@@ -419,7 +505,7 @@ module.exports = function(database, config, logger) {
       }
 
       // Get event statistics
-      const stats = await database.getEventStatistics(eventId);
+      const stats = await database.getEventStatistics(eventId, { quorum: true });
       
       // Generate statistics label data
       const statsData = {
@@ -429,6 +515,11 @@ module.exports = function(database, config, logger) {
         credentialedCount: stats.credentialed_count,
         credentialedPercentage: stats.credentialed_percentage,
         manuallyAddedCount: stats.manually_added_count,
+        allottedSeats: stats.quorum.overall.allotted_seats,
+        credentialedSeats: stats.quorum.overall.credentialed_seats,
+        quorumReached: stats.quorum.overall.quorum_reached,
+        quorumReachedAt: stats.quorum.overall.quorum_reached_at,
+        groupsWithQuorum: `${stats.quorum.groupsWithQuorum}/${stats.quorum.groups.length}`,
         printDate: moment().format('YYYY-MM-DD HH:mm:ss'),
         generatedBy: 'Credentialing App'
       };
@@ -455,6 +546,7 @@ module.exports = function(database, config, logger) {
       res.json({
         message: 'Statistics label printed successfully',
         stats: statsData,
+        quorumReportUrl: `/api/seating/${eventId}/quorum/print`,
         printResult: printResult
       });
 
@@ -573,6 +665,7 @@ module.exports = function(database, config, logger) {
       
       // Clear all contacts and credentials for this event
       await database.run('DELETE FROM credentials WHERE event_id = ?', [eventId]);
+      await database.run('DELETE FROM seat_upgrades WHERE event_id = ?', [eventId]);
       await database.run('DELETE FROM contacts WHERE event_id = ?', [eventId]);
       
       // Log the reset action
@@ -0,0 +1,150 @@
+const express = require('express');
+const { IMPORT_FIELDS, validateMapping, compactMapping } = require('../utils/column-mapping');
+
+// Saved CSV column mappings. A profile belongs to a roster source (the party
+// office, registration system, ...) rather than an event, so the same export
+// format maps the same way at every event.
+module.exports = function(database, config, logger) {
+  const router = express.Router();
+
+  // Returns an error message, or null
+  function validateProfile({ name, source, mapping }, partial = false) {
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return 'Profile name is required';
+      }
+    }
+    if (source !== undefined && source !== null && typeof source !== 'string') {
+      return 'Source must be text';
+    }
+    if (!partial || mapping !== undefined) {
+      const mappingError = validateMapping(mapping);
+      if (mappingError) {
+        return mappingError;
+      }
+      if (Object.keys(compactMapping(mapping)).length === 0) {
+        return 'Mapping must map at least one column';
+      }
+    }
+    return null;
+  }
+
+  // List profiles, optionally for one roster source (?source=)
+  router.get('/', async (req, res) => {
+    try {
+      const profiles = await database.getImportProfiles(req.query.source || null);
+      res.json({ fields: IMPORT_FIELDS, profiles });
+    } catch (error) {
+      logger.error('Failed to get import profiles', { error: error.message });
+      res.status(500).json({ error: 'Failed to get import profiles' });
+    }
+  });
+
+  router.get('/:profileId', async (req, res) => {
+    try {
+      const profile = await database.getImportProfile(req.params.profileId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Import profile not found' });
+      }
+      res.json(profile);
+    } catch (error) {
+      logger.error('Failed to get import profile', { error: error.message, profileId: req.params.profileId });
+      res.status(500).json({ error: 'Failed to get import profile' });
+    }
+  });
+
+  // Body: { name, source, mapping: { "CSV Header": "first_name", ... } }
+  router.post('/', async (req, res) => {
+    try {
+      const validationError = validateProfile(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const profile = await database.createImportProfile({
+        name: req.body.name.trim(),
+        source: req.body.source ? req.body.source.trim() : null,
+        mapping: compactMapping(req.body.mapping)
+      });
+
+      await database.logAudit({
+        action: 'import_profile_created',
+        entity_type: 'import_profile',
+        entity_id: profile.id,
+        details: { name: profile.name, source: profile.source }
+      });
+
+      res.status(201).json(profile);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: `An import profile named "${req.body.name}" already exists` });
+      }
+      logger.error('Failed to create import profile', { error: error.message });
+      res.status(500).json({ error: 'Failed to create import profile' });
+    }
+  });
+
+  router.put('/:profileId', async (req, res) => {
+    try {
+      const validationError = validateProfile(req.body, true);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const updates = {};
+      if (req.body.name !== undefined) {
+        updates.name = req.body.name.trim();
+      }
+      if (req.body.source !== undefined) {
+        updates.source = req.body.source ? req.body.source.trim() : null;
+      }
+      if (req.body.mapping !== undefined) {
+        updates.mapping = compactMapping(req.body.mapping);
+      }
+
+      const profile = await database.updateImportProfile(req.params.profileId, updates);
+      if (!profile) {
+        return res.status(404).json({ error: 'Import profile not found' });
+      }
+
+      await database.logAudit({
+        action: 'import_profile_updated',
+        entity_type: 'import_profile',
+        entity_id: profile.id,
+        details: { name: profile.name, source: profile.source }
+      });
+
+      res.json(profile);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: `An import profile named "${req.body.name}" already exists` });
+      }
+      logger.error('Failed to update import profile', { error: error.message, profileId: req.params.profileId });
+      res.status(500).json({ error: 'Failed to update import profile' });
+    }
+  });
+
+  router.delete('/:profileId', async (req, res) => {
+    try {
+      const profile = await database.getImportProfile(req.params.profileId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Import profile not found' });
+      }
+
+      await database.deleteImportProfile(profile.id);
+      await database.logAudit({
+        action: 'import_profile_deleted',
+        entity_type: 'import_profile',
+        entity_id: profile.id,
+        details: { name: profile.name }
+      });
+
+      res.json({ message: 'Import profile deleted' });
+    } catch (error) {
+      logger.error('Failed to delete import profile', { error: error.message, profileId: req.params.profileId });
+      res.status(500).json({ error: 'Failed to delete import profile' });
+    }
+  });
+
+  return router;
+};
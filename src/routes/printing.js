@@ -1,9 +1,13 @@
 const express = require('express');
 const moment = require('moment');
 const multer = require('multer');
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createPrintDriver } = require('../printing');
+const { buildLabelData, getSampleLabelData } = require('../rendering/label-layout');
+
+const REPRINT_REASONS = ['lost', 'damaged', 'name_correction', 'other'];
 
 // Configure multer for PDF upload
 const upload = multer({
@@ -29,13 +33,147 @@ const upload = multer({
     }
 });
 
-module.exports = function(database, config, logger) {
+module.exports = function(database, config, logger, printQueue, labelRenderer) {
   const router = express.Router();
 
-  // Print from event PDFs (merged/fallback) using SumatraPDF page-range
+  // Driver is rebuilt per request so printer config changes apply immediately
+  function getPrintDriver() {
+    return createPrintDriver(config.getPrinterConfig());
+  }
+
+  function getPrinterName(requested) {
+    const printerConfig = config.getPrinterConfig();
+    return requested || printerConfig.name || printerConfig.defaultPrinter;
+  }
+
+  // Event PDFs: the merged PDF page for imported contacts, otherwise the fallback PDF
+  function getEventPdf(contact, event) {
+    const useMerged = contact.original_row && contact.original_row > 0 && event.merged_pdf_path;
+    const pdfPath = useMerged ? event.merged_pdf_path : event.fallback_pdf_path;
+    if (!pdfPath) {
+      return { error: useMerged ? 'Merged PDF not configured' : 'Fallback PDF not configured' };
+    }
+    if (!fs.existsSync(pdfPath)) {
+      return { error: `PDF not found at path: ${pdfPath}` };
+    }
+
+    return {
+      filePath: pdfPath,
+      pages: useMerged ? contact.original_row : null,
+      source: useMerged ? 'merged-pdf' : 'fallback-pdf',
+      notes: useMerged ? `Merged PDF page ${contact.original_row}` : 'Fallback PDF printed'
+    };
+  }
+
+  // The event's rule for the contact's category. Its template wins over the one
+  // requested, so each category prints on its own badge design automatically.
+  async function resolveCategoryRule(contact, event, requestedTemplateId) {
+    const rule = await database.getCategoryRule(event.id, contact.category);
+    return {
+      rule,
+      templateId: (rule && rule.template_id) || requestedTemplateId || null
+    };
+  }
+
+  // Render the template label (PDF, or ZPL/EPL when printer.language targets a
+  // thermal printer directly) and save it for the queue. issued carries the
+  // credential id and badge number to print (the id usually as a barcode).
+  async function renderTemplateLabel(template, contact, event, contactData, rule, issued) {
+    // Form edits (contactData) take precedence over the stored contact
+    const labelData = buildLabelData(contact, event, {
+      badgeColor: rule ? rule.badge_color : null,
+      ...(contactData || {}),
+      badgeNumber: issued.badge.badge_number,
+      credentialId: issued.credentialId,
+      printDate: moment().format('YYYY-MM-DD HH:mm:ss')
+    });
+
+    const label = await labelRenderer.renderForPrinter(template.config, labelData);
+    const labelsDir = config.getLabelsDir();
+    await fs.promises.mkdir(labelsDir, { recursive: true });
+    const labelPath = path.join(labelsDir, `label_${uuidv4()}${label.extension}`);
+    await fs.promises.writeFile(labelPath, label.data);
+
+    return { filePath: labelPath, source: 'template', language: label.language };
+  }
+
+  // Record the pending credential and queue its print job in one transaction.
+  // For a reprint, the previous badge stays valid until the print queue
+  // activates the new one.
+  // Pass output for a ready-made file (event PDFs), or renderLabel(issued) for a
+  // label that prints the badge number: it runs inside the transaction once the
+  // number is allocated, so a failed render does not use up a serial.
+  // badgePrefix picks the serial sequence.
+  async function queueCredential({ contactId, eventId, templateId, output, renderLabel, printer, notes, reprint, badgePrefix }) {
+    return await database.transaction(async () => {
+      let label = output;
+      let issued = { credentialId: undefined, badge: {} };
+      if (renderLabel) {
+        issued = {
+          credentialId: uuidv4(),
+          badge: await database.allocateBadgeNumber(eventId, badgePrefix || undefined)
+        };
+        label = await renderLabel(issued);
+      }
+
+      const credential = await database.createCredential({
+        id: issued.credentialId,
+        contact_id: contactId,
+        event_id: eventId,
+        template_id: templateId,
+        printed_by: 'system',
+        status: 'pending',
+        notes: notes || label.notes || '',
+        badge_prefix: badgePrefix || undefined,
+        ...issued.badge,
+        reprint_of: reprint ? reprint.previous.id : null,
+        reprint_reason: reprint ? reprint.reason : null,
+        override_by: reprint ? reprint.overrideBy : null
+      });
+
+      const job = await printQueue.enqueue({
+        event_id: eventId,
+        contact_id: contactId,
+        credential_id: credential.id,
+        source: label.source,
+        file_path: label.filePath,
+        pages: label.pages || null,
+        printer
+      });
+
+      return { credential, job, output: label };
+    });
+  }
+
+  // A delegate whose seat went to an alternate would over-seat the district
+  async function seatHeldResponse(res, contact) {
+    if (contact.category !== 'delegate') {
+      return null;
+    }
+    const upgrade = await database.getActiveSeatUpgrade(contact.id);
+    if (!upgrade || upgrade.delegate_id !== contact.id) {
+      return null;
+    }
+    return res.status(409).json({
+      success: false,
+      error: 'An alternate holds this delegate\'s seat. Revoke the seat upgrade before credentialing the delegate.',
+      seatUpgradeId: upgrade.id
+    });
+  }
+
+  function alreadyCredentialedResponse(res, current) {
+    return res.status(400).json({
+      success: false,
+      error: 'Contact is already credentialed. Use reprint to replace the badge.',
+      badgeNumber: current ? current.badge_number : null
+    });
+  }
+
+  // Queue a print from event PDFs (merged/fallback) with the contact's page selected.
+  // The credential is recorded as 'pending' and becomes 'active' once the job is sent.
   router.post('/print-merged', async (req, res) => {
     try {
-      const { contactId, eventId, printer } = req.body || {};
+      const { contactId, eventId, printer, templateId } = req.body || {};
       if (!contactId || !eventId) {
         return res.status(400).json({ success: false, error: 'contactId and eventId are required' });
       }
@@ -46,87 +184,124 @@ module.exports = function(database, config, logger) {
       const event = await database.getEvent(eventId);
       if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
 
-      const printerName = printer || 'RX106HD';
+      const printerName = getPrinterName(printer);
 
-      const useMerged = contact.original_row && contact.original_row > 0 && event.merged_pdf_path;
-      const pdfPath = useMerged ? event.merged_pdf_path : event.fallback_pdf_path;
-      if (!pdfPath) {
-        return res.status(400).json({ success: false, error: useMerged ? 'Merged PDF not configured' : 'Fallback PDF not configured' });
+      const output = getEventPdf(contact, event);
+      if (output.error) {
+        return res.status(400).json({ success: false, error: output.error });
       }
 
-      if (!fs.existsSync(pdfPath)) {
-        return res.status(400).json({ success: false, error: `PDF not found at path: ${pdfPath}` });
+      if (await database.isContactCredentialed(contactId, eventId)) {
+        return alreadyCredentialedResponse(res, await database.getCurrentCredential(contactId, eventId));
       }
 
-      // Locate SumatraPDF
-      const possiblePaths = [
-        `C:\\Users\\User\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-        `C:\\Users\\${process.env.USERNAME || 'User'}\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-        `C:\\Program Files\\SumatraPDF\\SumatraPDF.exe`,
-        `C:\\Program Files (x86)\\SumatraPDF\\SumatraPDF.exe`
-      ];
-
-      let sumatraPathUnquoted = null;
-      let sumatraPath = null;
-      for (const p of possiblePaths) {
-        try {
-          if (fs.existsSync(p)) { sumatraPathUnquoted = p; sumatraPath = `"${p}"`; break; }
-        } catch (_) { }
-      }
-      if (!sumatraPathUnquoted) {
-        return res.status(500).json({ success: false, error: `SumatraPDF not found. Expected at: ${possiblePaths.join(', ')}` });
+      if (await seatHeldResponse(res, contact)) {
+        return;
       }
 
-      // Build print command with optional page selection for merged PDF
-      const pageSetting = useMerged ? `, pages=${contact.original_row}` : '';
-      const cmd = `${sumatraPath} -print-to "${printerName}" -print-settings "fit${pageSetting}" "${pdfPath}"`;
-      logger.info('Executing SumatraPDF merged print', { cmd, pdfPath, printerName, useMerged, page: contact.original_row || 1 });
-
-      exec(cmd, async (error, stdout, stderr) => {
-        logger.info('Sumatra stdout/stderr', { stdout, stderr });
-        if (error) {
-          logger.error('Sumatra merged print error', { error: error.message });
-          return res.status(500).json({ success: false, error: `SumatraPDF print failed: ${error.message}` });
-        }
-
-        // Create credential record (use default-template as placeholder)
-        try {
-          const cred = await database.createCredential({
-            contact_id: contactId,
-            event_id: eventId,
-            template_id: 'default-template',
-            printed_at: moment().toISOString(),
-            printed_by: 'system',
-            status: 'active',
-            notes: useMerged ? `Merged PDF page ${contact.original_row}` : 'Fallback PDF printed'
-          });
+      const activeJob = await printQueue.getActiveJobForContact(contactId);
+      if (activeJob) {
+        return res.status(409).json({ success: false, error: 'A print job for this contact is already in progress', job: activeJob });
+      }
 
-          await database.logAudit({
-            action: 'credential_printed',
-            entity_type: 'credential',
-            entity_id: cred.id,
-            details: { method: 'sumatra-merged', pdfPath, page: contact.original_row || 1, printer: printerName }
-          });
-        } catch (e) {
-          logger.error('Failed to record credential after merged print', { error: e.message });
-          // continue; printing already done
-        }
+      const { rule } = await resolveCategoryRule(contact, event);
+      const { credential, job } = await queueCredential({
+        contactId,
+        eventId,
+        templateId: templateId || 'default-template',
+        output,
+        printer: printerName,
+        notes: output.notes,
+        badgePrefix: rule && rule.badge_prefix
+      });
 
-        return res.json({ success: true, message: 'Print job sent successfully' });
+      await database.logAudit({
+        action: 'credential_print_queued',
+        entity_type: 'credential',
+        entity_id: credential.id,
+        details: { jobId: job.id, pdfPath: output.filePath, page: contact.original_row || 1, printer: printerName, badgeNumber: credential.badge_number }
       });
+
+      return res.status(202).json({ success: true, message: 'Print job queued', job, credentialId: credential.id, badgeNumber: credential.badge_number });
     } catch (error) {
       logger.error('print-merged endpoint error', { error: error.message });
       res.status(500).json({ success: false, error: `Server error: ${error.message}` });
     }
   });
 
-  // Print credential
+  // List print jobs
+  router.get('/jobs', async (req, res) => {
+    try {
+      const { eventId, contactId, status, limit = 100 } = req.query;
+      const jobs = await database.listPrintJobs({
+        eventId,
+        contactId,
+        status: status ? status.split(',') : null,
+        limit: parseInt(limit)
+      });
+      res.json(jobs);
+    } catch (error) {
+      logger.error('Failed to list print jobs', { error: error.message });
+      res.status(500).json({ error: 'Failed to list print jobs' });
+    }
+  });
+
+  // Get a single print job
+  router.get('/jobs/:jobId', async (req, res) => {
+    try {
+      const job = await database.getPrintJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Print job not found' });
+      }
+      res.json(job);
+    } catch (error) {
+      logger.error('Failed to get print job', { error: error.message, jobId: req.params.jobId });
+      res.status(500).json({ error: 'Failed to get print job' });
+    }
+  });
+
+  // Retry a failed or cancelled print job
+  router.post('/jobs/:jobId/retry', async (req, res) => {
+    try {
+      const job = await printQueue.retry(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Print job not found' });
+      }
+      res.json({ message: 'Print job requeued', job });
+    } catch (error) {
+      if (error.code === 'INVALID_JOB_STATE') {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error('Failed to retry print job', { error: error.message, jobId: req.params.jobId });
+      res.status(500).json({ error: 'Failed to retry print job' });
+    }
+  });
+
+  // Cancel a queued or failed print job
+  router.post('/jobs/:jobId/cancel', async (req, res) => {
+    try {
+      const job = await printQueue.cancel(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Print job not found' });
+      }
+      res.json({ message: 'Print job cancelled', job });
+    } catch (error) {
+      if (error.code === 'INVALID_JOB_STATE') {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error('Failed to cancel print job', { error: error.message, jobId: req.params.jobId });
+      res.status(500).json({ error: 'Failed to cancel print job' });
+    }
+  });
+
+  // Render the contact's label from a template and queue it for printing.
+  // Like print-merged, the credential stays 'pending' until the job is sent.
   router.post('/print-credential', async (req, res) => {
     try {
-      const { contactId, eventId, templateId, contactData, notes } = req.body;
+      const { contactId, eventId, contactData, notes, printer } = req.body;
       
-      if (!contactId || !eventId || !templateId) {
-        return res.status(400).json({ error: 'Contact ID, Event ID, and Template ID are required' });
+      if (!contactId || !eventId) {
+        return res.status(400).json({ error: 'Contact ID and Event ID are required' });
       }
 
       const startTime = Date.now();
@@ -142,6 +317,11 @@ module.exports = function(database, config, logger) {
         return res.status(404).json({ error: 'Event not found' });
       }
 
+      const { rule, templateId } = await resolveCategoryRule(contact, event, req.body.templateId);
+      if (!templateId) {
+        return res.status(400).json({ error: 'Template ID is required' });
+      }
+
       const template = await database.getTemplate(templateId);
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
@@ -150,56 +330,35 @@ module.exports = function(database, config, logger) {
       // Check if already credentialed
       const isAlreadyCredentialed = await database.isContactCredentialed(contactId, eventId);
       if (isAlreadyCredentialed) {
-        return res.status(400).json({ error: 'Contact is already credentialed' });
-      }
-
-      // Generate label data
-      const labelData = {
-        firstName: contactData?.first_name || contact.first_name,
-        lastName: contactData?.last_name || contact.last_name,
-        middleName: contactData?.middle_name || contact.middle_name,
-        birthDate: contactData?.birth_date || contact.birth_date,
-        address: contactData?.address || contact.address,
-        city: contactData?.city || contact.city,
-        state: contactData?.state || contact.state,
-        zip: contactData?.zip || contact.zip,
-        phone: contactData?.phone || contact.phone,
-        email: contactData?.email || contact.email,
-        eventName: event.name,
-        eventDate: event.date,
-        printDate: moment().format('YYYY-MM-DD HH:mm:ss')
-      };
+        return alreadyCredentialedResponse(res, await database.getCurrentCredential(contactId, eventId));
+      }
 
-      // Simulate printing (in a real implementation, this would send to printer)
-      const printResult = await simulatePrinting(template.config, labelData);
-      
-      if (!printResult.success) {
-        throw new Error(`Printing failed: ${printResult.error}`);
+      if (await seatHeldResponse(res, contact)) {
+        return;
       }
 
-      // Create credential record
-      const credential = await database.createCredential({
-        contact_id: contactId,
-        event_id: eventId,
-        template_id: templateId,
-        printed_at: moment().toISOString(),
-        printed_by: 'system',
-        status: 'active',
-        notes: notes || ''
+      const activeJob = await printQueue.getActiveJobForContact(contactId);
+      if (activeJob) {
+        return res.status(409).json({ error: 'A print job for this contact is already in progress', job: activeJob });
+      }
+
+      const printerName = getPrinterName(printer);
+
+      const { credential, job, output } = await queueCredential({
+        contactId,
+        eventId,
+        templateId,
+        renderLabel: issued => renderTemplateLabel(template, contact, event, contactData, rule, issued),
+        printer: printerName,
+        notes,
+        badgePrefix: rule && rule.badge_prefix
       });
 
-      // Log the credentialing action
       await database.logAudit({
-        action: 'credential_printed',
+        action: 'credential_print_queued',
         entity_type: 'credential',
         entity_id: credential.id,
-        details: {
-          contactId,
-          eventId,
-          templateId,
-          labelData,
-          printResult
-        }
+        details: { jobId: job.id, templateId, category: contact.category || null, labelPath: output.filePath, language: output.language, printer: printerName, badgeNumber: credential.badge_number }
       });
 
       const duration = Date.now() - startTime;
@@ -207,19 +366,18 @@ module.exports = function(database, config, logger) {
         contactId,
         eventId,
         templateId,
-        printResult
-      });
-
-      logger.logPrinting(contactId, templateId, {
-        eventId,
-        credentialId: credential.id,
-        printResult
+        jobId: job.id
       });
 
-      res.json({
-        message: 'Credential printed successfully',
+      res.status(202).json({
+        success: true,
+        message: 'Print job queued',
         credential: credential,
-        printResult: printResult,
+        credentialId: credential.id,
+        badgeNumber: credential.badge_number,
+        templateId,
+        category: contact.category || null,
+        job: job,
         duration: `${duration}ms`
       });
 
@@ -233,50 +391,189 @@ module.exports = function(database, config, logger) {
     }
   });
 
-  // Test print
+  // Replace a credentialed contact's badge. The new credential gets a new badge
+  // number and points back at the one it replaces, which is voided once the
+  // new badge is printed. Past the
+  // event's reprint_limit a supervisor must override (name, plus PIN if configured).
+  // Body: { contactId, eventId, reason, notes, templateId?, contactData, printer, supervisor: { name, pin } }
+  // Without a template (requested or from the category rule), events with
+  // merged/fallback PDFs reprint from the PDF.
+  router.post('/reprint', async (req, res) => {
+    try {
+      const { contactId, eventId, reason, notes, contactData, printer, supervisor } = req.body;
+
+      if (!contactId || !eventId) {
+        return res.status(400).json({ success: false, error: 'Contact ID and Event ID are required' });
+      }
+      if (!REPRINT_REASONS.includes(reason)) {
+        return res.status(400).json({ success: false, error: `Reason must be one of: ${REPRINT_REASONS.join(', ')}` });
+      }
+      if (reason === 'other' && !(notes && notes.trim())) {
+        return res.status(400).json({ success: false, error: 'Notes are required when the reason is "other"' });
+      }
+
+      const contact = await database.getContact(contactId);
+      if (!contact) {
+        return res.status(404).json({ success: false, error: 'Contact not found' });
+      }
+
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, error: 'Event not found' });
+      }
+
+      const previous = await database.getCurrentCredential(contactId, eventId);
+      if (!previous) {
+        return res.status(400).json({ success: false, error: 'Contact has no badge to reprint. Print a credential instead.' });
+      }
+
+      const activeJob = await printQueue.getActiveJobForContact(contactId);
+      if (activeJob) {
+        return res.status(409).json({ success: false, error: 'A print job for this contact is already in progress', job: activeJob });
+      }
+
+      const reprintCount = await database.countReprints(contactId, eventId);
+      const reprintLimit = event.reprint_limit ?? null;
+      let overrideBy = null;
+
+      if (reprintLimit !== null && reprintCount >= reprintLimit) {
+        const overrideError = checkSupervisorOverride(supervisor);
+        if (overrideError) {
+          return res.status(403).json({
+            success: false,
+            error: overrideError,
+            requiresOverride: true,
+            reprintCount,
+            reprintLimit
+          });
+        }
+        overrideBy = supervisor.name.trim();
+      }
+
+      const { rule, templateId } = await resolveCategoryRule(contact, event, req.body.templateId);
+      let output;
+      let template = null;
+      if (templateId) {
+        template = await database.getTemplate(templateId);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+      } else if (event.merged_pdf_path || event.fallback_pdf_path) {
+        output = getEventPdf(contact, event);
+        if (output.error) {
+          return res.status(400).json({ success: false, error: output.error });
+        }
+      } else {
+        return res.status(400).json({ success: false, error: 'Template ID is required' });
+      }
+
+      const printerName = getPrinterName(printer);
+      const { credential, job } = await queueCredential({
+        contactId,
+        eventId,
+        templateId: templateId || previous.template_id,
+        output,
+        renderLabel: template
+          ? issued => renderTemplateLabel(template, contact, event, contactData, rule, issued)
+          : null,
+        printer: printerName,
+        notes,
+        reprint: { previous, reason, overrideBy },
+        badgePrefix: rule && rule.badge_prefix
+      });
+
+      await database.logAudit({
+        user_id: overrideBy || 'system',
+        action: 'credential_reprinted',
+        entity_type: 'credential',
+        entity_id: credential.id,
+        details: {
+          contactId,
+          eventId,
+          jobId: job.id,
+          reason,
+          notes: notes || null,
+          badgeNumber: credential.badge_number,
+          previousCredentialId: previous.id,
+          previousBadgeNumber: previous.badge_number,
+          reprintNumber: reprintCount + 1,
+          reprintLimit,
+          overrideBy
+        }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Reprint queued',
+        credential,
+        credentialId: credential.id,
+        badgeNumber: credential.badge_number,
+        previousBadgeNumber: previous.badge_number,
+        reprintCount: reprintCount + 1,
+        reprintLimit,
+        job
+      });
+    } catch (error) {
+      logger.error('Failed to reprint credential', {
+        error: error.message,
+        contactId: req.body.contactId,
+        eventId: req.body.eventId
+      });
+      res.status(500).json({ success: false, error: 'Failed to reprint credential', details: error.message });
+    }
+  });
+
+  // Returns an error message, or null when the supervisor override is valid
+  function checkSupervisorOverride(supervisor) {
+    if (!supervisor || !supervisor.name || !supervisor.name.trim()) {
+      return 'Reprint limit reached. A supervisor must approve this reprint.';
+    }
+    const { supervisorPin } = config.getReprintConfig();
+    if (supervisorPin && String(supervisor.pin || '') !== String(supervisorPin)) {
+      return 'Invalid supervisor PIN';
+    }
+    return null;
+  }
+
+  // Test print: render a template (saved, or an unsaved config from a designer)
+  // with sample data and send it straight to the printer, bypassing the queue
   router.post('/test-print', async (req, res) => {
     try {
-      const { templateId, sampleData } = req.body;
+      const { templateId, config: templateConfig, sampleData, printer } = req.body;
       
-      if (!templateId) {
-        return res.status(400).json({ error: 'Template ID is required' });
+      if (!templateId && !templateConfig) {
+        return res.status(400).json({ error: 'Template ID or template config is required' });
       }
 
-      const template = await database.getTemplate(templateId);
-      if (!template) {
-        return res.status(404).json({ error: 'Template not found' });
+      let renderConfig = templateConfig;
+      if (!renderConfig) {
+        const template = await database.getTemplate(templateId);
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found' });
+        }
+        renderConfig = template.config;
       }
 
-      // Use sample data or default data
-      const testData = sampleData || {
-        firstName: 'TEST',
-        lastName: 'USER',
-        middleName: 'T',
-        birthDate: '1990-01-01',
-        address: '123 Test Street',
-        city: 'Test City',
-        state: 'TS',
-        zip: '12345',
-        phone: '(555) 123-4567',
-        email: 'test@example.com',
-        eventName: 'TEST EVENT',
-        eventDate: '2025-01-01',
-        printDate: moment().format('YYYY-MM-DD HH:mm:ss')
+      const testData = {
+        ...getSampleLabelData(),
+        printDate: moment().format('YYYY-MM-DD HH:mm:ss'),
+        ...(sampleData || {})
       };
 
-      // Generate and print test label
-      const printResult = await simulatePrinting(template.config, testData, true);
-      
-      if (!printResult.success) {
-        throw new Error(`Test printing failed: ${printResult.error}`);
-      }
+      const label = await labelRenderer.renderForPrinter(renderConfig, testData);
+      const printResult = await getPrintDriver().print({
+        data: label.data,
+        extension: label.extension,
+        raw: label.raw,
+        printer: getPrinterName(printer)
+      });
 
-      logger.logTemplateAction('test_print', templateId, {
+      logger.logTemplateAction('test_print', templateId || 'unsaved', {
         printResult
       });
 
       res.json({
-        message: 'Test print completed successfully',
+        message: 'Test print sent to printer',
         printResult: printResult
       });
 
@@ -298,21 +595,36 @@ module.exports = function(database, config, logger) {
         return res.status(400).json({ error: 'Contact ID and Event ID are required' });
       }
 
-      // Get active credentials for this contact and event
-      const credentials = await database.all(`
-        SELECT * FROM credentials 
-        WHERE contact_id = ? AND event_id = ? AND status = 'active'
-      `, [contactId, eventId]);
+      // Revoke the active badge and any pending reprint together, and cancel
+      // the contact's unsent print jobs so none of them prints a revoked badge
+      const { credentials, cancelledJobs } = await database.transaction(async () => {
+        const credentials = await database.all(`
+          SELECT * FROM credentials 
+          WHERE contact_id = ? AND event_id = ? AND status IN ('active', 'pending')
+        `, [contactId, eventId]);
+        if (credentials.length === 0) {
+          return { credentials, cancelledJobs: [] };
+        }
+
+        for (const credential of credentials) {
+          await database.updateCredentialStatus(credential.id, 'inactive');
+        }
+
+        const cancelledJobs = await database.all(`
+          SELECT id FROM print_jobs
+          WHERE contact_id = ? AND event_id = ? AND status IN ('queued', 'failed')
+        `, [contactId, eventId]);
+        for (const job of cancelledJobs) {
+          await database.updatePrintJob(job.id, { status: 'cancelled' });
+        }
+
+        return { credentials, cancelledJobs };
+      });
 
       if (credentials.length === 0) {
         return res.status(400).json({ error: 'No active credentials found for this contact' });
       }
 
-      // Update all active credentials to inactive
-      for (const credential of credentials) {
-        await database.updateCredentialStatus(credential.id, 'inactive');
-      }
-
       // Log the un-credentialing action
       await database.logAudit({
         action: 'credential_revoked',
@@ -322,7 +634,8 @@ module.exports = function(database, config, logger) {
           contactId,
           eventId,
           reason: reason || 'No reason provided',
-          affectedCredentials: credentials.map(c => c.id)
+          affectedCredentials: credentials.map(c => c.id),
+          cancelledJobs: cancelledJobs.map(job => job.id)
         }
       });
 
@@ -352,273 +665,89 @@ module.exports = function(database, config, logger) {
   router.get('/status', async (req, res) => {
     try {
       const printerConfig = config.getPrinterConfig();
+      const driverStatus = await getPrintDriver().getStatus();
       
-      // Basic printer status check (simulated)
       const status = {
-        connected: true, // Simulated as connected
+        ...driverStatus,
         type: printerConfig.type,
+        printer: printerConfig.name,
         labelSize: printerConfig.labelSize,
         foldOver: printerConfig.foldOver,
         dpi: printerConfig.dpi,
         lastCheck: new Date().toISOString(),
-        status: 'ready',
-        note: 'Printer simulation mode - credentials will be logged but not physically printed'
+        status: driverStatus.connected ? 'ready' : 'unavailable'
       };
 
       res.json(status);
     } catch (error) {
       logger.error('Failed to get printer status', { error: error.message });
-      res.status(500).json({ error: 'Failed to get printer status' });
+      res.status(500).json({ error: 'Failed to get printer status', details: error.message });
     }
   });
 
   
 
-  // Simulate printing function
-  async function simulatePrinting(templateConfig, labelData, isTest = false) {
+  // Test SumatraPDF installation
+  router.get('/test-sumatra', async (req, res) => {
     try {
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Generate label preview data
-      const previewData = generateLabelPreview(templateConfig, labelData);
-      
-      if (isTest) {
-        return {
-          success: true,
-          message: 'Test print simulated successfully',
-          labelData,
-          templateConfig,
-          preview: previewData,
-          simulated: true
-        };
-      } else {
-        // Log the print job
-        logger.info('Print job simulated', {
-          templateId: templateConfig.id,
-          labelData,
-          timestamp: new Date().toISOString()
-        });
-        
-        return {
-          success: true,
-          message: 'Label printed successfully (simulated)',
-          labelData,
-          templateConfig,
-          preview: previewData,
-          simulated: true,
-          printJobId: `print_${Date.now()}`
-        };
-      }
+      const status = await createPrintDriver({ ...config.getPrinterConfig(), backend: 'sumatra' }).getStatus();
 
+      res.json({ 
+        success: true, 
+        results: status.searchedPaths,
+        username: process.env.USERNAME,
+        message: 'SumatraPDF path check completed'
+      });
     } catch (error) {
-      logger.error('Label printing simulation failed', { error: error.message, labelData });
-      return {
-        success: false,
-        error: error.message
-      };
+      logger.error('SumatraPDF test failed', { error: error.message });
+      res.status(500).json({ 
+        success: false, 
+        error: `Test failed: ${error.message}` 
+      });
     }
-  }
-
-  // Generate label preview data
-  function generateLabelPreview(templateConfig, labelData) {
-    const preview = {
-      type: 'preview',
-      width: templateConfig.width,
-      height: templateConfig.height,
-      foldOver: templateConfig.foldOver || false,
-      elements: []
-    };
+  });
 
-    if (templateConfig.elements) {
-      preview.elements = templateConfig.elements.map(element => {
-        const processedElement = { ...element };
-        
-        if (element.type === 'text' && element.content) {
-          // Replace template variables with actual data using improved logic
-          processedElement.previewContent = element.content.replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
-            // Convert field name to camelCase for standard fields
-            const camelCaseField = fieldName.replace(/([-_][a-z])/g, (g) => g[1].toUpperCase());
-            
-            // Check if it's a standard field first (camelCase)
-            if (labelData[camelCaseField] !== undefined) {
-              return labelData[camelCaseField] || '';
-            }
-            
-            // Check if it's a direct field match
-            if (labelData[fieldName] !== undefined) {
-              return labelData[fieldName] || '';
-            }
-            
-            // Check if it's in custom fields
-            if (labelData.custom_fields) {
-              try {
-                const customFields = JSON.parse(labelData.custom_fields);
-                if (customFields[fieldName] !== undefined) {
-                  return customFields[fieldName] || '';
-                }
-              } catch (e) {
-                console.warn('Failed to parse custom fields for printing preview:', e);
-              }
-            }
-            
-            // Return the original placeholder if no match found
-            return match;
-          });
-        }
-        
-        return processedElement;
-      });
+  // Print an uploaded PDF through the configured print backend
+  router.post('/print-sumatra', upload.single('pdf'), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No PDF file provided' });
     }
 
-    return preview;
-  }
+    const printerName = getPrinterName(req.body.printer);
+    const pdfPath = req.file.path;
 
-     // Test SumatraPDF endpoint
-   router.get('/test-sumatra', async (req, res) => {
-     try {
-       console.log('Testing SumatraPDF installation...');
-       
-       // Check if SumatraPDF exists - try multiple possible paths
-       const possiblePaths = [
-         `C:\\Users\\User\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Users\\${process.env.USERNAME || 'User'}\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Program Files\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Program Files (x86)\\SumatraPDF\\SumatraPDF.exe`
-       ];
-       
-       const results = [];
-       
-       for (const path of possiblePaths) {
-         try {
-           const exists = fs.existsSync(path);
-           results.push({ path, exists, error: null });
-           console.log(`Path ${path}: ${exists ? 'EXISTS' : 'NOT FOUND'}`);
-         } catch (e) {
-           results.push({ path, exists: false, error: e.message });
-           console.log(`Path ${path}: ERROR - ${e.message}`);
-         }
-       }
-       
-       res.json({ 
-         success: true, 
-         results,
-         username: process.env.USERNAME,
-         message: 'SumatraPDF path check completed'
-       });
-       
-     } catch (error) {
-       console.error('Test endpoint error:', error);
-       res.status(500).json({ 
-         success: false, 
-         error: `Test failed: ${error.message}` 
-       });
-     }
-   });
-
-   // SumatraPDF print endpoint
-   router.post('/print-sumatra', upload.single('pdf'), async (req, res) => {
     try {
-      if (!req.file) {
-        return res.status(400).json({ success: false, error: 'No PDF file provided' });
-      }
-
-             const printerName = req.body.printer || 'RX106HD';
-       const pdfPath = req.file.path;
-       
-       // Check if SumatraPDF exists - try multiple possible paths
-       const possiblePaths = [
-         `C:\\Users\\User\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Users\\${process.env.USERNAME || 'User'}\\AppData\\Local\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Program Files\\SumatraPDF\\SumatraPDF.exe`,
-         `C:\\Program Files (x86)\\SumatraPDF\\SumatraPDF.exe`
-       ];
-       
-       let sumatraPathUnquoted = null;
-       let sumatraPath = null;
-       
-       for (const path of possiblePaths) {
-         try {
-           if (fs.existsSync(path)) {
-             sumatraPathUnquoted = path;
-             sumatraPath = `"${path}"`;
-             console.log('SumatraPDF found at:', path);
-             break;
-           }
-         } catch (e) {
-           console.log('Could not check path:', path, e.message);
-         }
-       }
-       
-       if (!sumatraPathUnquoted) {
-         console.error('SumatraPDF not found in any of the expected locations');
-         return res.status(500).json({ 
-           success: false, 
-           error: `SumatraPDF not found. Please install SumatraPDF in one of these locations: ${possiblePaths.join(', ')}` 
-         });
-       }
-       
-       console.log('SumatraPDF found at:', sumatraPathUnquoted);
-       
-       // SumatraPDF command to print directly to specified printer
-       // Try different command variations for better compatibility
-       const sumatraCommand = `${sumatraPath} -print-to "${printerName}" -print-settings "fit" "${pdfPath}"`;
-      
-                    console.log('Executing SumatraPDF command:', sumatraCommand);
-       console.log('PDF path:', pdfPath);
-       console.log('Printer name:', printerName);
-        
-        // First attempt with specific printer
-        exec(sumatraCommand, (error, stdout, stderr) => {
-          console.log('Command stdout:', stdout);
-          console.log('Command stderr:', stderr);
-         if (error) {
-           console.error('SumatraPDF print error (first attempt):', error);
-           console.log('Trying fallback command without specific printer...');
-           
-           // Fallback: try without specifying printer (will use default)
-           const fallbackCommand = `${sumatraPath} -print "${pdfPath}"`;
-           console.log('Executing fallback command:', fallbackCommand);
-           
-                       exec(fallbackCommand, (fallbackError, fallbackStdout, fallbackStderr) => {
-              console.log('Fallback command stdout:', fallbackStdout);
-              console.log('Fallback command stderr:', fallbackStderr);
-             // Clean up the temporary file
-             fs.unlink(pdfPath, (unlinkError) => {
-               if (unlinkError) {
-                 console.error('Error deleting temp file:', unlinkError);
-               }
-             });
-             
-             if (fallbackError) {
-               console.error('SumatraPDF fallback print error:', fallbackError);
-               return res.status(500).json({ 
-                 success: false, 
-                 error: `SumatraPDF print failed: ${fallbackError.message}. Please check if SumatraPDF is installed at ${sumatraPath} and RX106HD printer is configured.` 
-               });
-             }
-             
-             console.log('SumatraPDF fallback print successful');
-             res.json({ success: true, message: 'Print job sent successfully (using default printer)' });
-           });
-         } else {
-           // Clean up the temporary file
-           fs.unlink(pdfPath, (unlinkError) => {
-             if (unlinkError) {
-               console.error('Error deleting temp file:', unlinkError);
-             }
-           });
-           
-           console.log('SumatraPDF print successful');
-           res.json({ success: true, message: 'Print job sent successfully' });
-         }
-       });
-      
+      const driver = getPrintDriver();
+      logger.info('Printing uploaded PDF', { backend: driver.name, pdfPath, printerName });
+
+      let printResult;
+      let usedDefaultPrinter = false;
+      try {
+        printResult = await driver.print({ filePath: pdfPath, printer: printerName });
+      } catch (error) {
+        // Fallback: retry on the system default printer
+        logger.warn('Print to named printer failed, retrying on default printer', { error: error.message, printerName });
+        printResult = await driver.print({ filePath: pdfPath, printer: null });
+        usedDefaultPrinter = true;
+      }
+
+      logger.info('Uploaded PDF print sent', { printResult });
+      res.json({ 
+        success: true, 
+        message: usedDefaultPrinter ? 'Print job sent successfully (using default printer)' : 'Print job sent successfully' 
+      });
     } catch (error) {
-      console.error('Print endpoint error:', error);
+      logger.error('Uploaded PDF print failed', { error: error.message, stderr: error.stderr });
       res.status(500).json({ 
         success: false, 
-        error: `Server error: ${error.message}` 
+        error: `Print failed: ${error.message}` 
+      });
+    } finally {
+      // Clean up the temporary file
+      fs.unlink(pdfPath, (unlinkError) => {
+        if (unlinkError) {
+          logger.error('Error deleting temp file', { error: unlinkError.message });
+        }
       });
     }
   });
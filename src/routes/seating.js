@@ -0,0 +1,445 @@
+const express = require('express');
+const moment = require('moment');
+const { escapeHtml } = require('../rendering/label-layout');
+
+const QUORUM_GROUP_COLUMNS = ['district', 'category', 'state', 'city'];
+
+// Alternate-to-delegate seating. When a delegate is absent, the district's
+// highest-ranked alternate who is present (credentialed) is seated in the
+// delegate's slot. A district never has more seated members than delegate seats.
+module.exports = function(database, config, logger) {
+  const router = express.Router();
+
+  // Per-district seating report: seats, seated delegates, upgraded alternates, unfilled seats
+  router.get('/:eventId/report', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const stats = await database.getEventStatistics(event.id, { byDistrict: true });
+      const upgrades = await database.getSeatUpgrades(event.id);
+
+      const districts = stats.districts.map(district => ({
+        ...district,
+        upgrades: upgrades.filter(upgrade => upgrade.district === district.district)
+      }));
+
+      const sum = key => districts.reduce((total, district) => total + district[key], 0);
+
+      res.json({
+        eventId: event.id,
+        eventName: event.name,
+        generatedAt: moment().toISOString(),
+        totals: {
+          total_contacts: stats.total_contacts,
+          credentialed_count: stats.credentialed_count,
+          delegate_seats: sum('delegate_seats'),
+          seated_delegates: sum('seated_delegates'),
+          upgraded_alternates: sum('upgraded_alternates'),
+          unfilled_seats: sum('unfilled_seats')
+        },
+        districts
+      });
+    } catch (error) {
+      logger.error('Failed to build seating report', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to build seating report' });
+    }
+  });
+
+  // One district: absent delegates whose slots are open, and alternates who can be seated
+  router.get('/:eventId/districts/:district', async (req, res) => {
+    try {
+      const { eventId, district } = req.params;
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const absentDelegates = await database.all(`
+        SELECT c.* FROM contacts c
+        WHERE c.event_id = ? AND c.district = ? AND c.category = 'delegate'
+          AND NOT EXISTS (
+            SELECT 1 FROM credentials cr
+            WHERE cr.contact_id = c.id AND cr.event_id = c.event_id AND cr.status = 'active'
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM seat_upgrades su WHERE su.delegate_id = c.id AND su.revoked_at IS NULL
+          )
+        ORDER BY c.last_name, c.first_name
+      `, [eventId, district]);
+
+      res.json({
+        district,
+        absentDelegates,
+        availableAlternates: await database.getAvailableAlternates(eventId, district),
+        upgrades: await database.getSeatUpgrades(eventId, { district })
+      });
+    } catch (error) {
+      logger.error('Failed to get district seating', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get district seating' });
+    }
+  });
+
+  // List upgrades; ?includeRevoked=true adds revoked ones
+  router.get('/:eventId/upgrades', async (req, res) => {
+    try {
+      const upgrades = await database.getSeatUpgrades(req.params.eventId, {
+        district: req.query.district,
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+      res.json(upgrades);
+    } catch (error) {
+      logger.error('Failed to get seat upgrades', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get seat upgrades' });
+    }
+  });
+
+  // Seat an alternate in an absent delegate's slot.
+  // Body: { alternateId, delegateId, notes, upgradedBy, skipRankReason }
+  // skipRankReason lets staff seat an alternate ahead of a better-ranked one.
+  router.post('/:eventId/upgrades', async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      const { alternateId, delegateId, notes, upgradedBy, skipRankReason } = req.body;
+
+      if (!alternateId || !delegateId) {
+        return res.status(400).json({ error: 'Alternate ID and Delegate ID are required' });
+      }
+
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const alternate = await database.getContact(alternateId);
+      const delegate = await database.getContact(delegateId);
+      if (!alternate || alternate.event_id !== eventId) {
+        return res.status(404).json({ error: 'Alternate not found' });
+      }
+      if (!delegate || delegate.event_id !== eventId) {
+        return res.status(404).json({ error: 'Delegate not found' });
+      }
+
+      const ruleError = await checkUpgradeRules(event, alternate, delegate, skipRankReason);
+      if (ruleError) {
+        return res.status(ruleError.status).json({ error: ruleError.error, ...ruleError.details });
+      }
+
+      const upgrade = await database.createSeatUpgrade({
+        event_id: eventId,
+        district: delegate.district,
+        delegate_id: delegate.id,
+        alternate_id: alternate.id,
+        notes,
+        skip_rank_reason: skipRankReason && skipRankReason.trim(),
+        upgraded_by: upgradedBy
+      });
+
+      await database.logAudit({
+        user_id: upgradedBy || 'system',
+        action: 'alternate_seated',
+        entity_type: 'seat_upgrade',
+        entity_id: upgrade.id,
+        details: {
+          eventId,
+          district: delegate.district,
+          delegateId: delegate.id,
+          delegateName: `${delegate.first_name} ${delegate.last_name}`,
+          alternateId: alternate.id,
+          alternateName: `${alternate.first_name} ${alternate.last_name}`,
+          alternateRank: alternate.alternate_rank,
+          skipRankReason: upgrade.skip_rank_reason
+        }
+      });
+
+      res.status(201).json(upgrade);
+    } catch (error) {
+      // The unique indexes catch a slot or alternate seated by a concurrent request
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: 'The delegate slot or the alternate was seated by another request' });
+      }
+      logger.error('Failed to seat alternate', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to seat alternate' });
+    }
+  });
+
+  // Revoke an upgrade, e.g. when the absent delegate arrives. Body: { reason, revokedBy }
+  router.post('/:eventId/upgrades/:upgradeId/revoke', async (req, res) => {
+    try {
+      const { eventId, upgradeId } = req.params;
+      const { reason, revokedBy } = req.body;
+
+      const upgrade = await database.getSeatUpgrade(upgradeId);
+      if (!upgrade || upgrade.event_id !== eventId) {
+        return res.status(404).json({ error: 'Seat upgrade not found' });
+      }
+      if (upgrade.revoked_at) {
+        return res.status(400).json({ error: 'Seat upgrade is already revoked' });
+      }
+
+      const revoked = await database.revokeSeatUpgrade(upgradeId, revokedBy, reason);
+
+      await database.logAudit({
+        user_id: revokedBy || 'system',
+        action: 'alternate_unseated',
+        entity_type: 'seat_upgrade',
+        entity_id: upgradeId,
+        details: {
+          eventId,
+          district: upgrade.district,
+          delegateId: upgrade.delegate_id,
+          alternateId: upgrade.alternate_id,
+          reason: reason || null
+        }
+      });
+
+      res.json(revoked);
+    } catch (error) {
+      logger.error('Failed to revoke seat upgrade', { error: error.message, upgradeId: req.params.upgradeId });
+      res.status(500).json({ error: 'Failed to revoke seat upgrade' });
+    }
+  });
+
+  // Quorum and voting strength, overall and per group
+  router.get('/:eventId/quorum', async (req, res) => {
+    try {
+      const quorum = await database.getQuorumStatus(req.params.eventId);
+      if (!quorum) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      res.json({ ...quorum, generatedAt: moment().toISOString() });
+    } catch (error) {
+      logger.error('Failed to get quorum status', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get quorum status' });
+    }
+  });
+
+  // Printable quorum report (HTML); ?autoprint=1 opens the print dialog
+  router.get('/:eventId/quorum/print', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const quorum = await database.getQuorumStatus(event.id);
+      res.type('html').send(buildQuorumReportHtml(event, quorum, req.query.autoprint === '1'));
+    } catch (error) {
+      logger.error('Failed to build quorum report', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to build quorum report' });
+    }
+  });
+
+  router.get('/:eventId/quorum-settings', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      res.json({
+        quorum_percent: event.quorum_percent,
+        quorum_group_by: event.quorum_group_by || 'district',
+        groups: await database.getQuorumGroups(event.id),
+        groupColumns: QUORUM_GROUP_COLUMNS
+      });
+    } catch (error) {
+      logger.error('Failed to get quorum settings', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get quorum settings' });
+    }
+  });
+
+  // Body: { quorum_percent, quorum_group_by, groups: [{ group_value, allotted_seats, quorum_percent }] }
+  // quorum_percent null means a simple majority; group_by is a contact column
+  // (district, category, state, city) or a custom field from the CSV.
+  router.put('/:eventId/quorum-settings', async (req, res) => {
+    try {
+      const eventId = req.params.eventId;
+      const event = await database.getEvent(eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const { quorum_percent: percent, quorum_group_by: groupBy = 'district', groups = [] } = req.body;
+
+      const percentError = validatePercent(percent);
+      if (percentError) {
+        return res.status(400).json({ error: `Quorum ${percentError}` });
+      }
+      if (typeof groupBy !== 'string' || !/^[a-z0-9_]{1,64}$/.test(groupBy)) {
+        return res.status(400).json({ error: 'Group by must be a contact column or a custom field name' });
+      }
+      if (!Array.isArray(groups)) {
+        return res.status(400).json({ error: 'Groups must be an array' });
+      }
+
+      const cleaned = [];
+      for (const group of groups) {
+        const value = group && group.group_value !== undefined && group.group_value !== null ? String(group.group_value).trim() : '';
+        if (!value) {
+          return res.status(400).json({ error: 'Each group needs a group_value' });
+        }
+        if (cleaned.some(other => other.group_value === value)) {
+          return res.status(400).json({ error: `Group "${value}" is listed more than once` });
+        }
+        const seats = group.allotted_seats;
+        if (seats !== undefined && seats !== null && seats !== '' && !/^\d+$/.test(String(seats))) {
+          return res.status(400).json({ error: `Allotted seats for "${value}" must be a whole number` });
+        }
+        const groupPercentError = validatePercent(group.quorum_percent);
+        if (groupPercentError) {
+          return res.status(400).json({ error: `Quorum for "${value}" ${groupPercentError}` });
+        }
+        cleaned.push({
+          group_value: value,
+          allotted_seats: seats === undefined || seats === null || seats === '' ? null : parseInt(seats, 10),
+          quorum_percent: group.quorum_percent === undefined || group.quorum_percent === null || group.quorum_percent === '' ? null : Number(group.quorum_percent)
+        });
+      }
+
+      const quorumPercent = percent === undefined || percent === null || percent === '' ? null : Number(percent);
+      const saved = await database.replaceQuorumSettings(eventId, {
+        quorum_percent: quorumPercent,
+        quorum_group_by: groupBy,
+        groups: cleaned
+      });
+
+      await database.logAudit({
+        action: 'quorum_settings_updated',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: { quorumPercent, groupBy, groups: cleaned }
+      });
+
+      res.json({
+        quorum_percent: quorumPercent,
+        quorum_group_by: groupBy,
+        groups: saved,
+        groupColumns: QUORUM_GROUP_COLUMNS
+      });
+    } catch (error) {
+      logger.error('Failed to update quorum settings', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to update quorum settings' });
+    }
+  });
+
+  // Error suffix for a bad threshold, or null; blank means the default
+  function validatePercent(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const percent = Number(value);
+    if (!(percent > 0 && percent <= 100)) {
+      return 'percent must be greater than 0 and at most 100';
+    }
+    return null;
+  }
+
+  function buildQuorumReportHtml(event, quorum, autoprint) {
+    const time = value => (value ? moment(value).format('YYYY-MM-DD HH:mm') : '—');
+    const status = row => (row.quorum_reached ? 'Yes' : 'No');
+    const groupLabel = quorum.groupBy.replace(/_/g, ' ');
+
+    const rows = quorum.groups.map(group => `
+      <tr class="${group.quorum_reached ? 'reached' : ''}">
+        <td>${escapeHtml(group.group === null ? 'Unassigned' : group.group)}</td>
+        <td>${group.allotted_seats}</td>
+        <td>${group.credentialed_seats}</td>
+        <td>${group.strength_percentage}%</td>
+        <td>${group.quorum_required} (${group.quorum_percent}%)</td>
+        <td>${status(group)}</td>
+        <td>${time(group.quorum_reached_at)}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Quorum Report - ${escapeHtml(event.name)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  .overall { font-size: 14px; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #eee; text-transform: capitalize; }
+  tr.reached td:nth-child(6) { font-weight: bold; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>Credentials Committee Report: ${escapeHtml(event.name)}</h1>
+<div class="meta">${escapeHtml(event.date || '')} &middot; Generated ${moment().format('YYYY-MM-DD HH:mm')} &middot; Seats: ${quorum.seatsFrom}</div>
+<div class="overall">
+  Overall: ${quorum.overall.credentialed_seats} of ${quorum.overall.allotted_seats} seats credentialed (${quorum.overall.strength_percentage}%).
+  Quorum (${quorum.overall.quorum_required}, ${quorum.overall.quorum_percent}%): <strong>${status(quorum.overall)}</strong>${quorum.overall.quorum_reached ? ` at ${time(quorum.overall.quorum_reached_at)}` : ''}.
+  ${quorum.groupsWithQuorum} of ${quorum.groups.length} groups have quorum.
+</div>
+<table>
+  <thead>
+    <tr><th>${escapeHtml(groupLabel)}</th><th>Allotted</th><th>Credentialed</th><th>Strength</th><th>Quorum Needed</th><th>Quorum</th><th>Reached At</th></tr>
+  </thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+${autoprint ? '<script>window.onload = () => window.print();</script>' : ''}
+</body>
+</html>
+`;
+  }
+
+  // Returns { status, error, details } when the upgrade breaks a seating rule, otherwise null
+  async function checkUpgradeRules(event, alternate, delegate, skipRankReason) {
+    if (alternate.category !== 'alternate') {
+      return { status: 400, error: 'Only alternates can be upgraded' };
+    }
+    if (delegate.category !== 'delegate') {
+      return { status: 400, error: 'An alternate can only take a delegate\'s seat' };
+    }
+    if (!delegate.district || delegate.district !== alternate.district) {
+      return { status: 400, error: 'The alternate and the delegate must be from the same district' };
+    }
+
+    if (!(await database.isContactCredentialed(alternate.id, event.id))) {
+      return { status: 409, error: 'The alternate must be credentialed before being seated' };
+    }
+    if (await database.getActiveSeatUpgrade(alternate.id)) {
+      return { status: 409, error: 'The alternate is already seated' };
+    }
+    if (await database.isContactCredentialed(delegate.id, event.id)) {
+      return { status: 409, error: 'The delegate is present and already seated' };
+    }
+    if (await database.getActiveSeatUpgrade(delegate.id)) {
+      return { status: 409, error: 'An alternate already holds this delegate\'s seat' };
+    }
+
+    const seating = (await database.getDistrictSeating(event.id)).find(row => row.district === delegate.district);
+    if (!seating || seating.unfilled_seats < 1) {
+      return { status: 409, error: `District ${delegate.district} has no unfilled seats` };
+    }
+
+    // Alternates are seated in rank order unless staff give a reason to skip
+    const [next] = await database.getAvailableAlternates(event.id, delegate.district);
+    const outOfOrder = next && next.id !== alternate.id && next.alternate_rank !== null &&
+      (alternate.alternate_rank === null || next.alternate_rank < alternate.alternate_rank);
+    if (outOfOrder && !(skipRankReason && skipRankReason.trim())) {
+      return {
+        status: 409,
+        error: `${next.first_name} ${next.last_name} (rank ${next.alternate_rank}) is next in line. Give a reason to seat out of order.`,
+        details: {
+          requiresSkipReason: true,
+          nextAlternate: { id: next.id, name: `${next.first_name} ${next.last_name}`, alternate_rank: next.alternate_rank }
+        }
+      };
+    }
+
+    return null;
+  }
+
+  return router;
+};
@@ -5,10 +5,16 @@ const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
 const database = require('../database/database');
 const logger = require('../utils/logger');
+const { buildLabelData, getSampleLabelData, resolvePlaceholders } = require('../rendering/label-layout');
+const { LANGUAGES } = require('../rendering/label-compiler');
+const { BARCODE_SYMBOLOGIES, encodeBarcode, barcodeSvg } = require('../rendering/barcodes');
 
 console.log('🔥🔥🔥 TEMPLATES.JS FILE LOADED - VERSION WITH CLEANUP LOGIC 🔥🔥🔥');
 
-module.exports = function(database, config, logger) {
+const MIN_PREVIEW_DPI = 36;
+const MAX_PREVIEW_DPI = 600;
+
+module.exports = function(database, config, logger, labelRenderer) {
   const router = express.Router();
 
   // Get all templates
@@ -22,6 +28,32 @@ module.exports = function(database, config, logger) {
     }
   });
 
+  // SVG of a barcode for the designers. content may hold placeholders, which
+  // are filled from the sample label data; roster columns the sample lacks
+  // are drawn as their own name.
+  router.get('/barcode', async (req, res) => {
+    try {
+      const { symbology, content } = req.query;
+      if (!BARCODE_SYMBOLOGIES.includes(symbology)) {
+        return res.status(400).json({ error: `Symbology must be one of: ${BARCODE_SYMBOLOGIES.join(', ')}` });
+      }
+
+      let encoding;
+      try {
+        const text = resolvePlaceholders(content, getSampleLabelData()).replace(/\{\{(\w+)\}\}/g, '$1');
+        encoding = encodeBarcode(symbology, text);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.set('Content-Type', 'image/svg+xml');
+      res.send(barcodeSvg(encoding));
+    } catch (error) {
+      logger.error('Failed to render barcode', { error: error.message });
+      res.status(500).json({ error: 'Failed to render barcode' });
+    }
+  });
+
   // Get specific template
   router.get('/:templateId', async (req, res) => {
     try {
@@ -366,10 +398,12 @@ module.exports = function(database, config, logger) {
         // Check if an event-specific template based on this template already exists
         const existingEventTemplates = await database.getEventTemplates(eventId);
         
-        // ALWAYS clean up old event-specific templates when switching to a new template
+        // ALWAYS clean up old event-specific templates when switching to a new template,
+        // except those a category rule still prints with
+        const ruleTemplateIds = (await database.getCategoryRules(eventId)).map(rule => rule.template_id);
         if (existingEventTemplates.length > 0) {
           console.log('Cleaning up old event-specific templates before creating new one');
-          for (const oldTemplate of existingEventTemplates) {
+          for (const oldTemplate of existingEventTemplates.filter(t => !ruleTemplateIds.includes(t.id))) {
             try {
               await database.run('DELETE FROM templates WHERE id = ?', [oldTemplate.id]);
               console.log('Deleted old template:', oldTemplate.id, oldTemplate.name);
@@ -545,7 +579,69 @@ module.exports = function(database, config, logger) {
     }
   });
 
-  // Preview template with sample data
+  // Label data for a contact (with sampleData as overrides) or for sample data alone.
+  // Returns null when contactId does not exist.
+  async function getLabelData({ contactId, eventId, sampleData }) {
+    if (!contactId) {
+      return { ...getSampleLabelData(), ...(sampleData || {}) };
+    }
+    const contact = await database.getContact(contactId);
+    if (!contact) {
+      return null;
+    }
+    const event = await database.getEvent(eventId || contact.event_id);
+    const credential = await database.getCurrentCredential(contact.id, eventId || contact.event_id);
+    const rule = await database.getCategoryRule(eventId || contact.event_id, contact.category);
+    return buildLabelData({ ...contact, badge_number: credential ? credential.badge_number : '' }, event, {
+      badgeColor: rule ? rule.badge_color : null,
+      credentialId: credential ? credential.id : null,
+      ...(sampleData || {})
+    });
+  }
+
+  // Render a label to PDF. Takes a saved templateId or an unsaved config (designers),
+  // and either a contactId (+ eventId) or sampleData. This is the same renderer
+  // the print queue uses, so the PDF is exactly what will be printed.
+  router.post('/render', async (req, res) => {
+    try {
+      const { templateId, config: templateConfig } = req.body;
+
+      if (!templateId && !templateConfig) {
+        return res.status(400).json({ error: 'Template ID or template config is required' });
+      }
+
+      let renderConfig = templateConfig;
+      if (renderConfig) {
+        const validation = validateTemplateConfig(renderConfig);
+        if (!validation.isValid) {
+          return res.status(400).json({ error: 'Invalid template configuration', details: validation.errors });
+        }
+      } else {
+        const template = await database.getTemplate(templateId);
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found' });
+        }
+        renderConfig = template.config;
+      }
+
+      const labelData = await getLabelData(req.body);
+      if (!labelData) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const pdf = await labelRenderer.renderPdf(renderConfig, labelData);
+
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', 'inline; filename="label.pdf"');
+      res.send(pdf);
+    } catch (error) {
+      logger.error('Failed to render label', { error: error.message, templateId: req.body.templateId });
+      res.status(500).json({ error: 'Failed to render label', details: error.message });
+    }
+  });
+
+  // Render a PNG or SVG proof of a saved template for a contact or sample data.
+  // Body: { contactId, eventId, sampleData, format: 'png' | 'svg', dpi, showFold }
   router.post('/:templateId/preview', async (req, res) => {
     try {
       const templateId = req.params.templateId;
@@ -555,38 +651,123 @@ module.exports = function(database, config, logger) {
         return res.status(404).json({ error: 'Template not found' });
       }
 
-      const { sampleData } = req.body;
-      
-      // Generate preview data if none provided
-      const previewData = sampleData || {
-        firstName: 'John',
-        lastName: 'Doe',
-        middleName: 'M',
-        birthDate: '1990-01-15',
-        address: '1234 Main St',
-        city: 'Anytown',
-        state: 'CA',
-        zip: '12345',
-        phone: '(555) 123-4567',
-        email: 'john.doe@example.com',
-        eventName: 'Sample Event',
-        eventDate: '2025-01-15'
-      };
+      const { format = 'png', dpi = 96, showFold } = req.body;
+      const previewDpi = parseInt(dpi);
 
-      // Generate preview image (this would integrate with the label renderer)
-      const previewResult = await generateLabelPreview(template.config, previewData);
-      
-      res.json({
-        template: template,
-        previewData: previewData,
-        preview: previewResult
-      });
+      if (!['png', 'svg'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be png or svg' });
+      }
+      if (!previewDpi || previewDpi < MIN_PREVIEW_DPI || previewDpi > MAX_PREVIEW_DPI) {
+        return res.status(400).json({ error: `DPI must be between ${MIN_PREVIEW_DPI} and ${MAX_PREVIEW_DPI}` });
+      }
+
+      const previewData = await getLabelData(req.body);
+      if (!previewData) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      // Fold-over panels are marked unless the caller turns it off
+      const foldOver = template.config.foldOver || config.getPrinterConfig().foldOver;
+      const options = { dpi: previewDpi, showFold: showFold === undefined ? !!foldOver : !!showFold };
+
+      if (format === 'svg') {
+        res.set('Content-Type', 'image/svg+xml');
+        return res.send(labelRenderer.renderSvg(template.config, previewData, options));
+      }
+
+      const png = await labelRenderer.renderPng(template.config, previewData, options);
+      res.set('Content-Type', 'image/png');
+      res.send(png);
     } catch (error) {
       logger.error('Failed to generate template preview', { error: error.message, templateId: req.params.templateId });
-      res.status(500).json({ error: 'Failed to generate preview' });
+      res.status(500).json({ error: 'Failed to generate preview', details: error.message });
+    }
+  });
+
+  // Compile a saved template to ZPL or EPL at the printer's DPI (config.printer.dpi).
+  // Body: { language: 'zpl' | 'epl', contactId, eventId, sampleData }
+  router.post('/:templateId/compile', async (req, res) => {
+    try {
+      const templateId = req.params.templateId;
+      const template = await database.getTemplate(templateId);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const { language = 'zpl' } = req.body;
+      if (!LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+      }
+
+      const labelData = await getLabelData(req.body);
+      if (!labelData) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const output = await labelRenderer.compile(template.config, labelData, language);
+
+      // EPL is Latin-1 and may carry binary graphics, so it is sent as bytes
+      res.set('Content-Type', language === 'zpl' ? 'text/plain; charset=utf-8' : 'application/octet-stream');
+      res.set('Content-Disposition', `attachment; filename="${template.name.replace(/[^\w.-]+/g, '_')}.${language}"`);
+      res.send(output);
+    } catch (error) {
+      logger.error('Failed to compile template', { error: error.message, templateId: req.params.templateId });
+      res.status(500).json({ error: 'Failed to compile template', details: error.message });
+    }
+  });
+
+  // Compile a saved template to ZPL and render the ZPL back to an image, to
+  // proof what a thermal printer will receive. Body: { format: 'svg' | 'png', contactId, eventId, sampleData }
+  router.post('/:templateId/zpl-preview', async (req, res) => {
+    try {
+      const templateId = req.params.templateId;
+      const template = await database.getTemplate(templateId);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const { format = 'svg' } = req.body;
+      if (!['png', 'svg'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be png or svg' });
+      }
+
+      const labelData = await getLabelData(req.body);
+      if (!labelData) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const zpl = await labelRenderer.compile(template.config, labelData, 'zpl');
+      const preview = await labelRenderer.renderZplPreview(zpl.toString('utf8'), format);
+
+      res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+      res.send(preview);
+    } catch (error) {
+      logger.error('Failed to generate ZPL preview', { error: error.message, templateId: req.params.templateId });
+      res.status(500).json({ error: 'Failed to generate ZPL preview', details: error.message });
     }
   });
 
+  // Barcode content is usually a placeholder such as {{credentialId}}; fixed
+  // content is encoded here so a bad value is caught before printing
+  function validateBarcodeElement(element, index) {
+    if (!BARCODE_SYMBOLOGIES.includes(element.symbology)) {
+      return [`Barcode element ${index} must have a symbology: ${BARCODE_SYMBOLOGIES.join(', ')}`];
+    }
+    if (typeof element.content !== 'string' || !element.content.trim()) {
+      return [`Barcode element ${index} must have content`];
+    }
+    if (!element.content.includes('{{')) {
+      try {
+        encodeBarcode(element.symbology, element.content);
+      } catch (error) {
+        return [`Barcode element ${index}: ${error.message}`];
+      }
+    }
+    return [];
+  }
+
   // Validate template configuration
   function validateTemplateConfig(config) {
     const errors = [];
@@ -619,6 +800,10 @@ module.exports = function(database, config, logger) {
         if (element.type === 'checkbox' && !element.label) {
           errors.push(`Checkbox element ${index} must have a label`);
         }
+
+        if (element.type === 'barcode') {
+          errors.push(...validateBarcodeElement(element, index));
+        }
         
         // Allow background-image type for Visual Designer templates
         if (element.type === 'background-image') {
@@ -641,54 +826,5 @@ module.exports = function(database, config, logger) {
     };
   }
 
-  // Generate label preview (placeholder - would integrate with actual renderer)
-  async function generateLabelPreview(templateConfig, sampleData) {
-    // This is a placeholder - in the actual implementation, this would:
-    // 1. Use a canvas library to render the label
-    // 2. Apply the template configuration
-    // 3. Fill in sample data
-    // 4. Return a base64 image or SVG
-    
-    return {
-      type: 'preview',
-      width: templateConfig.width,
-      height: templateConfig.height,
-      foldOver: templateConfig.foldOver || false,
-      elements: templateConfig.elements.map(element => ({
-        ...element,
-        previewContent: element.type === 'text' ? 
-          (element.content || '').replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
-            // Convert field name to camelCase for standard fields
-            const camelCaseField = fieldName.replace(/([-_][a-z])/g, (g) => g[1].toUpperCase());
-            
-            // Check if it's a standard field first (camelCase)
-            if (sampleData[camelCaseField] !== undefined) {
-              return sampleData[camelCaseField] || '';
-            }
-            
-            // Check if it's a direct field match
-            if (sampleData[fieldName] !== undefined) {
-              return sampleData[fieldName] || '';
-            }
-            
-            // Check if it's in custom fields
-            if (sampleData.custom_fields) {
-              try {
-                const customFields = JSON.parse(sampleData.custom_fields);
-                if (customFields[fieldName] !== undefined) {
-                  return customFields[fieldName] || '';
-                }
-              } catch (e) {
-                console.warn('Failed to parse custom fields for preview:', e);
-              }
-            }
-            
-            // Return the original placeholder if no match found
-            return match;
-          }) : element
-      }))
-    };
-  }
-
   return router;
 };
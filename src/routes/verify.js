@@ -0,0 +1,70 @@
+const express = require('express');
+const { SCAN_RESULTS, verifyCredential, describeScannedBadge } = require('../utils/badge-verification');
+
+const MAX_SCAN_LIST = 1000;
+
+// Floor entry verification. Door stations scan a badge's barcode or QR code
+// (its credential id) or type its badge number, and get back whether the badge
+// still admits its holder. Every scan is logged with its station.
+module.exports = function(database, config, logger) {
+  const router = express.Router();
+
+  // Logged scans, newest first. Query: eventId, station, result, contactId,
+  // zoneId, since (ISO timestamp), limit
+  router.get('/scans', async (req, res) => {
+    try {
+      const { eventId, station, result, contactId, zoneId, since } = req.query;
+      if (result && !SCAN_RESULTS.includes(result)) {
+        return res.status(400).json({ error: `Result must be one of: ${SCAN_RESULTS.join(', ')}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 200, MAX_SCAN_LIST);
+
+      const scans = await database.getBadgeScans({ eventId, station, result, contactId, zoneId, since, limit });
+      res.json(scans);
+    } catch (error) {
+      logger.error('Failed to get badge scans', { error: error.message, eventId: req.query.eventId });
+      res.status(500).json({ error: 'Failed to get badge scans' });
+    }
+  });
+
+  // Verify a scanned code and log the scan. Query: station (where the scan
+  // was made), eventId (only accept badges for this event)
+  router.get('/:code', async (req, res) => {
+    try {
+      const code = req.params.code.trim();
+      const station = (req.query.station || '').trim() || null;
+      const eventId = req.query.eventId || null;
+      if (!code) {
+        return res.status(400).json({ error: 'Badge code is required' });
+      }
+
+      const credential = await database.findCredentialByCode(code, eventId);
+      const { result, reason } = verifyCredential(credential);
+
+      const scan = await database.logBadgeScan({
+        code,
+        result,
+        reason,
+        credential_id: credential ? credential.id : null,
+        contact_id: credential ? credential.contact_id : null,
+        event_id: credential ? credential.event_id : eventId,
+        station
+      });
+
+      res.json({
+        result,
+        reason,
+        code,
+        station,
+        scanId: scan.id,
+        scannedAt: scan.scanned_at,
+        ...describeScannedBadge(credential)
+      });
+    } catch (error) {
+      logger.error('Failed to verify badge', { error: error.message, code: req.params.code });
+      res.status(500).json({ error: 'Failed to verify badge' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,337 @@
+const express = require('express');
+const moment = require('moment');
+const { normalizeCategory } = require('../utils/categories');
+const { customFieldKey } = require('../utils/column-mapping');
+const { ZONE_RULE_COLUMNS, zoneAccessVia } = require('../utils/access-zones');
+const { verifyCredential, describeScannedBadge } = require('../utils/badge-verification');
+
+const SCAN_DIRECTIONS = ['in', 'out'];
+
+// Floor access zones. An event's zones say which contacts may enter each area
+// (see utils/access-zones); door stations scan badges in and out of a zone,
+// which grants or denies entry and keeps the zone's headcount.
+module.exports = function(database, config, logger) {
+  const router = express.Router();
+
+  // Zone settings from a request body, as saveAccessZone takes them, or
+  // { status, error }. Body: { name, capacity, open_to_all,
+  // rules: [{ field, value }], contact_ids: [...] }; rules and contact_ids are
+  // left alone when missing.
+  async function cleanZone(body, eventId, zoneId = null) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { status: 400, error: 'Zone name is required' };
+    }
+    const clash = (await database.getAccessZones(eventId))
+      .find(zone => zone.name.toLowerCase() === name.toLowerCase() && zone.id !== zoneId);
+    if (clash) {
+      return { status: 409, error: `There is already a zone named "${clash.name}"` };
+    }
+
+    const capacity = body.capacity;
+    if (capacity !== undefined && capacity !== null && capacity !== '' && !/^[1-9]\d*$/.test(String(capacity))) {
+      return { status: 400, error: 'Capacity must be a whole number greater than 0' };
+    }
+
+    const zone = {
+      id: zoneId,
+      event_id: eventId,
+      name,
+      capacity: capacity === undefined || capacity === null || capacity === '' ? null : parseInt(capacity, 10),
+      open_to_all: Boolean(body.open_to_all)
+    };
+
+    if (body.rules !== undefined) {
+      if (!Array.isArray(body.rules)) {
+        return { status: 400, error: 'Rules must be an array' };
+      }
+      zone.rules = [];
+      for (const rule of body.rules) {
+        // Roster headers are accepted as well as custom field keys
+        const field = rule && typeof rule.field === 'string' ? customFieldKey(rule.field.trim()) : '';
+        const value = rule && rule.value !== undefined && rule.value !== null ? String(rule.value).trim() : '';
+        if (!/^[a-z0-9_]{1,64}$/.test(field) || !value) {
+          return { status: 400, error: 'Each rule needs a field (a contact column or custom field) and a value' };
+        }
+        if (field === 'category' && !normalizeCategory(value)) {
+          return { status: 400, error: `Unknown category "${value}"` };
+        }
+        zone.rules.push({ field, value: field === 'category' ? normalizeCategory(value) : value });
+      }
+    }
+
+    if (body.contact_ids !== undefined) {
+      if (!Array.isArray(body.contact_ids)) {
+        return { status: 400, error: 'Contact IDs must be an array' };
+      }
+      zone.contact_ids = [...new Set(body.contact_ids)];
+      for (const contactId of zone.contact_ids) {
+        const contact = await database.getContact(contactId);
+        if (!contact || contact.event_id !== eventId) {
+          return { status: 400, error: `Contact ${contactId} is not in this event` };
+        }
+      }
+    }
+
+    return { zone };
+  }
+
+  // The event's zone and event, or { status, error }
+  async function findZone(eventId, zoneId) {
+    const event = await database.getEvent(eventId);
+    if (!event) {
+      return { status: 404, error: 'Event not found' };
+    }
+    const zone = await database.getAccessZone(zoneId);
+    if (!zone || zone.event_id !== eventId) {
+      return { status: 404, error: 'Zone not found' };
+    }
+    return { event, zone };
+  }
+
+  // Zones with their rules and headcounts
+  router.get('/:eventId', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const zones = await database.getAccessZones(event.id);
+      const occupancy = await database.getZoneOccupancy(event.id);
+      res.json({
+        zones: zones.map(zone => ({
+          ...zone,
+          present: occupancy.find(row => row.zone_id === zone.id).present
+        })),
+        ruleColumns: ZONE_RULE_COLUMNS
+      });
+    } catch (error) {
+      logger.error('Failed to get access zones', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get access zones' });
+    }
+  });
+
+  // Live headcount per zone
+  router.get('/:eventId/occupancy', async (req, res) => {
+    try {
+      const event = await database.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      res.json({
+        eventId: event.id,
+        generatedAt: moment().toISOString(),
+        zones: await database.getZoneOccupancy(event.id)
+      });
+    } catch (error) {
+      logger.error('Failed to get zone occupancy', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to get zone occupancy' });
+    }
+  });
+
+  router.post('/:eventId', async (req, res) => {
+    try {
+      const eventId = req.params.eventId;
+      if (!await database.getEvent(eventId)) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const cleaned = await cleanZone(req.body, eventId);
+      if (cleaned.error) {
+        return res.status(cleaned.status).json({ error: cleaned.error });
+      }
+      const zone = await database.saveAccessZone(cleaned.zone);
+
+      await database.logAudit({
+        action: 'access_zone_created',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: cleaned.zone
+      });
+
+      res.status(201).json(zone);
+    } catch (error) {
+      logger.error('Failed to create access zone', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json({ error: 'Failed to create access zone' });
+    }
+  });
+
+  router.put('/:eventId/:zoneId', async (req, res) => {
+    try {
+      const { eventId, zoneId } = req.params;
+      const found = await findZone(eventId, zoneId);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+
+      const cleaned = await cleanZone(req.body, eventId, zoneId);
+      if (cleaned.error) {
+        return res.status(cleaned.status).json({ error: cleaned.error });
+      }
+      const zone = await database.saveAccessZone(cleaned.zone);
+
+      await database.logAudit({
+        action: 'access_zone_updated',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: { previous: found.zone, zone: cleaned.zone }
+      });
+
+      res.json(zone);
+    } catch (error) {
+      logger.error('Failed to update access zone', { error: error.message, zoneId: req.params.zoneId });
+      res.status(500).json({ error: 'Failed to update access zone' });
+    }
+  });
+
+  router.delete('/:eventId/:zoneId', async (req, res) => {
+    try {
+      const { eventId, zoneId } = req.params;
+      const found = await findZone(eventId, zoneId);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+
+      await database.deleteAccessZone(zoneId);
+
+      await database.logAudit({
+        action: 'access_zone_deleted',
+        entity_type: 'event',
+        entity_id: eventId,
+        details: { zone: found.zone }
+      });
+
+      res.json({ message: 'Access zone deleted', zoneId });
+    } catch (error) {
+      logger.error('Failed to delete access zone', { error: error.message, zoneId: req.params.zoneId });
+      res.status(500).json({ error: 'Failed to delete access zone' });
+    }
+  });
+
+  // Let one contact into the zone (PUT) or take that back (DELETE)
+  const setContactAccess = allowed => async (req, res) => {
+    try {
+      const { eventId, zoneId, contactId } = req.params;
+      const found = await findZone(eventId, zoneId);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      const contact = await database.getContact(contactId);
+      if (!contact || contact.event_id !== eventId) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      const zone = await database.setZoneContactAccess(found.zone, contactId, allowed);
+
+      await database.logAudit({
+        action: allowed ? 'zone_access_granted' : 'zone_access_removed',
+        entity_type: 'contact',
+        entity_id: contactId,
+        details: { zoneId, zoneName: zone.name }
+      });
+
+      res.json({ zone, allowed_via: zoneAccessVia(zone, contact) });
+    } catch (error) {
+      logger.error('Failed to change zone access', { error: error.message, zoneId: req.params.zoneId });
+      res.status(500).json({ error: 'Failed to change zone access' });
+    }
+  };
+  router.put('/:eventId/:zoneId/contacts/:contactId', setContactAccess(true));
+  router.delete('/:eventId/:zoneId/contacts/:contactId', setContactAccess(false));
+
+  // Who is in the zone now
+  router.get('/:eventId/:zoneId/occupants', async (req, res) => {
+    try {
+      const { eventId, zoneId } = req.params;
+      const found = await findZone(eventId, zoneId);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+
+      const occupants = await database.getZoneOccupants(zoneId);
+      res.json({
+        zone: { id: zoneId, name: found.zone.name, capacity: found.zone.capacity, present: occupants.length },
+        occupants
+      });
+    } catch (error) {
+      logger.error('Failed to get zone occupants', { error: error.message, zoneId: req.params.zoneId });
+      res.status(500).json({ error: 'Failed to get zone occupants' });
+    }
+  });
+
+  // Scan a badge into or out of the zone. Body: { code, direction: 'in' | 'out', station }.
+  // Entry needs a valid badge whose holder may enter the zone, and room in it;
+  // leaving is never refused to a badge on record. Every scan is logged.
+  router.post('/:eventId/:zoneId/scan', async (req, res) => {
+    try {
+      const { eventId, zoneId } = req.params;
+      const found = await findZone(eventId, zoneId);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      const { zone } = found;
+
+      const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+      const direction = req.body.direction || 'in';
+      const station = (req.body.station || '').trim() || null;
+      if (!code) {
+        return res.status(400).json({ error: 'Badge code is required' });
+      }
+      if (!SCAN_DIRECTIONS.includes(direction)) {
+        return res.status(400).json({ error: `Direction must be one of: ${SCAN_DIRECTIONS.join(', ')}` });
+      }
+
+      const credential = await database.findCredentialByCode(code, eventId);
+      const { result, reason } = verifyCredential(credential);
+
+      let denied = null;
+      if (direction === 'out') {
+        denied = credential ? null : reason;
+      } else if (result !== 'valid') {
+        denied = reason;
+      } else if (!zoneAccessVia(zone, await database.getContact(credential.contact_id))) {
+        denied = `Not allowed in ${zone.name}`;
+      } else if (zone.capacity && !await database.isInZone(zoneId, credential.contact_id)) {
+        const { present } = (await database.getZoneOccupancy(eventId)).find(row => row.zone_id === zoneId);
+        if (present >= zone.capacity) {
+          denied = `${zone.name} is full (${zone.capacity})`;
+        }
+      }
+      const access = denied ? 'denied' : 'granted';
+
+      const scan = await database.logBadgeScan({
+        code,
+        result,
+        reason: denied || reason,
+        credential_id: credential ? credential.id : null,
+        contact_id: credential ? credential.contact_id : null,
+        event_id: eventId,
+        station,
+        zone_id: zoneId,
+        direction,
+        access
+      });
+
+      const { present } = (await database.getZoneOccupancy(eventId)).find(row => row.zone_id === zoneId);
+      res.json({
+        access,
+        direction,
+        result,
+        reason: denied || reason,
+        code,
+        station,
+        scanId: scan.id,
+        scannedAt: scan.scanned_at,
+        zone: { id: zoneId, name: zone.name, capacity: zone.capacity, present },
+        ...describeScannedBadge(credential)
+      });
+    } catch (error) {
+      logger.error('Failed to scan badge for zone', { error: error.message, zoneId: req.params.zoneId });
+      res.status(500).json({ error: 'Failed to scan badge for zone' });
+    }
+  });
+
+  return router;
+};
@@ -11,12 +11,21 @@ const contactsRoutes = require('./routes/contacts');
 const templatesRoutes = require('./routes/templates');
 const printingRoutes = require('./routes/printing');
 const exportRoutes = require('./routes/exports');
+const seatingRoutes = require('./routes/seating');
+const importProfileRoutes = require('./routes/import-profiles');
+const verifyRoutes = require('./routes/verify');
+const zoneRoutes = require('./routes/zones');
+const checkinRoutes = require('./routes/checkins');
 
 
 // Import database and utilities
 const Database = require('./database/database');
 const Config = require('./utils/config');
 const Logger = require('./utils/logger');
+const PrintQueue = require('./printing/print-queue');
+const ImportJobs = require('./importing/import-jobs');
+const { rosterFormat } = require('./importing/roster-reader');
+const LabelRenderer = require('./rendering/label-renderer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,6 +34,9 @@ const PORT = process.env.PORT || 3000;
 const config = new Config();
 const database = new Database(config);
 const logger = new Logger(config);
+const printQueue = new PrintQueue(database, config, logger);
+const importJobs = new ImportJobs(logger);
+const labelRenderer = new LabelRenderer(config, logger);
 
 // Middleware
 app.use(express.json({ limit: '50mb' }));
@@ -47,12 +59,12 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    const isCsv = file.mimetype === 'text/csv' || /\.csv$/i.test(file.originalname);
+    const isRoster = file.mimetype === 'text/csv' || rosterFormat(file.originalname) !== null;
     const isPdf = file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname);
-    if (isCsv || isPdf) {
+    if (isRoster || isPdf) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV or PDF files are allowed'));
+      cb(new Error('Only CSV, TSV, Excel (.xlsx) or PDF files are allowed'));
     }
   },
   limits: {
@@ -88,13 +100,29 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Schema version and pending migrations
+app.get('/api/health/schema', async (req, res) => {
+  try {
+    const status = await database.getSchemaStatus();
+    res.json(status);
+  } catch (error) {
+    logger.error('Failed to get schema status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get schema status' });
+  }
+});
+
 // API routes
-app.use('/api/events', eventRoutes(database, config, logger, upload));
+app.use('/api/events', eventRoutes(database, config, logger, upload, importJobs));
 app.use('/api/contacts', contactsRoutes(database, config, logger));
-app.use('/api/templates', templatesRoutes(database, config, logger));
+app.use('/api/templates', templatesRoutes(database, config, logger, labelRenderer));
 
-app.use('/api/printing', printingRoutes(database, config, logger));
+app.use('/api/printing', printingRoutes(database, config, logger, printQueue, labelRenderer));
 app.use('/api/exports', exportRoutes(database, config, logger));
+app.use('/api/seating', seatingRoutes(database, config, logger));
+app.use('/api/import-profiles', importProfileRoutes(database, config, logger));
+app.use('/api/verify', verifyRoutes(database, config, logger));
+app.use('/api/zones', zoneRoutes(database, config, logger));
+app.use('/api/checkins', checkinRoutes(database, config, logger));
 
 // Serve the main application
 // app.get('*', (req, res) => {
@@ -113,7 +141,11 @@ async function startServer() {
 
     // Initialize database
     await database.initialize();
-    logger.info('Database initialized successfully');
+    const schemaVersion = await database.migrator.getCurrentVersion();
+    logger.info('Database initialized successfully', { schemaVersion });
+
+    // Start the print queue worker
+    await printQueue.start();
 
     // Start server
     app.listen(PORT, () => {
@@ -132,6 +164,8 @@ async function startServer() {
 process.on('SIGINT', async () => {
   logger.info('Shutting down server...');
   try {
+    printQueue.stop();
+    await labelRenderer.close();
     await database.close();
     process.exit(0);
   } catch (error) {
@@ -143,6 +177,8 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down...');
   try {
+    printQueue.stop();
+    await labelRenderer.close();
     await database.close();
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,43 @@
+// Who may enter an access zone. A zone admits every valid badge when it is
+// open_to_all; otherwise a contact needs a rule naming them, or a rule whose
+// field (a contact column or custom field key) holds the rule's value.
+// Values compare trimmed and ignoring case.
+
+// Contact columns a rule can look at; any other field is a custom field key
+const ZONE_RULE_COLUMNS = ['category', 'district', 'state', 'city', 'zip'];
+
+const comparable = value => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+function customFields(contact) {
+  try {
+    const fields = JSON.parse(contact.custom_fields || '{}');
+    return fields && typeof fields === 'object' ? fields : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function contactFieldValue(contact, field) {
+  return ZONE_RULE_COLUMNS.includes(field) ? contact[field] : customFields(contact)[field];
+}
+
+// How the contact may enter the zone: 'open', 'contact' or 'field=value' of
+// the first matching rule; null when they may not
+function zoneAccessVia(zone, contact) {
+  if (zone.open_to_all) {
+    return 'open';
+  }
+  const rules = zone.rules || [];
+  if (rules.some(rule => rule.contact_id === contact.id)) {
+    return 'contact';
+  }
+  const match = rules.find(rule => rule.field &&
+    comparable(rule.value) !== '' &&
+    comparable(contactFieldValue(contact, rule.field)) === comparable(rule.value));
+  return match ? `${match.field}=${match.value}` : null;
+}
+
+module.exports = {
+  ZONE_RULE_COLUMNS,
+  zoneAccessVia
+};
@@ -0,0 +1,58 @@
+// What a scanned badge verifies as. A code is looked up with
+// Database.findCredentialByCode; the credential's status decides the result.
+
+const SCAN_RESULTS = ['valid', 'revoked', 'unknown'];
+
+// Why a badge that is on record does not admit its holder, by credential status
+const STATUS_REASONS = {
+  inactive: 'Credential revoked',
+  pending: 'Badge has not finished printing',
+  failed: 'Badge failed to print',
+  cancelled: 'Badge print was cancelled'
+};
+
+// { result, reason } for a credential found by code, or null if none was
+function verifyCredential(credential) {
+  if (!credential) {
+    return { result: 'unknown', reason: 'Badge not recognized' };
+  }
+  if (credential.status === 'active') {
+    return { result: 'valid', reason: null };
+  }
+  if (credential.status === 'voided') {
+    const replacement = credential.replaced_by_badge_number;
+    return {
+      result: 'revoked',
+      reason: replacement ? `Replaced by badge ${replacement}` : 'Badge was replaced by a reprint'
+    };
+  }
+  return { result: 'revoked', reason: STATUS_REASONS[credential.status] || `Credential is ${credential.status}` };
+}
+
+// The holder, event and credential parts of a scan response
+function describeScannedBadge(credential) {
+  if (!credential) {
+    return { holder: null, event: null, credential: null };
+  }
+  return {
+    holder: {
+      contactId: credential.contact_id,
+      name: [credential.first_name, credential.last_name].filter(Boolean).join(' '),
+      category: credential.category || null,
+      district: credential.district || null
+    },
+    event: { id: credential.event_id, name: credential.event_name },
+    credential: {
+      id: credential.id,
+      badgeNumber: credential.badge_number,
+      status: credential.status,
+      printedAt: credential.printed_at
+    }
+  };
+}
+
+module.exports = {
+  SCAN_RESULTS,
+  verifyCredential,
+  describeScannedBadge
+};
@@ -0,0 +1,50 @@
+// Contact categories. Rosters spell them many ways ("Delegate", "DEL",
+// "Alt. Delegate", ...); everything is stored as one of CATEGORIES.
+
+const CATEGORIES = ['delegate', 'alternate', 'guest', 'press', 'staff'];
+
+const ALIASES = {
+  del: 'delegate',
+  delegates: 'delegate',
+  voting_delegate: 'delegate',
+  alt: 'alternate',
+  alternates: 'alternate',
+  alt_delegate: 'alternate',
+  alternate_delegate: 'alternate',
+  guests: 'guest',
+  visitor: 'guest',
+  observer: 'guest',
+  media: 'press',
+  volunteer: 'staff',
+  volunteers: 'staff'
+};
+
+// Header names suggested as the category column when importing a CSV
+const CATEGORY_HEADERS = ['category', 'credential_type', 'badge_type', 'delegate_type', 'type'];
+
+function normalizeKey(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Canonical category for a roster value; null when blank or unrecognised
+function normalizeCategory(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const key = normalizeKey(value);
+  if (CATEGORIES.includes(key)) {
+    return key;
+  }
+  return ALIASES[key] || null;
+}
+
+function isValidCategory(value) {
+  return CATEGORIES.includes(value);
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_HEADERS,
+  normalizeCategory,
+  isValidCategory
+};
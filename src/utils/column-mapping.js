@@ -0,0 +1,226 @@
+// CSV column mapping. A mapping is an object of CSV header -> contact field
+// (null leaves the column as a custom field only). Every column is kept in
+// custom_fields either way; the mapping decides which ones fill the standard fields.
+
+const moment = require('moment');
+const { CATEGORY_HEADERS, normalizeCategory } = require('./categories');
+
+const IMPORT_FIELDS = [
+  { field: 'first_name', label: 'First Name', required: true },
+  { field: 'last_name', label: 'Last Name', required: true },
+  { field: 'middle_name', label: 'Middle Name' },
+  { field: 'birth_date', label: 'Birth Date' },
+  { field: 'address', label: 'Address' },
+  { field: 'city', label: 'City' },
+  { field: 'state', label: 'State' },
+  { field: 'zip', label: 'ZIP' },
+  { field: 'phone', label: 'Phone' },
+  { field: 'email', label: 'Email' },
+  { field: 'category', label: 'Category' },
+  { field: 'district', label: 'District' },
+  { field: 'alternate_rank', label: 'Alternate Rank' }
+];
+
+const FIELD_NAMES = IMPORT_FIELDS.map(f => f.field);
+const REQUIRED_FIELDS = IMPORT_FIELDS.filter(f => f.required).map(f => f.field);
+
+// Header spellings recognised for each field, in normalized form
+const FIELD_ALIASES = {
+  first_name: ['first_name', 'firstname', 'first', 'fname', 'given_name', 'givenname', 'given', 'forename'],
+  last_name: ['last_name', 'lastname', 'last', 'lname', 'surname', 'family_name', 'familyname'],
+  middle_name: ['middle_name', 'middlename', 'middle', 'middle_initial', 'mi'],
+  birth_date: ['birth_date', 'birthdate', 'dob', 'date_of_birth', 'birthday'],
+  address: ['address', 'street', 'street_address', 'address_1', 'address1', 'mailing_address'],
+  city: ['city', 'town'],
+  state: ['state', 'st', 'province'],
+  zip: ['zip', 'zip_code', 'zipcode', 'postal_code', 'postcode'],
+  phone: ['phone', 'phone_number', 'mobile', 'cell', 'cell_phone', 'telephone', 'tel'],
+  email: ['email', 'email_address', 'e_mail'],
+  category: CATEGORY_HEADERS,
+  district: ['district', 'district_number', 'congressional_district', 'cd'],
+  alternate_rank: ['alternate_rank', 'alt_rank', 'rank']
+};
+
+// "Given Name", "given-name" and "givenName" all become given_name
+function normalizeHeader(header) {
+  return String(header)
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// Best guess at a mapping for these headers. Each field goes to at most one
+// header; categoryColumn (the event's last mapped category column) wins if present.
+function suggestMapping(headers, { categoryColumn = null } = {}) {
+  const mapping = {};
+  headers.forEach(header => { mapping[header] = null; });
+
+  const normalized = headers.map(normalizeHeader);
+  const taken = new Set();
+
+  if (categoryColumn && headers.includes(categoryColumn)) {
+    mapping[categoryColumn] = 'category';
+    taken.add(categoryColumn);
+  }
+
+  for (const field of FIELD_NAMES) {
+    if (Object.values(mapping).includes(field)) {
+      continue;
+    }
+    // Earlier aliases are the stronger match, so "Last Name" beats "Last"
+    for (const alias of FIELD_ALIASES[field]) {
+      const index = normalized.findIndex((key, i) => key === alias && !taken.has(headers[i]));
+      if (index !== -1) {
+        mapping[headers[index]] = field;
+        taken.add(headers[index]);
+        break;
+      }
+    }
+  }
+
+  return mapping;
+}
+
+// Required fields with no column mapped to them
+function missingRequiredFields(mapping) {
+  const mapped = Object.values(mapping || {});
+  return REQUIRED_FIELDS.filter(field => !mapped.includes(field));
+}
+
+// Returns an error message, or null if the mapping is usable. With headers, every
+// mapped header must be one of them.
+function validateMapping(mapping, headers = null) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object of CSV header to contact field';
+  }
+
+  const seen = new Set();
+  for (const [header, field] of Object.entries(mapping)) {
+    if (headers && !headers.includes(header)) {
+      return `Column "${header}" is not in the CSV`;
+    }
+    if (field === null || field === '') {
+      continue;
+    }
+    if (!FIELD_NAMES.includes(field)) {
+      return `Unknown contact field "${field}"`;
+    }
+    if (seen.has(field)) {
+      return `More than one column is mapped to ${field}`;
+    }
+    seen.add(field);
+  }
+
+  return null;
+}
+
+// Drop unmapped entries so only header -> field pairs remain
+function compactMapping(mapping) {
+  const compact = {};
+  for (const [header, field] of Object.entries(mapping || {})) {
+    if (field) {
+      compact[header] = field;
+    }
+  }
+  return compact;
+}
+
+// Header for a field under this mapping, or null
+function headerForField(mapping, field) {
+  const entry = Object.entries(mapping || {}).find(([, mapped]) => mapped === field);
+  return entry ? entry[0] : null;
+}
+
+// Key a column is stored under in custom_fields and the working copy
+function customFieldKey(header) {
+  return header.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+}
+
+// custom_fields for one CSV row: every column under its custom field key
+function customFieldsFor(row, headers) {
+  const fields = {};
+  headers.forEach(header => {
+    fields[customFieldKey(header)] = row[header] || '';
+  });
+  return fields;
+}
+
+// Alternate ranks are positive whole numbers; anything else is no rank
+function parseAlternateRank(value) {
+  const rank = parseInt(value, 10);
+  return rank > 0 ? rank : null;
+}
+
+// Workbooks (and CSVs saved from them) can hold dates as Excel serial numbers:
+// days since 1899-12-30. Serials before March 1900 are skipped; Excel counts a
+// 29 February 1900 that never happened.
+function excelSerialDate(value) {
+  if (!/^\d+(\.\d+)?$/.test(String(value))) {
+    return null;
+  }
+  const serial = Math.floor(Number(value));
+  if (serial < 61 || serial > 2958465) {
+    return null;
+  }
+  return moment.utc('1899-12-30').add(serial, 'days').format('YYYY-MM-DD');
+}
+
+// Birth dates in any of these layouts are stored as YYYY-MM-DD
+const BIRTH_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'MM-DD-YYYY'];
+
+function normalizeBirthDate(raw) {
+  const excelDate = excelSerialDate(raw);
+  if (excelDate) {
+    return excelDate;
+  }
+  const date = moment.utc(raw, BIRTH_DATE_FORMATS, true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : raw;
+}
+
+// Value stored in the contact column for a raw CSV value
+function fieldValue(field, raw) {
+  switch (field) {
+    case 'birth_date':
+      return normalizeBirthDate(raw);
+    case 'category':
+      return normalizeCategory(raw);
+    case 'district':
+      return raw || null;
+    case 'alternate_rank':
+      return parseAlternateRank(raw);
+    default:
+      return raw;
+  }
+}
+
+// Raw values of the standard fields for one CSV row; unmapped fields are ''
+function applyMapping(row, mapping) {
+  const values = {};
+  FIELD_NAMES.forEach(field => { values[field] = ''; });
+  for (const [header, field] of Object.entries(mapping || {})) {
+    if (field && row[header] !== undefined && row[header] !== null) {
+      values[field] = String(row[header]).trim();
+    }
+  }
+  return values;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  BIRTH_DATE_FORMATS,
+  normalizeHeader,
+  suggestMapping,
+  missingRequiredFields,
+  validateMapping,
+  compactMapping,
+  headerForField,
+  applyMapping,
+  customFieldKey,
+  customFieldsFor,
+  parseAlternateRank,
+  excelSerialDate,
+  normalizeBirthDate,
+  fieldValue
+};
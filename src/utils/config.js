@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { BIRTH_DATE_FORMATS } = require('./column-mapping');
 
 class Config {
   constructor() {
@@ -44,6 +45,14 @@ class Config {
     return path.join(this.getDataDir(), 'uploads');
   }
 
+  getSpoolDir() {
+    return path.join(this.getAppDir(), 'spool');
+  }
+
+  getLabelsDir() {
+    return path.join(this.getDataDir(), 'labels');
+  }
+
   loadConfig() {
     try {
       if (fs.existsSync(this.configFile)) {
@@ -71,7 +80,52 @@ class Config {
         height: 6,
         dpi: 203,
         autoPrint: true,
-        defaultPrinter: 'RX106HD'
+        defaultPrinter: 'RX106HD',
+        // Print backend: 'sumatra' (Windows), 'cups' (lp), 'raw-tcp' (port 9100), 'file' (device) or 'spool' (folder)
+        backend: process.platform === 'win32' ? 'sumatra' : 'cups',
+        // Label output: 'pdf', or 'zpl'/'epl' for thermal printers that take native commands
+        language: 'pdf',
+        labelGapDots: 24,
+        sumatraPath: '',
+        host: '',
+        port: 9100,
+        devicePath: '',
+        spoolDir: this.getSpoolDir(),
+        timeoutMs: 30000
+      },
+      printQueue: {
+        pollIntervalMs: 2000,
+        maxAttempts: 3,
+        retryBaseDelayMs: 5000,
+        retryMaxDelayMs: 300000
+      },
+      reprints: {
+        // PIN a supervisor enters to reprint past an event's reprint_limit; empty only asks for a name
+        supervisorPin: ''
+      },
+      importValidation: {
+        // Checks run on every CSV import, keyed by contact field or by custom field
+        // (the normalized CSV header, e.g. member_id). Rules for columns a roster
+        // does not have are skipped; set a key to false to turn its rule off.
+        // severity 'error' (the default) rejects the row, 'warning' only reports it.
+        rules: {
+          first_name: { required: true },
+          last_name: { required: true },
+          // Imported birth dates in these layouts are stored as YYYY-MM-DD
+          birth_date: { dateFormats: [...BIRTH_DATE_FORMATS] },
+          zip: { pattern: '^\\d{5}(-\\d{4})?$' },
+          email: { pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$', severity: 'warning' },
+          category: { enum: ['delegate', 'alternate', 'guest', 'press', 'staff'], severity: 'warning' },
+          member_id: { unique: true },
+          voter_id: { unique: true },
+          delegate_id: { unique: true }
+        }
+      },
+      renderer: {
+        // Chromium/Chrome used for label rendering; empty uses puppeteer's bundled browser
+        executablePath: '',
+        launchArgs: [],
+        timeoutMs: 30000
       },
       paths: {
         appDir: this.getAppDir(),
@@ -95,6 +149,10 @@ class Config {
         fuzzyThreshold: 0.6,
         debounceMs: 250
       },
+      duplicates: {
+        // Lowest score (0-1) a pair of contacts is reported as likely duplicates at
+        minScore: 0.6
+      },
       performance: {
         maxContacts: 10000,
         searchTimeoutMs: 250,
@@ -181,14 +239,34 @@ class Config {
     return this.config.printer;
   }
 
+  getPrintQueueConfig() {
+    return this.config.printQueue;
+  }
+
+  getRendererConfig() {
+    return this.config.renderer;
+  }
+
+  getReprintConfig() {
+    return this.config.reprints;
+  }
+
   getSearchConfig() {
     return this.config.search;
   }
 
+  getDuplicatesConfig() {
+    return this.config.duplicates;
+  }
+
   getPerformanceConfig() {
     return this.config.performance;
   }
 
+  getImportValidationConfig() {
+    return this.config.importValidation;
+  }
+
   getGitHubConfig() {
     return this.config.github;
   }
@@ -218,6 +296,30 @@ class Config {
     if (this.config.printer.width <= 0 || this.config.printer.height <= 0) {
       errors.push('Printer dimensions must be positive numbers');
     }
+
+    if (!['pdf', 'zpl', 'epl'].includes(this.config.printer.language || 'pdf')) {
+      errors.push('Printer language must be pdf, zpl or epl');
+    }
+
+    const { fuzzyThreshold } = this.config.search;
+    if (typeof fuzzyThreshold !== 'number' || fuzzyThreshold <= 0 || fuzzyThreshold > 1) {
+      errors.push('Search fuzzyThreshold must be a number above 0 and at most 1');
+    }
+
+    const { minScore } = this.config.duplicates;
+    if (typeof minScore !== 'number' || minScore <= 0 || minScore > 1) {
+      errors.push('Duplicates minScore must be a number above 0 and at most 1');
+    }
+
+    for (const [key, rule] of Object.entries(this.config.importValidation.rules || {})) {
+      if (rule && rule.pattern) {
+        try {
+          new RegExp(rule.pattern);
+        } catch (error) {
+          errors.push(`Import validation pattern for ${key} is not a valid regular expression`);
+        }
+      }
+    }
     
     return {
       isValid: errors.length === 0,
@@ -232,8 +334,11 @@ class Config {
       version: this.config.version,
       port: this.config.port,
       printer: this.config.printer,
+      printQueue: this.config.printQueue,
+      renderer: this.config.renderer,
       search: this.config.search,
       performance: this.config.performance,
+      importValidation: this.config.importValidation,
       github: this.config.github,
       paths: this.config.paths
     };
@@ -0,0 +1,304 @@
+// Likely duplicate contacts within an event: the same person imported twice,
+// under a maiden name, with a typo, or added by hand on top of the roster.
+// Pairs are scored on name, birth date, address and email.
+
+const { foldName, phoneticCodes, nameSimilarity } = require('./name-matching');
+
+// Share of the score each field carries. A field blank on either contact
+// counts as half a match: it neither confirms nor rules out a duplicate.
+const FIELD_WEIGHTS = { name: 0.4, birth_date: 0.3, address: 0.15, email: 0.15 };
+const UNKNOWN_FIELD_SCORE = 0.5;
+
+// Contacts sharing a key larger than this are too common a name or value to
+// compare pairwise; a real duplicate usually shares another, smaller key
+const MAX_BLOCK_SIZE = 200;
+
+const ADDRESS_WORDS = {
+  street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', lane: 'ln', boulevard: 'blvd',
+  court: 'ct', place: 'pl', north: 'n', south: 's', east: 'e', west: 'w',
+  apartment: 'apt', unit: 'apt', suite: 'ste'
+};
+
+function addressWords(contact) {
+  return String([contact.address, contact.city, contact.zip].filter(Boolean).join(' '))
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => ADDRESS_WORDS[word] || word);
+}
+
+// Share of address words the two have in common
+function addressSimilarity(first, second) {
+  if (!first || !second) {
+    return null;
+  }
+  let shared = 0;
+  first.forEach(word => {
+    if (second.has(word)) {
+      shared++;
+    }
+  });
+  return shared / (first.size + second.size - shared);
+}
+
+// Same date 1; day and month swapped, or one digit off, 0.5
+function birthDateSimilarity(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+  if (a === b) {
+    return 1;
+  }
+  if (a.length === b.length) {
+    let digitsOff = 0;
+    for (let index = 0; index < a.length && digitsOff < 2; index++) {
+      if (a[index] !== b[index]) {
+        digitsOff++;
+      }
+    }
+    if (digitsOff === 1) {
+      return 0.5;
+    }
+  }
+  const [first, second] = [a, b].map(date => String(date).split(/\D+/));
+  const swapped = first.length === 3 && second.length === 3 &&
+    first[0] === second[0] && first[1] === second[2] && first[2] === second[1];
+  return swapped ? 0.5 : 0;
+}
+
+// Same address 1; same mailbox name at another domain 0.6
+function emailSimilarity(a, b) {
+  if (!a.email || !b.email) {
+    return null;
+  }
+  if (a.email === b.email) {
+    return 1;
+  }
+  return a.mailbox === b.mailbox ? 0.6 : 0;
+}
+
+// A contact's fields as they are compared, worked out once per contact
+function prepare(contact) {
+  const email = String(contact.email || '').trim().toLowerCase();
+  return {
+    contact,
+    first: foldName(contact.first_name),
+    last: foldName(contact.last_name),
+    birthDate: contact.birth_date || null,
+    email,
+    mailbox: email.split('@')[0],
+    address: contact.address ? new Set(addressWords(contact)) : null
+  };
+}
+
+// nameSimilarity, remembered per pair of names: a roster repeats names often
+function createNameComparer() {
+  const scores = new Map();
+  return (a, b) => {
+    let scoresForA = scores.get(a);
+    if (!scoresForA) {
+      scoresForA = new Map();
+      scores.set(a, scoresForA);
+    }
+    let score = scoresForA.get(b);
+    if (score === undefined) {
+      score = nameSimilarity(a, b) || 0;
+      scoresForA.set(b, score);
+    }
+    return score;
+  };
+}
+
+// First and last name averaged, allowing for names entered the wrong way round
+function nameScores(a, b, compareNames) {
+  const straight = {
+    first: compareNames(a.first, b.first),
+    last: compareNames(a.last, b.last)
+  };
+  const swapped = {
+    first: compareNames(a.first, b.last),
+    last: compareNames(a.last, b.first)
+  };
+  const total = scores => (scores.first + scores.last) / 2;
+  return total(swapped) > total(straight) ? { ...swapped, swapped: true } : straight;
+}
+
+function describe(field, score) {
+  const label = field.replace('_', ' ');
+  return score >= 0.9 ? `Same ${label}` : `Similar ${label}`;
+}
+
+// { score, fields, reasons } for a pair of prepared contacts, or null if it
+// scores below minScore. fields holds each field's similarity (0-1), or null
+// where either contact leaves it blank.
+function scorePrepared(a, b, compareNames, minScore = 0) {
+  const names = nameScores(a, b, compareNames);
+  const birthDate = birthDateSimilarity(a.birthDate, b.birthDate);
+  const maidenName = !names.swapped && names.first >= 0.9 && names.last < 0.5;
+  // The same first name and birth date under another last name is how a
+  // maiden or married name looks, so the last name counts as unknown
+  const lastName = maidenName && birthDate === 1 ? UNKNOWN_FIELD_SCORE : names.last;
+  const fields = {
+    name: (names.first + lastName) / 2,
+    birth_date: birthDate,
+    address: addressSimilarity(a.address, b.address),
+    email: emailSimilarity(a, b)
+  };
+
+  let score = 0;
+  for (const field in FIELD_WEIGHTS) {
+    score += FIELD_WEIGHTS[field] * (fields[field] === null ? UNKNOWN_FIELD_SCORE : fields[field]);
+  }
+  score = Math.round(score * 100) / 100;
+  if (score < minScore) {
+    return null;
+  }
+
+  const reasons = [];
+  if (names.swapped) {
+    reasons.push('First and last names swapped');
+  } else if (maidenName) {
+    reasons.push('Same first name, different last name (maiden or married name?)');
+  } else if (fields.name >= 0.5) {
+    reasons.push(describe('name', fields.name));
+  }
+  ['birth_date', 'address', 'email'].forEach(field => {
+    if (fields[field] !== null && fields[field] >= 0.5) {
+      reasons.push(describe(field, fields[field]));
+    }
+  });
+
+  return { score, fields, reasons };
+}
+
+function scorePair(a, b) {
+  return scorePrepared(prepare(a), prepare(b), createNameComparer());
+}
+
+// Keys that put likely duplicates side by side, so only contacts sharing one
+// are compared: email, birth date, the sound of the first and last name, and
+// the street address
+function blockingKeys(prepared) {
+  const { contact } = prepared;
+  const keys = [];
+  if (prepared.email) {
+    keys.push(`email:${prepared.email}`);
+  }
+  if (prepared.birthDate) {
+    keys.push(`birth:${prepared.birthDate}`);
+  }
+  const names = [prepared.first, prepared.last].filter(Boolean);
+  if (names.length > 0) {
+    // Sorted, so swapped names meet their twin
+    keys.push(`name:${names.map(name => phoneticCodes(name)[0] || name).sort().join(':')}`);
+  }
+  const address = addressWords({ address: contact.address, zip: contact.zip }).join(' ');
+  if (contact.address && address) {
+    keys.push(`address:${address}`);
+  }
+  return keys;
+}
+
+// Pairs of contacts scoring at least minScore, best first:
+// [{ score, fields, reasons, contacts: [a, b] }]
+function findDuplicatePairs(contacts, minScore) {
+  const prepared = contacts.map(prepare);
+  const compareNames = createNameComparer();
+  const blocks = new Map();
+  prepared.forEach((contact, index) => {
+    for (const key of new Set(blockingKeys(contact))) {
+      const block = blocks.get(key) || [];
+      block.push(index);
+      blocks.set(key, block);
+    }
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) {
+      continue;
+    }
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const pairKey = block[i] * contacts.length + block[j];
+        if (compared.has(pairKey)) {
+          continue;
+        }
+        compared.add(pairKey);
+
+        const match = scorePrepared(prepared[block[i]], prepared[block[j]], compareNames, minScore);
+        if (match) {
+          pairs.push({ ...match, contacts: [contacts[block[i]], contacts[block[j]]] });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+// Contact fields a merge chooses between
+const MERGE_FIELDS = [
+  'first_name', 'middle_name', 'last_name', 'birth_date', 'address', 'city', 'state', 'zip',
+  'phone', 'email', 'category', 'district', 'alternate_rank', 'custom_fields'
+];
+
+function customFields(contact) {
+  try {
+    const fields = JSON.parse(contact.custom_fields || '{}');
+    return fields && typeof fields === 'object' && !Array.isArray(fields) ? fields : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+
+// The surviving contact's field values after a merge. picks maps a field to
+// 'survivor' or 'duplicate'; a field left out keeps the survivor's value, or
+// takes the duplicate's where the survivor's is blank. Custom fields are
+// combined key by key the same way. Returns { values } or { status, error }.
+function mergeValues(survivor, duplicate, picks = {}) {
+  const unknown = Object.keys(picks).find(field => !MERGE_FIELDS.includes(field));
+  if (unknown) {
+    return { status: 400, error: `Cannot merge field ${unknown}. Fields: ${MERGE_FIELDS.join(', ')}` };
+  }
+  const badPick = Object.entries(picks).find(([, pick]) => !['survivor', 'duplicate'].includes(pick));
+  if (badPick) {
+    return { status: 400, error: `Pick "survivor" or "duplicate" for ${badPick[0]}` };
+  }
+
+  const choose = (field, mine, theirs) => {
+    if (picks[field] === 'duplicate') {
+      return theirs;
+    }
+    if (picks[field] === 'survivor') {
+      return mine;
+    }
+    return isBlank(mine) ? theirs : mine;
+  };
+
+  const values = {};
+  MERGE_FIELDS.filter(field => field !== 'custom_fields').forEach(field => {
+    values[field] = choose(field, survivor[field], duplicate[field]);
+  });
+
+  const mine = customFields(survivor);
+  const theirs = customFields(duplicate);
+  const combined = {};
+  new Set([...Object.keys(mine), ...Object.keys(theirs)]).forEach(key => {
+    combined[key] = choose('custom_fields', mine[key], theirs[key]) ?? '';
+  });
+  values.custom_fields = JSON.stringify(combined);
+
+  return { values };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  MERGE_FIELDS,
+  scorePair,
+  findDuplicatePairs,
+  mergeValues
+};
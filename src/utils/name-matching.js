@@ -0,0 +1,317 @@
+// Forgiving name matching for contact search: nicknames, Double Metaphone
+// codes and edit distance. Used when the full-text index finds too little, so
+// "Katherine" still finds Catherine and "Bob" finds Robert.
+
+const doubleMetaphone = require('double-metaphone');
+
+// Formal names and their common short forms. A name can appear in several
+// groups ("Al" is short for Albert, Alan and Alfred).
+const NICKNAME_GROUPS = [
+  ['abigail', 'abby', 'gail'],
+  ['albert', 'al', 'bert'],
+  ['alan', 'al'],
+  ['alexander', 'alex', 'alec', 'sandy', 'xander'],
+  ['alexandra', 'alex', 'alexa', 'sandra', 'sandy'],
+  ['alfred', 'al', 'alf', 'fred'],
+  ['andrew', 'andy', 'drew'],
+  ['anthony', 'tony'],
+  ['barbara', 'barb', 'babs'],
+  ['benjamin', 'ben', 'benny', 'benji'],
+  ['beverly', 'bev'],
+  ['bradley', 'brad'],
+  ['catherine', 'cathy', 'cat', 'kate', 'katie', 'kathy'],
+  ['katherine', 'kathy', 'kate', 'katie', 'kat', 'kay'],
+  ['kathleen', 'kathy', 'kate'],
+  ['charles', 'charlie', 'chuck', 'chas'],
+  ['christina', 'chris', 'tina', 'christy'],
+  ['christine', 'chris', 'tina'],
+  ['christopher', 'chris', 'kit', 'topher'],
+  ['cynthia', 'cindy'],
+  ['daniel', 'dan', 'danny'],
+  ['david', 'dave', 'davy'],
+  ['deborah', 'deb', 'debbie', 'debby'],
+  ['donald', 'don', 'donnie'],
+  ['dorothy', 'dot', 'dottie'],
+  ['douglas', 'doug'],
+  ['edward', 'ed', 'eddie', 'ted', 'ned'],
+  ['elizabeth', 'liz', 'lizzie', 'beth', 'betty', 'betsy', 'eliza', 'libby', 'liza'],
+  ['eugene', 'gene'],
+  ['frances', 'fran', 'frannie'],
+  ['francis', 'frank', 'fran'],
+  ['franklin', 'frank'],
+  ['frederick', 'fred', 'freddie'],
+  ['gerald', 'jerry', 'gerry'],
+  ['gregory', 'greg'],
+  ['harold', 'harry', 'hal'],
+  ['henry', 'hank', 'harry'],
+  ['jacob', 'jake'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['janet', 'jan'],
+  ['jeffrey', 'jeff'],
+  ['jennifer', 'jen', 'jenny'],
+  ['john', 'jack', 'johnny', 'jon'],
+  ['jonathan', 'jon', 'jonny', 'nathan'],
+  ['joseph', 'joe', 'joey'],
+  ['joshua', 'josh'],
+  ['judith', 'judy'],
+  ['kenneth', 'ken', 'kenny'],
+  ['lawrence', 'larry'],
+  ['leonard', 'len', 'lenny', 'leo'],
+  ['margaret', 'maggie', 'meg', 'peggy', 'marge', 'margie', 'greta'],
+  ['matthew', 'matt'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['nancy', 'nan'],
+  ['nicholas', 'nick', 'nicky'],
+  ['pamela', 'pam'],
+  ['patricia', 'pat', 'patty', 'trish', 'tricia'],
+  ['patrick', 'pat', 'paddy'],
+  ['peter', 'pete'],
+  ['philip', 'phil'],
+  ['raymond', 'ray'],
+  ['rebecca', 'becky', 'becca'],
+  ['richard', 'rich', 'rick', 'ricky', 'dick'],
+  ['robert', 'rob', 'bob', 'bobby', 'robbie', 'bert'],
+  ['ronald', 'ron', 'ronnie'],
+  ['samuel', 'sam', 'sammy'],
+  ['samantha', 'sam', 'sammy'],
+  ['stephen', 'steve', 'stevie'],
+  ['steven', 'steve', 'stevie'],
+  ['susan', 'sue', 'susie'],
+  ['theodore', 'ted', 'teddy', 'theo'],
+  ['thomas', 'tom', 'tommy'],
+  ['timothy', 'tim', 'timmy'],
+  ['victoria', 'vicky', 'tori'],
+  ['vincent', 'vince', 'vinny'],
+  ['walter', 'walt', 'wally'],
+  ['william', 'will', 'bill', 'billy', 'willy', 'liam']
+];
+
+// name -> every name it shares a group with
+const RELATED_NAMES = new Map();
+for (const group of NICKNAME_GROUPS) {
+  for (const name of group) {
+    const related = RELATED_NAMES.get(name) || new Set();
+    group.forEach(other => {
+      if (other !== name) {
+        related.add(other);
+      }
+    });
+    RELATED_NAMES.set(name, related);
+  }
+}
+
+// Words shorter than this only match exactly, by prefix or as a nickname;
+// "Al" sounds like too many names to be useful
+const MIN_FUZZY_LENGTH = 3;
+
+// Match scores before the configured threshold is applied
+const SCORES = { exact: 1, prefix: 0.95, nickname: 0.9 };
+
+// Lowercase ASCII letters and digits, with accents dropped: "José" is "jose"
+function foldName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// The words of a name field: "Mary Ann" is ["mary", "ann"]
+function nameWords(value) {
+  return String(value || '').split(/[\s-]+/).map(foldName).filter(Boolean);
+}
+
+// Double Metaphone codes are worked out once per distinct name; rosters
+// repeat the same first names thousands of times
+const phoneticCache = new Map();
+const PHONETIC_CACHE_LIMIT = 50000;
+
+function phoneticCodes(word) {
+  let codes = phoneticCache.get(word);
+  if (!codes) {
+    if (phoneticCache.size >= PHONETIC_CACHE_LIMIT) {
+      phoneticCache.clear();
+    }
+    codes = [...new Set(doubleMetaphone(word))].filter(Boolean);
+    phoneticCache.set(word, codes);
+  }
+  return codes;
+}
+
+// Levenshtein distance, giving up (and returning maxDistance + 1) once every
+// path costs more than maxDistance
+function editDistance(a, b, maxDistance = Infinity) {
+  let previous = new Uint16Array(b.length + 1);
+  let current = new Uint16Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length];
+}
+
+// 1 for identical words, falling towards 0 as more letters differ. Below
+// atLeast the exact value does not matter and a lower one is returned early.
+function similarity(a, b, atLeast = 0) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) {
+    return 1;
+  }
+  return 1 - editDistance(a, b, Math.floor((1 - atLeast) * length)) / length;
+}
+
+// How a query word matches one name word: { type, score }, or null if it
+// scores below threshold. Phonetic matches score halfway between their
+// spelling similarity and 1.
+function matchWord(queryWord, word, threshold) {
+  if (queryWord === word) {
+    return { type: 'exact', score: SCORES.exact };
+  }
+  if (word.startsWith(queryWord)) {
+    return { type: 'prefix', score: SCORES.prefix };
+  }
+  const related = RELATED_NAMES.get(queryWord);
+  if (related && related.has(word)) {
+    return { type: 'nickname', score: SCORES.nickname };
+  }
+  if (queryWord.length < MIN_FUZZY_LENGTH || word.length < MIN_FUZZY_LENGTH) {
+    return null;
+  }
+
+  const wordCodes = phoneticCodes(word);
+  const phonetic = phoneticCodes(queryWord).some(code => wordCodes.includes(code));
+  // Words of very different lengths cannot be spelled alike
+  const lengthSimilarity = Math.min(queryWord.length, word.length) / Math.max(queryWord.length, word.length);
+  if (!phonetic && lengthSimilarity < threshold) {
+    return null;
+  }
+
+  const spelling = similarity(queryWord, word, phonetic ? 0 : threshold);
+  const match = phonetic
+    ? { type: 'phonetic', score: (1 + spelling) / 2 }
+    : { type: 'fuzzy', score: spelling };
+  return match.score >= threshold ? match : null;
+}
+
+// How alike two names are, 0-1, by the same rules (a nickname scores 0.9).
+// null when either is blank. "Mary Ann" is compared as "maryann".
+function nameSimilarity(a, b) {
+  const first = foldName(a);
+  const second = foldName(b);
+  if (!first || !second) {
+    return null;
+  }
+  const forward = matchWord(first, second, 0);
+  const backward = matchWord(second, first, 0);
+  return Math.max(forward ? forward.score : 0, backward ? backward.score : 0);
+}
+
+const FIELD_LABELS = { first_name: 'first name', middle_name: 'middle name', last_name: 'last name' };
+const NAME_FIELDS = Object.keys(FIELD_LABELS);
+
+function describeMatch({ type, field, queryWord, value }) {
+  const label = FIELD_LABELS[field];
+  switch (type) {
+    case 'nickname':
+      return `"${queryWord}" is a nickname for the ${label} ${value}`;
+    case 'phonetic':
+      return `"${queryWord}" sounds like the ${label} ${value}`;
+    case 'fuzzy':
+      return `"${queryWord}" is spelled like the ${label} ${value}`;
+    default:
+      return `"${queryWord}" matches the ${label} ${value}`;
+  }
+}
+
+const MATCH_ORDER = ['exact', 'prefix', 'nickname', 'phonetic', 'fuzzy'];
+
+// A function scoring a contact's names against the query words. Every query
+// word has to match a different name word at or above threshold (0-1). It
+// returns { score, type, reasons } or null; type is the loosest kind of match
+// used. Results are remembered per name, since a roster repeats names often.
+// fields limits which of first, middle and last name are looked at.
+function createNameMatcher(queryWords, threshold, fields = NAME_FIELDS) {
+  const fieldWords = new Map();
+  const wordMatches = queryWords.map(() => new Map());
+
+  const wordsOf = value => {
+    let words = fieldWords.get(value);
+    if (!words) {
+      words = nameWords(value);
+      fieldWords.set(value, words);
+    }
+    return words;
+  };
+  const matchFor = (queryIndex, word) => {
+    const memo = wordMatches[queryIndex];
+    let match = memo.get(word);
+    if (match === undefined) {
+      match = matchWord(queryWords[queryIndex], word, threshold);
+      memo.set(word, match);
+    }
+    return match;
+  };
+
+  // Runs once per contact in the event, so it avoids allocating until a
+  // query word has matched
+  return contact => {
+    const used = [];
+    const matches = [];
+    for (let queryIndex = 0; queryIndex < queryWords.length; queryIndex++) {
+      let best = null;
+      let bestField = null;
+      let bestSlot = -1;
+      for (let fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+        const words = wordsOf(contact[fields[fieldIndex]] || '');
+        for (let wordIndex = 0; wordIndex < words.length; wordIndex++) {
+          const match = matchFor(queryIndex, words[wordIndex]);
+          const slot = fieldIndex * 100 + wordIndex;
+          if (match && (!best || match.score > best.score) && !used.includes(slot)) {
+            best = match;
+            bestField = fields[fieldIndex];
+            bestSlot = slot;
+          }
+        }
+      }
+      if (!best) {
+        return null;
+      }
+      used.push(bestSlot);
+      matches.push({ ...best, field: bestField, value: contact[bestField], queryWord: queryWords[queryIndex] });
+    }
+
+    const loosest = matches.reduce(
+      (type, match) => (MATCH_ORDER.indexOf(match.type) > MATCH_ORDER.indexOf(type) ? match.type : type),
+      'exact'
+    );
+    return {
+      score: matches.reduce((total, match) => total + match.score, 0) / matches.length,
+      type: loosest,
+      reasons: matches.filter(match => !['exact', 'prefix'].includes(match.type)).map(describeMatch)
+    };
+  };
+}
+
+module.exports = {
+  NICKNAME_GROUPS,
+  NAME_FIELDS,
+  foldName,
+  phoneticCodes,
+  nameSimilarity,
+  createNameMatcher
+};
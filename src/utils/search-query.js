@@ -0,0 +1,50 @@
+// Field-qualified contact search queries. "precinct:12 smith" looks for Smith
+// among contacts whose precinct is 12. A value can be quoted
+// (county:"St. Lawrence") and ends in * to match as a prefix (zip:146*);
+// otherwise it must equal the field, ignoring case.
+
+const { customFieldKey } = require('./column-mapping');
+
+// Contact columns search can look at, as contacts_fts names them
+const STANDARD_SEARCH_COLUMNS = [
+  'last_name', 'first_name', 'middle_name', 'email', 'phone',
+  'address', 'city', 'state', 'zip', 'birth_date'
+];
+
+const TOKEN = /(?:([\p{L}\p{N}_]+):)?(?:"([^"]*)"?|(\S*))/gu;
+
+// Splits a query into its free text and field filters. fields is
+// { standard, custom }, the columns the event can search: qualifiers naming
+// anything else are kept as text, so "10:30" still searches for 10:30.
+// The result carries fields along for Database.searchContacts.
+function parseSearchQuery(query, fields) {
+  const text = [];
+  const filters = [];
+
+  for (const [token, qualifier, quoted, bare] of String(query || '').matchAll(TOKEN)) {
+    if (!token) {
+      continue;
+    }
+    const raw = quoted !== undefined ? quoted : bare || '';
+    const field = qualifier ? customFieldKey(qualifier) : null;
+    const standard = fields.standard.includes(field);
+    if (!field || (!standard && !fields.custom.includes(field))) {
+      text.push(token);
+      continue;
+    }
+
+    const prefix = raw.endsWith('*');
+    const value = (prefix ? raw.slice(0, -1) : raw).trim();
+    // A field still being typed ("precinct:") filters nothing yet
+    if (value) {
+      filters.push({ field, value, prefix, custom: !standard });
+    }
+  }
+
+  return { text: text.join(' '), filters, fields };
+}
+
+module.exports = {
+  STANDARD_SEARCH_COLUMNS,
+  parseSearchQuery
+};
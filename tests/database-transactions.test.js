@@ -0,0 +1,113 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Database = require('../src/database/database');
+
+describe('Database transactions', () => {
+  let dataDir;
+  let database;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cred-app-test-'));
+    database = new Database({ getDataDir: () => dataDir });
+    await database.open();
+    await database.run('CREATE TABLE items (name TEXT NOT NULL)');
+  });
+
+  afterEach(async () => {
+    await database.close();
+    await fs.remove(dataDir);
+  });
+
+  const names = async () => (await database.all('SELECT name FROM items ORDER BY rowid')).map(row => row.name);
+
+  test('a write from outside is not rolled back with an open transaction', async () => {
+    let releaseWork;
+    const workPaused = new Promise(resolve => { releaseWork = resolve; });
+    let transactionStarted;
+    const started = new Promise(resolve => { transactionStarted = resolve; });
+
+    const failing = database.transaction(async () => {
+      await database.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+      transactionStarted();
+      await workPaused;
+      throw new Error('render failed');
+    });
+
+    await started;
+    // Lands while BEGIN IMMEDIATE is open, e.g. the print queue marking a job printed
+    const outside = database.run('INSERT INTO items (name) VALUES (?)', ['outside']);
+    releaseWork();
+
+    await expect(failing).rejects.toThrow('render failed');
+    await outside;
+    expect(await names()).toEqual(['outside']);
+  });
+
+  test('reads from outside do not see uncommitted rows', async () => {
+    let releaseWork;
+    const workPaused = new Promise(resolve => { releaseWork = resolve; });
+    let transactionStarted;
+    const started = new Promise(resolve => { transactionStarted = resolve; });
+
+    const failing = database.transaction(async () => {
+      await database.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+      transactionStarted();
+      await workPaused;
+      throw new Error('render failed');
+    });
+
+    await started;
+    const read = names();
+    releaseWork();
+
+    await expect(failing).rejects.toThrow('render failed');
+    expect(await read).toEqual([]);
+  });
+
+  test('a timer started inside a transaction is held back by the next one', async () => {
+    let transactionStarted;
+    const started = new Promise(resolve => { transactionStarted = resolve; });
+    let timerWrite;
+    let timerFired;
+    const fired = new Promise(resolve => { timerFired = resolve; });
+
+    await database.transaction(async () => {
+      // e.g. the print queue being woken up from inside a transaction
+      setTimeout(() => {
+        timerWrite = started.then(() => database.run('INSERT INTO items (name) VALUES (?)', ['timer']));
+        timerFired();
+      }, 0);
+    });
+    await fired;
+
+    let releaseWork;
+    const workPaused = new Promise(resolve => { releaseWork = resolve; });
+    const failing = database.transaction(async () => {
+      await database.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+      transactionStarted();
+      await workPaused;
+      throw new Error('render failed');
+    });
+
+    await started;
+    releaseWork();
+    await expect(failing).rejects.toThrow('render failed');
+    await timerWrite;
+    expect(await names()).toEqual(['timer']);
+  });
+
+  test('transactions queue behind each other', async () => {
+    const first = database.transaction(async () => {
+      await database.run('INSERT INTO items (name) VALUES (?)', ['first']);
+      throw new Error('first failed');
+    });
+    const second = database.transaction(async () => {
+      await database.run('INSERT INTO items (name) VALUES (?)', ['second']);
+    });
+
+    await expect(first).rejects.toThrow('first failed');
+    await second;
+    expect(await names()).toEqual(['second']);
+  });
+});
@@ -0,0 +1,135 @@
+const { diffRoster } = require('../src/importing/roster-diff');
+
+const headers = ['First', 'Last', 'Member ID', 'District'];
+const mapping = { First: 'first_name', Last: 'last_name', 'Member ID': null, District: 'district' };
+
+function row(first, last, memberId, district) {
+  return { First: first, Last: last, 'Member ID': memberId, District: district };
+}
+
+// A contact as database.getRosterContacts returns it, imported from row()
+function contact(id, first, last, memberId, district, extra = {}) {
+  return {
+    id,
+    first_name: first,
+    last_name: last,
+    district,
+    original_row: 1,
+    credentialed: 0,
+    in_seat_upgrade: 0,
+    printing: 0,
+    custom_fields: JSON.stringify({ first: first, last: last, member_id: memberId, district }),
+    ...extra
+  };
+}
+
+function diff(contacts, rows, keyColumn = null) {
+  return diffRoster({ contacts, rows, headers, mapping, keyColumn });
+}
+
+describe('diffRoster', () => {
+  test('matches on first and last name when no key column is chosen', () => {
+    const result = diff(
+      [
+        contact('c1', 'Ann', 'Lee', 'M-1', '1'),
+        contact('c2', 'Bob', 'Ray', 'M-2', '2')
+      ],
+      [row('Ann', 'Lee', 'M-1', '1'), row('Cy', 'Fox', 'M-3', '3')]
+    );
+
+    expect(result.summary).toEqual({ added: 1, changed: 0, removed: 1, unchanged: 1, conflicts: 0 });
+    expect(result.added).toEqual([expect.objectContaining({ row: 2, key: 'Cy Fox', district: '3' })]);
+    expect(result.removed).toEqual([expect.objectContaining({ contactId: 'c2', blocked: null })]);
+  });
+
+  test('matches on a key column case-insensitively and reports field changes', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'm-1', '1')],
+      [row('Ann', 'Lee-Smith', 'M-1', '1')],
+      'Member ID'
+    );
+
+    expect(result.added).toEqual([]);
+    expect(result.changed).toHaveLength(1);
+    expect(result.changed[0].changes).toEqual([
+      { field: 'last_name', from: 'Lee', to: 'Lee-Smith' },
+      { field: 'custom_fields.member_id', from: 'm-1', to: 'M-1' }
+    ]);
+    expect(result.changed[0].needsAcknowledgement).toBe(false);
+  });
+
+  test('asks to acknowledge changes to credentialed contacts', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'M-1', '1', { credentialed: 1 })],
+      [row('Ann', 'Lee', 'M-1', '2')]
+    );
+
+    expect(result.changed[0]).toEqual(expect.objectContaining({ credentialed: true, blocked: null, needsAcknowledgement: true }));
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'credentialed_changed', contactId: 'c1', row: 1 })]);
+  });
+
+  test('blocks district and category changes for contacts in a seat upgrade', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'M-1', '1', { in_seat_upgrade: 1 })],
+      [row('Ann', 'Lee', 'M-1', '2')]
+    );
+
+    expect(result.changed[0]).toEqual(expect.objectContaining({ blocked: 'seat_upgrade', needsAcknowledgement: false }));
+    expect(result.conflicts[0].type).toBe('seat_upgrade_changed');
+  });
+
+  test('lets other changes through for contacts in a seat upgrade', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'M-1', '1', { in_seat_upgrade: 1 })],
+      [row('Ann', 'Lee', 'M-9', '1')]
+    );
+
+    expect(result.changed[0].blocked).toBeNull();
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('skips rows with a blank or repeated key without removing their contact', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'M-1', '1')],
+      [row('Ann', 'Lee', 'M-1', '1'), row('Ann', 'Lee', 'M-1', '2'), row('Bob', 'Ray', '', '2')],
+      'Member ID'
+    );
+
+    expect(result.summary).toEqual({ added: 0, changed: 0, removed: 0, unchanged: 0, conflicts: 2 });
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ type: 'duplicate_key', rows: [1, 2], key: 'M-1' }),
+      expect.objectContaining({ type: 'blank_key', row: 3 })
+    ]);
+  });
+
+  test('skips rows that match several contacts', () => {
+    const result = diff(
+      [contact('c1', 'Ann', 'Lee', 'M-1', '1'), contact('c2', 'Ann', 'Lee', 'M-2', '2')],
+      [row('Ann', 'Lee', 'M-1', '1')]
+    );
+
+    expect(result.removed).toEqual([]);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ type: 'ambiguous_match', row: 1, contactIds: ['c1', 'c2'] })
+    ]);
+  });
+
+  test('never removes contacts added by hand', () => {
+    const result = diff([contact('c1', 'Ann', 'Lee', 'M-1', '1', { original_row: 0 })], []);
+
+    expect(result.removed).toEqual([]);
+  });
+
+  test.each([
+    ['credentialed', { credentialed: 1 }],
+    ['seat_upgrade', { in_seat_upgrade: 1 }],
+    ['printing', { printing: 1 }]
+  ])('blocks removing a contact (%s)', (reason, flags) => {
+    const result = diff([contact('c1', 'Ann', 'Lee', 'M-1', '1', flags)], []);
+
+    expect(result.removed).toEqual([expect.objectContaining({ contactId: 'c1', blocked: reason })]);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ type: `${reason}_removed`, contactId: 'c1', message: expect.stringContaining('Ann Lee') })
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+const { validateRows } = require('../src/importing/row-validator');
+
+const headers = ['First', 'Last', 'DOB', 'Category', 'Zip', 'Member ID'];
+const mapping = { First: 'first_name', Last: 'last_name', DOB: 'birth_date', Category: 'category', Zip: 'zip', 'Member ID': null };
+
+function row(values = {}) {
+  return { First: 'Ann', Last: 'Lee', DOB: '1980-03-15', Category: 'delegate', Zip: '12345', 'Member ID': 'M-1', ...values };
+}
+
+function validate(rows, rules, options = {}) {
+  return validateRows(rows, { headers, mapping, rules, ...options });
+}
+
+describe('validateRows', () => {
+  test('rejects rows missing a required field', () => {
+    const result = validate([row(), row({ Last: '  ' })], { last_name: { required: true } });
+
+    expect(result.rejectedRows).toEqual([2]);
+    expect(result.issues).toEqual([
+      expect.objectContaining({ row: 2, line: 3, severity: 'error', field: 'last_name', column: 'Last', message: 'Last Name is required' })
+    ]);
+  });
+
+  test('reports a required field whose column the roster lacks', () => {
+    const result = validateRows([row()], { headers, mapping, rules: { email: { required: true }, phone: { pattern: '^\\d+$' } } });
+
+    expect(result.issues).toEqual([expect.objectContaining({ row: 1, field: 'email', column: null })]);
+  });
+
+  test('skips rules that are turned off', () => {
+    const result = validate([row({ First: '' })], { first_name: false });
+
+    expect(result.issues).toEqual([]);
+  });
+
+  describe('dateFormats', () => {
+    const rules = { birth_date: { dateFormats: ['YYYY-MM-DD', 'MM/DD/YYYY'] } };
+
+    test('accepts dates in any listed format, as typed', () => {
+      const result = validate([row({ DOB: '1980-03-15' }), row({ DOB: '03/15/1980' })], rules);
+
+      expect(result.issues).toEqual([]);
+    });
+
+    test('accepts a typed date even when its stored form is not listed', () => {
+      const result = validate([row({ DOB: '03/15/1980' })], { birth_date: { dateFormats: ['MM/DD/YYYY'] } });
+
+      expect(result.issues).toEqual([]);
+    });
+
+    test('accepts Excel serial dates', () => {
+      const result = validate([row({ DOB: '29358' })], rules);
+
+      expect(result.issues).toEqual([]);
+    });
+
+    test('rejects dates in other formats and impossible dates', () => {
+      const result = validate([row({ DOB: '15.03.1980' }), row({ DOB: '02/30/1980' })], rules);
+
+      expect(result.rejectedRows).toEqual([1, 2]);
+      expect(result.issues[0].message).toBe('Birth Date "15.03.1980" is not a date in the form YYYY-MM-DD or MM/DD/YYYY');
+    });
+  });
+
+  test('reports repeated unique values against the row first seen, ignoring case', () => {
+    const result = validate(
+      [row({ 'Member ID': 'M-1' }), row({ 'Member ID': 'M-2' }), row({ 'Member ID': 'm-1' }), row({ 'Member ID': '' })],
+      { member_id: { unique: true } }
+    );
+
+    expect(result.rejectedRows).toEqual([3]);
+    expect(result.issues).toEqual([
+      expect.objectContaining({ row: 3, field: 'member_id', column: 'Member ID', message: 'Member ID "m-1" repeats row 1' })
+    ]);
+  });
+
+  test('checks patterns against the value as typed, with the rule\'s message', () => {
+    const result = validate(
+      [row({ Zip: '1234' })],
+      { zip: { pattern: '^\\d{5}$', message: 'Zip must have five digits' } }
+    );
+
+    expect(result.issues[0].message).toBe('Zip must have five digits');
+  });
+
+  test('checks enums against the stored value, so category aliases pass', () => {
+    const result = validate(
+      [row({ Category: 'Alt' }), row({ Category: 'observer' })],
+      { category: { enum: ['delegate', 'alternate'] } }
+    );
+
+    expect(result.rejectedRows).toEqual([2]);
+  });
+
+  test('reports warnings without rejecting the row', () => {
+    const result = validate(
+      [row({ Zip: 'none' }), row({ Zip: 'none', Last: '' })],
+      { zip: { pattern: '^\\d{5}$', severity: 'warning' }, last_name: { required: true } }
+    );
+
+    expect(result.summary).toEqual({
+      totalRows: 2,
+      validRows: 1,
+      rejectedRows: 1,
+      warnedRows: 1,
+      errors: 1,
+      warnings: 2
+    });
+    expect(result.rejectedRows).toEqual([2]);
+  });
+
+  test('numbers lines from the header line', () => {
+    const result = validate([row({ First: '' })], { first_name: { required: true } }, { headerLine: 3 });
+
+    expect(result.issues[0]).toEqual(expect.objectContaining({ row: 1, line: 4 }));
+  });
+});